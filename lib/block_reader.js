@@ -0,0 +1,139 @@
+// lib/block_reader.js
+// Read-ahead block reader for the uploaders. The file is read asynchronously into a small
+// pool of reusable frame buffers, so the next blocks are read and framed (header and
+// checksum) while the current one waits for its ack, and a large upload does not allocate
+// a buffer per block.
+//
+// Each buffer reserves headerBytes in front of the data and trailerBytes after it; the
+// uploader's frame(block) callback fills them in. A block's buffer stays untouched until
+// release(block), so the same frame can be re-sent after a lost ack.
+//
+// Only the preparation is pipelined: XYZv2 and XYZv3 printers acknowledge every block
+// before they accept the next one, so frames are never written ahead of their ack.
+
+const fs = require('fs');
+
+// Blocks read ahead of the one being sent
+const DEFAULT_READ_AHEAD = 2;
+
+class BlockReader {
+  /**
+   * @param {string} filePath
+   * @param {{blockSize: number, totalBlocks?: number, headerBytes?: number, trailerBytes?: number,
+   *   readAhead?: number, frame?: Function}} options - totalBlocks defaults to ceil(size / blockSize)
+   *   (the last blocks may be empty when it is larger); frame(block) is called once the data is read
+   */
+  constructor(filePath, options) {
+    this.filePath = filePath;
+    this.blockSize = options.blockSize;
+    this.headerBytes = options.headerBytes || 0;
+    this.trailerBytes = options.trailerBytes || 0;
+    this.readAhead = options.readAhead !== undefined ? options.readAhead : DEFAULT_READ_AHEAD;
+    this.frame = options.frame || null;
+    this.totalBlocks = options.totalBlocks;
+    this.handle = null;
+    this.size = 0;
+    this.nextIndex = 0; // next block to start reading
+    this.pending = [];  // reads in block order
+    this.free = [];     // buffers not held by a block
+  }
+
+  /**
+   * Open a file for block reading
+   * @returns {Promise<BlockReader>}
+   */
+  static async open(filePath, options) {
+    const reader = new BlockReader(filePath, options);
+    await reader.open();
+    return reader;
+  }
+
+  async open() {
+    this.handle = await fs.promises.open(this.filePath, 'r');
+    try {
+      this.size = (await this.handle.stat()).size;
+    } catch (e) {
+      await this.handle.close();
+      this.handle = null;
+      throw e;
+    }
+    if (this.totalBlocks === undefined) this.totalBlocks = Math.ceil(this.size / this.blockSize);
+    // One buffer for the block being sent, one per block read ahead
+    const frameBytes = this.headerBytes + this.blockSize + this.trailerBytes;
+    for (let i = 0; i <= this.readAhead; i++) this.free.push(Buffer.allocUnsafe(frameBytes));
+  }
+
+  /**
+   * Next block in file order, or null after the last one.
+   * Call release() on the previous block first when readAhead is 0.
+   * @returns {Promise<{index: number, offset: number, size: number, data: Buffer, frame: Buffer}|null>}
+   */
+  async next() {
+    this._fill();
+    if (!this.pending.length) {
+      if (this.nextIndex < this.totalBlocks) throw new Error('No free block buffer - release the previous block first');
+      return null;
+    }
+    const block = await this.pending.shift();
+    this._fill();
+    return block;
+  }
+
+  /**
+   * Hand a block's buffer back for the next read (after its ack)
+   */
+  release(block) {
+    if (!block || !block.buffer) return;
+    this.free.push(block.buffer);
+    block.buffer = null;
+    this._fill();
+  }
+
+  /**
+   * Wait for reads in flight and close the file
+   */
+  async close() {
+    const inFlight = this.pending;
+    this.pending = [];
+    this.nextIndex = this.totalBlocks;
+    await Promise.allSettled(inFlight);
+    if (this.handle) {
+      const handle = this.handle;
+      this.handle = null;
+      await handle.close();
+    }
+  }
+
+  // --- internals ----------------------------------------------------------
+
+  _fill() {
+    while (this.handle && this.nextIndex < this.totalBlocks && this.free.length && this.pending.length <= this.readAhead) {
+      const read = this._read(this.nextIndex++, this.free.pop());
+      read.catch(() => {}); // surfaced by next(); a read nobody waits for must not crash the process
+      this.pending.push(read);
+    }
+  }
+
+  async _read(index, buffer) {
+    const offset = Math.min(index * this.blockSize, this.size);
+    const size = Math.min(this.blockSize, this.size - offset);
+    let done = 0;
+    while (done < size) {
+      const { bytesRead } = await this.handle.read(buffer, this.headerBytes + done, size - done, offset + done);
+      if (bytesRead === 0) throw new Error(`${this.filePath} changed during the upload (short read at block ${index})`);
+      done += bytesRead;
+    }
+    const block = {
+      index,
+      offset,
+      size,
+      buffer,
+      data: buffer.subarray(this.headerBytes, this.headerBytes + size),
+      frame: buffer.subarray(0, this.headerBytes + size + this.trailerBytes)
+    };
+    if (this.frame) this.frame(block);
+    return block;
+  }
+}
+
+module.exports = { BlockReader, DEFAULT_READ_AHEAD };
@@ -0,0 +1,73 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { BlockReader } = require('../lib/block_reader');
+const assert = require('assert');
+
+console.log('Running Block Reader Tests...');
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'block-reader-'));
+  try {
+    const file = path.join(tmp, 'data.bin');
+    const content = Buffer.from(Array.from({ length: 2500 }, (_, i) => i % 251));
+    fs.writeFileSync(file, content);
+
+    // Blocks come in order with header and trailer room, framed by the callback
+    const framed = [];
+    const reader = await BlockReader.open(file, {
+      blockSize: 600,
+      headerBytes: 2,
+      trailerBytes: 1,
+      readAhead: 2,
+      frame: (block) => {
+        framed.push(block.index);
+        block.frame.writeUInt16BE(block.index, 0);
+        block.frame[2 + block.size] = 0xee;
+      }
+    });
+    assert.strictEqual(reader.totalBlocks, 5, 'Block count mismatch');
+    const buffers = new Set();
+    const received = [];
+    let block;
+    while ((block = await reader.next())) {
+      assert.strictEqual(block.frame.readUInt16BE(0), block.index, 'Header should be filled in');
+      assert.strictEqual(block.frame.length, block.size + 3, 'Frame should cover header, data and trailer');
+      assert.strictEqual(block.frame[block.frame.length - 1], 0xee, 'Trailer should be filled in');
+      assert.ok(block.data.equals(content.subarray(block.offset, block.offset + block.size)), `Block ${block.index} data mismatch`);
+      await new Promise(resolve => setTimeout(resolve, 10)); // waiting for the ack
+      assert.ok(framed.includes(block.index + 1) || block.index === 4, 'Next block should be framed while this one is out');
+      received.push(block.size);
+      buffers.add(block.buffer);
+      reader.release(block);
+    }
+    assert.deepStrictEqual(received, [600, 600, 600, 600, 100], 'Block sizes mismatch');
+    assert.strictEqual(buffers.size, 3, 'Five blocks should share the three buffers');
+    assert.strictEqual(await reader.next(), null, 'Reader should stay at the end');
+    await reader.close();
+
+    // Extra blocks past the end are empty (XYZv2 sends one after a full chunk)
+    const exact = await BlockReader.open(file, { blockSize: 2500, totalBlocks: 2, readAhead: 0 });
+    const first = await exact.next();
+    assert.strictEqual(first.size, 2500, 'First block should hold the whole file');
+    await assert.rejects(exact.next(), /release the previous block/, 'Without read-ahead the block must be released first');
+    exact.release(first);
+    assert.strictEqual((await exact.next()).size, 0, 'Trailing block should be empty');
+    await exact.close();
+
+    // A file that shrinks under the reader fails the read instead of sending stale bytes
+    const shrinking = await BlockReader.open(file, { blockSize: 1000, readAhead: 0 });
+    fs.truncateSync(file, 1500);
+    const kept = await shrinking.next();
+    shrinking.release(kept);
+    await assert.rejects(shrinking.next(), /changed during the upload/, 'Short read should fail');
+    await shrinking.close();
+
+    console.log('✅ All block reader tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
@@ -0,0 +1,385 @@
+// lib/capture_analyzer.js
+// Turns a raw serial capture into an annotated transcript of the XYZv3 conversation:
+// text commands with their replies, the upload init, every binary block frame
+// ([index BE4][size BE4][data][CRC32 BE4]) with its CRC32 checked against the payload,
+// and the time between steps. Two captures can be diffed step by step (for example the
+// official XYZware upload against ours) to find the first place they disagree.
+//
+// Two input formats are understood:
+//   dashboard   - captures written by lib/serial_recorder.js (timestamped records)
+//   usb-monitor - USB monitor dumps like SampleUSBDataStream/Raw_print_stream_.3wfile.raw.
+//                 These have no lengths or timestamps: writes follow a 04 00 00 00 marker
+//                 and are logged twice, reads follow 03 00 00 00 and arrive as overlapping
+//                 slices of the receive buffer. They are recovered heuristically, so gaps
+//                 are not available for them.
+
+const zlib = require('zlib');
+const { readCapture } = require('./serial_recorder');
+
+const FRAME_HEADER_BYTES = 8;
+const FRAME_TRAILER_BYTES = 4;
+const MAX_BLOCK_SIZE = 65536;
+const DEFAULT_BLOCK_SIZE = 8192;
+const DEFAULT_GAP_WARN_MS = 2000;
+
+// Status polls and heartbeats; left out of diffs unless asked for
+const POLL_COMMAND = /^XYZv3\/(query=a|query=wf|config=taginfo)$/;
+const ACK_LINE = /^(ok|error|wait|E\d+\$?|\$)$/i;
+
+const WRITE_MARK = 4;
+const READ_MARK = 3;
+const DUPLICATE_WINDOW = 64; // bytes between a write record and its second copy
+
+function isTextCommand(buf) {
+  return buf.length > 0 && (buf[0] === 0x7b || buf.subarray(0, 6).toString('latin1') === 'XYZv3/');
+}
+
+function printableRun(buf, start) {
+  let end = start;
+  while (end < buf.length) {
+    const b = buf[end];
+    if ((b >= 0x20 && b <= 0x7e) || b === 0x0a || b === 0x0d || b === 0x09) end++;
+    else break;
+  }
+  return end;
+}
+
+function isMark(buf, i, mark) {
+  return buf[i] === mark && buf[i + 1] === 0 && buf[i + 2] === 0 && buf[i + 3] === 0;
+}
+
+/**
+ * Recover the serial conversation from a USB monitor dump
+ */
+function parseUsbMonitorDump(buf) {
+  const capture = { format: 'usb-monitor', serialPath: null, startedAt: null, records: [] };
+  const head = buf.subarray(5, 1024).toString('utf16le');
+  const device = head.match(/^\\[^\u0000]*?\}/); // \??\USB#VID_..&PID_..#<serial>#{<interface guid>}
+  if (device) capture.serialPath = device[0];
+
+  let lastWrite = null; // { text, data, end } to drop the second copy of each write
+  let readText = '';    // reply text since the last write (reads overlap each other)
+  let upload = null;    // { nextIndex } while block frames are expected
+
+  let i = 0;
+  while (i < buf.length - 4) {
+    if (isMark(buf, i, WRITE_MARK)) {
+      const p = i + 4;
+      let data = null;
+      if (isTextCommand(buf.subarray(p, p + 6))) {
+        data = buf.subarray(p, printableRun(buf, p));
+      } else if (upload && p + FRAME_HEADER_BYTES <= buf.length) {
+        const index = buf.readUInt32BE(p);
+        const size = buf.readUInt32BE(p + 4);
+        const end = p + FRAME_HEADER_BYTES + size + FRAME_TRAILER_BYTES;
+        if (size > 0 && size <= MAX_BLOCK_SIZE && end <= buf.length && (index === upload.nextIndex || index === upload.nextIndex - 1)) {
+          data = buf.subarray(p, end);
+          upload.nextIndex = index + 1;
+        }
+      }
+
+      if (data) {
+        const text = isTextCommand(data) ? data.toString('latin1') : null;
+        const near = lastWrite && i - lastWrite.end <= DUPLICATE_WINDOW;
+        if (near && text !== null && lastWrite.text !== null && (text.startsWith(lastWrite.text) || lastWrite.text.startsWith(text))) {
+          // Second copy; the shorter one has no trailing bytes from the next log entry
+          if (text.length < lastWrite.text.length) {
+            lastWrite.record.data = data;
+            lastWrite.text = text;
+          }
+          lastWrite.end = p + data.length;
+        } else if (near && text === null && lastWrite.text === null && data.equals(lastWrite.record.data)) {
+          lastWrite.end = p + data.length;
+        } else {
+          const record = { type: 'write', t: null, data, offset: i };
+          capture.records.push(record);
+          lastWrite = { record, text, end: p + data.length };
+          readText = '';
+          if (text && text.startsWith('XYZv3/upload=')) upload = { nextIndex: 0 };
+          if (text && text.startsWith('XYZv3/uploadDidFinish')) upload = null;
+        }
+        i = p + data.length;
+        continue;
+      }
+    } else if (isMark(buf, i, READ_MARK)) {
+      const p = i + 4;
+      const end = printableRun(buf, p);
+      if (end - p >= 2) {
+        const text = buf.subarray(p, end).toString('latin1');
+        if (!readText.includes(text)) {
+          // Keep only what this slice adds to the text already seen
+          let overlap = Math.min(readText.length, text.length);
+          while (overlap > 0 && !readText.endsWith(text.substring(0, overlap))) overlap--;
+          const added = text.substring(overlap);
+          readText += added;
+          if (added) capture.records.push({ type: 'read', t: null, data: Buffer.from(added, 'latin1'), offset: i });
+        }
+        i = end;
+        continue;
+      }
+    }
+    i++;
+  }
+  return capture;
+}
+
+/**
+ * Read a capture in either supported format
+ * @param {Buffer} buf
+ * @returns {{format: string, serialPath: string|null, startedAt: string|null, records: object[]}}
+ */
+function loadCapture(buf) {
+  // Both start with 8F 01 00 00 00; ours follows with a short, complete open record
+  if (buf.length >= 13 && buf[0] === 0x8f && buf.readUInt32LE(1) === 1) {
+    const length = buf.readUInt32LE(9);
+    if (length < 4096 && 13 + length <= buf.length) return { format: 'dashboard', ...readCapture(buf) };
+  }
+  return parseUsbMonitorDump(buf);
+}
+
+/**
+ * Build the annotated transcript
+ * @param {object} capture - from loadCapture()
+ * @param {{gapWarnMs?: number}} [opts] - gaps longer than gapWarnMs are flagged as slow
+ * @returns {{format: string, serialPath: string|null, startedAt: string|null, entries: object[], summary: object}}
+ */
+function analyzeCapture(capture, opts = {}) {
+  const gapWarnMs = opts.gapWarnMs || DEFAULT_GAP_WARN_MS;
+  const entries = [];
+  const summary = {
+    commands: 0,
+    replies: 0,
+    bytesSent: 0,
+    bytesReceived: 0,
+    uploads: [],
+    blocks: 0,
+    crcErrors: 0,
+    durationMs: null,
+    maxGapMs: null
+  };
+
+  let lastT = null;
+  let current = null;     // entry whose reply is being collected
+  let lineBuffer = '';
+  let upload = null;      // { fileName, size, nextIndex, blocks, bytes, crcErrors } while uploading
+  let frameBuffer = Buffer.alloc(0);
+
+  const addEntry = (entry, t) => {
+    entry.t = t;
+    entry.gapMs = t !== null && lastT !== null ? t - lastT : null;
+    if (entry.gapMs !== null && entry.gapMs > gapWarnMs) entry.slow = true;
+    if (entry.gapMs !== null && (summary.maxGapMs === null || entry.gapMs > summary.maxGapMs)) summary.maxGapMs = entry.gapMs;
+    if (t !== null) lastT = t;
+    entry.reply = [];
+    entries.push(entry);
+    current = entry;
+    return entry;
+  };
+
+  const addBlock = (frame, t) => {
+    const index = frame.readUInt32BE(0);
+    const size = frame.readUInt32BE(4);
+    const payload = frame.subarray(FRAME_HEADER_BYTES, FRAME_HEADER_BYTES + size);
+    const crc = frame.readUInt32BE(FRAME_HEADER_BYTES + size);
+    const crcExpected = zlib.crc32(payload) >>> 0;
+    const entry = addEntry({ kind: 'block', index, size, crc, crcExpected, crcOk: crc === crcExpected }, t);
+    summary.blocks++;
+    if (!entry.crcOk) summary.crcErrors++;
+    if (upload) {
+      entry.indexOk = index === upload.nextIndex;
+      upload.nextIndex = index + 1;
+      upload.blocks++;
+      upload.bytes += size;
+      if (!entry.crcOk) upload.crcErrors++;
+    }
+  };
+
+  for (const record of capture.records) {
+    const t = record.t;
+    if (record.type === 'write') {
+      summary.bytesSent += record.data.length;
+      if (upload && (frameBuffer.length > 0 || !isTextCommand(record.data))) {
+        // Block frames; one write may hold part of a frame or several frames
+        frameBuffer = Buffer.concat([frameBuffer, record.data]);
+        while (frameBuffer.length >= FRAME_HEADER_BYTES) {
+          const size = frameBuffer.readUInt32BE(4);
+          const total = FRAME_HEADER_BYTES + size + FRAME_TRAILER_BYTES;
+          if (size > MAX_BLOCK_SIZE) {
+            addEntry({ kind: 'binary', size: frameBuffer.length, note: `bad frame header (size ${size})` }, t);
+            frameBuffer = Buffer.alloc(0);
+            break;
+          }
+          if (frameBuffer.length < total) break;
+          addBlock(frameBuffer.subarray(0, total), t);
+          frameBuffer = frameBuffer.subarray(total);
+        }
+        continue;
+      }
+
+      const text = record.data.toString('latin1').replace(/[\r\n]+$/, '');
+      if (!isTextCommand(record.data)) {
+        addEntry({ kind: 'binary', size: record.data.length }, t);
+        continue;
+      }
+      summary.commands++;
+      const init = text.match(/^XYZv3\/upload=(.*),(\d+)$/);
+      if (init) {
+        const size = parseInt(init[2], 10);
+        addEntry({ kind: 'upload_init', text, fileName: init[1], size, expectedBlocks: Math.ceil(size / DEFAULT_BLOCK_SIZE) }, t);
+        upload = { fileName: init[1], size, nextIndex: 0, blocks: 0, bytes: 0, crcErrors: 0 };
+        frameBuffer = Buffer.alloc(0);
+      } else if (text.startsWith('XYZv3/uploadDidFinish')) {
+        const entry = addEntry({ kind: 'upload_finish', text }, t);
+        if (upload) {
+          const { fileName, size, blocks, bytes, crcErrors } = upload;
+          entry.upload = { fileName, size, blocks, bytes, crcErrors, complete: bytes === size };
+          summary.uploads.push(entry.upload);
+        }
+        upload = null;
+      } else {
+        addEntry({ kind: 'command', text }, t);
+      }
+    } else {
+      summary.bytesReceived += record.data.length;
+      lineBuffer += record.data.toString('latin1');
+      let idx;
+      while ((idx = lineBuffer.indexOf('\n')) !== -1) {
+        const line = lineBuffer.substring(0, idx).trim();
+        lineBuffer = lineBuffer.substring(idx + 1);
+        if (!line) continue;
+        summary.replies++;
+        if (!current) addEntry({ kind: 'unsolicited' }, t);
+        if (current.reply.length === 0 && t !== null && current.t !== null) current.replyMs = t - current.t;
+        current.reply.push(line);
+      }
+    }
+  }
+
+  // Upload still open at the end of the capture
+  if (upload) {
+    const { fileName, size, blocks, bytes, crcErrors } = upload;
+    summary.uploads.push({ fileName, size, blocks, bytes, crcErrors, complete: false, finished: false });
+  }
+
+  const times = capture.records.map(r => r.t).filter(t => t !== null);
+  if (times.length) summary.durationMs = times[times.length - 1] - times[0];
+
+  return { format: capture.format, serialPath: capture.serialPath, startedAt: capture.startedAt, entries, summary };
+}
+
+function hex32(n) {
+  return n.toString(16).padStart(8, '0');
+}
+
+/**
+ * One-line description of an entry
+ */
+function describeEntry(entry) {
+  switch (entry.kind) {
+    case 'block':
+      return `[block ${entry.index}] ${entry.size} bytes, crc ${hex32(entry.crc)} ` +
+        (entry.crcOk ? 'OK' : `MISMATCH (payload ${hex32(entry.crcExpected)})`) +
+        (entry.indexOk === false ? ', out of sequence' : '');
+    case 'upload_init':
+      return `${entry.text}  (upload of ${entry.fileName}, ${entry.size} bytes, ${entry.expectedBlocks} blocks of ${DEFAULT_BLOCK_SIZE})`;
+    case 'upload_finish': {
+      const u = entry.upload;
+      return u ? `${entry.text}  (${u.blocks} blocks, ${u.bytes}/${u.size} bytes${u.crcErrors ? `, ${u.crcErrors} CRC errors` : ''})` : entry.text;
+    }
+    case 'binary':
+      return `<${entry.size} bytes of binary data${entry.note ? `: ${entry.note}` : ''}>`;
+    case 'unsolicited':
+      return '(unsolicited)';
+    default:
+      return entry.text;
+  }
+}
+
+/**
+ * Plain-text transcript for the CLI
+ * @param {object} analysis - from analyzeCapture()
+ * @param {{replyLines?: number}} [opts] - reply lines shown per entry (default 3)
+ * @returns {string[]}
+ */
+function formatTranscript(analysis, opts = {}) {
+  const replyLines = opts.replyLines !== undefined ? opts.replyLines : 3;
+  const s = analysis.summary;
+  const out = [
+    `Capture: ${analysis.format}${analysis.serialPath ? ` from ${analysis.serialPath}` : ''}${analysis.startedAt ? ` at ${analysis.startedAt}` : ''}`,
+    `${s.commands} commands, ${s.blocks} blocks (${s.crcErrors} CRC errors), ${s.replies} reply lines, ` +
+      `${s.bytesSent} bytes sent, ${s.bytesReceived} received` +
+      (s.durationMs !== null ? `, ${(s.durationMs / 1000).toFixed(1)}s` : '')
+  ];
+  s.uploads.forEach((u) => {
+    out.push(`Upload ${u.fileName}: ${u.blocks} blocks, ${u.bytes}/${u.size} bytes, ${u.crcErrors} CRC errors${u.finished === false ? ', never finished' : ''}`);
+  });
+  out.push('');
+
+  analysis.entries.forEach((entry) => {
+    const time = entry.t !== null ? `${(entry.t / 1000).toFixed(3).padStart(9)}s` : '';
+    const gap = entry.gapMs !== null ? ` +${entry.gapMs}ms` : '';
+    const prefix = `${time}${gap}${entry.slow ? ' SLOW' : ''}`;
+    out.push(`${prefix ? `${prefix} ` : ''}>> ${describeEntry(entry)}`);
+    const reply = entry.reply;
+    const shown = reply.length > replyLines + 1 ? [...reply.slice(0, replyLines), `... ${reply.length - replyLines - 1} more`, reply[reply.length - 1]] : reply;
+    shown.forEach((line, i) => {
+      const latency = i === 0 && entry.replyMs !== undefined ? ` (${entry.replyMs}ms)` : '';
+      out.push(`${' '.repeat(prefix ? prefix.length + 1 : 0)}<< ${line}${latency}`);
+    });
+  });
+  return out;
+}
+
+/**
+ * Steps compared by diffCaptures: commands and block frames with their acknowledgement.
+ * Upload file names differ between tools, so only the size of the upload init is compared.
+ */
+function diffSteps(analysis, includePolls) {
+  const steps = [];
+  analysis.entries.forEach((entry, entryIndex) => {
+    if (entry.kind === 'unsolicited') return;
+    if (!includePolls && entry.kind === 'command' && POLL_COMMAND.test(entry.text)) return;
+    const last = entry.reply[entry.reply.length - 1];
+    const ack = last && ACK_LINE.test(last) ? last : null;
+    let key;
+    if (entry.kind === 'block') key = `block ${entry.index} size ${entry.size} crc ${hex32(entry.crc)}${ack ? ` -> ${ack}` : ''}`;
+    else if (entry.kind === 'upload_init') key = `XYZv3/upload=<file>,${entry.size}${ack ? ` -> ${ack}` : ''}`;
+    else if (entry.kind === 'binary') key = `binary ${entry.size}`;
+    else key = `${entry.text}${ack ? ` -> ${ack}` : ''}`;
+    // Repeats of the same step (retries, heartbeats) count once
+    if (steps.length && steps[steps.length - 1].key === key) return;
+    steps.push({ key, entryIndex, t: entry.t });
+  });
+  return steps;
+}
+
+/**
+ * Compare two analyses step by step and report the first difference
+ * @param {object} a - analyzeCapture() result (e.g. the official XYZware capture)
+ * @param {object} b - analyzeCapture() result (e.g. a dashboard capture)
+ * @param {{includePolls?: boolean, context?: number}} [opts]
+ * @returns {{identical: boolean, steps: {a: number, b: number}, index: number|null, a: object|null, b: object|null, context: string[]}}
+ */
+function diffCaptures(a, b, opts = {}) {
+  const contextSize = opts.context !== undefined ? opts.context : 3;
+  const stepsA = diffSteps(a, !!opts.includePolls);
+  const stepsB = diffSteps(b, !!opts.includePolls);
+  const n = Math.max(stepsA.length, stepsB.length);
+
+  for (let i = 0; i < n; i++) {
+    const sa = stepsA[i] || null;
+    const sb = stepsB[i] || null;
+    if (sa && sb && sa.key === sb.key) continue;
+    return {
+      identical: false,
+      steps: { a: stepsA.length, b: stepsB.length },
+      index: i,
+      a: sa,
+      b: sb,
+      context: stepsA.slice(Math.max(0, i - contextSize), i).map(s => s.key)
+    };
+  }
+  return { identical: true, steps: { a: stepsA.length, b: stepsB.length }, index: null, a: null, b: null, context: [] };
+}
+
+module.exports = { loadCapture, analyzeCapture, formatTranscript, diffCaptures, describeEntry, parseUsbMonitorDump };
@@ -0,0 +1,112 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const SerialBridge = require('../lib/serial_bridge');
+const Parser = require('../lib/parser');
+const XYZv3Uploader = require('../lib/upload_xyz_v3');
+const { CommandQueue } = require('../lib/command_queue');
+const { SimulatedPort } = require('../lib/printer_simulator');
+const { SerialRecorder, RECORD } = require('../lib/serial_recorder');
+const { loadCapture, analyzeCapture, formatTranscript, diffCaptures } = require('../lib/capture_analyzer');
+const assert = require('assert');
+
+console.log('Running Capture Analyzer Tests...');
+
+const SAMPLE_FILE = path.join(__dirname, '..', 'uploads', 'AstroKe.3w');
+const USB_CAPTURE = path.join(__dirname, '..', 'SampleUSBDataStream', 'Raw_print_stream_.3wfile.raw');
+
+function analyzeFile(file) {
+  return analyzeCapture(loadCapture(fs.readFileSync(file)));
+}
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-analyzer-'));
+  try {
+    // Record our own upload to the simulator
+    const bridge = new SerialBridge({ serialPath: 'sim://davinci-nano' }, {
+      createPort: () => new SimulatedPort({ path: 'sim://davinci-nano', responseDelayMs: 1 })
+    });
+    const recorder = new SerialRecorder({ id: 'nano', serialPath: 'sim://davinci-nano', dir: tmp }).attach(bridge);
+    recorder.start();
+    bridge.start();
+    await new Promise(resolve => bridge.once('line', () => setTimeout(resolve, 20)));
+    const uploader = new XYZv3Uploader(new CommandQueue(bridge), { emit() {} }, new Parser());
+    const result = await uploader.uploadFile(SAMPLE_FILE, 'AstroKe.3w');
+    assert.strictEqual(result.success, true, 'Upload should succeed');
+
+    // A corrupted frame after the upload is reported, not hidden
+    const bad = Buffer.alloc(8 + 4 + 4);
+    bad.writeUInt32BE(0, 0);
+    bad.writeUInt32BE(4, 4);
+    bad.write('abcd', 8);
+    bad.writeUInt32BE(0xdeadbeef, 12);
+    bridge.write('XYZv3/upload=bad.3w,4');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    bridge.write(bad);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const ours = path.join(tmp, recorder.stop().file);
+    await new Promise(resolve => bridge.stop(resolve));
+
+    const analysis = analyzeFile(ours);
+    assert.strictEqual(analysis.format, 'dashboard', 'Format mismatch');
+    const [upload, badUpload] = analysis.summary.uploads;
+    assert.deepStrictEqual(upload, { fileName: 'AstroKe.3w', size: 372112, blocks: 46, bytes: 372112, crcErrors: 0, complete: true }, 'Upload summary mismatch');
+    assert.strictEqual(badUpload.finished, false, 'Unfinished upload should be reported');
+    const blocks = analysis.entries.filter(e => e.kind === 'block');
+    assert.strictEqual(blocks.length, 47, 'Block count mismatch');
+    assert.ok(blocks.slice(0, 46).every(b => b.crcOk && b.indexOk && b.reply[0] === 'ok'), 'Blocks should be acked with valid CRCs');
+    assert.strictEqual(blocks[46].crcOk, false, 'Bad CRC should be flagged');
+    const refused = analysis.entries.find(e => e.kind === 'upload_init' && e.fileName === 'bad.3w');
+    assert.deepStrictEqual(refused.reply, ['error'], 'Reply to the upload init should be kept (printer busy validating)');
+    assert.strictEqual(analysis.summary.crcErrors, 1, 'CRC error count mismatch');
+    assert.ok(blocks.every(b => typeof b.gapMs === 'number'), 'Dashboard captures have timing gaps');
+    const init = analysis.entries.find(e => e.kind === 'upload_init');
+    assert.strictEqual(init.expectedBlocks, 46, 'Expected block count mismatch');
+
+    const transcript = formatTranscript(analysis);
+    assert.ok(transcript.some(l => l.includes('>> [block 45] 3472 bytes, crc') && l.endsWith('OK')), 'Transcript should show the last block');
+    assert.ok(transcript.some(l => l.includes('MISMATCH')), 'Transcript should show the CRC mismatch');
+
+    // USB monitor dump of the official software uploading the same file
+    const usb = analyzeFile(USB_CAPTURE);
+    assert.strictEqual(usb.format, 'usb-monitor', 'USB dump format mismatch');
+    assert.ok(usb.serialPath.includes('VID_11F1&PID_2519'), 'Device path should be read from the dump');
+    assert.strictEqual(usb.summary.uploads.length, 1, 'USB dump upload count mismatch');
+    assert.strictEqual(usb.summary.uploads[0].blocks, 46, 'USB dump block count mismatch');
+    assert.strictEqual(usb.summary.uploads[0].complete, true, 'USB dump upload should be complete');
+    assert.strictEqual(usb.summary.crcErrors, 0, 'USB dump CRCs should match');
+    const firstPoll = usb.entries[0];
+    assert.strictEqual(firstPoll.text, 'XYZv3/query=a', 'First command mismatch');
+    assert.strictEqual(firstPoll.reply[firstPoll.reply.length - 1], '$', 'Overlapping reads should merge into one reply');
+    assert.strictEqual(firstPoll.reply.filter(l => l.startsWith('j:')).length, 1, 'Reply lines should not repeat');
+
+    // Same blocks, different handshake: the first difference is the first non-poll command
+    const diff = diffCaptures(usb, analysis);
+    assert.strictEqual(diff.identical, false, 'Captures should differ');
+    assert.strictEqual(diff.index, 0, 'First difference index mismatch');
+    assert.strictEqual(diff.a.key, 'XYZv3/query=Z -> $', 'XYZware step mismatch');
+    assert.strictEqual(diff.b.key, 'XYZv3/config=signature:[get] -> $', 'Dashboard step mismatch');
+
+    const self = diffCaptures(analysis, analyzeFile(ours));
+    assert.strictEqual(self.identical, true, 'A capture should match itself');
+
+    // Steps after a different handshake still line up by content
+    const onlyBlocks = a => ({ ...a, entries: a.entries.filter(e => e.kind === 'block').slice(0, 46) });
+    assert.strictEqual(diffCaptures(onlyBlocks(usb), onlyBlocks(analysis)).identical, true, 'Block frames should be identical');
+
+    // Truncated frame header
+    const rec = new SerialRecorder({ id: 'trunc', dir: tmp });
+    rec.start();
+    rec.record(RECORD.WRITE, 'XYZv3/upload=x.3w,10\r\n');
+    rec.record(RECORD.WRITE, Buffer.from([0, 0, 0, 0, 0x7f, 0, 0, 0]));
+    const truncated = analyzeFile(path.join(tmp, rec.stop().file));
+    assert.ok(truncated.entries.some(e => e.kind === 'binary' && /bad frame header/.test(e.note)), 'Bad frame header should be reported');
+
+    console.log('✅ All capture analyzer tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
@@ -0,0 +1,261 @@
+// lib/command_queue.js
+// Serialized command queue for the printer link.
+// Every outgoing command goes through here so only one request is on the wire at a
+// time and each reply line is matched to the command that asked for it. Replies are
+// still fed to the Parser by the server; the queue only watches them to know when a
+// command is finished.
+//
+// Jobs run by priority (user commands before background polls), FIFO within a
+// priority. exclusive() hands the link to one caller (the uploader) until it is done;
+// queued commands wait behind it.
+
+const EventEmitter = require('events');
+const v2 = require('./protocol_v2');
+
+const PRIORITY = Object.freeze({
+  HIGH: 0,   // user-initiated commands
+  NORMAL: 1, // internal follow-ups, uploads
+  LOW: 2     // background status polls
+});
+
+// Printer rejected the command ("E4$")
+const ERROR_LINE = /^E\d+\$?$/;
+
+/**
+ * Reply shape for a command, following miniMover: config writes and upload control
+ * answer "ok", everything else ends with a "$" line. XYZv2 status replies have no
+ * terminator and end when the printer goes quiet.
+ */
+function expectedReply(command) {
+  if (Buffer.isBuffer(command)) return { expect: 'ok' }; // upload block
+  if (command === v2.PRINT_START) return { expect: v2.PRINT_START_REPLY };
+  if (/^XYZ_@3D:/.test(command)) return { quietMs: v2.STATUS_QUIET_MS };
+  if (/^M1:/.test(command)) return { expect: v2.FILE_INFO_REPLY };
+  if (/^XYZv3\/config=(signature|taginfo|uid)/.test(command)) return { terminator: '$' };
+  if (/^XYZv3\/(config=|upload=|uploadDidFinish)/.test(command)) return { expect: 'ok' };
+  return { terminator: '$' };
+}
+
+function toMatcher(opts) {
+  const { expect, terminator } = opts;
+  if (expect == null && terminator == null) return () => false; // quietMs: ended by silence
+  if (typeof expect === 'function') return expect;
+  if (expect instanceof RegExp) return (line) => expect.test(line);
+  if (typeof expect === 'string') return (line) => line.startsWith(expect);
+  return (line) => line === terminator || line.endsWith(terminator);
+}
+
+class CommandQueue extends EventEmitter {
+  /**
+   * @param {object} link - SerialBridge (write(data, cb), 'line' and 'close' events)
+   * @param {{timeoutMs?: number}} [options]
+   */
+  constructor(link, options = {}) {
+    super();
+    this.link = link;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.jobs = [];
+    this.running = null;
+    this.waiter = null;
+    this.seq = 0;
+
+    link.on('line', (line) => this._onLine(line));
+    link.on('close', () => this.clear(new Error('Serial connection closed')));
+  }
+
+  /**
+   * Queue a command and resolve with its reply
+   * @param {string} command
+   * @param {{expect?: string|RegExp|Function, terminator?: string|null, quietMs?: number,
+   *          timeoutMs?: number, retries?: number, priority?: number, dedupe?: boolean}} [opts]
+   *   expect/terminator default by command type (see expectedReply); pass both as null to
+   *   send without waiting. quietMs completes the reply once no line arrived for that long.
+   *   dedupe reuses an identical command that is still queued.
+   * @returns {Promise<{command: string, lines: string[], line: string|null, attempts: number, durationMs: number}>}
+   */
+  send(command, opts = {}) {
+    const options = { ...expectedReply(command), ...opts };
+    if (options.dedupe) {
+      const queued = this.jobs.find(j => j.command === command);
+      if (queued) return queued.promise;
+    }
+    return this._enqueue({
+      command,
+      priority: options.priority !== undefined ? options.priority : PRIORITY.NORMAL,
+      run: () => this._transact(command, options)
+    });
+  }
+
+  /**
+   * Run fn with exclusive use of the link
+   * @param {Function} fn - async (channel) => result; channel has send(), write(), waitFor()
+   *   and drain()
+   * @param {{priority?: number, label?: string}} [opts]
+   */
+  exclusive(fn, opts = {}) {
+    const label = opts.label || 'exclusive';
+    const channel = {
+      send: (command, o = {}) => this._transact(command, { ...expectedReply(command), ...o }),
+      write: (data) => this._write(data),
+      waitFor: (expect, timeoutMs) => this._awaitLine(toMatcher({ expect }), timeoutMs || this.timeoutMs),
+      drain: (quietMs, timeoutMs) => this._drain(quietMs, timeoutMs)
+    };
+    return this._enqueue({
+      command: null,
+      priority: opts.priority !== undefined ? opts.priority : PRIORITY.NORMAL,
+      run: async () => {
+        this.emit('exclusiveStart', { label });
+        try {
+          return await fn(channel);
+        } finally {
+          this.emit('exclusiveEnd', { label });
+        }
+      }
+    });
+  }
+
+  /**
+   * Number of jobs waiting (not counting the one running)
+   */
+  get pending() {
+    return this.jobs.length;
+  }
+
+  get busy() {
+    return !!this.running;
+  }
+
+  /**
+   * Reject everything queued and the reply currently awaited
+   */
+  clear(err) {
+    const jobs = this.jobs;
+    this.jobs = [];
+    jobs.forEach(job => job.reject(err));
+    if (this.waiter) this._settleWaiter(err);
+  }
+
+  // --- internals ----------------------------------------------------------
+
+  _enqueue(job) {
+    job.seq = this.seq++;
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    const idx = this.jobs.findIndex(j => j.priority > job.priority);
+    if (idx === -1) this.jobs.push(job);
+    else this.jobs.splice(idx, 0, job);
+    this._next();
+    return job.promise;
+  }
+
+  async _next() {
+    if (this.running || this.jobs.length === 0) return;
+    const job = this.jobs.shift();
+    this.running = job;
+    try {
+      job.resolve(await job.run());
+    } catch (e) {
+      job.reject(e);
+    } finally {
+      this.running = null;
+      this._next();
+    }
+  }
+
+  _write(data) {
+    return new Promise((resolve, reject) => {
+      const queued = this.link.write(data, (err) => (err ? reject(err) : resolve()));
+      if (!queued) reject(new Error('Serial not open'));
+    });
+  }
+
+  async _transact(command, opts) {
+    const attempts = (opts.retries || 0) + 1;
+    const timeoutMs = opts.timeoutMs || this.timeoutMs;
+    const fireAndForget = opts.expect == null && opts.terminator == null && !opts.quietMs;
+    const match = fireAndForget ? null : toMatcher(opts);
+    const label = Buffer.isBuffer(command) ? `${command.length}-byte block` : command;
+
+    for (let attempt = 1; ; attempt++) {
+      const started = Date.now();
+      if (fireAndForget) {
+        await this._write(command);
+        return { command, lines: [], line: null, attempts: attempt, durationMs: 0 };
+      }
+
+      const reply = this._awaitLine(match, timeoutMs, opts.quietMs);
+      try {
+        await this._write(command);
+        const { lines, line } = await reply;
+        return { command, lines, line, attempts: attempt, durationMs: Date.now() - started };
+      } catch (e) {
+        if (this.waiter) this._settleWaiter(e);
+        await reply.catch(() => {});
+        if (e.code !== 'ETIMEDOUT' || attempt >= attempts) {
+          if (e.code === 'ETIMEDOUT') e.message = `No reply to ${label} within ${timeoutMs}ms`;
+          throw e;
+        }
+        console.warn(`[QUEUE] No reply to ${label}, retrying (${attempt}/${attempts - 1})`);
+      }
+    }
+  }
+
+  _awaitLine(match, timeoutMs, quietMs) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const err = new Error(`No reply within ${timeoutMs}ms`);
+        err.code = 'ETIMEDOUT';
+        this._settleWaiter(err);
+      }, timeoutMs);
+      this.waiter = { match, lines: [], resolve, reject, timer, quietMs, quietTimer: null };
+    });
+  }
+
+  /**
+   * Swallow incoming lines until none arrived for quietMs (resync after a lost or late reply)
+   * @returns {Promise<string[]>} the discarded lines
+   */
+  _drain(quietMs, timeoutMs) {
+    const reply = this._awaitLine(() => false, timeoutMs || this.timeoutMs, quietMs);
+    const waiter = this.waiter;
+    waiter.quietTimer = setTimeout(() => {
+      if (this.waiter === waiter) this._settleWaiter(null, { lines: waiter.lines, line: null });
+    }, quietMs);
+    return reply.then(r => r.lines, () => waiter.lines);
+  }
+
+  _settleWaiter(err, result) {
+    const waiter = this.waiter;
+    if (!waiter) return;
+    this.waiter = null;
+    clearTimeout(waiter.timer);
+    clearTimeout(waiter.quietTimer);
+    if (err) waiter.reject(err);
+    else waiter.resolve(result);
+  }
+
+  _onLine(raw) {
+    if (!this.waiter) return;
+    const line = raw.trim();
+    if (!line) return;
+    this.waiter.lines.push(line);
+    if (ERROR_LINE.test(line)) {
+      const err = new Error(`Printer rejected command: ${line}`);
+      err.code = 'EPRINTER';
+      err.lines = this.waiter.lines;
+      this._settleWaiter(err);
+    } else if (this.waiter.match(line)) {
+      this._settleWaiter(null, { lines: this.waiter.lines, line });
+    } else if (this.waiter.quietMs) {
+      const waiter = this.waiter;
+      clearTimeout(waiter.quietTimer);
+      waiter.quietTimer = setTimeout(() => {
+        if (this.waiter === waiter) this._settleWaiter(null, { lines: waiter.lines, line });
+      }, waiter.quietMs);
+    }
+  }
+}
+
+module.exports = { CommandQueue, PRIORITY, expectedReply };
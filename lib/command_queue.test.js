@@ -0,0 +1,85 @@
+const EventEmitter = require('events');
+const { CommandQueue, PRIORITY } = require('../lib/command_queue');
+const assert = require('assert');
+
+console.log('Running Command Queue Tests...');
+
+// Minimal link: records writes and answers through a per-test responder
+class FakeLink extends EventEmitter {
+  constructor(responder) {
+    super();
+    this.writes = [];
+    this.responder = responder;
+  }
+  write(data, cb) {
+    this.writes.push(String(data));
+    setImmediate(() => {
+      if (cb) cb();
+      const reply = this.responder(String(data));
+      if (reply) reply.split('\n').filter(Boolean).forEach(line => this.emit('line', line));
+    });
+    return true;
+  }
+}
+
+(async () => {
+  try {
+    // Replies are matched by terminator / expected prefix
+    const link = new FakeLink((cmd) => {
+      if (cmd.startsWith('XYZv3/query=a')) return 't:1,22,0\nj:9511,0\n$';
+      if (cmd.startsWith('XYZv3/config=zoffset')) return 'ok';
+      if (cmd.startsWith('XYZv3/bogus')) return 'E4$';
+      return null;
+    });
+    const queue = new CommandQueue(link, { timeoutMs: 50 });
+
+    const status = await queue.send('XYZv3/query=a');
+    assert.deepStrictEqual(status.lines, ['t:1,22,0', 'j:9511,0', '$'], 'Status reply lines mismatch');
+    const cfg = await queue.send('XYZv3/config=zoffset:[10]');
+    assert.strictEqual(cfg.line, 'ok', 'Config command should complete on ok');
+
+    await assert.rejects(queue.send('XYZv3/bogus'), /rejected/, 'E4$ should reject');
+
+    // Timeout with retries resends the command
+    link.writes = [];
+    await assert.rejects(queue.send('XYZv3/action=home', { retries: 2 }), /No reply to XYZv3\/action=home/);
+    assert.strictEqual(link.writes.length, 3, 'Expected one send plus two retries');
+
+    // User commands overtake queued polls; identical polls are deduplicated
+    link.writes = [];
+    link.responder = () => '$';
+    const order = [];
+    const first = queue.send('XYZv3/query=a', { priority: PRIORITY.LOW }).then(() => order.push('poll1'));
+    const poll = queue.send('XYZv3/query=wf', { priority: PRIORITY.LOW, dedupe: true }).then(() => order.push('poll2'));
+    const dup = queue.send('XYZv3/query=wf', { priority: PRIORITY.LOW, dedupe: true });
+    const user = queue.send('XYZv3/action=home', { priority: PRIORITY.HIGH }).then(() => order.push('user'));
+    await Promise.all([first, poll, dup, user]);
+    assert.deepStrictEqual(order, ['poll1', 'user', 'poll2'], 'High priority should run before queued polls');
+    assert.strictEqual(link.writes.filter(w => w.startsWith('XYZv3/query=wf')).length, 1, 'Duplicate poll should not be sent');
+
+    // Exclusive jobs hold the link until they finish
+    link.writes = [];
+    link.responder = (cmd) => (cmd.startsWith('XYZv3/query') ? '$' : 'ok');
+    const upload = queue.exclusive(async (channel) => {
+      await channel.send('XYZv3/upload=a.3w,10');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await channel.send(Buffer.from('block'));
+      return 'done';
+    }, { label: 'upload' });
+    const during = queue.send('XYZv3/query=a', { priority: PRIORITY.HIGH });
+    assert.strictEqual(await upload, 'done', 'Exclusive job result mismatch');
+    await during;
+    assert.ok(link.writes[link.writes.length - 1].startsWith('XYZv3/query=a'), 'Queued command should wait for the exclusive job');
+
+    // Closing the link rejects what is waiting
+    link.responder = () => null;
+    const pending = queue.send('XYZv3/query=a', { timeoutMs: 1000 });
+    setImmediate(() => link.emit('close'));
+    await assert.rejects(pending, /closed/, 'Close should reject the in-flight command');
+
+    console.log('✅ All command queue tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exit(1);
+  }
+})();
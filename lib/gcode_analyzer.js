@@ -0,0 +1,260 @@
+// lib/gcode_analyzer.js
+// Gcode analysis: layers, print time estimate, extrusion length and weight, extruded bounding
+// box, target temperatures and the commands a file uses. Runs when a file is uploaded; the
+// result is kept next to the uploads in a sidecar store (<uploads>/.meta/<file>.json) and
+// served at GET /api/files/:name/analysis. Preflight checks read it from there.
+//
+// The time estimate adds up move length / feed rate and G4 dwells; acceleration and heating
+// time are not modelled, so real prints take longer (mostly on small, detailed parts).
+// A .3w file is decrypted to a temporary gcode file for the analysis.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { convert3wToGcode } = require('./convert_3w');
+
+// Bumped when the analysis changes, so cached results are recomputed
+const ANALYZER_VERSION = 1;
+
+const FILAMENT_DIAMETER_MM = 1.75;
+
+// g/cm³, same table as the filament calculator in the UI
+const MATERIAL_DENSITY = Object.freeze({
+  PLA: 1.24,
+  ABS: 1.04,
+  PETG: 1.27,
+  TPE: 1.21,
+  PVA: 1.19
+});
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * Analyze gcode lines. G90/G91, M82/M83 and G92 are followed; filament length is the net
+ * extrusion (retractions subtracted); the bounding box and layers only count extruding moves.
+ * @param {AsyncIterable<string>|Iterable<string>} lines
+ * @param {{filamentDiameter_mm?: number}} [options]
+ * @returns {Promise<object>}
+ */
+async function analyzeGcode(lines, options = {}) {
+  const diameter = options.filamentDiameter_mm || FILAMENT_DIAMETER_MM;
+  const pos = { x: 0, y: 0, z: 0, e: 0 };
+  let absolute = true;
+  let absoluteE = true;
+  let feed = 0; // mm/min, modal
+  let seconds = 0;
+  let maxExtruderTemp = null;
+  let maxBedTemp = null;
+  let filament = 0;
+  let min = null;
+  let max = null;
+  let lineCount = 0;
+  const commands = {};
+  const layerZ = []; // z of each layer, in print order
+  const headerComments = {};
+
+  const include = (p) => {
+    if (!min) {
+      min = { x: p.x, y: p.y, z: p.z };
+      max = { x: p.x, y: p.y, z: p.z };
+      return;
+    }
+    for (const axis of ['x', 'y', 'z']) {
+      if (p[axis] < min[axis]) min[axis] = p[axis];
+      if (p[axis] > max[axis]) max[axis] = p[axis];
+    }
+  };
+
+  for await (const raw of lines) {
+    lineCount++;
+    const semicolon = raw.indexOf(';');
+    // "; key = value" comments ahead of the first command (XYZware / slicer header)
+    if (semicolon !== -1 && Object.keys(commands).length === 0) {
+      const m = raw.slice(semicolon + 1).match(/^\s*([A-Za-z_ ]+?)\s*[=:]\s*(.+?)\s*$/);
+      if (m && !(m[1] in headerComments)) headerComments[m[1]] = m[2];
+    }
+    const line = (semicolon === -1 ? raw : raw.slice(0, semicolon)).trim().toUpperCase();
+    if (!line) continue;
+    const words = line.split(/\s+/);
+    const cmd = words[0];
+    commands[cmd] = (commands[cmd] || 0) + 1;
+    const arg = (letter) => {
+      const w = words.find(x => x[0] === letter);
+      const v = w ? parseFloat(w.slice(1)) : NaN;
+      return Number.isNaN(v) ? null : v;
+    };
+
+    if (cmd === 'G0' || cmd === 'G1') {
+      const from = { ...pos };
+      const f = arg('F');
+      if (f !== null && f > 0) feed = f;
+      for (const axis of ['x', 'y', 'z']) {
+        const v = arg(axis.toUpperCase());
+        if (v !== null) pos[axis] = absolute ? v : pos[axis] + v;
+      }
+      const e = arg('E');
+      let extruded = 0;
+      if (e !== null) {
+        extruded = absoluteE ? e - pos.e : e;
+        pos.e = absoluteE ? e : pos.e + e;
+        filament += extruded;
+      }
+      const distance = Math.hypot(pos.x - from.x, pos.y - from.y, pos.z - from.z) || Math.abs(extruded);
+      if (feed > 0) seconds += distance / (feed / 60);
+      if (extruded > 0 && (from.x !== pos.x || from.y !== pos.y)) {
+        include(from);
+        include(pos);
+        if (!layerZ.length || pos.z > layerZ[layerZ.length - 1]) layerZ.push(pos.z);
+      }
+    } else if (cmd === 'G4') {
+      const ms = arg('P');
+      const s = arg('S');
+      seconds += s !== null ? s : (ms !== null ? ms / 1000 : 0);
+    } else if (cmd === 'G90') {
+      absolute = true;
+      absoluteE = true;
+    } else if (cmd === 'G91') {
+      absolute = false;
+      absoluteE = false;
+    } else if (cmd === 'M82') {
+      absoluteE = true;
+    } else if (cmd === 'M83') {
+      absoluteE = false;
+    } else if (cmd === 'G92') {
+      for (const axis of ['x', 'y', 'z', 'e']) {
+        const v = arg(axis.toUpperCase());
+        if (v !== null) pos[axis] = v;
+      }
+    } else if (cmd === 'M104' || cmd === 'M109') {
+      const t = arg('S');
+      if (t !== null && (maxExtruderTemp === null || t > maxExtruderTemp)) maxExtruderTemp = t;
+    } else if (cmd === 'M140' || cmd === 'M190') {
+      const t = arg('S');
+      if (t !== null && (maxBedTemp === null || t > maxBedTemp)) maxBedTemp = t;
+    }
+  }
+
+  // Layer heights: first layer, the most common step, and every distinct step
+  const steps = layerZ.slice(1).map((z, i) => round(z - layerZ[i], 3));
+  const stepCounts = {};
+  steps.forEach((h) => { stepCounts[h] = (stepCounts[h] || 0) + 1; });
+  const typical = Object.keys(stepCounts).sort((a, b) => stepCounts[b] - stepCounts[a])[0];
+
+  const volume_cm3 = (Math.PI * (diameter / 2) ** 2 * Math.max(filament, 0)) / 1000;
+  const weight_g = {};
+  Object.entries(MATERIAL_DENSITY).forEach(([material, density]) => { weight_g[material] = round(volume_cm3 * density, 1); });
+
+  return {
+    analyzerVersion: ANALYZER_VERSION,
+    lines: lineCount,
+    layerCount: layerZ.length,
+    firstLayerHeight_mm: layerZ.length ? round(layerZ[0], 3) : null,
+    layerHeight_mm: typical !== undefined ? parseFloat(typical) : null,
+    layerHeights_mm: Object.keys(stepCounts).map(Number).sort((a, b) => a - b),
+    printTimeSec: Math.round(seconds),
+    filament_mm: round(filament, 1),
+    filamentDiameter_mm: diameter,
+    filamentVolume_cm3: round(volume_cm3),
+    filamentWeight_g: weight_g,
+    bounds: min ? { min, max } : null,
+    size_mm: min ? { x: round(max.x - min.x, 1), y: round(max.y - min.y, 1), z: round(max.z - min.z, 1) } : null,
+    maxExtruderTemp_C: maxExtruderTemp,
+    maxBedTemp_C: maxBedTemp,
+    commands,
+    header: headerComments
+  };
+}
+
+/**
+ * Analyze a gcode or .3w file
+ * @returns {Promise<object>} see analyzeGcode
+ */
+async function analyzeFile(filePath, options) {
+  let gcodePath = filePath;
+  let tmpDir = null;
+  if (filePath.toLowerCase().endsWith('.3w')) {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gcode-analysis-'));
+    gcodePath = path.join(tmpDir, 'file.gcode');
+    const result = await convert3wToGcode(filePath, gcodePath);
+    if (!result.success) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      throw new Error(result.error || 'could not decrypt the .3w file');
+    }
+  }
+  try {
+    const lines = readline.createInterface({ input: fs.createReadStream(gcodePath), crlfDelay: Infinity });
+    return await analyzeGcode(lines, options);
+  } finally {
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+class AnalysisStore {
+  /**
+   * @param {string} uploadsDir - analyses go to <uploadsDir>/.meta/
+   * @param {{filamentDiameter_mm?: number}} [options]
+   */
+  constructor(uploadsDir, options = {}) {
+    this.uploadsDir = uploadsDir;
+    this.dir = path.join(uploadsDir, '.meta');
+    this.options = options;
+    this.running = new Map(); // name -> analysis in progress
+  }
+
+  /**
+   * Analysis of an uploaded file; cached while the file's size and mtime are unchanged
+   * @param {string} name - file in the uploads folder
+   * @param {{refresh?: boolean}} [opts]
+   * @returns {Promise<object>} the analysis, with file, size and analyzedAt
+   */
+  async get(name, opts = {}) {
+    const filePath = path.join(this.uploadsDir, path.basename(name));
+    const stat = await fs.promises.stat(filePath);
+    if (!opts.refresh) {
+      const cached = this._read(name);
+      if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs && cached.analyzerVersion === ANALYZER_VERSION) return cached;
+    }
+    if (this.running.has(name)) return this.running.get(name);
+
+    const started = Date.now();
+    const run = analyzeFile(filePath, this.options).then((analysis) => {
+      const entry = { file: name, size: stat.size, mtimeMs: stat.mtimeMs, analyzedAt: new Date().toISOString(), analysisMs: Date.now() - started, ...analysis };
+      this._write(name, entry);
+      console.log(`[ANALYSIS] ${name}: ${entry.layerCount} layers, ${entry.filament_mm} mm filament, ~${Math.round(entry.printTimeSec / 60)} min (${entry.analysisMs}ms)`);
+      return entry;
+    }).finally(() => this.running.delete(name));
+    this.running.set(name, run);
+    return run;
+  }
+
+  /**
+   * Drop the stored analysis of a deleted file
+   */
+  remove(name) {
+    fs.rmSync(this._path(name), { force: true });
+  }
+
+  _path(name) {
+    return path.join(this.dir, `${path.basename(name)}.json`);
+  }
+
+  _read(name) {
+    try {
+      return JSON.parse(fs.readFileSync(this._path(name), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _write(name, entry) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this._path(name), JSON.stringify(entry, null, 2));
+    } catch (e) {
+      console.warn(`[ANALYSIS] Could not store the analysis of ${name}:`, e.message);
+    }
+  }
+}
+
+module.exports = { analyzeGcode, analyzeFile, AnalysisStore, MATERIAL_DENSITY, FILAMENT_DIAMETER_MM, ANALYZER_VERSION };
@@ -0,0 +1,107 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { analyzeGcode, analyzeFile, AnalysisStore, ANALYZER_VERSION } = require('../lib/gcode_analyzer');
+const { convertGcodeTo3w } = require('../lib/gcode_to_3w');
+const assert = require('assert');
+
+console.log('Running Gcode Analyzer Tests...');
+
+// Three layers (0.3 first, then 0.2), a retraction, a dwell, a bed temperature
+const GCODE = [
+  '; generated by = TestSlicer 1.0',
+  '; layer_height = 0.2',
+  'M140 S60',
+  'M104 S205',
+  'G28',
+  'G90',
+  'M82',
+  'G92 E0',
+  'G1 Z0.3 F600',
+  'G1 X0 Y0 F6000',
+  'G1 X100 Y0 E10 F3000', // 100 mm at 50 mm/s = 2 s
+  'G1 E8 F1800',        // retract 2 mm at 30 mm/s
+  'G1 Z0.5 F600',
+  'G1 E10 F1800',
+  'G1 X100 Y50 E15 F3000', // 1 s
+  'G4 P1500',           // 1.5 s
+  'G1 Z0.7 F600',
+  'G1 X0 Y50 E25 F3000', // 2 s
+  'M104 S0'
+].join('\n');
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gcode-analyzer-'));
+  try {
+    const a = await analyzeGcode(GCODE.split('\n'));
+    assert.strictEqual(a.layerCount, 3, 'Layer count mismatch');
+    assert.strictEqual(a.firstLayerHeight_mm, 0.3, 'First layer height mismatch');
+    assert.strictEqual(a.layerHeight_mm, 0.2, 'Layer height mismatch');
+    assert.deepStrictEqual(a.layerHeights_mm, [0.2], 'Distinct layer heights mismatch');
+    assert.strictEqual(a.filament_mm, 25, 'Net filament mismatch');
+    assert.strictEqual(a.filamentVolume_cm3, 0.06, 'Filament volume mismatch');
+    assert.strictEqual(a.filamentWeight_g.PLA, 0.1, 'PLA weight mismatch');
+    assert.deepStrictEqual(a.bounds, { min: { x: 0, y: 0, z: 0.3 }, max: { x: 100, y: 50, z: 0.7 } }, 'Bounds mismatch');
+    assert.deepStrictEqual(a.size_mm, { x: 100, y: 50, z: 0.4 }, 'Size mismatch');
+    assert.strictEqual(a.maxExtruderTemp_C, 205, 'Extruder temperature mismatch');
+    assert.strictEqual(a.maxBedTemp_C, 60, 'Bed temperature mismatch');
+    assert.strictEqual(a.commands.G1, 9, 'G1 count mismatch');
+    assert.strictEqual(a.commands.G28, 1, 'G28 count mismatch');
+    assert.strictEqual(a.commands.M104, 2, 'M104 count mismatch');
+    assert.strictEqual(a.header['generated by'], 'TestSlicer 1.0', 'Header comment mismatch');
+    // extruding moves 2 + 1 + 2 s, 1.5 s dwell, retract / prime and z moves ~0.2 s
+    assert.strictEqual(a.printTimeSec, 7, 'Print time mismatch');
+
+    // Relative moves, a mid-file G92 and an M109 after the first layer
+    const relative = await analyzeGcode([
+      'M104 S210', 'M140 S0', 'G90', 'M82', 'G92 E0', 'G1 Z0.3 F1200', 'G1 X10 Y10', 'G1 X60 Y10 E5',
+      'G1 E3', 'G1 X60 Y60', 'G1 E5', 'G1 X10 Y60 E10', 'G92 E0', 'G91', 'G1 Z10', 'G1 X5 E2.5',
+      'M109 S215', 'G90', 'G1 X200 Y200 ; travel only'
+    ]);
+    assert.strictEqual(relative.filament_mm, 12.5, 'Net filament with G92 / relative moves mismatch');
+    assert.strictEqual(relative.maxExtruderTemp_C, 215, 'Highest extruder target mismatch');
+    assert.strictEqual(relative.maxBedTemp_C, 0, 'Bed turned off should be 0');
+    assert.deepStrictEqual(relative.bounds, { min: { x: 10, y: 10, z: 0.3 }, max: { x: 60, y: 60, z: 10.3 } }, 'Travel should not widen the bounds');
+
+    // Thicker filament weighs more for the same length
+    const thick = await analyzeGcode(GCODE.split('\n'), { filamentDiameter_mm: 2.85 });
+    assert.ok(thick.filamentWeight_g.PLA > a.filamentWeight_g.PLA, '2.85 mm filament should weigh more');
+
+    // No extrusion at all
+    const empty = await analyzeGcode(['G28', 'G1 X10 Y10']);
+    assert.strictEqual(empty.layerCount, 0, 'Travel only has no layers');
+    assert.strictEqual(empty.bounds, null, 'Travel only has no bounds');
+    assert.strictEqual(empty.layerHeight_mm, null, 'Travel only has no layer height');
+
+    // Files: a .3w is decrypted and gives the same result
+    const gcodeFile = path.join(tmp, 'part.gcode');
+    fs.writeFileSync(gcodeFile, GCODE);
+    assert.ok((await convertGcodeTo3w(gcodeFile, path.join(tmp, 'part.3w'))).success, 'Conversion should succeed');
+    const fromFile = await analyzeFile(path.join(tmp, 'part.3w'));
+    assert.strictEqual(fromFile.layerCount, 3, '.3w layer count mismatch');
+    assert.strictEqual(fromFile.filament_mm, 25, '.3w filament mismatch');
+
+    // Store: written to .meta/, reused while the file is unchanged, redone when it changes
+    const store = new AnalysisStore(tmp);
+    const first = await store.get('part.gcode');
+    assert.ok(fs.existsSync(path.join(tmp, '.meta', 'part.gcode.json')), 'Analysis should be stored');
+    assert.strictEqual(first.analyzerVersion, ANALYZER_VERSION, 'Analyzer version should be stored');
+    const cached = await store.get('part.gcode');
+    assert.strictEqual(cached.analyzedAt, first.analyzedAt, 'Unchanged file should use the cache');
+    const [r1, r2] = await Promise.all([store.get('part.3w', { refresh: true }), store.get('part.3w', { refresh: true })]);
+    assert.strictEqual(r1, r2, 'Concurrent requests should share one analysis');
+    fs.appendFileSync(gcodeFile, '\nG1 Z0.9\nG1 X100 Y50 E30\n');
+    const changed = await store.get('part.gcode');
+    assert.strictEqual(changed.layerCount, 4, 'Changed file should be analyzed again');
+    store.remove('part.gcode');
+    assert.ok(!fs.existsSync(path.join(tmp, '.meta', 'part.gcode.json')), 'Analysis should be removed');
+    await assert.rejects(store.get('missing.gcode'), /ENOENT/, 'Missing file should reject');
+
+    console.log('✅ All gcode analyzer tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
@@ -0,0 +1,237 @@
+// lib/gcode_normalizer.js
+// Turns gcode from third-party slicers (PrusaSlicer, Cura, ...) into what XYZ firmware expects
+// before it is encoded to .3w. Without the XYZware header the printer stays in "validating".
+//   header   - "; filename", "; print_time", "; machine", "; total_layers", "; total_filament",
+//              "; version", ... written from the gcode analysis (lib/gcode_analyzer.js); header
+//              keys already in the file are replaced
+//   commands - firmware-unsupported commands are removed, a few are rewritten (G0 -> G1,
+//              M109 R -> M109 S), bed heating is dropped on models without heated bed and tool
+//              changes on single-extruder models
+// Every change is counted in a report (per command: action, count, reason, first line).
+//
+// Per-model profiles are overrides on top of BASE_PROFILE, keyed by model number like
+// lib/printer_capabilities.js; heated bed, nozzle and machine id come from the capability profile.
+// "; extruder" is written only for known models; for others the count would be a guess.
+
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+
+// Header keys written by the normalizer, in XYZware's order
+const HEADER_KEYS = [
+  'filename', 'print_time', 'machine', 'facets', 'total_layers', 'version', 'total_filament',
+  'nozzle_diameter', 'first_layer_height', 'layer_height', 'extruder', 'dimension',
+  'boundingbox_x1', 'boundingbox_y1', 'boundingbox_x2', 'boundingbox_y2'
+];
+
+const BASE_PROFILE = Object.freeze({
+  version: '19110814', // XYZware build written as "; version"
+  extruders: 1,
+  // command -> why it is removed
+  remove: Object.freeze({
+    M73: 'progress display',
+    M115: 'firmware info request',
+    M117: 'display message',
+    M201: 'acceleration limits',
+    M203: 'feed rate limits',
+    M204: 'acceleration settings',
+    M205: 'jerk settings',
+    M220: 'speed factor',
+    M221: 'flow factor',
+    M486: 'object labels',
+    M500: 'EEPROM settings',
+    M501: 'EEPROM settings',
+    M862: 'Prusa printer checks',
+    M900: 'linear advance',
+    G10: 'firmware retraction',
+    G11: 'firmware retraction',
+    G29: 'bed mesh levelling (the printer levels itself)',
+    G80: 'bed mesh levelling (the printer levels itself)'
+  }),
+  // command -> replacement command (arguments kept)
+  rewrite: Object.freeze({
+    G0: 'G1'
+  })
+});
+
+// modelNumber -> overrides on top of BASE_PROFILE
+const MODEL_PROFILES = Object.freeze({
+  dvF200B000: { extruders: 2 }, // 2.0 Duo: T0 / T1
+  dvF200A000: { extruders: 2 },
+  dv2JW0A000: { extruders: 2 }  // Jr. 2.0 Mix: two filament inputs
+});
+
+/**
+ * Normalization profile for a printer
+ * @param {object} capabilities - from getCapabilities()
+ */
+function getGcodeProfile(capabilities = {}) {
+  const nozzle = (capabilities.nozzles || []).find(n => n.kind === 'fdm' && n.diameter_mm);
+  return {
+    ...BASE_PROFILE,
+    ...(MODEL_PROFILES[capabilities.modelNumber] || {}),
+    machine: capabilities.modelNumber || null,
+    known: !!capabilities.known,
+    name: capabilities.name || 'Unknown XYZ printer',
+    heatedBed: !!capabilities.heatedBed,
+    nozzleDiameter_mm: nozzle ? nozzle.diameter_mm : null
+  };
+}
+
+/**
+ * Header lines ("; key = value") for an analysis
+ */
+function buildHeader(analysis, profile, filename) {
+  const mm = v => Number(v).toFixed(2);
+  const fields = {
+    filename,
+    print_time: analysis.printTimeSec,
+    machine: profile.machine,
+    facets: 0, // the mesh is not known from gcode
+    total_layers: analysis.layerCount,
+    version: profile.version,
+    total_filament: mm(analysis.filament_mm),
+    nozzle_diameter: profile.nozzleDiameter_mm !== null ? mm(profile.nozzleDiameter_mm) : null,
+    first_layer_height: analysis.firstLayerHeight_mm !== null ? mm(analysis.firstLayerHeight_mm) : null,
+    layer_height: analysis.layerHeight_mm !== null ? mm(analysis.layerHeight_mm) : null,
+    extruder: profile.known ? profile.extruders : null,
+    dimension: analysis.size_mm ? `${mm(analysis.size_mm.x)}:${mm(analysis.size_mm.y)}:${mm(analysis.size_mm.z)}` : null
+  };
+  if (analysis.bounds) {
+    Object.assign(fields, {
+      boundingbox_x1: mm(analysis.bounds.min.x),
+      boundingbox_y1: mm(analysis.bounds.min.y),
+      boundingbox_x2: mm(analysis.bounds.max.x),
+      boundingbox_y2: mm(analysis.bounds.max.y)
+    });
+  }
+  return HEADER_KEYS.filter(key => fields[key] !== null && fields[key] !== undefined)
+    .map(key => ({ key, value: String(fields[key]) }));
+}
+
+/**
+ * Normalize gcode lines
+ * @param {AsyncIterable<string>|Iterable<string>} lines
+ * @param {{profile: object, analysis: object, filename: string}} options - analysis of the same
+ *   gcode, filename of the .3w it becomes
+ * @param {function(string): (Promise|*)} write - receives each output line (without newline); a
+ *   returned promise is awaited before the next line (backpressure)
+ * @returns {Promise<object>} report: { profile, machine, header: 'added'|'replaced', headerFields,
+ *   changes: [{command, action: 'removed'|'rewritten', to?, count, reason, firstLine}], warnings,
+ *   linesIn, linesOut }
+ */
+async function normalizeGcode(lines, { profile, analysis, filename }, write) {
+  const header = buildHeader(analysis, profile, filename);
+  const changes = new Map();
+  const warnings = [];
+  let linesIn = 0;
+  let linesOut = 0;
+  let inHeader = true; // leading comment block, where existing header keys are dropped
+  let replacedKeys = 0;
+
+  const emit = async (line) => {
+    await write(line);
+    linesOut++;
+  };
+  const note = (command, action, reason, to) => {
+    const key = `${action}:${command}`;
+    if (!changes.has(key)) changes.set(key, { command, action, ...(to ? { to } : {}), count: 0, reason, firstLine: linesIn });
+    changes.get(key).count++;
+  };
+
+  for (const { key, value } of header) await emit(`; ${key} = ${value}`);
+  if (!profile.machine) warnings.push('Printer model unknown: the header has no machine id');
+
+  for await (const raw of lines) {
+    linesIn++;
+    const line = raw.replace(/\r$/, '');
+    const semicolon = line.indexOf(';');
+    const code = (semicolon === -1 ? line : line.slice(0, semicolon)).trim();
+
+    if (!code) {
+      if (inHeader) {
+        const m = line.match(/^\s*;\s*([A-Za-z_0-9]+)\s*=/);
+        if (m && HEADER_KEYS.includes(m[1])) {
+          replacedKeys++;
+          continue;
+        }
+      }
+      await emit(line);
+      continue;
+    }
+    inHeader = false;
+
+    const words = code.split(/\s+/);
+    const cmd = words[0].toUpperCase();
+    const base = cmd.split('.')[0]; // M862.3 -> M862
+    const tool = cmd.match(/^T(\d+)$/);
+
+    if (profile.remove[cmd] || profile.remove[base]) {
+      note(base, 'removed', `${profile.remove[cmd] || profile.remove[base]} not supported by XYZ firmware`);
+    } else if (tool && (profile.extruders === 1 || Number(tool[1]) >= profile.extruders)) {
+      note(cmd, 'removed', profile.extruders === 1 ? `tool change on the single-extruder ${profile.name}` : `the ${profile.name} has no tool ${tool[1]}`);
+    } else if ((cmd === 'M140' || cmd === 'M190') && !profile.heatedBed) {
+      note(cmd, 'removed', `the ${profile.name} has no heated bed`);
+    } else if (profile.rewrite[cmd]) {
+      note(cmd, 'rewritten', `${cmd} not supported by XYZ firmware`, profile.rewrite[cmd]);
+      await emit([profile.rewrite[cmd], ...words.slice(1)].join(' ') + (semicolon === -1 ? '' : ` ${line.slice(semicolon)}`));
+    } else if ((cmd === 'M109' || cmd === 'M190') && words.some(w => /^R/i.test(w)) && !words.some(w => /^S/i.test(w))) {
+      // "wait for the temperature, heating or cooling": the firmware only knows S
+      note(`${cmd} R`, 'rewritten', 'R (wait while cooling) not supported by XYZ firmware', `${cmd} S`);
+      await emit(words.map(w => (/^R/i.test(w) ? `S${w.slice(1)}` : w)).join(' ') + (semicolon === -1 ? '' : ` ${line.slice(semicolon)}`));
+    } else {
+      await emit(line);
+    }
+  }
+
+  if (analysis.layerCount === 0) warnings.push('No extruding moves found: total_layers is 0');
+  return {
+    profile: profile.name,
+    machine: profile.machine,
+    header: replacedKeys ? 'replaced' : 'added',
+    headerFields: Object.fromEntries(header.map(({ key, value }) => [key, value])),
+    changes: [...changes.values()],
+    warnings,
+    linesIn,
+    linesOut
+  };
+}
+
+/**
+ * Normalize a gcode file into outputPath
+ * @param {{capabilities: object, analysis: object, filename: string}} options
+ * @returns {Promise<object>} see normalizeGcode
+ */
+async function normalizeGcodeFile(inputPath, outputPath, { capabilities, analysis, filename }) {
+  const input = fs.createReadStream(inputPath);
+  input.on('error', () => {}); // read errors reach the line iterator; this covers those after close()
+  const out = fs.createWriteStream(outputPath);
+  const done = new Promise((resolve, reject) => {
+    out.on('finish', resolve);
+    out.on('error', reject);
+  });
+  done.catch(() => {}); // awaited below, or the error surfaces through a pending write
+  // A full write buffer waits for 'drain', so large files are not held in memory
+  const write = line => (out.write(line + '\n') ? null : Promise.race([once(out, 'drain'), done]));
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    const report = await normalizeGcode(lines, { profile: getGcodeProfile(capabilities), analysis, filename }, write);
+    out.end();
+    await done;
+    return report;
+  } finally {
+    lines.close();
+    input.destroy();
+    if (!out.writableFinished) out.destroy();
+  }
+}
+
+/**
+ * One-line summary of a report for logs
+ */
+function describeReport(report) {
+  const changes = report.changes.map(c => `${c.action} ${c.count}x ${c.command}${c.to ? ` -> ${c.to}` : ''}`);
+  return `header ${report.header} (${report.machine || 'no machine id'})${changes.length ? `, ${changes.join(', ')}` : ''}`;
+}
+
+module.exports = { normalizeGcode, normalizeGcodeFile, getGcodeProfile, describeReport, BASE_PROFILE, MODEL_PROFILES, HEADER_KEYS };
@@ -0,0 +1,144 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { normalizeGcode, normalizeGcodeFile, getGcodeProfile } = require('../lib/gcode_normalizer');
+const { analyzeGcode, analyzeFile } = require('../lib/gcode_analyzer');
+const { getCapabilities } = require('../lib/printer_capabilities');
+const assert = require('assert');
+
+console.log('Running Gcode Normalizer Tests...');
+
+// PrusaSlicer-style file: its own header comments, a Prusa check, progress, firmware
+// retraction, a tool select, bed heating and an M109 R
+const GCODE = [
+  '; generated by PrusaSlicer 2.6.0',
+  '; layer_height = 0.3',
+  '',
+  'M862.3 P "MK3S"',
+  'M73 P0 R12',
+  'M140 S60',
+  'M190 R55',
+  'M104 S210',
+  'M109 R210 ; wait',
+  'T0',
+  'G28',
+  'G90',
+  'M82',
+  'G92 E0',
+  'G0 Z0.3 F600 ; first layer',
+  'G0 X10 Y10 F6000',
+  'G1 X60 Y10 E5 F1800',
+  'G10',
+  'G0 Z0.6',
+  'G11',
+  'G1 X60 Y60 E10',
+  'M117 Printing...',
+  'M73 P100 R0',
+  'M104 S0'
+].join('\r\n');
+
+async function run(lines, capabilities, filename = 'part.3w') {
+  const analysis = await analyzeGcode(lines);
+  const out = [];
+  const report = await normalizeGcode(lines, { profile: getGcodeProfile(capabilities), analysis, filename }, line => out.push(line));
+  return { out, report, analysis };
+}
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gcode-normalizer-'));
+  try {
+    const jr = getCapabilities({ modelNumber: 'dv1J00A000' });
+    const { out, report } = await run(GCODE.split('\n'), jr);
+
+    // XYZware header first, from the analysis
+    assert.strictEqual(out[0], '; filename = part.3w', 'Header should start with the filename');
+    assert.strictEqual(out[1].startsWith('; print_time = '), true, 'print_time should follow');
+    assert.strictEqual(out[2], '; machine = dv1J00A000', 'Machine id mismatch');
+    assert.ok(out.includes('; total_layers = 2'), 'Layer count mismatch');
+    assert.ok(out.includes('; total_filament = 10.00'), 'Filament mismatch');
+    assert.ok(out.includes('; nozzle_diameter = 0.40'), 'Nozzle diameter mismatch');
+    assert.ok(out.includes('; boundingbox_x2 = 60.00'), 'Bounding box mismatch');
+    assert.ok(out.includes('; version = 19110814'), 'Version mismatch');
+    assert.ok(out.includes('; extruder = 1'), 'Extruder count mismatch');
+    // the slicer's own layer_height line is replaced, other comments stay
+    assert.strictEqual(out.filter(l => l.startsWith('; layer_height')).length, 1, 'Header keys should not repeat');
+    assert.ok(out.includes('; layer_height = 0.30'), 'Layer height should come from the analysis');
+    assert.ok(out.includes('; generated by PrusaSlicer 2.6.0'), 'Other comments should be kept');
+    assert.strictEqual(report.header, 'replaced', 'Existing header key should be reported as replaced');
+    assert.ok(!out.some(l => l.endsWith('\r')), 'CRLF should be normalized');
+
+    // Commands: removed, rewritten, kept
+    const change = (command, action) => report.changes.find(c => c.command === command && c.action === action);
+    assert.strictEqual(change('M73', 'removed').count, 2, 'M73 count mismatch');
+    assert.ok(change('M862', 'removed'), 'M862.3 should be removed');
+    assert.strictEqual(change('M862', 'removed').firstLine, 4, 'First line mismatch');
+    assert.ok(change('G10', 'removed') && change('G11', 'removed'), 'Firmware retraction should be removed');
+    assert.match(change('T0', 'removed').reason, /single-extruder/, 'Tool change reason mismatch');
+    assert.match(change('M140', 'removed').reason, /no heated bed/, 'Bed heating reason mismatch');
+    assert.ok(change('M190', 'removed'), 'M190 should be removed without heated bed');
+    assert.strictEqual(change('G0', 'rewritten').count, 3, 'G0 rewrite count mismatch');
+    assert.ok(out.includes('G1 Z0.3 F600 ; first layer'), 'Rewrite should keep arguments and comment');
+    assert.ok(out.includes('M109 S210 ; wait'), 'M109 R should become M109 S');
+    assert.ok(out.includes('M104 S210') && out.includes('G28') && out.includes('G1 X60 Y60 E10'), 'Supported commands should be kept');
+    assert.ok(!out.some(l => /^(M73|M117|M862|M140|M190|G10|G11|T0|G0)\b/.test(l)), 'No unsupported command should be left');
+    assert.strictEqual(report.linesIn, 24, 'Input line count mismatch');
+    assert.strictEqual(report.linesOut, out.length, 'Output line count mismatch');
+
+    // Per-model profiles: heated bed and a second extruder keep their commands
+    const duo = getCapabilities({ modelNumber: 'dvF200B000' });
+    const duoRun = await run(['M190 R55', 'T0', 'T1', 'T2', 'G1 X1 Y1 E1'], duo);
+    assert.ok(duoRun.out.includes('M190 S55'), 'Heated bed model should keep bed heating');
+    assert.ok(duoRun.out.includes('T0') && duoRun.out.includes('T1'), 'Duo should keep T0 / T1');
+    assert.deepStrictEqual(duoRun.report.changes.map(c => c.command), ['M190 R', 'T2'], 'Duo changes mismatch');
+    assert.ok(duoRun.out.includes('; extruder = 2'), 'Duo should have two extruders in the header');
+    assert.strictEqual(getGcodeProfile(getCapabilities({ modelNumber: 'dv1NX0A000' })).nozzleDiameter_mm, 0.3, 'nano nozzle mismatch');
+
+    // Unknown model: no machine id, with a warning
+    const unknown = await run(['G1 X1 Y1 E1'], getCapabilities());
+    assert.ok(!unknown.out.some(l => l.startsWith('; machine')), 'Unknown model should not get a machine id');
+    assert.match(unknown.report.warnings[0], /model unknown/, 'Unknown model warning mismatch');
+    assert.ok(!unknown.out.some(l => l.startsWith('; extruder')), 'Unknown model should not get an extruder count');
+
+    // A write that returns a promise holds back the next line
+    const written = [];
+    let pending = 0;
+    await normalizeGcode(['G1 X1 Y1 E1', 'G1 X2 Y2 E2'], { profile: getGcodeProfile(jr), analysis: await analyzeGcode(['G1 X1 Y1 E1']), filename: 'a.3w' }, (line) => {
+      assert.strictEqual(pending, 0, 'A line was written before the previous write finished');
+      pending++;
+      written.push(line);
+      return new Promise(resolve => setImmediate(() => { pending--; resolve(); }));
+    });
+    assert.strictEqual(written[written.length - 1], 'G1 X2 Y2 E2', 'All lines should be written');
+
+    // Files: the output analyzes like the input
+    const input = path.join(tmp, 'part.gcode');
+    const output = path.join(tmp, 'normalized.gcode');
+    fs.writeFileSync(input, GCODE);
+    const analysis = await analyzeFile(input);
+    const fileReport = await normalizeGcodeFile(input, output, { capabilities: jr, analysis, filename: 'part.3w' });
+    assert.strictEqual(fileReport.linesOut, fs.readFileSync(output, 'utf8').split('\n').length - 1, 'File line count mismatch');
+    const after = await analyzeFile(output);
+    assert.strictEqual(after.layerCount, analysis.layerCount, 'Layers should be unchanged');
+    assert.strictEqual(after.filament_mm, analysis.filament_mm, 'Filament should be unchanged');
+    assert.strictEqual(after.header.machine, 'dv1J00A000', 'Header should be read back');
+
+    // Larger than the write buffer: same line count, written through 'drain'
+    const big = path.join(tmp, 'big.gcode');
+    fs.writeFileSync(big, Array.from({ length: 20000 }, (_, i) => `G1 X${i % 100} Y${i % 50} E${i}`).join('\n'));
+    const bigReport = await normalizeGcodeFile(big, output, { capabilities: jr, analysis: await analyzeFile(big), filename: 'big.3w' });
+    assert.strictEqual(bigReport.linesIn, 20000, 'Big file input line count mismatch');
+    assert.strictEqual(fs.readFileSync(output, 'utf8').split('\n').length - 1, bigReport.linesOut, 'Big file output line count mismatch');
+
+    // Errors reject instead of leaving the output stream open
+    await assert.rejects(normalizeGcodeFile(path.join(tmp, 'missing.gcode'), output, { capabilities: jr, analysis, filename: 'part.3w' }), /ENOENT/);
+    await assert.rejects(normalizeGcodeFile(input, path.join(tmp, 'missing', 'out.gcode'), { capabilities: jr, analysis, filename: 'part.3w' }), /ENOENT/);
+    await assert.rejects(normalizeGcodeFile(input, output, { capabilities: jr, analysis: null, filename: 'part.3w' }), TypeError);
+
+    console.log('✅ All gcode normalizer tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
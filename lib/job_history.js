@@ -0,0 +1,216 @@
+// lib/job_history.js
+// Print job history: one record per print attempt in data/job-history.jsonl.
+//
+// JobTracker follows a printer through a print and writes the record when it ends:
+//   upload summary (upload_finished)  - file, content hash, upload duration
+//   print start result (print_start)  - start time, or "never started" with the diagnostic
+//   parser status stream              - end of the print, final state, filament used
+// Final states: completed, cancelled, failed, never_started. An upload that is cancelled or
+// fails is recorded too (cancelled / failed, never reached the printer). Filament used is
+// estimated from the RFID spool's remaining length at start and end (null without RFID).
+//
+// JobHistoryStore appends the records and answers GET /api/jobs (filters, per-printer stats).
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { STATE } = require('./printer_states');
+const { JsonlStore } = require('./jsonl_store');
+
+const historyFile = path.join(__dirname, '../data/job-history.jsonl');
+
+const JOB_STATE = Object.freeze({
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+  NEVER_STARTED: 'never_started'
+});
+
+// States seen on the way out of a print that tell how it ended
+const FINISHED_STATES = [STATE.FINISHING, STATE.COMPLETE, STATE.COOLING];
+
+/**
+ * SHA-256 of a file, or null when it cannot be read
+ * @returns {Promise<string|null>}
+ */
+function hashFile(filePath) {
+  return new Promise((resolve) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', () => resolve(null))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+class JobTracker extends EventEmitter {
+  /**
+   * @param {{parser: Parser, store: JobHistoryStore}} deps
+   * @param {{printerId: string, uploadsDir: string}} options
+   */
+  constructor(deps, options) {
+    super();
+    this.deps = deps;
+    this.printerId = options.printerId;
+    this.uploadsDir = options.uploadsDir;
+    this.job = null;    // record of the print being followed
+    this.latest = {};   // last status (filament at start / end)
+    this._onStatus = st => this._handleStatus(st);
+  }
+
+  start() {
+    this.deps.parser.on('status', this._onStatus);
+    return this;
+  }
+
+  stop() {
+    this.deps.parser.removeListener('status', this._onStatus);
+  }
+
+  /**
+   * An upload ended (the uploader's summary)
+   */
+  uploadEnded(summary) {
+    if (this.job) this._finish(JOB_STATE.NEVER_STARTED, 'another file was sent before the print started');
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      printerId: this.printerId,
+      filename: summary.filename,
+      fileHash: null,
+      fileSize: summary.totalBytes,
+      uploadedAt: summary.startedAt,
+      uploadMs: summary.durationMs,
+      startStrategy: null,
+      startedAt: null,
+      endedAt: null,
+      elapsedMin: null,
+      state: null,
+      error: null,
+      filamentSerial: this.latest.filamentSerial || null,
+      filamentUsed_mm: null
+    };
+    this.job = job;
+    // hashed while the printer validates; the record waits for it
+    job.hashing = hashFile(path.join(this.uploadsDir, path.basename(summary.filename))).then((hash) => { job.fileHash = hash; });
+    if (summary.result === 'cancelled') this._finish(JOB_STATE.CANCELLED, 'upload cancelled');
+    else if (summary.result !== 'success') this._finish(JOB_STATE.FAILED, summary.error || 'upload failed');
+  }
+
+  /**
+   * Outcome of the print start supervisor
+   */
+  printStartResult(result) {
+    const job = this.job;
+    if (!job || job.startedAt || path.basename(job.filename) !== path.basename(result.filename)) return;
+    job.startStrategy = result.strategy;
+    if (!result.ok) {
+      this._finish(JOB_STATE.NEVER_STARTED, result.error);
+      return;
+    }
+    job.startedAt = new Date().toISOString();
+    job.filamentSerial = this.latest.filamentSerial || job.filamentSerial;
+    job.filamentAtStart_mm = this.latest.filamentRemaining_mm;
+    job.ending = null; // how the print is ending: cancelled / finished, from the state stream
+  }
+
+  // --- internals ----------------------------------------------------------
+
+  _handleStatus(st) {
+    this.latest = st;
+    const job = this.job;
+    if (!job || !job.startedAt) return;
+    const state = st.printerStateName;
+    if (state === STATE.CANCELLING) job.ending = JOB_STATE.CANCELLED;
+    else if (FINISHED_STATES.includes(state) && !job.ending) job.ending = JOB_STATE.COMPLETED;
+    else if (state === STATE.ERROR) {
+      this._finish(JOB_STATE.FAILED, st.error ? `printer error ${st.error.displayCode}: ${st.error.title}` : 'printer error');
+    } else if (state === STATE.IDLE) {
+      // back at idle without passing through finishing: stopped from the printer's panel
+      this._finish(job.ending || JOB_STATE.CANCELLED, null);
+    }
+  }
+
+  _finish(state, error) {
+    const job = this.job;
+    this.job = null;
+    const endedAt = new Date();
+    const remaining = this.latest.filamentRemaining_mm;
+    const used = job.filamentAtStart_mm - remaining;
+    const { hashing, ending, filamentAtStart_mm: atStart, ...record } = job;
+    Object.assign(record, {
+      state,
+      error: error || null,
+      endedAt: endedAt.toISOString(),
+      elapsedMin: job.startedAt ? Math.round((endedAt - new Date(job.startedAt)) / 6000) / 10 : null,
+      filamentUsed_mm: Number.isFinite(used) && used >= 0 ? used : null
+    });
+    console.log(`[JOBS] ${this.printerId}: ${record.filename} ${state}${error ? ` (${error})` : ''}`);
+    hashing.then(() => {
+      record.fileHash = job.fileHash;
+      this.deps.store.append(record);
+      this.emit('job', record);
+    });
+  }
+}
+
+class JobHistoryStore extends JsonlStore {
+  /**
+   * @param {{file?: string, maxEntries?: number}} [options]
+   */
+  constructor(options = {}) {
+    super({ file: options.file || historyFile, maxEntries: options.maxEntries || 2000, tag: 'JOBS', label: 'job record' });
+  }
+
+  /**
+   * Stored jobs, newest first
+   * @param {{printerId?: string, state?: string, filename?: string, since?: number, until?: number}} [filter]
+   *   filename matches part of the name (case-insensitive); since / until (ms) apply to the end time
+   */
+  list(filter = {}) {
+    const name = filter.filename ? filter.filename.toLowerCase() : null;
+    return this.read().reverse().filter((r) => {
+      const ended = Date.parse(r.endedAt);
+      return (!filter.printerId || r.printerId === filter.printerId) &&
+        (!filter.state || r.state === filter.state) &&
+        (!name || String(r.filename).toLowerCase().includes(name)) &&
+        (!filter.since || ended >= filter.since) &&
+        (!filter.until || ended <= filter.until);
+    });
+  }
+
+  /**
+   * Per-printer totals of a job list
+   * @returns {object[]} { printerId, jobs, completed, cancelled, failed, neverStarted, successRate,
+   *   printMinutes, filamentUsed_mm, avgUploadMs }
+   */
+  static stats(records) {
+    const byPrinter = new Map();
+    records.forEach((r) => {
+      if (!byPrinter.has(r.printerId)) {
+        byPrinter.set(r.printerId, {
+          printerId: r.printerId, jobs: 0, completed: 0, cancelled: 0, failed: 0, neverStarted: 0,
+          successRate: 0, printMinutes: 0, filamentUsed_mm: 0, avgUploadMs: null, uploadMsTotal: 0, uploads: 0
+        });
+      }
+      const s = byPrinter.get(r.printerId);
+      s.jobs++;
+      if (r.state === JOB_STATE.NEVER_STARTED) s.neverStarted++;
+      else if (s[r.state] !== undefined) s[r.state]++;
+      s.printMinutes += r.elapsedMin || 0;
+      s.filamentUsed_mm += r.filamentUsed_mm || 0;
+      if (Number.isFinite(r.uploadMs)) {
+        s.uploadMsTotal += r.uploadMs;
+        s.uploads++;
+      }
+    });
+    return [...byPrinter.values()].map(({ uploadMsTotal, uploads, ...s }) => ({
+      ...s,
+      successRate: Math.round((s.completed / s.jobs) * 1000) / 1000,
+      printMinutes: Math.round(s.printMinutes * 10) / 10,
+      avgUploadMs: uploads ? Math.round(uploadMsTotal / uploads) : null
+    }));
+  }
+}
+
+module.exports = { JobTracker, JobHistoryStore, JOB_STATE, hashFile, historyFile };
@@ -0,0 +1,103 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { JobTracker, JobHistoryStore, JOB_STATE } = require('../lib/job_history');
+const assert = require('assert');
+
+console.log('Running Job History Tests...');
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'job-history-'));
+  try {
+    const content = Buffer.from('fake 3w file');
+    fs.writeFileSync(path.join(tmp, 'part.3w'), content);
+    const store = new JobHistoryStore({ file: path.join(tmp, 'history.jsonl') });
+    const parser = new EventEmitter();
+    const tracker = new JobTracker({ parser, store }, { printerId: 'jr', uploadsDir: tmp }).start();
+    const recorded = [];
+    const nextRecord = () => new Promise(resolve => tracker.once('job', resolve));
+    tracker.on('job', r => recorded.push(r));
+    const status = (state, extra = {}) => parser.emit('status', { printerStateName: state, filamentSerial: 'SPOOL1', filamentRemaining_mm: 100000, ...extra });
+    const summary = (result, extra = {}) => ({ filename: 'part.3w', startedAt: new Date().toISOString(), durationMs: 4200, totalBytes: content.length, result, ...extra });
+
+    // Upload, start, print, finish: completed with hash, times and filament used
+    status('idle');
+    tracker.uploadEnded(summary('success'));
+    tracker.printStartResult({ ok: true, filename: 'part.3w', strategy: 'auto', state: 'heating' });
+    status('heating');
+    status('printing', { filamentRemaining_mm: 99000 });
+    status('finishing', { filamentRemaining_mm: 97500 });
+    let pending = nextRecord();
+    status('idle', { filamentRemaining_mm: 97500 });
+    let record = await pending;
+    assert.strictEqual(record.state, JOB_STATE.COMPLETED, 'Print should be completed');
+    assert.strictEqual(record.fileHash, crypto.createHash('sha256').update(content).digest('hex'), 'Hash mismatch');
+    assert.strictEqual(record.uploadMs, 4200, 'Upload duration mismatch');
+    assert.strictEqual(record.filamentSerial, 'SPOOL1', 'Filament serial mismatch');
+    assert.strictEqual(record.filamentUsed_mm, 2500, 'Filament used mismatch');
+    assert.strictEqual(record.startStrategy, 'auto', 'Strategy mismatch');
+    assert.ok(record.startedAt && record.endedAt && record.elapsedMin >= 0, 'Times should be set');
+    assert.strictEqual(record.ending, undefined, 'Tracking fields should not be stored');
+
+    // Cancel state on the way back to idle, and idle without finishing, mean cancelled
+    tracker.uploadEnded(summary('success'));
+    tracker.printStartResult({ ok: true, filename: 'part.3w', strategy: 'command' });
+    status('printing');
+    status('cancelling');
+    pending = nextRecord();
+    status('idle');
+    assert.strictEqual((await pending).state, JOB_STATE.CANCELLED, 'Cancelled print mismatch');
+
+    // Printer error fails the print
+    tracker.uploadEnded(summary('success'));
+    tracker.printStartResult({ ok: true, filename: 'part.3w', strategy: 'auto' });
+    pending = nextRecord();
+    status('error', { error: { displayCode: '0x00000101', title: 'Extruder heating timed out' } });
+    record = await pending;
+    assert.strictEqual(record.state, JOB_STATE.FAILED, 'Printer error should fail the job');
+    assert.match(record.error, /0x00000101/, 'Error should be kept');
+
+    // Print that never starts, cancelled and failed uploads
+    tracker.uploadEnded(summary('success'));
+    pending = nextRecord();
+    tracker.printStartResult({ ok: false, filename: 'part.3w', strategy: 'auto', error: 'stuck validating after 3 min' });
+    record = await pending;
+    assert.strictEqual(record.state, JOB_STATE.NEVER_STARTED, 'Never started mismatch');
+    assert.strictEqual(record.elapsedMin, null, 'Never started job has no print time');
+    pending = nextRecord();
+    tracker.uploadEnded(summary('cancelled'));
+    assert.strictEqual((await pending).state, JOB_STATE.CANCELLED, 'Cancelled upload mismatch');
+    pending = nextRecord();
+    tracker.uploadEnded(summary('failed', { filename: 'gone.3w', error: 'Block 3 not acknowledged' }));
+    record = await pending;
+    assert.strictEqual(record.state, JOB_STATE.FAILED, 'Failed upload mismatch');
+    assert.strictEqual(record.fileHash, null, 'Missing file has no hash');
+    tracker.stop();
+
+    // Store: newest first, filters, per-printer stats
+    store.append({ printerId: 'nano', filename: 'other.3w', state: 'completed', endedAt: '2020-01-01T00:00:00.000Z', elapsedMin: 30, uploadMs: 1000, filamentUsed_mm: 500 });
+    assert.strictEqual(store.list().length, 7, 'All records should be listed');
+    assert.strictEqual(store.list()[0].printerId, 'nano', 'Newest record should come first');
+    assert.strictEqual(store.list({ printerId: 'jr' }).length, 6, 'Printer filter mismatch');
+    assert.strictEqual(store.list({ state: 'cancelled' }).length, 2, 'State filter mismatch');
+    assert.strictEqual(store.list({ filename: 'GONE' }).length, 1, 'File filter should match part of the name');
+    assert.strictEqual(store.list({ since: Date.parse('2021-01-01') }).length, 6, 'Since filter mismatch');
+    assert.strictEqual(store.list({ until: Date.parse('2021-01-01') }).length, 1, 'Until filter mismatch');
+    const stats = JobHistoryStore.stats(store.list());
+    const jr = stats.find(s => s.printerId === 'jr');
+    assert.deepStrictEqual([jr.jobs, jr.completed, jr.cancelled, jr.failed, jr.neverStarted], [6, 1, 2, 2, 1], 'Per-state counts mismatch');
+    assert.strictEqual(jr.successRate, 0.167, 'Success rate mismatch');
+    assert.strictEqual(jr.filamentUsed_mm, 2500, 'Filament total mismatch');
+    assert.strictEqual(jr.avgUploadMs, 4200, 'Average upload time mismatch');
+    assert.strictEqual(stats.find(s => s.printerId === 'nano').printMinutes, 30, 'Print minutes mismatch');
+
+    console.log('✅ All job history tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
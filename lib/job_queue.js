@@ -0,0 +1,236 @@
+// lib/job_queue.js
+// Per-printer print job queue. Files from the uploads folder are queued, reordered and
+// removed; the queue is kept in data/job-queue-<printer id>.json so it survives a restart.
+//
+// Sequencing follows the status stream: once the printer is back at idle, the next job
+// waits for the operator to confirm that the bed is cleared (confirmBedCleared(), from
+// the UI or POST /queue/bed-cleared), then it is started through the startJob hook
+// (convert, upload, print start supervision). A job that fails to start goes back to the
+// head of the queue with its error; the next confirmation retries it.
+//
+// Queue states:
+//   empty            - nothing queued
+//   waiting_printer  - jobs queued, printer busy / not reporting idle
+//   awaiting_bed_clear - printer idle, next job waits for the confirmation
+//   starting         - current job is being sent and started
+//   printing         - current job is on the printer; idle again ends it
+//
+// Events: 'change' (snapshot), 'job_started', 'job_failed', 'job_finished' ({ job, ... })
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { STATE } = require('./printer_states');
+
+const dataDir = path.join(__dirname, '../data');
+
+const QUEUE_STATE = Object.freeze({
+  EMPTY: 'empty',
+  WAITING_PRINTER: 'waiting_printer',
+  AWAITING_BED_CLEAR: 'awaiting_bed_clear',
+  STARTING: 'starting',
+  PRINTING: 'printing'
+});
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {{parser: Parser, startJob?: Function}} deps - parser: status stream; startJob(job):
+   *   promise of { ok, error? } once the print has started or failed to
+   * @param {{printerId: string, file?: string}} options - file defaults to data/job-queue-<printerId>.json
+   */
+  constructor(deps, options) {
+    super();
+    this.deps = deps;
+    this.printerId = options.printerId;
+    this.file = options.file || path.join(dataDir, `job-queue-${this.printerId}.json`);
+    this.jobs = [];
+    this.current = null;     // job being started or printed
+    this.printerState = null; // from the last status
+    this._onStatus = st => this._handleStatus(st);
+  }
+
+  /**
+   * Read the saved queue and follow the printer's status
+   */
+  start() {
+    this._load();
+    this.deps.parser.on('status', this._onStatus);
+    return this;
+  }
+
+  stop() {
+    this.deps.parser.removeListener('status', this._onStatus);
+  }
+
+  get state() {
+    if (this.current) return this.current.state === 'printing' ? QUEUE_STATE.PRINTING : QUEUE_STATE.STARTING;
+    if (!this.jobs.length) return QUEUE_STATE.EMPTY;
+    return this.printerState === STATE.IDLE ? QUEUE_STATE.AWAITING_BED_CLEAR : QUEUE_STATE.WAITING_PRINTER;
+  }
+
+  /**
+   * Queue, current job and printer state for the UI and GET /queue
+   */
+  getSnapshot() {
+    return {
+      printerId: this.printerId,
+      state: this.state,
+      printerState: this.printerState,
+      current: this.current,
+      jobs: this.jobs
+    };
+  }
+
+  /**
+   * Append a file to the queue
+   * @param {string} filename - file in the printer's uploads folder
+   * @param {{startStrategy?: string}} [options]
+   * @returns {object} the new job
+   */
+  add(filename, options = {}) {
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      filename,
+      startStrategy: options.startStrategy || null,
+      addedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: null
+    };
+    this.jobs.push(job);
+    console.log(`[JOBS] ${this.printerId}: queued ${filename} (${job.id}, ${this.jobs.length} waiting)`);
+    this._changed();
+    return job;
+  }
+
+  /**
+   * Remove a waiting job (the current one cannot be removed)
+   * @returns {boolean} false when there is no such waiting job
+   */
+  remove(jobId) {
+    const index = this.jobs.findIndex(j => j.id === jobId);
+    if (index === -1) return false;
+    const [job] = this.jobs.splice(index, 1);
+    console.log(`[JOBS] ${this.printerId}: removed ${job.filename} (${job.id})`);
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Move a waiting job to another position (0 = next); out-of-range positions are clamped
+   * @returns {boolean} false when there is no such waiting job
+   */
+  move(jobId, position) {
+    const index = this.jobs.findIndex(j => j.id === jobId);
+    if (index === -1) return false;
+    const to = Math.max(0, Math.min(this.jobs.length - 1, position));
+    const [job] = this.jobs.splice(index, 1);
+    this.jobs.splice(to, 0, job);
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Operator confirmation that the bed is empty: starts the next job
+   * @returns {{ok: boolean, job?: object, error?: string}}
+   */
+  confirmBedCleared() {
+    const state = this.state;
+    if (state !== QUEUE_STATE.AWAITING_BED_CLEAR) {
+      const reasons = {
+        [QUEUE_STATE.EMPTY]: 'the queue is empty',
+        [QUEUE_STATE.WAITING_PRINTER]: `the printer is not idle (${this.printerState || 'no status yet'})`,
+        [QUEUE_STATE.STARTING]: 'a job is being started',
+        [QUEUE_STATE.PRINTING]: 'a job is printing'
+      };
+      return { ok: false, error: `Nothing to confirm: ${reasons[state]}` };
+    }
+    if (!this.deps.startJob) return { ok: false, error: 'Printing from the queue is not available' };
+    return { ok: true, job: this._startNext() };
+  }
+
+  // --- internals ----------------------------------------------------------
+
+  _startNext() {
+    const job = this.jobs.shift();
+    job.attempts++;
+    this.current = { ...job, state: 'starting', startedAt: new Date().toISOString() };
+    console.log(`[JOBS] ${this.printerId}: starting ${job.filename} (${job.id}, attempt ${job.attempts})`);
+    this.emit('job_started', { job: this.current });
+    this._changed();
+
+    const current = this.current;
+    Promise.resolve()
+      .then(() => this.deps.startJob(job))
+      .catch(err => ({ ok: false, error: err.message }))
+      .then((result) => {
+        if (this.current !== current) return;
+        if (result && result.ok) {
+          current.state = 'printing';
+          this._changed();
+          return;
+        }
+        const error = (result && result.error) || 'print did not start';
+        console.warn(`[JOBS] ${this.printerId}: ${job.filename} failed to start: ${error}`);
+        this.current = null;
+        this.jobs.unshift({ ...job, lastError: error });
+        this.emit('job_failed', { job: current, error });
+        this._changed();
+      });
+    return current;
+  }
+
+  _handleStatus(st) {
+    const state = st.printerStateName || null;
+    if (!state || state === this.printerState) return;
+    const before = this.state;
+    this.printerState = state;
+    if (this.current && this.current.state === 'printing' && state === STATE.IDLE) {
+      const job = { ...this.current, finishedAt: new Date().toISOString() };
+      console.log(`[JOBS] ${this.printerId}: ${job.filename} finished, ${this.jobs.length} waiting`);
+      this.current = null;
+      this.emit('job_finished', { job });
+      this._changed();
+      return;
+    }
+    if (this.state !== before) this.emit('change', this.getSnapshot());
+  }
+
+  _changed() {
+    this._save();
+    this.emit('change', this.getSnapshot());
+  }
+
+  _load() {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[JOBS] ${this.printerId}: could not read ${this.file}:`, e.message);
+      return;
+    }
+    this.jobs = Array.isArray(saved.jobs) ? saved.jobs : [];
+    this.current = saved.current || null;
+    // An upload cut off by the restart never reached the printer: the job waits again
+    if (this.current && this.current.state !== 'printing') {
+      const { state, startedAt, ...job } = this.current;
+      this.jobs.unshift({ ...job, lastError: 'interrupted by a server restart' });
+      this.current = null;
+    }
+    console.log(`[JOBS] ${this.printerId}: ${this.jobs.length} job(s) waiting${this.current ? `, ${this.current.filename} printing` : ''}`);
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      // write-and-rename: a crash mid-write leaves the previous queue intact
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ jobs: this.jobs, current: this.current }, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      console.warn(`[JOBS] ${this.printerId}: could not save the queue:`, e.message);
+    }
+  }
+}
+
+module.exports = { JobQueue, QUEUE_STATE, dataDir };
@@ -0,0 +1,116 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const { JobQueue, QUEUE_STATE } = require('../lib/job_queue');
+const assert = require('assert');
+
+console.log('Running Job Queue Tests...');
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+  try {
+    const file = path.join(tmp, 'job-queue-jr.json');
+    const parser = new EventEmitter();
+    const status = state => parser.emit('status', { printerStateName: state });
+    const started = [];
+    let startResult = { ok: true };
+    const startJob = async (job) => { started.push(job.filename); return startResult; };
+
+    // Add, reorder and remove; every change is saved
+    let queue = new JobQueue({ parser, startJob }, { printerId: 'jr', file }).start();
+    const snapshots = [];
+    queue.on('change', s => snapshots.push(s));
+    assert.strictEqual(queue.state, QUEUE_STATE.EMPTY, 'New queue should be empty');
+    const a = queue.add('a.gcode');
+    const b = queue.add('b.3w', { startStrategy: 'command' });
+    const c = queue.add('c.gcode');
+    assert.ok(queue.move(c.id, 0), 'Move should succeed');
+    assert.deepStrictEqual(queue.jobs.map(j => j.filename), ['c.gcode', 'a.gcode', 'b.3w'], 'Order after move mismatch');
+    assert.ok(queue.move(c.id, 99), 'Position past the end should be clamped');
+    assert.deepStrictEqual(queue.jobs.map(j => j.id), [a.id, b.id, c.id], 'Clamped move mismatch');
+    assert.ok(queue.remove(c.id), 'Remove should succeed');
+    assert.strictEqual(queue.remove('nope'), false, 'Unknown job cannot be removed');
+    let saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(saved.jobs.map(j => j.filename), ['a.gcode', 'b.3w'], 'Saved queue mismatch');
+    assert.ok(snapshots.length >= 5, 'Changes should be emitted');
+
+    // Nothing starts before the printer is idle and the bed is confirmed cleared
+    assert.strictEqual(queue.state, QUEUE_STATE.WAITING_PRINTER, 'No status yet means waiting');
+    assert.match(queue.confirmBedCleared().error, /not idle \(no status yet\)/, 'Confirmation without status should be refused');
+    status('printing');
+    assert.match(queue.confirmBedCleared().error, /not idle \(printing\)/, 'Confirmation while printing should be refused');
+    status('idle');
+    assert.strictEqual(queue.state, QUEUE_STATE.AWAITING_BED_CLEAR, 'Idle printer should wait for the operator');
+    assert.deepStrictEqual(started, [], 'Nothing should start on its own');
+
+    // Confirmation starts the next job; idle after printing finishes it
+    const finished = [];
+    queue.on('job_finished', e => finished.push(e.job.filename));
+    let result = queue.confirmBedCleared();
+    assert.strictEqual(result.ok, true, 'Confirmation should start a job');
+    assert.strictEqual(result.job.filename, 'a.gcode', 'First job should start');
+    assert.strictEqual(queue.state, QUEUE_STATE.STARTING, 'Queue should be starting');
+    assert.match(queue.confirmBedCleared().error, /being started/, 'Second confirmation should be refused');
+    await tick();
+    assert.strictEqual(queue.state, QUEUE_STATE.PRINTING, 'Started job should be printing');
+    status('heating');
+    status('printing');
+    status('idle');
+    assert.deepStrictEqual(finished, ['a.gcode'], 'Idle after printing should finish the job');
+    assert.strictEqual(queue.state, QUEUE_STATE.AWAITING_BED_CLEAR, 'Next job should wait for a new confirmation');
+
+    // A job that does not start goes back to the head with its error
+    startResult = { ok: false, error: 'stuck validating after 3 min' };
+    const failed = [];
+    queue.on('job_failed', e => failed.push(e.error));
+    queue.confirmBedCleared();
+    await tick();
+    assert.deepStrictEqual(failed, ['stuck validating after 3 min'], 'Failure should be reported');
+    assert.strictEqual(queue.jobs[0].filename, 'b.3w', 'Failed job should be next again');
+    assert.strictEqual(queue.jobs[0].lastError, 'stuck validating after 3 min', 'Error should be kept on the job');
+    assert.strictEqual(queue.jobs[0].attempts, 1, 'Attempt should be counted');
+    assert.strictEqual(queue.jobs[0].startStrategy, 'command', 'Strategy should be kept');
+    queue.stop();
+
+    // Restart while a job is printing: it is still tracked and ends on idle
+    startResult = { ok: true };
+    queue = new JobQueue({ parser, startJob }, { printerId: 'jr', file }).start();
+    queue.confirmBedCleared(); // no status since the restart
+    assert.strictEqual(queue.current, null, 'No job should start without a fresh status');
+    status('idle');
+    queue.confirmBedCleared();
+    await tick();
+    queue.stop();
+    queue = new JobQueue({ parser, startJob }, { printerId: 'jr', file }).start();
+    assert.strictEqual(queue.state, QUEUE_STATE.PRINTING, 'Printing job should survive the restart');
+    queue.on('job_finished', e => finished.push(e.job.filename));
+    status('printing');
+    status('idle');
+    assert.deepStrictEqual(finished, ['a.gcode', 'b.3w'], 'Restored job should finish on idle');
+    queue.stop();
+
+    // Restart during an upload: the job waits again
+    fs.writeFileSync(file, JSON.stringify({ jobs: [], current: { id: 'x1', filename: 'x.3w', attempts: 1, state: 'starting', startedAt: 'now' } }));
+    queue = new JobQueue({ parser, startJob }, { printerId: 'jr', file }).start();
+    assert.strictEqual(queue.current, null, 'Interrupted upload should not stay current');
+    assert.strictEqual(queue.jobs[0].lastError, 'interrupted by a server restart', 'Interrupted job should be queued again');
+    assert.strictEqual(queue.jobs[0].state, undefined, 'Queued job should not carry the run state');
+    queue.stop();
+
+    // An unreadable file starts an empty queue
+    fs.writeFileSync(file, '{ torn');
+    queue = new JobQueue({ parser, startJob }, { printerId: 'jr', file }).start();
+    assert.strictEqual(queue.state, QUEUE_STATE.EMPTY, 'Corrupt file should give an empty queue');
+    queue.stop();
+
+    console.log('✅ All job queue tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
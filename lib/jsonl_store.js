@@ -0,0 +1,59 @@
+// lib/jsonl_store.js
+// Append-only JSON Lines file (one JSON object per line) capped at maxEntries, shared by the
+// upload summaries (lib/upload_telemetry.js) and the job history (lib/job_history.js).
+// Entries are appended as they happen; once the file holds more than maxEntries it is
+// rewritten with the newest ones. Lines torn by a crash mid-write are skipped when reading.
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonlStore {
+  /**
+   * @param {{file: string, maxEntries: number, tag: string, label: string}} options - tag and
+   *   label name the store in log messages ("[JOBS] Could not store job record")
+   */
+  constructor({ file, maxEntries, tag, label }) {
+    this.file = file;
+    this.maxEntries = maxEntries;
+    this.tag = tag;
+    this.label = label;
+  }
+
+  /**
+   * Append one entry; the oldest entries are dropped beyond maxEntries.
+   * A write error is logged, not thrown: losing a record must not break the caller.
+   */
+  append(entry) {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+      const entries = this.read();
+      if (entries.length > this.maxEntries) {
+        fs.writeFileSync(this.file, entries.slice(-this.maxEntries).map(e => JSON.stringify(e)).join('\n') + '\n');
+      }
+    } catch (e) {
+      console.warn(`[${this.tag}] Could not store ${this.label}:`, e.message);
+    }
+  }
+
+  /**
+   * All stored entries, oldest first ([] when the file does not exist yet)
+   */
+  read() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (e) {
+      return [];
+    }
+    return text.split('\n').filter(Boolean).map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null; // torn write
+      }
+    }).filter(Boolean);
+  }
+}
+
+module.exports = { JsonlStore };
@@ -0,0 +1,39 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { JsonlStore } = require('../lib/jsonl_store');
+const assert = require('assert');
+
+console.log('Running JSONL Store Tests...');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonl-store-'));
+const realWarn = console.warn;
+try {
+  const store = new JsonlStore({ file: path.join(tmp, 'data', 'log.jsonl'), maxEntries: 2, tag: 'TEST', label: 'test entry' });
+  assert.deepStrictEqual(store.read(), [], 'Missing file means no entries');
+
+  // Appended in order, trimmed to the newest maxEntries
+  [1, 2, 3].forEach(n => store.append({ n }));
+  assert.deepStrictEqual(store.read(), [{ n: 2 }, { n: 3 }], 'Oldest entry should be dropped');
+  assert.strictEqual(fs.readFileSync(store.file, 'utf8'), '{"n":2}\n{"n":3}\n', 'File should hold one entry per line');
+
+  // A torn line is skipped, the next append still works
+  fs.appendFileSync(store.file, '{"n":');
+  assert.deepStrictEqual(store.read(), [{ n: 2 }, { n: 3 }], 'Torn line should be skipped');
+
+  // A write error is logged, not thrown
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  fs.writeFileSync(path.join(tmp, 'blocker'), '');
+  new JsonlStore({ file: path.join(tmp, 'blocker', 'log.jsonl'), maxEntries: 2, tag: 'TEST', label: 'test entry' }).append({ n: 1 });
+  console.warn = realWarn;
+  assert.match(warnings[0], /^\[TEST\] Could not store test entry:/, 'Write error should be logged');
+
+  console.log('✅ All JSONL store tests passed!');
+} catch (e) {
+  console.warn = realWarn;
+  console.error('❌ Test failed:', e.message);
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(tmp, { recursive: true, force: true });
+}
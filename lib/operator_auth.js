@@ -0,0 +1,22 @@
+// lib/operator_auth.js
+// Operator role for features that talk to the printer directly (protocol console, raw
+// commands) or bypass safety checks (POST /print with force). The role is granted by
+// presenting config.operatorKey, either in the Socket.IO handshake (auth.operatorKey), with
+// an 'operator_login' message, or in the X-Operator-Key header of a REST request. Without an
+// operatorKey in config.json nobody is an operator.
+
+const crypto = require('crypto');
+
+/**
+ * Compare a presented key with the configured one (constant time)
+ * @param {string} expected - config.operatorKey
+ * @param {string} given
+ */
+function checkOperatorKey(expected, given) {
+  if (typeof expected !== 'string' || !expected || typeof given !== 'string' || !given) return false;
+  const a = crypto.createHash('sha256').update(expected).digest();
+  const b = crypto.createHash('sha256').update(given).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { checkOperatorKey };
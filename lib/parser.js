@@ -1,21 +1,216 @@
 // lib/parser.js
 // Lightweight parser for miniMover / XYZ protocol lines.
+// Status lines belonging to one reply (e.g. XYZv3/query=a) are grouped into a frame that
+// ends at the "$" terminator, so each poll produces exactly one 'status' snapshot.
 // Emits:
-//  - 'status' with a normalized status object
+//  - 'status' with a normalized status object (one per frame, carrying a sequence number)
 //  - 'calibrate' with { stage, data, raw }
 //  - 'log' with { line }
 //  - 'token' with token string (when found in responses)
+//  - 'stateChange' with { previous, current } when the j: state code/sub-code changes
+//  - 'printerError' with a structured error (see lib/printer_errors.js) when e: turns non-zero
+//  - 'printerErrorCleared' with { code } when e: returns to 0
 
 const EventEmitter = require('events');
+const { describeState, fromV2State } = require('./printer_states');
+const { describeError } = require('./printer_errors');
+
+// Helpers for the status letter decoders below
+function toInt(v) {
+  const n = parseInt(v, 10);
+  return Number.isNaN(n) ? null : n;
+}
+
+function toNumberList(v) {
+  return v.replace(/[{}\[\]]/g, '').split(',').map(x => parseFloat(x)).filter(x => !Number.isNaN(x));
+}
+
+function parseJsonField(v) {
+  try {
+    return JSON.parse(v);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Decoders for query=a / query=wf status letters not handled inline in feed().
+// Each receives the text after "x:" and writes normalized fields onto the status object.
+// Letters follow miniMover's XYZv3 status parser.
+const STATUS_FIELD_DECODERS = {
+  // a:1 - auto-level enabled (older firmware; newer report it in o:)
+  a: (v, sj) => { sj.autoLevelEnabled = v.trim() === '1' || v.trim() === '+'; },
+  // c:{357,377,...,0.0,0.0,0.0} - 9 bed calibration readings (+ optional offsets)
+  c: (v, sj) => {
+    const nums = toNumberList(v);
+    sj.calibrationValues = nums.slice(0, 9);
+    sj.calibrationOffsets = nums.slice(9);
+    sj.calibrated = sj.calibrationValues.some(n => n !== 0);
+  },
+  // d:percent,elapsedMin,timeLeftMin
+  d: (v, sj) => {
+    const parts = v.split(',').map(toInt);
+    if (parts[0] !== null) sj.printPercent = parts[0];
+    if (parts.length > 1 && parts[1] !== null) sj.elapsedMin = parts[1];
+    if (parts.length > 2 && parts[2] !== null) sj.timeLeftMin = parts[2];
+  },
+  // e:code - printer error code, 0 when healthy
+  e: (v, sj) => { sj.errorCode = toInt(v); },
+  // h:1 - loaded filament is PLA
+  h: (v, sj) => { sj.filamentIsPLA = v.trim() === '1'; },
+  // k:50 - loaded material type id
+  k: (v, sj) => { sj.materialType = toInt(v); },
+  // l:en - UI language
+  l: (v, sj) => { sj.language = v.trim(); },
+  // L:count,lifetimePowerOnMin,extruderLifetimeMin,lastPowerOnMin
+  L: (v, sj) => {
+    const parts = v.split(',').map(toInt);
+    sj.lifetime = {
+      powerOnMin: parts.length > 1 ? parts[1] : null,
+      extruderOnMin: parts.length > 2 ? parts[2] : null,
+      lastPowerOnMin: parts.length > 3 ? parts[3] : null
+    };
+  },
+  // m:0,0,0 - undocumented triplet, kept as numbers
+  m: (v, sj) => { sj.mValues = toNumberList(v); },
+  // n:daVinci Nano - user-visible machine name (padded with spaces), shown as the model
+  n: (v, sj) => {
+    sj.machineName = v.trim();
+    sj.model = sj.machineName;
+  },
+  // o:p8,t1,c1,a+ - packet size in KB, tag/crc options, auto-level on/off
+  o: (v, sj) => {
+    v.split(',').forEach((opt) => {
+      const key = opt.charAt(0);
+      const val = opt.substring(1);
+      if (key === 'p' && toInt(val) !== null) sj.oPacketSize = toInt(val) * 1024;
+      else if (key === 't') sj.oTagOption = toInt(val);
+      else if (key === 'c') sj.oCrcOption = toInt(val);
+      else if (key === 'a') sj.autoLevelEnabled = val === '+';
+    });
+  },
+  // p:dv1NX0A000 - model number
+  p: (v, sj) => { sj.modelNumber = v.trim(); },
+  // s:{"fm":0,"fd":1,"sd":"yes","button":"no","buzzer":"on","dr":{"top":"off","front":"off"}}
+  s: (v, sj) => {
+    const obj = parseJsonField(v);
+    if (!obj) return;
+    if (obj.fm !== undefined) sj.filamentMounted = obj.fm;
+    if (obj.fd !== undefined) sj.filamentDetected = obj.fd;
+    if (obj.sd !== undefined) sj.sdCardPresent = obj.sd === 'yes';
+    if (obj.button !== undefined) sj.buttonPressed = obj.button === 'yes';
+    if (obj.buzzer !== undefined) sj.buzzerEnabled = obj.buzzer === 'on';
+    if (obj.dr && typeof obj.dr === 'object') {
+      sj.doorTopOpen = obj.dr.top === 'on';
+      sj.doorFrontOpen = obj.dr.front === 'on';
+    }
+    if (obj.eh !== undefined) sj.enclosureHeater = obj.eh;
+    if (obj.of !== undefined) sj.openFilament = obj.of;
+  },
+  // v:3.2.0 or v:os,app,fw
+  v: (v, sj) => {
+    const parts = v.split(',').map(x => x.trim());
+    sj.firmwareVersion = parts[parts.length - 1];
+    if (parts.length === 3) sj.versions = { os: parts[0], app: parts[1], firmware: parts[2] };
+    else sj.versions = { firmware: parts[0] };
+  },
+  // X:75,GB-0002-... - nozzle type id and the NOZZLE serial (not the printer serial, see i:)
+  X: (v, sj) => {
+    const parts = v.split(',');
+    sj.nozzleType = toInt(parts[0]);
+    if (parts.length >= 2) sj.nozzleSerial = parts[1].trim();
+  },
+  // z:-469 - z offset (printer units)
+  z: (v, sj) => { sj.zOffset = toInt(v); },
+  // Z:{"PrintFile":"AstroKey.3w","Complete":0} - file context (query=Z)
+  Z: (v, sj) => {
+    const obj = parseJsonField(v);
+    if (!obj) return;
+    if (obj.PrintFile !== undefined) sj.fileName = obj.PrintFile;
+    if (obj.Complete !== undefined) sj.fileComplete = obj.Complete;
+  },
+  // G:... - last used timestamp
+  G: (v, sj) => { sj.GLastUsed = v.trim(); },
+  // 4:{"wlan":{"ip":...,"ssid":...}} - network info on wifi models
+  4: (v, sj) => { sj.network = parseJsonField(v) || v.trim(); },
+  // W:{...} - wifi configuration on wifi models
+  W: (v, sj) => { sj.wifi = parseJsonField(v) || v.trim(); }
+};
+
+// "Not available" marker XYZv2 firmware sends for EST_TIME
+const V2_NO_ESTIMATE = 0x04444444;
+
+// Decoders for XYZv2 status keys (reply to XYZ_@3D:0, see lib/protocol_v2.js), mapped onto
+// the same normalized fields as the XYZv3 letters. Keys follow miniMover's
+// V2S_parseStatusSubstring; state and error codes are handled in feed().
+const V2_STATUS_FIELD_DECODERS = {
+  // BT:60 - bed temperature
+  BT: (v, sj) => { sj.bedActual_C = toInt(v); },
+  // WORK_PARSENT:42 - print progress (sic)
+  WORK_PARSENT: (v, sj) => { sj.printPercent = toInt(v); },
+  // WORK_TIME:12 / EST_TIME:80 - elapsed and remaining minutes
+  WORK_TIME: (v, sj) => { sj.elapsedMin = toInt(v); },
+  EST_TIME: (v, sj) => {
+    const n = toInt(v);
+    sj.timeLeftMin = n === V2_NO_ESTIMATE ? null : n;
+  },
+  // MCH_ID:3DP01PUS4... - machine serial number
+  MCH_ID: (v, sj) => { sj.serialNumber = v.trim(); },
+  LANG: (v, sj) => { sj.language = v.trim(); },
+  // PRT_NAME:daVinci - user-visible machine name
+  PRT_NAME: (v, sj) => {
+    sj.machineName = v.trim();
+    sj.model = sj.machineName;
+  },
+  // MDU:dvF100B000 - model number
+  MDU: (v, sj) => { sj.modelNumber = v.trim(); },
+  // ET0:210 / ET1:205 - extruder temperatures (ET1 on the 2.0 Duo)
+  ET0: (v, sj) => { sj.extruderActual_C = toInt(v); },
+  ET1: (v, sj) => { sj.extruder2Actual_C = toInt(v); },
+  OS_V: (v, sj) => { sj.versions = { ...(sj.versions || {}), os: v.trim() }; },
+  APP_V: (v, sj) => { sj.versions = { ...(sj.versions || {}), app: v.trim() }; },
+  FW_V: (v, sj) => {
+    sj.firmwareVersion = v.trim();
+    sj.versions = { ...(sj.versions || {}), firmware: sj.firmwareVersion };
+  },
+  // W1:/W2: - filament cartridge serials
+  W1: (v, sj) => {
+    sj.filamentSerial = v.trim();
+    sj.filamentInfo = [sj.filamentSerial].concat(sj.filamentSerial2 ? [sj.filamentSerial2] : []);
+  },
+  W2: (v, sj) => {
+    sj.filamentSerial2 = v.trim();
+    sj.filamentInfo = [sj.filamentSerial || null, sj.filamentSerial2];
+  },
+  // MCHLIFE / MCHEXDUR_LIFE - lifetime power-on and extruder minutes
+  MCHLIFE: (v, sj) => { sj.lifetime = { ...(sj.lifetime || {}), powerOnMin: toInt(v) }; },
+  MCHEXDUR_LIFE: (v, sj) => { sj.lifetime = { ...(sj.lifetime || {}), extruderOnMin: toInt(v) }; },
+  PRT_IP: (v, sj) => { sj.network = { ip: v.trim() }; },
+  // Greeting, echo, cartridge EEPROM flags and protocol version carry nothing we show
+  Welcome: () => {},
+  'XYZ_@3D': () => {},
+  EE1: () => {},
+  EE2: () => {},
+  PROTOCOL: () => {}
+};
+
+// Flush a frame even if the printer never sends the "$" terminator
+const DEFAULT_FRAME_TIMEOUT_MS = 500;
 
 class Parser extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
+    this.frameTimeoutMs = options.frameTimeoutMs || DEFAULT_FRAME_TIMEOUT_MS;
+    this.frame = null; // { lines, startedAt, timer } while a reply is being collected
+    this.seq = 0;
     this.latest = {
       rawLines: [],
       parsed: {}
     };
     this.token = null;
+    this.state = describeState(null, null);
+    // letter -> { count, firstSeen, sample } for status letters we don't decode
+    this.unknownFields = new Map();
+    this.activeError = null;
   }
 
   feed(raw) {
@@ -27,6 +222,12 @@ class Parser extends EventEmitter {
     this.latest.rawLines.push(line);
     if (this.latest.rawLines.length > 200) this.latest.rawLines.shift();
 
+    // End of response marker: publish the collected frame as one snapshot
+    if (line === '$') {
+      this.flush(true);
+      return;
+    }
+
     // Calibrate special prefix
     if (line.startsWith('calibratejr:')) {
       const payload = line.substring('calibratejr:'.length).trim();
@@ -42,60 +243,22 @@ class Parser extends EventEmitter {
       const code = parseInt(v[0], 10);
       const sub = v.length > 1 ? parseInt(v[1], 10) : undefined;
       this.latest.parsed.j = { code, sub, raw: line };
-      // Also emit status update with printerState fields
-      const normalized = this._buildNormalizedStatus();
-      this.emit('status', normalized);
+      this._updateState(code, sub);
+      this._touchFrame();
       return;
     }
 
-    // Model name: n:modelName
-    if (line.startsWith('n:')) {
-      const sj = this.latest.parsed.statusJson || {};
-      sj.model = line.substring(2).trim();
-      this.latest.parsed.statusJson = sj;
-      // console.log('Parser: Model detected:', sj.model);
-      const normalized = this._buildNormalizedStatus();
-      this.emit('status', normalized);
-      // Don't log static data to avoid UI flashing
-      return;
-    }
-
-    // Serial number: i:serialNumber OR X:nn,serialNumber
+    // Serial number: i:serialNumber
     if (line.startsWith('i:')) {
       const sj = this.latest.parsed.statusJson || {};
       sj.serialNumber = line.substring(2).trim();
       this.latest.parsed.statusJson = sj;
       // console.log('Parser: Serial number detected:', sj.serialNumber);
-      const normalized = this._buildNormalizedStatus();
-      this.emit('status', normalized);
+      this._touchFrame();
       // Don't log static data to avoid UI flashing
       return;
     }
     
-    // Serial number from X: line (format: X:75,GB-0002-0000-TH-7CG-0270-185)
-    // This is actually the NOZZLE serial number, not printer serial
-    if (line.startsWith('X:')) {
-      const sj = this.latest.parsed.statusJson || {};
-      const parts = line.substring(2).split(',');
-      if (parts.length >= 2) {
-        sj.nozzleSerial = parts[1].trim();  // Store as nozzleSerial, not serialNumber
-        // console.log('Parser: Nozzle serial from X: line:', sj.nozzleSerial);
-      }
-      this.latest.parsed.statusJson = sj;
-      const normalized = this._buildNormalizedStatus();
-      this.emit('status', normalized);
-      // Don't log static data to avoid UI flashing
-      return;
-    }
-
-    // other tokenized lines: s:, o:, z:, etc. Keep them in parsed.
-    if (/^[sozp]:/.test(line)) {
-      const prefix = line[0];
-      this.latest.parsed[prefix] = line.substring(2);
-      this.emit('log', { line });
-      return;
-    }
-
     // Filament remaining: f:count,len,len2
     if (line.startsWith('f:')) {
       const parts = line.substring(2).split(',');
@@ -107,8 +270,7 @@ class Parser extends EventEmitter {
       if (!Number.isNaN(len1)) sj.filamentRemaining_mm = len1;
       if (!Number.isNaN(len2)) sj.filament2Remaining_mm = len2;
       this.latest.parsed.statusJson = sj;
-      const normalized = this._buildNormalizedStatus();
-      this.emit('status', normalized);
+      this._touchFrame();
       return;
     }
 
@@ -127,8 +289,7 @@ class Parser extends EventEmitter {
         }
       }
       this.latest.parsed.statusJson = sj;
-      const normalized = this._buildNormalizedStatus();
-      this.emit('status', normalized);
+      this._touchFrame();
       return;
     }
 
@@ -140,8 +301,7 @@ class Parser extends EventEmitter {
       if (parts[1]) sj.extruderActual_C = parseFloat(parts[1]);
       if (parts[2]) sj.extruderTarget_C = parseFloat(parts[2]);
       this.latest.parsed.statusJson = sj;
-      const normalized = this._buildNormalizedStatus();
-      this.emit('status', normalized);
+      this._touchFrame();
       return;
     }
 
@@ -152,8 +312,44 @@ class Parser extends EventEmitter {
       if (parts[0] && parts[0] !== '0') sj.bedActual_C = parseFloat(parts[0]);
       if (parts[1]) sj.bedTarget_C = parseFloat(parts[1]);
       this.latest.parsed.statusJson = sj;
-      const normalized = this._buildNormalizedStatus();
-      this.emit('status', normalized);
+      this._touchFrame();
+      return;
+    }
+
+    // XYZv2 status keys (MDU:, ET0:, PRN_STATE:, ...)
+    const v2 = line.match(/^([A-Za-z][A-Za-z0-9_@]+):(.*)$/);
+    if (v2 && (V2_STATUS_FIELD_DECODERS[v2[1]] || v2[1] === 'PRN_STATE' || v2[1] === 'MCH_STATE')) {
+      const [, key, value] = v2;
+      this.latest.parsed[key] = value;
+      const sj = this.latest.parsed.statusJson || {};
+      this.latest.parsed.statusJson = sj;
+      if (key === 'PRN_STATE') {
+        if (toInt(value) !== null) this._updateState(fromV2State(toInt(value)));
+      } else if (key === 'MCH_STATE') {
+        sj.errorCode = toInt(value);
+        this._updateError(sj.errorCode);
+      } else {
+        V2_STATUS_FIELD_DECODERS[key](value, sj);
+      }
+      this._touchFrame();
+      return;
+    }
+
+    // Remaining single-letter status fields from query=a / query=wf
+    const field = line.match(/^([A-Za-z0-9]):(.*)$/);
+    if (field) {
+      const [, letter, value] = field;
+      this.latest.parsed[letter] = value;
+      const decoder = STATUS_FIELD_DECODERS[letter];
+      if (decoder) {
+        const sj = this.latest.parsed.statusJson || {};
+        decoder(value, sj);
+        this.latest.parsed.statusJson = sj;
+        if (letter === 'e') this._updateError(sj.errorCode);
+        this._touchFrame();
+      } else {
+        this._registerUnknownField(letter, line);
+      }
       return;
     }
 
@@ -169,8 +365,7 @@ class Parser extends EventEmitter {
         // if this JSON looks like a status payload (has data) or has a token, handle it
         if (obj.data || obj.command === 2 || obj.result !== undefined) {
           this._mapStatusFromJson(obj);
-          const normalized = this._buildNormalizedStatus();
-          this.emit('status', normalized);
+          this._touchFrame();
         } else {
           // Emit generic json log
           this.emit('log', { type: 'json', json: obj, raw: line });
@@ -193,6 +388,56 @@ class Parser extends EventEmitter {
     this.emit('log', { line });
   }
 
+  /**
+   * Add the current line to the open frame, starting one (and its timeout) if needed
+   */
+  _touchFrame() {
+    if (!this.frame) {
+      this.frame = {
+        lines: 0,
+        startedAt: Date.now(),
+        timer: setTimeout(() => this.flush(false), this.frameTimeoutMs)
+      };
+    }
+    this.frame.lines++;
+  }
+
+  /**
+   * Close the open frame and emit a single 'status' snapshot for it
+   * @param {boolean} complete - true when closed by the "$" terminator, false on timeout
+   */
+  flush(complete = false) {
+    const frame = this.frame;
+    if (!frame) return null;
+    clearTimeout(frame.timer);
+    this.frame = null;
+    this.seq++;
+
+    const normalized = this._buildNormalizedStatus();
+    normalized.frame = {
+      lines: frame.lines,
+      complete,
+      durationMs: Date.now() - frame.startedAt
+    };
+    this.emit('status', normalized);
+    return normalized;
+  }
+
+  /**
+   * Track a status letter we don't understand; it is reported once, then only counted
+   */
+  _registerUnknownField(letter, line) {
+    const known = this.unknownFields.get(letter);
+    if (known) {
+      known.count++;
+      return;
+    }
+    const entry = { letter, count: 1, firstSeen: Date.now(), sample: line };
+    this.unknownFields.set(letter, entry);
+    this.emit('unknownField', entry);
+    this.emit('log', { line: `Unknown status field "${letter}:" (reported once): ${line}` });
+  }
+
   _parseCalibratePayload(payload) {
     // payload might be strictly JSON or something like {"stat":"ok",438,453,...}
     const firstBrace = payload.indexOf('{');
@@ -271,8 +516,12 @@ class Parser extends EventEmitter {
     if (data.fd !== undefined) out.filamentDetected = data.fd;
 
     if (data.j !== undefined) {
-      out.printerState = parseInt(data.j, 10);
-      out.printerStateStr = (typeof data.j === 'string') ? data.j : null;
+      // j may be a bare code (9511) or "code,sub" ("9530,12")
+      const parts = data.j.toString().split(',');
+      const code = parseInt(parts[0], 10);
+      const sub = parts.length > 1 ? parseInt(parts[1], 10) : undefined;
+      this.latest.parsed.statusJson = out;
+      this._updateState(code, sub);
     }
 
     if (data.o && typeof data.o === 'object') {
@@ -290,6 +539,41 @@ class Parser extends EventEmitter {
     this.latest.parsed.statusJson = out;
   }
 
+  /**
+   * Record the printer state code and emit 'stateChange' when it differs from the last one
+   */
+  _updateState(code, sub) {
+    if (Number.isNaN(code)) return;
+    const sj = this.latest.parsed.statusJson || {};
+    const current = describeState(code, Number.isNaN(sub) ? undefined : sub);
+    sj.printerState = current.code;
+    sj.printerSubState = current.sub;
+    sj.printerStateName = current.state;
+    sj.printerStateStr = current.subLabel ? `${current.label} (${current.subLabel})` : current.label;
+    this.latest.parsed.statusJson = sj;
+
+    const previous = this.state;
+    this.state = current;
+    if (previous.code !== current.code || previous.sub !== current.sub) {
+      this.emit('stateChange', { previous, current });
+    }
+  }
+
+  /**
+   * Track the e: error code and emit 'printerError' / 'printerErrorCleared' on transitions
+   */
+  _updateError(code) {
+    const current = describeError(code);
+    const previous = this.activeError;
+    if (current && (!previous || previous.code !== current.code)) {
+      this.activeError = { ...current, timestamp: Date.now() };
+      this.emit('printerError', this.activeError);
+    } else if (!current && previous) {
+      this.activeError = null;
+      this.emit('printerErrorCleared', { code: previous.code });
+    }
+  }
+
   _buildNormalizedStatus() {
     // Build the normalized shape described in the plan. Use best-effort values from latest.parsed
     const p = this.latest.parsed || {};
@@ -297,12 +581,16 @@ class Parser extends EventEmitter {
     const normalized = {
       isValid: true,
       timestamp: Date.now(),
+      seq: this.seq,
       printerState: sj.printerState || (p.j && p.j.code) || null,
+      printerSubState: sj.printerSubState !== undefined ? sj.printerSubState : null,
+      printerStateName: sj.printerStateName || null,
       printerStateStr: sj.printerStateStr || null,
       model: sj.model || null,
       serialNumber: sj.serialNumber || null,
       extruderActual_C: sj.extruderActual_C !== undefined ? sj.extruderActual_C : null,
       extruderTarget_C: sj.extruderTarget_C !== undefined ? sj.extruderTarget_C : null,
+      extruder2Actual_C: sj.extruder2Actual_C !== undefined ? sj.extruder2Actual_C : null,
       bedActual_C: sj.bedActual_C !== undefined ? sj.bedActual_C : null,
       bedTarget_C: sj.bedTarget_C !== undefined ? sj.bedTarget_C : null,
       printPercent: sj.printPercent !== undefined ? sj.printPercent : null,
@@ -314,7 +602,26 @@ class Parser extends EventEmitter {
       filamentMounted: sj.filamentMounted !== undefined ? sj.filamentMounted : null,
       filamentDetected: sj.filamentDetected !== undefined ? sj.filamentDetected : null,
       fileName: sj.fileName || null,
+      fileComplete: sj.fileComplete !== undefined ? sj.fileComplete : null,
       oPacketSize: sj.oPacketSize || (sj.o && sj.o.p) || null,
+      machineName: sj.machineName || null,
+      modelNumber: sj.modelNumber || null,
+      firmwareVersion: sj.firmwareVersion || null,
+      versions: sj.versions || null,
+      errorCode: sj.errorCode !== undefined ? sj.errorCode : null,
+      error: this.activeError,
+      nozzleType: sj.nozzleType !== undefined ? sj.nozzleType : null,
+      nozzleSerial: sj.nozzleSerial || null,
+      calibrated: sj.calibrated !== undefined ? sj.calibrated : null,
+      calibrationValues: sj.calibrationValues || null,
+      autoLevelEnabled: sj.autoLevelEnabled !== undefined ? sj.autoLevelEnabled : null,
+      buzzerEnabled: sj.buzzerEnabled !== undefined ? sj.buzzerEnabled : null,
+      sdCardPresent: sj.sdCardPresent !== undefined ? sj.sdCardPresent : null,
+      zOffset: sj.zOffset !== undefined ? sj.zOffset : null,
+      lifetime: sj.lifetime || null,
+      materialType: sj.materialType !== undefined ? sj.materialType : null,
+      language: sj.language || null,
+      unknownFields: Array.from(this.unknownFields.keys()),
       raw: this.latest.rawLines.slice(-50),
       token: this.token || null,
       rawParsed: this.latest.parsed
@@ -0,0 +1,80 @@
+const Parser = require('../lib/parser');
+const assert = require('assert');
+
+console.log('Running Parser Status Field Tests...');
+
+// XYZv3/query=a reply from a daVinci Nano (SampleUSBDataStream capture)
+const reply = [
+    'c:{357,377,399,373,381,383,388,376,363,0.0,0.0,0.0}',
+    'd:0,0,0',
+    'w:1,GB9XZTH988P001',
+    'e:0',
+    'f:1,1100000',
+    'i:3FNAXPUS5TH7CM0041',
+    'j:9511,0',
+    'L:1,1279,187,108',
+    'm:0,0,0',
+    'o:p8,t1,c1,a+',
+    'p:dv1NX0A000',
+    's:{"fm":0,"fd":1,"sd":"yes","button":"no","buzzer":"on"}',
+    't:1,22,0',
+    'v:3.2.0',
+    'n:daVinci Nano    ',
+    'X:75,GB-0002-0000-TH-7CG-0270-185',
+    'l:en',
+    'z:-469',
+    'Q:mystery',
+    'Q:mystery'
+];
+
+const parser = new Parser();
+const unknown = [];
+parser.on('unknownField', (f) => unknown.push(f));
+reply.forEach(line => parser.feed(line));
+
+try {
+    const status = parser._buildNormalizedStatus();
+    assert.strictEqual(status.calibrationValues.length, 9, 'Calibration values mismatch');
+    assert.strictEqual(status.calibrated, true, 'Calibrated flag mismatch');
+    assert.strictEqual(status.errorCode, 0, 'Error code mismatch');
+    assert.strictEqual(status.filamentRemaining_mm, 1100000, 'Filament Remaining mismatch');
+    assert.strictEqual(status.lifetime.powerOnMin, 1279, 'Lifetime power-on mismatch');
+    assert.strictEqual(status.lifetime.lastPowerOnMin, 108, 'Last power-on mismatch');
+    assert.strictEqual(status.oPacketSize, 8192, 'Packet size mismatch');
+    assert.strictEqual(status.autoLevelEnabled, true, 'Auto-level mismatch');
+    assert.strictEqual(status.modelNumber, 'dv1NX0A000', 'Model number mismatch');
+    assert.strictEqual(status.filamentDetected, 1, 'Filament detected mismatch');
+    assert.strictEqual(status.buzzerEnabled, true, 'Buzzer mismatch');
+    assert.strictEqual(status.sdCardPresent, true, 'SD card mismatch');
+    assert.strictEqual(status.firmwareVersion, '3.2.0', 'Firmware version mismatch');
+    assert.strictEqual(status.machineName, 'daVinci Nano', 'Machine name mismatch');
+    assert.strictEqual(status.model, 'daVinci Nano', 'Model mismatch');
+    assert.strictEqual(status.nozzleType, 75, 'Nozzle type mismatch');
+    assert.strictEqual(status.nozzleSerial, 'GB-0002-0000-TH-7CG-0270-185', 'Nozzle serial mismatch');
+    assert.strictEqual(status.serialNumber, '3FNAXPUS5TH7CM0041', 'Serial Number mismatch');
+    assert.strictEqual(status.language, 'en', 'Language mismatch');
+    assert.strictEqual(status.zOffset, -469, 'Z offset mismatch');
+    assert.strictEqual(unknown.length, 1, 'Unknown field should be reported once');
+    assert.deepStrictEqual(status.unknownFields, ['Q'], 'Unknown field registry mismatch');
+    assert.strictEqual(parser.unknownFields.get('Q').count, 2, 'Unknown field count mismatch');
+
+    // e: transitions produce structured errors
+    const errors = [];
+    const cleared = [];
+    parser.on('printerError', (err) => errors.push(err));
+    parser.on('printerErrorCleared', (ev) => cleared.push(ev));
+    parser.feed('e:515');
+    parser.feed('e:515');
+    parser.feed('e:0');
+    assert.strictEqual(errors.length, 1, 'Error should be emitted once');
+    assert.strictEqual(errors[0].displayCode, '0x00000203', 'Error display code mismatch');
+    assert.strictEqual(errors[0].name, 'M_FILAMENT_JAM', 'Error name mismatch');
+    assert.ok(errors[0].fix, 'Error fix missing');
+    assert.strictEqual(cleared.length, 1, 'Error clear should be emitted once');
+    assert.strictEqual(parser._buildNormalizedStatus().error, null, 'Active error should be cleared');
+
+    console.log('✅ All status field tests passed!');
+} catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exit(1);
+}
@@ -0,0 +1,37 @@
+const Parser = require('../lib/parser');
+const assert = require('assert');
+
+console.log('Running Parser Response Framing Tests...');
+
+const parser = new Parser({ frameTimeoutMs: 50 });
+const snapshots = [];
+parser.on('status', (st) => snapshots.push(st));
+
+// One complete query=a reply -> exactly one snapshot
+['t:1,210,215', 'b:60', 'f:1,1100000', 'j:9502,0', '$'].forEach(line => parser.feed(line));
+
+// A reply that never gets its "$" terminator -> flushed by the timeout
+['t:1,211,215', 'd:12,3,40'].forEach(line => parser.feed(line));
+
+setTimeout(() => {
+    try {
+        assert.strictEqual(snapshots.length, 2, 'Expected one snapshot per response');
+        assert.strictEqual(snapshots[0].seq, 1, 'First sequence number mismatch');
+        assert.strictEqual(snapshots[0].frame.lines, 4, 'First frame line count mismatch');
+        assert.strictEqual(snapshots[0].frame.complete, true, 'First frame should be complete');
+        assert.strictEqual(snapshots[0].extruderActual_C, 210, 'Extruder Actual mismatch');
+        assert.strictEqual(snapshots[0].filamentRemaining_mm, 1100000, 'Filament Remaining mismatch');
+        assert.strictEqual(snapshots[1].seq, 2, 'Second sequence number mismatch');
+        assert.strictEqual(snapshots[1].frame.complete, false, 'Second frame should be flushed by timeout');
+        assert.strictEqual(snapshots[1].printPercent, 12, 'Print Percent mismatch');
+
+        // A bare terminator (e.g. after "ok") does not produce an empty snapshot
+        parser.feed('$');
+        assert.strictEqual(snapshots.length, 2, 'Terminator without lines should not emit');
+
+        console.log('✅ All response framing tests passed!');
+    } catch (e) {
+        console.error('❌ Test failed:', e.message);
+        process.exit(1);
+    }
+}, 150);
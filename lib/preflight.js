@@ -0,0 +1,109 @@
+// lib/preflight.js
+// Pre-print safety checks, run by POST /print (and before a queued job starts):
+//   printer_idle      - the printer reports idle
+//   filament_loaded   - filament detected / mounted (s:{"fd":1,"fm":1})
+//   filament_enough   - the file's extrusion length fits on the RFID spool (f:count,len)
+//   extruder_temp     - highest M104/M109 target within the model's maxExtruderTemp_C
+//   bed_temp          - M140/M190 targets: none on a model without heated bed, else within maxBedTemp_C
+//   build_volume      - size of the extruded moves fits the build volume; moves outside
+//                       0..volume only warn (slicers differ on where the origin is)
+//
+// A check ends as pass, fail, warn or skip (data not available, e.g. no RFID spool or an
+// unreadable .3w). A fail refuses the print unless an operator sends force; warnings are
+// reported with the print. The file figures come from the gcode analysis (lib/gcode_analyzer.js),
+// the cached one when the caller has it.
+
+const { STATE } = require('./printer_states');
+const { analyzeFile } = require('./gcode_analyzer');
+
+const CHECK_STATUS = Object.freeze({
+  PASS: 'pass',
+  FAIL: 'fail',
+  WARN: 'warn',
+  SKIP: 'skip'
+});
+
+function check(id, status, message) {
+  return { id, status, message };
+}
+
+/**
+ * Run the checks for one file
+ * @param {{status: object, capabilities: object, filePath?: string, analysis?: object}} input - latest
+ *   normalized status and capability profile of the printer; the file's analysis, or its path to analyze
+ * @returns {Promise<{ok: boolean, checks: object[], failed: object[], warnings: object[], analysis: object|null}>}
+ */
+async function runPreflight({ status, capabilities, filePath, analysis }) {
+  const st = status || {};
+  const caps = capabilities || {};
+  const checks = [];
+
+  const state = st.printerStateName;
+  checks.push(state === STATE.IDLE
+    ? check('printer_idle', CHECK_STATUS.PASS, 'Printer is idle')
+    : check('printer_idle', CHECK_STATUS.FAIL, `Printer is not idle (${state || 'no status'})`));
+
+  const missing = [['filamentDetected', 'not detected'], ['filamentMounted', 'not mounted']]
+    .filter(([key]) => st[key] === 0 || st[key] === false)
+    .map(([, text]) => text);
+  if (missing.length) checks.push(check('filament_loaded', CHECK_STATUS.FAIL, `Filament ${missing.join(' and ')}`));
+  else if ((st.filamentDetected === null || st.filamentDetected === undefined) && (st.filamentMounted === null || st.filamentMounted === undefined)) {
+    checks.push(check('filament_loaded', CHECK_STATUS.SKIP, 'Printer does not report the filament sensor'));
+  } else checks.push(check('filament_loaded', CHECK_STATUS.PASS, 'Filament loaded'));
+
+  let fileError = null;
+  if (!analysis) {
+    try {
+      analysis = await analyzeFile(filePath);
+    } catch (e) {
+      fileError = e.message;
+    }
+  }
+  const skipFile = id => checks.push(check(id, CHECK_STATUS.SKIP, `File not readable: ${fileError}`));
+
+  const remaining = st.filamentRemaining_mm;
+  if (!analysis) skipFile('filament_enough');
+  else if (!Number.isFinite(remaining)) checks.push(check('filament_enough', CHECK_STATUS.SKIP, 'Spool length unknown (no RFID spool)'));
+  else if (analysis.filament_mm > remaining) {
+    checks.push(check('filament_enough', CHECK_STATUS.FAIL, `File needs ${(analysis.filament_mm / 1000).toFixed(1)} m of filament, ${(remaining / 1000).toFixed(1)} m left on the spool`));
+  } else checks.push(check('filament_enough', CHECK_STATUS.PASS, `${(analysis.filament_mm / 1000).toFixed(1)} m of ${(remaining / 1000).toFixed(1)} m left`));
+
+  if (!analysis) skipFile('extruder_temp');
+  else if (analysis.maxExtruderTemp_C === null) checks.push(check('extruder_temp', CHECK_STATUS.WARN, 'File sets no extruder temperature'));
+  else if (caps.maxExtruderTemp_C && analysis.maxExtruderTemp_C > caps.maxExtruderTemp_C) {
+    checks.push(check('extruder_temp', CHECK_STATUS.FAIL, `Extruder target ${analysis.maxExtruderTemp_C} °C is above the ${caps.maxExtruderTemp_C} °C limit of the ${caps.name || 'printer'}`));
+  } else checks.push(check('extruder_temp', CHECK_STATUS.PASS, `Extruder up to ${analysis.maxExtruderTemp_C} °C`));
+
+  if (!analysis) skipFile('bed_temp');
+  else if (!analysis.maxBedTemp_C) checks.push(check('bed_temp', CHECK_STATUS.PASS, 'No bed heating'));
+  else if (!caps.heatedBed) checks.push(check('bed_temp', CHECK_STATUS.WARN, `File heats the bed to ${analysis.maxBedTemp_C} °C but the ${caps.name || 'printer'} has no heated bed`));
+  else if (analysis.maxBedTemp_C > caps.maxBedTemp_C) {
+    checks.push(check('bed_temp', CHECK_STATUS.FAIL, `Bed target ${analysis.maxBedTemp_C} °C is above the ${caps.maxBedTemp_C} °C limit`));
+  } else checks.push(check('bed_temp', CHECK_STATUS.PASS, `Bed up to ${analysis.maxBedTemp_C} °C`));
+
+  const volume = caps.buildVolume;
+  if (!analysis) skipFile('build_volume');
+  else if (!analysis.bounds || !volume) checks.push(check('build_volume', CHECK_STATUS.SKIP, analysis.bounds ? 'Build volume unknown' : 'No extruding moves found'));
+  else {
+    const { min, max } = analysis.bounds;
+    const size = axis => Math.round((max[axis] - min[axis]) * 10) / 10;
+    const tooBig = ['x', 'y', 'z'].filter(axis => size(axis) > volume[axis]);
+    const outside = ['x', 'y', 'z'].filter(axis => min[axis] < 0 || max[axis] > volume[axis]);
+    const dims = `${size('x')} x ${size('y')} x ${size('z')} mm`;
+    const limit = `${volume.x} x ${volume.y} x ${volume.z} mm`;
+    if (tooBig.length) checks.push(check('build_volume', CHECK_STATUS.FAIL, `Print is ${dims}, larger than the ${limit} build volume (${tooBig.join(', ').toUpperCase()})`));
+    else if (outside.length) checks.push(check('build_volume', CHECK_STATUS.WARN, `Moves reach outside 0..${limit} on ${outside.join(', ').toUpperCase()}`));
+    else checks.push(check('build_volume', CHECK_STATUS.PASS, `Print is ${dims}`));
+  }
+
+  const failed = checks.filter(c => c.status === CHECK_STATUS.FAIL);
+  return {
+    ok: failed.length === 0,
+    checks,
+    failed,
+    warnings: checks.filter(c => c.status === CHECK_STATUS.WARN),
+    analysis: analysis || null
+  };
+}
+
+module.exports = { runPreflight, CHECK_STATUS };
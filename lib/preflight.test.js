@@ -0,0 +1,108 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { runPreflight } = require('../lib/preflight');
+const { analyzeGcode } = require('../lib/gcode_analyzer');
+const { convertGcodeTo3w } = require('../lib/gcode_to_3w');
+const { getCapabilities } = require('../lib/printer_capabilities');
+const assert = require('assert');
+
+console.log('Running Preflight Tests...');
+
+const GCODE = [
+  '; test part',
+  'M104 S210',
+  'M140 S0',
+  'G90',
+  'M82',
+  'G92 E0',
+  'G1 Z0.3 F1200',
+  'G1 X10 Y10',
+  'G1 X60 Y10 E5 ; first line',
+  'G1 E3 ; retract',
+  'G1 X60 Y60',
+  'G1 E5 ; prime',
+  'G1 X10 Y60 E10',
+  'G92 E0',
+  'G91',
+  'G1 Z10',
+  'G1 X5 E2.5',
+  'M109 S215',
+  'G90',
+  'G1 X200 Y200 ; travel only, not part of the print'
+].join('\n');
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'preflight-'));
+  try {
+    const gcodeFile = path.join(tmp, 'part.gcode');
+    fs.writeFileSync(gcodeFile, GCODE);
+    const jr = getCapabilities({ modelNumber: 'dv1J00A000' });
+    const ready = { printerStateName: 'idle', filamentDetected: 1, filamentMounted: 1, filamentRemaining_mm: 100000 };
+    const byId = result => Object.fromEntries(result.checks.map(c => [c.id, c.status]));
+
+    // Everything in order
+    let result = await runPreflight({ status: ready, capabilities: jr, filePath: gcodeFile });
+    assert.strictEqual(result.ok, true, `Preflight should pass: ${JSON.stringify(result.failed)}`);
+    assert.deepStrictEqual(byId(result), {
+      printer_idle: 'pass', filament_loaded: 'pass', filament_enough: 'pass', extruder_temp: 'pass', bed_temp: 'pass', build_volume: 'pass'
+    }, 'All checks should pass');
+    assert.strictEqual(result.analysis.filament_mm, 12.5, 'The file analysis should be returned');
+    assert.match(result.checks.find(c => c.id === 'extruder_temp').message, /215 °C/, 'Extruder check should use the highest target');
+
+    // A cached analysis is used instead of reading the file
+    const cached = await analyzeGcode(GCODE.split('\n'));
+    result = await runPreflight({ status: ready, capabilities: jr, filePath: path.join(tmp, 'missing.gcode'), analysis: cached });
+    assert.strictEqual(result.ok, true, 'Cached analysis should be used');
+    assert.strictEqual(result.analysis, cached, 'Cached analysis should be returned');
+
+    // Printer busy, no filament, spool too short
+    result = await runPreflight({
+      status: { printerStateName: 'printing', filamentDetected: 0, filamentMounted: 1, filamentRemaining_mm: 10 },
+      capabilities: jr,
+      filePath: gcodeFile
+    });
+    assert.strictEqual(result.ok, false, 'Preflight should fail');
+    assert.deepStrictEqual(result.failed.map(c => c.id), ['printer_idle', 'filament_loaded', 'filament_enough'], 'Failed checks mismatch');
+    assert.match(result.failed[0].message, /not idle \(printing\)/, 'Idle message mismatch');
+    assert.match(result.failed[1].message, /Filament not detected/, 'Filament message mismatch');
+
+    // Model limits: too hot, heated bed on a Jr., larger than the build volume
+    const hot = path.join(tmp, 'hot.gcode');
+    fs.writeFileSync(hot, 'M104 S260\nM190 S60\nG92 E0\nG1 X0 Y0 Z0.2\nG1 X180 Y20 E20\n');
+    result = await runPreflight({ status: ready, capabilities: jr, filePath: hot });
+    assert.deepStrictEqual(byId(result), {
+      printer_idle: 'pass', filament_loaded: 'pass', filament_enough: 'pass', extruder_temp: 'fail', bed_temp: 'warn', build_volume: 'fail'
+    }, 'Limit checks mismatch');
+    assert.match(result.warnings[0].message, /no heated bed/, 'Bed warning mismatch');
+    const dv1 = getCapabilities({ modelNumber: 'dvF100B000' });
+    result = await runPreflight({ status: ready, capabilities: dv1, filePath: hot });
+    assert.deepStrictEqual(byId(result).bed_temp, 'pass', 'Heated bed model should accept 60 °C');
+
+    // Unknown data is skipped, not failed
+    result = await runPreflight({ status: { printerStateName: 'idle' }, capabilities: jr, filePath: gcodeFile });
+    assert.strictEqual(result.ok, true, 'Missing sensor data should not fail');
+    assert.strictEqual(byId(result).filament_loaded, 'skip', 'Filament sensor should be skipped');
+    assert.strictEqual(byId(result).filament_enough, 'skip', 'Spool check should be skipped');
+
+    // A .3w is decrypted for the analysis; an unreadable one skips the file checks
+    const w3 = path.join(tmp, 'part.3w');
+    assert.ok((await convertGcodeTo3w(gcodeFile, w3)).success, 'Conversion should succeed');
+    result = await runPreflight({ status: ready, capabilities: jr, filePath: w3 });
+    assert.strictEqual(result.ok, true, '.3w should pass like the gcode');
+    assert.strictEqual(result.analysis.filament_mm, 12.5, '.3w analysis should match the gcode');
+    const bad = path.join(tmp, 'bad.3w');
+    fs.writeFileSync(bad, 'not a 3w file');
+    result = await runPreflight({ status: ready, capabilities: jr, filePath: bad });
+    assert.strictEqual(result.ok, true, 'Unreadable file alone should not fail');
+    assert.strictEqual(byId(result).build_volume, 'skip', 'File checks should be skipped');
+    assert.match(result.checks.find(c => c.id === 'build_volume').message, /not readable/, 'Skip reason mismatch');
+
+    console.log('✅ All preflight tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
@@ -0,0 +1,194 @@
+// lib/print_start_supervisor.js
+// Print start supervision: after a file has been sent, watch the status stream until the
+// printer heats up / prints, and report a diagnostic when it does not ("stuck validating
+// after 3 min", "printer back to idle without starting", a printer error).
+//
+// How the print gets started is a strategy (config.json "printStart": { "strategy": ... },
+// or per print request):
+//   auto      - wait: the printer validates the file and starts on its own (XYZware's way)
+//   reconnect - close and reopen the port, then send {"command":6,"state":2} with a fresh token
+//   command   - send the start command right away
+// STRATEGIES maps the names to functions; XYZv2 printers always use 'auto' (no start command).
+//
+// Events: 'result' with { ok, filename, strategy, state, elapsedMs, error? }
+
+const EventEmitter = require('events');
+const { STATE } = require('./printer_states');
+const { SEVERITY } = require('./printer_errors');
+
+const DEFAULT_OPTIONS = {
+  strategy: 'auto',
+  timeoutMs: 180000,   // give up when the print has not started by then
+  tokenWaitMs: 3000,   // reconnect: how long to wait for a fresh token before sending anyway
+  startDelayMs: 0      // command: pause before sending the start command
+};
+
+// States that mean the print has begun
+const STARTED_STATES = [STATE.HEATING, STATE.PRINTING];
+
+/**
+ * Start command of the XYZv3 JSON protocol (state 2 = start / resume)
+ */
+function startCommand(token) {
+  return JSON.stringify({ command: 6, state: 2, token: token || '' });
+}
+
+const STRATEGIES = {
+  async auto(ctx) {
+    ctx.log('Waiting for the printer to validate the file and start on its own');
+  },
+
+  async reconnect(ctx) {
+    ctx.log('Reconnecting to the printer before sending the start command');
+    ctx.clearToken();
+    await ctx.reconnect();
+    const token = await ctx.waitForToken(ctx.options.tokenWaitMs);
+    ctx.log(token ? 'Got a fresh token, sending the start command' : 'No fresh token, sending the start command without one');
+    await ctx.send(startCommand(token));
+  },
+
+  async command(ctx) {
+    if (ctx.options.startDelayMs) await new Promise(resolve => setTimeout(resolve, ctx.options.startDelayMs));
+    ctx.log('Sending the start command');
+    await ctx.send(startCommand(ctx.token()));
+  }
+};
+
+function formatDuration(ms) {
+  return ms >= 60000 ? `${Math.round(ms / 60000)} min` : `${Math.round(ms / 1000)}s`;
+}
+
+class PrintStartSupervisor extends EventEmitter {
+  /**
+   * @param {{parser: Parser, send: Function, reconnect: Function, protocol: Function, log?: Function}} deps
+   *   parser: status / token events; send(command): promise; reconnect(): promise resolved once the
+   *   link is ready again; protocol(): 'v3' / 'v2'; log(msg): progress messages for the UI
+   * @param {object} [options] - see DEFAULT_OPTIONS
+   */
+  constructor(deps, options = {}) {
+    super();
+    this.deps = deps;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.current = null; // { filename, strategy, startedAt, finish }
+  }
+
+  /**
+   * Strategy names accepted by watch()
+   */
+  static get strategies() {
+    return Object.keys(STRATEGIES);
+  }
+
+  get active() {
+    return this.current !== null;
+  }
+
+  /**
+   * Start the print of a just-uploaded file and watch for it to begin.
+   * A watch still running for an earlier file is ended first.
+   * @param {{filename: string, strategy?: string}} job
+   * @returns {Promise<{ok: boolean, filename: string, strategy: string, state: string|null, elapsedMs: number, error?: string}>}
+   */
+  watch({ filename, strategy }) {
+    let name = strategy || this.options.strategy;
+    if (!STRATEGIES[name]) return Promise.reject(new Error(`Unknown print start strategy: ${name}`));
+    if (this.deps.protocol() === 'v2' && name !== 'auto') {
+      this._log(`XYZv2 printers start on their own - ignoring the "${name}" strategy`);
+      name = 'auto';
+    }
+    this.stop('superseded by a new print');
+
+    return new Promise((resolve) => {
+      const { parser } = this.deps;
+      const startedAt = Date.now();
+      let lastState = null;
+      let leftIdle = false; // seen validating (or anything but idle) since the upload
+
+      const finish = (ok, error) => {
+        if (this.current !== job) return;
+        this.current = null;
+        clearTimeout(timer);
+        parser.removeListener('status', onStatus);
+        const result = { ok, filename, strategy: name, state: lastState, elapsedMs: Date.now() - startedAt };
+        if (error) result.error = error;
+        if (ok) console.log(`[PRINT START] ${filename}: started (${lastState}) after ${formatDuration(result.elapsedMs)} [${name}]`);
+        else console.warn(`[PRINT START] ${filename}: ${error} [${name}]`);
+        this.emit('result', result);
+        resolve(result);
+      };
+
+      const onStatus = (st) => {
+        const state = st.printerStateName || null;
+        if (!state) return;
+        lastState = state;
+        if (STARTED_STATES.includes(state)) {
+          finish(true);
+        } else if (state === STATE.ERROR || (st.error && st.error.severity === SEVERITY.FATAL)) {
+          const err = st.error;
+          finish(false, err ? `printer error ${err.displayCode}: ${err.title}` : 'printer reported a fatal error');
+        } else if (state === STATE.IDLE && leftIdle) {
+          finish(false, 'printer went back to idle without starting (file rejected?)');
+        } else if (state !== STATE.IDLE) {
+          leftIdle = true;
+        }
+      };
+
+      const timer = setTimeout(() => {
+        const elapsed = formatDuration(this.options.timeoutMs);
+        if (!lastState) finish(false, `no status from the printer for ${elapsed}`);
+        else if (lastState === STATE.IDLE && !leftIdle) finish(false, `printer never started validating the file (idle after ${elapsed})`);
+        else finish(false, `stuck ${lastState} after ${elapsed}`);
+      }, this.options.timeoutMs);
+
+      const job = { filename, strategy: name, startedAt, finish };
+      this.current = job;
+      parser.on('status', onStatus);
+      this._log(`Watching for ${filename} to start (${name})`);
+
+      const ctx = {
+        options: this.options,
+        send: command => this.deps.send(command),
+        reconnect: () => this.deps.reconnect(),
+        token: () => parser.token || '',
+        clearToken: () => { parser.token = null; },
+        waitForToken: timeoutMs => this._waitForToken(timeoutMs),
+        log: msg => this._log(msg)
+      };
+      Promise.resolve()
+        .then(() => STRATEGIES[name](ctx))
+        .catch(err => finish(false, `${name} strategy failed: ${err.message}`));
+    });
+  }
+
+  /**
+   * End the running watch (reported as a failure with the reason)
+   */
+  stop(reason = 'stopped') {
+    if (this.current) this.current.finish(false, reason);
+  }
+
+  // --- internals ----------------------------------------------------------
+
+  _log(msg) {
+    console.log(`[PRINT START] ${msg}`);
+    if (this.deps.log) this.deps.log(msg);
+  }
+
+  _waitForToken(timeoutMs) {
+    const { parser } = this.deps;
+    if (parser.token) return Promise.resolve(parser.token);
+    return new Promise((resolve) => {
+      const onToken = (token) => {
+        clearTimeout(timer);
+        resolve(token);
+      };
+      const timer = setTimeout(() => {
+        parser.removeListener('token', onToken);
+        resolve(null);
+      }, timeoutMs);
+      parser.once('token', onToken);
+    });
+  }
+}
+
+module.exports = { PrintStartSupervisor, STRATEGIES, DEFAULT_OPTIONS, startCommand };
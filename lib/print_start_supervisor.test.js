@@ -0,0 +1,158 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const { PrintStartSupervisor, startCommand } = require('../lib/print_start_supervisor');
+const { PrinterSession, resolvePrinterConfigs } = require('../lib/printer_session');
+const assert = require('assert');
+
+console.log('Running Print Start Supervisor Tests...');
+
+// Parser stand-in: tests push statuses and tokens through it
+function fakeDeps(protocol = 'v3') {
+  const parser = new EventEmitter();
+  parser.token = null;
+  const deps = {
+    parser,
+    sent: [],
+    reconnects: 0,
+    send: async (command) => { deps.sent.push(command); },
+    reconnect: async () => { deps.reconnects++; },
+    protocol: () => protocol,
+    status: state => parser.emit('status', { printerStateName: state, error: null })
+  };
+  return deps;
+}
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'print-start-'));
+  try {
+    // auto: validating, then heating counts as started
+    let deps = fakeDeps();
+    let sup = new PrintStartSupervisor(deps, { timeoutMs: 1000 });
+    const results = [];
+    sup.on('result', r => results.push(r));
+    let pending = sup.watch({ filename: 'a.3w' });
+    assert.strictEqual(sup.active, true, 'Watch should be active');
+    deps.status('idle');
+    deps.status('validating');
+    deps.status('heating');
+    let result = await pending;
+    assert.strictEqual(result.ok, true, 'Heating should count as started');
+    assert.strictEqual(result.state, 'heating', 'Result state mismatch');
+    assert.strictEqual(result.strategy, 'auto', 'Default strategy should be auto');
+    assert.deepStrictEqual(deps.sent, [], 'auto should not send anything');
+    assert.strictEqual(results.length, 1, 'Result should be emitted');
+    assert.strictEqual(sup.active, false, 'Watch should end');
+
+    // A printer that keeps validating is reported as stuck
+    deps = fakeDeps();
+    sup = new PrintStartSupervisor(deps, { timeoutMs: 60 });
+    pending = sup.watch({ filename: 'b.3w' });
+    deps.status('validating');
+    result = await pending;
+    assert.strictEqual(result.ok, false, 'Timeout should fail');
+    assert.match(result.error, /^stuck validating after/, 'Diagnostic should name the state');
+
+    // Back to idle after validating means the file was not accepted
+    deps = fakeDeps();
+    sup = new PrintStartSupervisor(deps, { timeoutMs: 1000 });
+    pending = sup.watch({ filename: 'c.3w' });
+    deps.status('validating');
+    deps.status('idle');
+    result = await pending;
+    assert.match(result.error, /back to idle/, 'Idle after validating should fail');
+
+    // Never leaving idle and no status at all get their own diagnostics
+    deps = fakeDeps();
+    sup = new PrintStartSupervisor(deps, { timeoutMs: 40 });
+    pending = sup.watch({ filename: 'd.3w' });
+    deps.status('idle');
+    assert.match((await pending).error, /never started validating/, 'Idle throughout mismatch');
+    assert.match((await sup.watch({ filename: 'd.3w' })).error, /no status from the printer/, 'Silence mismatch');
+
+    // A printer error ends the watch
+    deps = fakeDeps();
+    sup = new PrintStartSupervisor(deps, { timeoutMs: 1000 });
+    pending = sup.watch({ filename: 'e.3w' });
+    deps.parser.emit('status', { printerStateName: 'error', error: { displayCode: '0x00000101', title: 'Extruder heating timed out', severity: 'fatal' } });
+    assert.match((await pending).error, /printer error 0x00000101: Extruder heating timed out/, 'Printer error mismatch');
+
+    // command: start command with the current token
+    deps = fakeDeps();
+    deps.parser.token = 'TK1';
+    sup = new PrintStartSupervisor(deps, { timeoutMs: 1000 });
+    pending = sup.watch({ filename: 'f.3w', strategy: 'command' });
+    await tick();
+    assert.deepStrictEqual(deps.sent, [startCommand('TK1')], 'Start command should carry the token');
+    deps.status('heating');
+    assert.strictEqual((await pending).ok, true, 'command strategy should succeed');
+
+    // reconnect: token is cleared, the fresh one is used
+    deps = fakeDeps();
+    deps.parser.token = 'OLD';
+    deps.reconnect = async () => {
+      deps.reconnects++;
+      setTimeout(() => { deps.parser.token = 'NEW'; deps.parser.emit('token', 'NEW'); }, 5);
+    };
+    sup = new PrintStartSupervisor(deps, { timeoutMs: 1000, tokenWaitMs: 200 });
+    pending = sup.watch({ filename: 'g.3w', strategy: 'reconnect' });
+    await tick(30);
+    assert.strictEqual(deps.reconnects, 1, 'Link should be reopened');
+    assert.deepStrictEqual(deps.sent, [startCommand('NEW')], 'Fresh token should be used');
+    deps.status('printing');
+    assert.strictEqual((await pending).ok, true, 'reconnect strategy should succeed');
+
+    // A failing strategy is reported, unknown strategies are refused, XYZv2 always waits
+    deps = fakeDeps();
+    deps.reconnect = async () => { throw new Error('port gone'); };
+    sup = new PrintStartSupervisor(deps, { timeoutMs: 1000 });
+    assert.match((await sup.watch({ filename: 'h.3w', strategy: 'reconnect' })).error, /reconnect strategy failed: port gone/);
+    await assert.rejects(sup.watch({ filename: 'h.3w', strategy: 'pray' }), /Unknown print start strategy/);
+    deps = fakeDeps('v2');
+    sup = new PrintStartSupervisor(deps, { timeoutMs: 1000 });
+    pending = sup.watch({ filename: 'i.3w', strategy: 'command' });
+    deps.status('heating');
+    result = await pending;
+    assert.strictEqual(result.strategy, 'auto', 'XYZv2 should fall back to auto');
+    assert.deepStrictEqual(deps.sent, [], 'No start command on XYZv2');
+
+    // A new print supersedes the running watch
+    deps = fakeDeps();
+    sup = new PrintStartSupervisor(deps, { timeoutMs: 1000 });
+    const first = sup.watch({ filename: 'j.3w' });
+    const second = sup.watch({ filename: 'k.3w' });
+    assert.match((await first).error, /superseded/, 'First watch should be superseded');
+    deps.status('heating');
+    assert.strictEqual((await second).filename, 'k.3w', 'Second watch should report its file');
+
+    // Against the simulator: the printer keeps validating across a reconnect and starts on command
+    const io = { to: () => ({ emit() {} }) };
+    const [cfg] = resolvePrinterConfigs({
+      pollIntervalMs: 100,
+      printStart: { timeoutMs: 5000, tokenWaitMs: 100 },
+      printers: [{ id: 'jr', serialPath: 'sim://davinci-jr', uploadsDir: path.join(tmp, 'jr'), simulator: { responseDelayMs: 1, validateMs: 600000 } }]
+    });
+    const session = new PrinterSession(cfg, io);
+    session.start();
+    await tick(400);
+    const simPrinter = session.serial.port.printer;
+    simPrinter.printFile = 'sim.3w';
+    simPrinter.state = 9520;
+    const firstPort = session.serial.port;
+    result = await session.printStart.watch({ filename: 'sim.3w', strategy: 'reconnect' });
+    assert.strictEqual(result.ok, true, `Simulated print should start: ${result.error}`);
+    assert.notStrictEqual(session.serial.port, firstPort, 'Port should have been reopened');
+    assert.strictEqual(session.serial.port.printer, simPrinter, 'Virtual printer should survive the reconnect');
+    await new Promise(resolve => session.stop(resolve));
+
+    console.log('✅ All print start supervisor tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
@@ -0,0 +1,132 @@
+// lib/printer_capabilities.js
+// Capability profiles for XYZ / Da Vinci printers.
+// Keyed by the model number the printer reports in query=wf ("p:dv1NX0A000"), with
+// optional firmware-specific adjustments. Used by the server (upload block size,
+// protocol) and the UI (which controls to show).
+//
+// Model numbers, names, build volumes and heated beds follow miniMover's printer info table
+// (XYZV3::indexToInfo). Note dv1JSOA000 (Jr. 1.0 3in1 open filament) spells "O", not zero.
+
+const DEFAULT_BLOCK_SIZE_V3 = 8192;
+const DEFAULT_BLOCK_SIZE_V2 = 10236;
+
+// Nozzle type ids as reported in "X:type,serial" / the .3w header "nozzle_type"
+const NOZZLE_TYPES = Object.freeze({
+  75: { id: 75, name: 'Standard 0.3 mm', diameter_mm: 0.3, kind: 'fdm' },
+  77: { id: 77, name: 'Standard 0.4 mm', diameter_mm: 0.4, kind: 'fdm' },
+  78: { id: 78, name: 'Hardened 0.4 mm', diameter_mm: 0.4, kind: 'fdm' },
+  84: { id: 84, name: 'Laser engraver module', diameter_mm: null, kind: 'laser' }
+});
+
+const BASE_PROFILE = Object.freeze({
+  name: 'Unknown XYZ printer',
+  buildVolume: { x: 150, y: 150, z: 150 },
+  heatedBed: false,
+  calibration: 'manual', // 'manual' = probe lowered/raised by the user, 'auto' = fully automatic
+  autoLevel: false,
+  protocol: 'v3',
+  uploadBlockSize: DEFAULT_BLOCK_SIZE_V3,
+  laserEngraver: false,
+  nozzleTypes: [77],
+  maxExtruderTemp_C: 240,
+  maxBedTemp_C: 0
+});
+
+// modelNumber -> overrides on top of BASE_PROFILE
+const MODELS = Object.freeze({
+  dvF100B000: { name: 'da Vinci 1.0', buildVolume: { x: 200, y: 200, z: 200 }, heatedBed: true, calibration: 'auto', autoLevel: true, protocol: 'v2', uploadBlockSize: DEFAULT_BLOCK_SIZE_V2, maxBedTemp_C: 100 },
+  dvF100A000: { name: 'da Vinci 1.0A', buildVolume: { x: 200, y: 200, z: 200 }, heatedBed: true, calibration: 'auto', autoLevel: true, protocol: 'v2', uploadBlockSize: DEFAULT_BLOCK_SIZE_V2, maxBedTemp_C: 100 },
+  dvF10SA000: { name: 'da Vinci 1.0 AiO', buildVolume: { x: 200, y: 200, z: 190 }, heatedBed: true, calibration: 'auto', autoLevel: true, protocol: 'v2', uploadBlockSize: DEFAULT_BLOCK_SIZE_V2, maxBedTemp_C: 100 },
+  dvF110B000: { name: 'da Vinci 1.1 Plus', buildVolume: { x: 200, y: 200, z: 200 }, heatedBed: true, calibration: 'auto', autoLevel: true, protocol: 'v2', uploadBlockSize: DEFAULT_BLOCK_SIZE_V2, maxBedTemp_C: 100 },
+  dvF200B000: { name: 'da Vinci 2.0 Duo', buildVolume: { x: 200, y: 200, z: 150 }, heatedBed: true, calibration: 'auto', autoLevel: true, protocol: 'v2', uploadBlockSize: DEFAULT_BLOCK_SIZE_V2, maxBedTemp_C: 100 },
+  dvF200A000: { name: 'da Vinci 2.0A Duo', buildVolume: { x: 200, y: 200, z: 150 }, heatedBed: true, calibration: 'auto', autoLevel: true, protocol: 'v2', uploadBlockSize: DEFAULT_BLOCK_SIZE_V2, maxBedTemp_C: 100 },
+  dv1J00A000: { name: 'da Vinci Jr. 1.0', buildVolume: { x: 150, y: 150, z: 150 } },
+  dv1JA0A000: { name: 'da Vinci Jr. 1.0A', buildVolume: { x: 175, y: 175, z: 175 } },
+  dv1JW0A000: { name: 'da Vinci Jr. 1.0w', buildVolume: { x: 150, y: 150, z: 150 } },
+  dv1JS0A000: { name: 'da Vinci Jr. 1.0 3in1', buildVolume: { x: 150, y: 150, z: 150 }, laserEngraver: true, nozzleTypes: [77, 84] },
+  dv1JSOA000: { name: 'da Vinci Jr. 1.0 3in1 (Open filament)', buildVolume: { x: 150, y: 150, z: 150 }, laserEngraver: true, nozzleTypes: [77, 84] },
+  dv2JW0A000: { name: 'da Vinci Jr. 2.0 Mix', buildVolume: { x: 150, y: 150, z: 150 } },
+  dv1MX0A000: { name: 'da Vinci miniMaker', buildVolume: { x: 150, y: 150, z: 150 }, nozzleTypes: [75] },
+  dv1MW0A000: { name: 'da Vinci mini w', buildVolume: { x: 150, y: 150, z: 150 }, nozzleTypes: [75] },
+  dv1MW0B000: { name: 'da Vinci mini wA', buildVolume: { x: 150, y: 150, z: 150 }, nozzleTypes: [75] },
+  dv1MW0C000: { name: 'da Vinci mini w+', buildVolume: { x: 150, y: 150, z: 150 }, nozzleTypes: [75] },
+  dv1NX0A000: { name: 'da Vinci nano', buildVolume: { x: 120, y: 120, z: 120 }, calibration: 'auto', autoLevel: true, nozzleTypes: [75] },
+  dv1NW0A000: { name: 'da Vinci nano w', buildVolume: { x: 120, y: 120, z: 120 }, calibration: 'auto', autoLevel: true, nozzleTypes: [75] },
+  dv1JP0A000: { name: 'da Vinci Jr. 1.0 Pro', buildVolume: { x: 150, y: 150, z: 150 }, laserEngraver: true, nozzleTypes: [77, 78, 84] },
+  dv1JPWA000: { name: 'da Vinci Jr. 1.0w Pro', buildVolume: { x: 150, y: 150, z: 150 }, laserEngraver: true, nozzleTypes: [77, 78, 84] },
+  dvF1W0A000: { name: 'da Vinci 1.0 Pro', buildVolume: { x: 200, y: 200, z: 200 }, heatedBed: true, calibration: 'auto', autoLevel: true, nozzleTypes: [77, 78], maxBedTemp_C: 100 },
+  dvF1WSA000: { name: 'da Vinci 1.0 Pro 3in1', buildVolume: { x: 200, y: 200, z: 190 }, heatedBed: true, calibration: 'auto', autoLevel: true, laserEngraver: true, nozzleTypes: [77, 78, 84], maxBedTemp_C: 100 },
+  dv1SW0A000: { name: 'da Vinci Super', buildVolume: { x: 300, y: 300, z: 300 }, heatedBed: true, calibration: 'auto', autoLevel: true, nozzleTypes: [77, 78], maxBedTemp_C: 100 }
+});
+
+// Firmware-specific adjustments, applied in order when the model matches and the
+// reported firmware is older than `below`.
+const FIRMWARE_RULES = [
+  // Jr. 1.0 firmware before 2.0 predates the laser module support
+  { models: ['dv1JS0A000', 'dv1JSOA000', 'dv1JP0A000', 'dv1JPWA000'], below: '2.0.0', changes: { laserEngraver: false, nozzleTypes: [77] } }
+];
+
+/**
+ * Compare dotted version strings ("3.2.0" vs "3.10.1")
+ * @returns {number} <0, 0 or >0
+ */
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Find the model number for a printer that only reported its machine name
+ */
+function guessModelNumber(machineName) {
+  if (!machineName) return null;
+  const compact = (str) => str.toLowerCase().replace(/[\s.]+/g, '');
+  const name = compact(machineName);
+  const entry = Object.entries(MODELS).find(([, m]) => compact(m.name) === name);
+  if (entry) return entry[0];
+  if (name.includes('nano')) return 'dv1NX0A000';
+  // the miniMaker has no wifi; every other mini is a mini w variant
+  if (name.includes('mini')) return name.includes('maker') ? 'dv1MX0A000' : 'dv1MW0A000';
+  if (name.includes('jr')) return 'dv1J00A000';
+  return null;
+}
+
+/**
+ * Resolve the capability profile for a printer
+ * @param {{modelNumber?: string, firmwareVersion?: string, machineName?: string, protocol?: string}} info
+ *   protocol is the one the printer answered the connection handshake with
+ * @returns {object} capability profile (always returns a profile; `known` tells whether the model was recognised)
+ */
+function getCapabilities(info = {}) {
+  const modelNumber = info.modelNumber || guessModelNumber(info.machineName);
+  const model = modelNumber ? MODELS[modelNumber] : null;
+  const caps = {
+    ...BASE_PROFILE,
+    ...(model || {}),
+    modelNumber: modelNumber || null,
+    firmwareVersion: info.firmwareVersion || null,
+    known: !!model
+  };
+
+  if (model && info.firmwareVersion) {
+    FIRMWARE_RULES
+      .filter(rule => rule.models.includes(modelNumber) && compareVersions(info.firmwareVersion, rule.below) < 0)
+      .forEach(rule => Object.assign(caps, rule.changes));
+  }
+
+  // What the printer actually speaks wins over the model table
+  if (info.protocol && info.protocol !== caps.protocol) {
+    caps.protocol = info.protocol;
+    caps.uploadBlockSize = info.protocol === 'v2' ? DEFAULT_BLOCK_SIZE_V2 : DEFAULT_BLOCK_SIZE_V3;
+  }
+
+  caps.nozzles = caps.nozzleTypes.map(id => NOZZLE_TYPES[id] || { id, name: `Nozzle type ${id}`, diameter_mm: null, kind: 'fdm' });
+  return caps;
+}
+
+module.exports = { MODELS, NOZZLE_TYPES, DEFAULT_BLOCK_SIZE_V3, DEFAULT_BLOCK_SIZE_V2, getCapabilities, guessModelNumber, compareVersions };
@@ -0,0 +1,72 @@
+const { getCapabilities, guessModelNumber, compareVersions, MODELS, DEFAULT_BLOCK_SIZE_V2, DEFAULT_BLOCK_SIZE_V3 } = require('../lib/printer_capabilities');
+const assert = require('assert');
+
+console.log('Running Printer Capability Tests...');
+
+try {
+    // Version comparison
+    assert.ok(compareVersions('3.10.1', '3.2.0') > 0, '3.10.1 should be newer than 3.2.0');
+    assert.ok(compareVersions('1.9', '2.0.0') < 0, '1.9 should be older than 2.0.0');
+    assert.strictEqual(compareVersions('2.0', '2.0.0'), 0, 'Missing parts should count as 0');
+    assert.strictEqual(compareVersions('2.x.1', '2.0.1'), 0, 'Non-numeric parts should count as 0');
+
+    // Model numbers and names as in miniMover
+    assert.strictEqual(MODELS.dv1MX0A000.name, 'da Vinci miniMaker', 'dv1MX0A000 name mismatch');
+    assert.strictEqual(MODELS.dv1MW0A000.name, 'da Vinci mini w', 'dv1MW0A000 name mismatch');
+    assert.strictEqual(MODELS.dv1MW0B000.name, 'da Vinci mini wA', 'dv1MW0B000 name mismatch');
+    assert.strictEqual(MODELS.dv1MW0C000.name, 'da Vinci mini w+', 'dv1MW0C000 name mismatch');
+    assert.strictEqual(MODELS.dv1JSOA000.name, 'da Vinci Jr. 1.0 3in1 (Open filament)', 'dv1JSOA000 name mismatch');
+
+    // Known model
+    let caps = getCapabilities({ modelNumber: 'dv1NX0A000', firmwareVersion: '1.1.0' });
+    assert.strictEqual(caps.known, true, 'nano should be known');
+    assert.strictEqual(caps.name, 'da Vinci nano', 'nano name mismatch');
+    assert.deepStrictEqual(caps.buildVolume, { x: 120, y: 120, z: 120 }, 'nano build volume mismatch');
+    assert.strictEqual(caps.calibration, 'auto', 'nano should calibrate itself');
+    assert.strictEqual(caps.firmwareVersion, '1.1.0', 'Firmware version should be kept');
+    assert.deepStrictEqual(caps.nozzles.map(n => n.diameter_mm), [0.3], 'nano nozzle mismatch');
+
+    // XYZv2 models
+    caps = getCapabilities({ modelNumber: 'dvF100B000' });
+    assert.strictEqual(caps.protocol, 'v2', 'da Vinci 1.0 should speak v2');
+    assert.strictEqual(caps.uploadBlockSize, DEFAULT_BLOCK_SIZE_V2, 'v2 block size mismatch');
+    assert.strictEqual(caps.heatedBed, true, 'da Vinci 1.0 has a heated bed');
+
+    // The protocol the printer answered with wins over the table
+    caps = getCapabilities({ modelNumber: 'dvF100B000', protocol: 'v3' });
+    assert.strictEqual(caps.protocol, 'v3', 'Handshake protocol should win');
+    assert.strictEqual(caps.uploadBlockSize, DEFAULT_BLOCK_SIZE_V3, 'Block size should follow the protocol');
+
+    // Firmware rules: old Jr. 3in1 firmware has no laser support
+    caps = getCapabilities({ modelNumber: 'dv1JSOA000', firmwareVersion: '1.2.0' });
+    assert.strictEqual(caps.laserEngraver, false, 'Old firmware should not offer the laser');
+    assert.deepStrictEqual(caps.nozzleTypes, [77], 'Old firmware nozzle types mismatch');
+    caps = getCapabilities({ modelNumber: 'dv1JSOA000', firmwareVersion: '2.1.0' });
+    assert.strictEqual(caps.laserEngraver, true, 'New firmware should offer the laser');
+    assert.strictEqual(caps.nozzles.find(n => n.id === 84).kind, 'laser', 'Laser module mismatch');
+    assert.strictEqual(MODELS.dv1JS0A000.laserEngraver, true, 'Rules should not change the table');
+
+    // Unknown model: base profile
+    caps = getCapabilities({ modelNumber: 'dvXXXXXXXX' });
+    assert.strictEqual(caps.known, false, 'Unknown model should not be known');
+    assert.strictEqual(caps.name, 'Unknown XYZ printer', 'Unknown name mismatch');
+    assert.strictEqual(caps.modelNumber, 'dvXXXXXXXX', 'Unknown model number should be kept');
+    assert.strictEqual(getCapabilities().modelNumber, null, 'No info should give no model number');
+
+    // Model guessed from the machine name
+    assert.strictEqual(guessModelNumber('da Vinci mini w+'), 'dv1MW0C000', 'Exact name should match');
+    assert.strictEqual(guessModelNumber('DA VINCI JR. 1.0 PRO'), 'dv1JP0A000', 'Match should ignore case, dots and spaces');
+    assert.strictEqual(guessModelNumber('da Vinci miniMaker'), 'dv1MX0A000', 'miniMaker mismatch');
+    assert.strictEqual(guessModelNumber('XYZ mini maker'), 'dv1MX0A000', 'Other miniMaker names mismatch');
+    assert.strictEqual(guessModelNumber('da Vinci mini'), 'dv1MW0A000', 'Other minis should be a mini w');
+    assert.strictEqual(guessModelNumber('da Vinci nano 2'), 'dv1NX0A000', 'Other nanos should be a nano');
+    assert.strictEqual(guessModelNumber('da Vinci Junior'), null, 'Unknown name should give null');
+    assert.strictEqual(guessModelNumber('Jr 1.0 (custom)'), 'dv1J00A000', 'Other Jr names should be a Jr. 1.0');
+    assert.strictEqual(guessModelNumber(''), null, 'Empty name should give null');
+    assert.strictEqual(getCapabilities({ machineName: 'da Vinci mini wA' }).modelNumber, 'dv1MW0B000', 'getCapabilities should use the machine name');
+
+    console.log('✅ All printer capability tests passed!');
+} catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exit(1);
+}
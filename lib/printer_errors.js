@@ -0,0 +1,307 @@
+// lib/printer_errors.js
+// XYZv3 error / warning code dictionary.
+// The printer reports its error status as "e:value" in the query=a reply (0 = no error).
+// Codes and names follow miniMover (XYZV3::translateErrorCode / errorCodeToStr): the low 16 bits
+// of the value are the code, older firmware sends small codes that map onto the current ones,
+// and codes are shown as 0x%08x like miniMover prints them ("Error: (0x00000101)M_THERMAL_...").
+// The high byte of the value is kept as `flags`.
+//
+// Each entry carries the firmware name, a severity, a readable description and a suggested
+// fix so the dashboard can show something more useful than the bare number.
+
+const SEVERITY = Object.freeze({
+  INFO: 'info',
+  WARNING: 'warning',
+  ERROR: 'error',
+  FATAL: 'fatal'
+});
+
+// code -> { name, severity, title, description, fix }
+const ERROR_CODES = Object.freeze({
+  0x001b: {
+    name: 'M_MACHINE_BUSY',
+    severity: SEVERITY.INFO,
+    title: 'Printer busy',
+    description: 'The printer is busy with another task and did not take the command.',
+    fix: 'Wait for the current task to finish, then try again.'
+  },
+  0x001f: {
+    name: 'scanner error',
+    severity: SEVERITY.ERROR,
+    title: 'Scanner error',
+    description: 'The scanner module reported an error.',
+    fix: 'Power cycle the printer and check the scanner module.'
+  },
+  0x0020: {
+    name: 'scanner busy',
+    severity: SEVERITY.INFO,
+    title: 'Scanner busy',
+    description: 'The scanner module is busy.',
+    fix: 'Wait for the scan to finish.'
+  },
+  0x0101: {
+    name: 'M_THERMAL_HEATER_OUT_TIMER',
+    severity: SEVERITY.ERROR,
+    title: 'Extruder heating timed out',
+    description: 'The extruder did not reach its target temperature in time.',
+    fix: 'Check the extruder heater cable, then retry. Replace the nozzle module if it persists.'
+  },
+  0x0102: {
+    name: 'M_THERMAL_BED_OUT_TIMER',
+    severity: SEVERITY.ERROR,
+    title: 'Bed heating timed out',
+    description: 'The heated bed did not reach its target temperature in time.',
+    fix: 'Check the bed heater cable and connector under the platform.'
+  },
+  0x0103: {
+    name: 'M_THERMAL_HEATER_OUT_CONTROL',
+    severity: SEVERITY.FATAL,
+    title: 'Extruder temperature out of control',
+    description: 'The extruder temperature left the safe range (thermal runaway or a faulty thermistor).',
+    fix: 'Let the printer cool down and power cycle it. Reseat the nozzle module; replace it if the error returns.'
+  },
+  0x0104: {
+    name: 'M_THERMAL_BED_OUT_CONTROL',
+    severity: SEVERITY.FATAL,
+    title: 'Bed temperature out of control',
+    description: 'The bed temperature left the safe range (thermal runaway or a faulty thermistor).',
+    fix: 'Let the printer cool down and power cycle it. Check the bed thermistor wiring under the platform.'
+  },
+  0x0105: {
+    name: 'L_ERROR_SD_CARD',
+    severity: SEVERITY.ERROR,
+    title: 'SD card error',
+    description: 'The internal SD card could not be read or written.',
+    fix: 'Power cycle the printer. Reformat or replace the SD card if it persists.'
+  },
+  0x0108: {
+    name: 'M_MACHINE_ERROR_X_AXIS',
+    severity: SEVERITY.ERROR,
+    title: 'X axis error',
+    description: 'The X axis did not reach its endstop.',
+    fix: 'Remove obstructions from the X rail and check the X endstop switch.'
+  },
+  0x0109: {
+    name: 'M_MACHINE_ERROR_Y_AXIS',
+    severity: SEVERITY.ERROR,
+    title: 'Y axis error',
+    description: 'The Y axis did not reach its endstop.',
+    fix: 'Remove obstructions from the Y rail and check the Y endstop switch.'
+  },
+  0x010a: {
+    name: 'M_MACHINE_ERROR_Z_AXIS',
+    severity: SEVERITY.ERROR,
+    title: 'Z axis error',
+    description: 'The Z axis did not reach its endstop.',
+    fix: 'Check that nothing blocks the platform and that the Z endstop switch works.'
+  },
+  0x010b: {
+    name: 'M_FLASHMEMORY_ERROR',
+    severity: SEVERITY.FATAL,
+    title: 'Flash memory error',
+    description: 'The printer could not read its internal flash memory.',
+    fix: 'Power cycle the printer. If the error returns, reflash the firmware.'
+  },
+  0x010d: {
+    name: 'L_ERROR_FLASH_RAM',
+    severity: SEVERITY.FATAL,
+    title: 'Flash / RAM error',
+    description: 'The controller reported a memory fault.',
+    fix: 'Power cycle the printer. If the error returns, reflash the firmware.'
+  },
+  0x010e: {
+    name: 'L_ERROR_NOZZLE_EEPROM',
+    severity: SEVERITY.ERROR,
+    title: 'Nozzle module not recognised',
+    description: 'The EEPROM of the nozzle module could not be read.',
+    fix: 'Reseat the nozzle module until it clicks into place. Replace it if the error stays.'
+  },
+  0x010f: {
+    name: 'L_40W35W_NOZZLE_EEPROM',
+    severity: SEVERITY.ERROR,
+    title: 'Engraver module not recognised',
+    description: 'The EEPROM of the laser engraver module could not be read.',
+    fix: 'Reseat the laser module and its cable.'
+  },
+  0x0201: {
+    name: 'M_PC_COMMUNICATION_ERROR',
+    severity: SEVERITY.ERROR,
+    title: 'Computer communication error',
+    description: 'The printer lost the connection to the computer during a transfer.',
+    fix: 'Check the USB cable, then send the file again.'
+  },
+  0x0202: {
+    name: 'M_FW_UPDATE_ERROR',
+    severity: SEVERITY.FATAL,
+    title: 'Firmware update failed',
+    description: 'The firmware update did not complete.',
+    fix: 'Run the firmware update again from XYZware before printing.'
+  },
+  0x0203: {
+    name: 'M_FILAMENT_JAM',
+    severity: SEVERITY.ERROR,
+    title: 'Filament jam',
+    description: 'The extruder could not push filament through the nozzle.',
+    fix: 'Run "Clean Nozzle", or unload the filament and clear the nozzle with the cleaning wire.'
+  },
+  0x0205: {
+    name: 'M_FILAMENT_WRONG',
+    severity: SEVERITY.WARNING,
+    title: 'Wrong filament',
+    description: 'The loaded filament does not match what the print file needs.',
+    fix: 'Load the filament the file was sliced for, or re-slice for the loaded filament.'
+  },
+  0x0206: {
+    name: 'M_NO_CASSETTE',
+    severity: SEVERITY.WARNING,
+    title: 'No filament cartridge',
+    description: 'No filament cartridge is installed.',
+    fix: 'Install a filament cartridge.'
+  },
+  0x0207: {
+    name: 'M_CASSETTE_EMPTY',
+    severity: SEVERITY.WARNING,
+    title: 'Filament cartridge empty',
+    description: 'The filament cartridge reports no filament left.',
+    fix: 'Replace the filament cartridge.'
+  },
+  0x0208: {
+    name: 'M_CASSET_EEPROM_WRITE_ERROR',
+    severity: SEVERITY.WARNING,
+    title: 'Cartridge chip write error',
+    description: 'The printer could not update the chip on the filament cartridge.',
+    fix: 'Reseat the cartridge so the chip faces the reader.'
+  },
+  0x0209: {
+    name: 'M_CASSET_EEPROM_READ_ERROR',
+    severity: SEVERITY.WARNING,
+    title: 'Cartridge chip read error',
+    description: 'The chip on the filament cartridge could not be read.',
+    fix: 'Reseat the cartridge so the chip faces the reader, or use a genuine XYZ cartridge.'
+  },
+  0x020c: {
+    name: 'L_ERROR_SD_CARD',
+    severity: SEVERITY.ERROR,
+    title: 'SD card error',
+    description: 'The internal SD card could not be read or written.',
+    fix: 'Power cycle the printer. Reformat or replace the SD card if it persists.'
+  },
+  0x020d: {
+    name: 'Unsupported file version',
+    severity: SEVERITY.ERROR,
+    title: 'Unsupported file version',
+    description: 'The printer rejected the file because it does not know its .3w version.',
+    fix: 'Send the file as gcode so it is converted for this printer, or re-slice it in XYZware.'
+  },
+  0x020f: {
+    name: 'L_FILAMENT_NO_INSTALL',
+    severity: SEVERITY.WARNING,
+    title: 'Filament not installed',
+    description: 'No filament is loaded in the extruder.',
+    fix: 'Load filament, then start the print again.'
+  },
+  0x0401: {
+    name: 'M_TOP_DOOR_OPEN',
+    severity: SEVERITY.WARNING,
+    title: 'Top door open',
+    description: 'The printer paused because the top cover is open.',
+    fix: 'Close the top cover, then resume the print.'
+  },
+  0x0402: {
+    name: 'M_FRONT_DOOR_OPEN',
+    severity: SEVERITY.WARNING,
+    title: 'Front door open',
+    description: 'The printer paused because the front door is open.',
+    fix: 'Close the front door, then resume the print.'
+  },
+  0x0403: {
+    name: 'M_FILAMENT_LOW',
+    severity: SEVERITY.INFO,
+    title: 'Filament low',
+    description: 'The filament spool is running low.',
+    fix: 'Have a new spool ready.'
+  },
+  0x0404: {
+    name: 'M_FILAMENT_LOW_TO_EMPTY',
+    severity: SEVERITY.WARNING,
+    title: 'Filament almost empty',
+    description: 'The filament spool is nearly used up.',
+    fix: 'Replace the spool before starting another print.'
+  },
+  0x0405: {
+    name: 'M_FILAMENT_END',
+    severity: SEVERITY.WARNING,
+    title: 'Filament ran out',
+    description: 'The filament spool is empty.',
+    fix: 'Load new filament, then resume the print.'
+  }
+});
+
+// Codes of older firmware -> current codes (miniMover's translateErrorCode)
+const LEGACY_CODES = Object.freeze({
+  0x02: 0x0101,
+  0x03: 0x001b,
+  0x04: 0x0103,
+  0x05: 0x0104,
+  0x06: 0x0105,
+  0x07: 0x0208,
+  0x08: 0x0209,
+  0x09: 0x0108,
+  0x0a: 0x0109,
+  0x0b: 0x010a,
+  0x0e: 0x0202,
+  0x0f: 0x0203,
+  0x10: 0x0405,
+  0x11: 0x0205,
+  0x12: 0x010b,
+  0x14: 0x0401,
+  0x15: 0x0402,
+  0x17: 0x0404,
+  0x18: 0x0405,
+  0x1c: 0x0206,
+  0x1d: 0x0207,
+  0x020b: 0x020c
+});
+
+/**
+ * Code of a raw e: value: the low 16 bits, legacy codes mapped to the current ones
+ */
+function translateErrorCode(value) {
+  const code = value & 0xffff;
+  return LEGACY_CODES[code] || code;
+}
+
+/**
+ * Display form of an error code, as miniMover prints it ("0x00000101")
+ */
+function formatErrorCode(code) {
+  return `0x${(code >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Turn a raw e: value into a structured error object
+ * @param {number} value - value of the e: field
+ * @returns {{code: number, value: number, flags: number, name: string, displayCode: string, severity: string,
+ *   title: string, description: string, fix: string, known: boolean}|null} null when the code means "no error"
+ */
+function describeError(value) {
+  if (!Number.isInteger(value)) return null;
+  const code = translateErrorCode(value);
+  if (code === 0) return null;
+  const base = { code, value, flags: (value >>> 24) & 0xff, displayCode: formatErrorCode(code) };
+  const entry = ERROR_CODES[code];
+  if (!entry) {
+    return {
+      ...base,
+      name: 'unknown error',
+      severity: SEVERITY.ERROR,
+      title: `Printer error ${formatErrorCode(code)}`,
+      description: 'The printer reported an error code this dashboard does not know.',
+      fix: 'Check the printer display and the XYZ support pages for this code. Power cycle the printer if it does not respond.',
+      known: false
+    };
+  }
+  return { ...base, ...entry, known: true };
+}
+
+module.exports = { SEVERITY, ERROR_CODES, describeError, translateErrorCode, formatErrorCode };
@@ -0,0 +1,57 @@
+const { describeError, translateErrorCode, formatErrorCode, ERROR_CODES, SEVERITY } = require('../lib/printer_errors');
+const assert = require('assert');
+
+console.log('Running Printer Error Tests...');
+
+try {
+    // No error
+    assert.strictEqual(describeError(0), null, '0 should mean no error');
+    assert.strictEqual(describeError(undefined), null, 'Missing value should mean no error');
+    assert.strictEqual(describeError(0x40000000), null, 'Flags without a code should mean no error');
+
+    // Current codes, shown as miniMover prints them
+    let err = describeError(0x0101);
+    assert.strictEqual(err.name, 'M_THERMAL_HEATER_OUT_TIMER', 'Heater timer name mismatch');
+    assert.strictEqual(err.displayCode, '0x00000101', 'Display code mismatch');
+    assert.strictEqual(err.known, true, 'Code should be known');
+    assert.ok(err.title && err.description && err.fix, 'Entry should have title, description and fix');
+    assert.strictEqual(describeError(0x0104).severity, SEVERITY.FATAL, 'Bed runaway should be fatal');
+    assert.strictEqual(describeError(0x010a).name, 'M_MACHINE_ERROR_Z_AXIS', 'Z axis name mismatch');
+    assert.strictEqual(describeError(0x0203).name, 'M_FILAMENT_JAM', 'Filament jam name mismatch');
+    assert.strictEqual(describeError(0x0401).name, 'M_TOP_DOOR_OPEN', 'Top door name mismatch');
+    assert.strictEqual(describeError(0x0402).name, 'M_FRONT_DOOR_OPEN', 'Front door name mismatch');
+    assert.strictEqual(describeError(0x0405).severity, SEVERITY.WARNING, 'Filament end should be a warning');
+
+    // The high byte is kept as flags; the code is the low 16 bits
+    err = describeError(0x40000203);
+    assert.strictEqual(err.code, 0x0203, 'Code should be the low 16 bits');
+    assert.strictEqual(err.flags, 0x40, 'Flags mismatch');
+    assert.strictEqual(err.value, 0x40000203, 'Raw value should be kept');
+    assert.strictEqual(err.displayCode, '0x00000203', 'Display code should not include the flags');
+
+    // Older firmware codes map onto the current ones
+    assert.strictEqual(translateErrorCode(0x02), 0x0101, 'Legacy 2 should be the heater timer');
+    assert.strictEqual(translateErrorCode(0x0f), 0x0203, 'Legacy 15 should be the filament jam');
+    assert.strictEqual(translateErrorCode(0x14), 0x0401, 'Legacy 20 should be the top door');
+    assert.strictEqual(translateErrorCode(0x020b), 0x020c, '0x20b should be the SD card error');
+    assert.strictEqual(describeError(0x1c).name, 'M_NO_CASSETTE', 'Legacy 28 should be no cassette');
+    assert.strictEqual(translateErrorCode(0x0105), 0x0105, 'Current codes should pass through');
+
+    // Every entry is complete
+    Object.entries(ERROR_CODES).forEach(([code, entry]) => {
+        assert.ok(entry.name && entry.title && entry.description && entry.fix, `Entry ${code} is incomplete`);
+        assert.ok(Object.values(SEVERITY).includes(entry.severity), `Entry ${code} has an unknown severity`);
+    });
+
+    // Unknown codes still produce a usable error
+    err = describeError(0x0777);
+    assert.strictEqual(err.known, false, 'Unknown code should not be known');
+    assert.strictEqual(err.severity, SEVERITY.ERROR, 'Unknown code should be an error');
+    assert.match(err.title, /0x00000777/, 'Unknown title should carry the code');
+    assert.strictEqual(formatErrorCode(0x10f), '0x0000010f', 'Format mismatch');
+
+    console.log('✅ All printer error tests passed!');
+} catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exit(1);
+}
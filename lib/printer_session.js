@@ -0,0 +1,460 @@
+// lib/printer_session.js
+// Everything the server keeps per printer: serial connection, command queue, Parser,
+// uploader (XYZv3 or XYZv2, whichever the printer answered the handshake with), print start
+// supervisor, job queue, job history, poll loop, upload folder, traffic recorder and the latest
+// status / capabilities.
+//
+// Socket.IO traffic for a printer goes to its room ("printer:<id>"); a client joins the
+// room of the printer it is looking at. A compact summary of every printer is also
+// emitted as 'summary' for the overview grid.
+
+const EventEmitter = require('events');
+const path = require('path');
+const Parser = require('./parser');
+const SerialBridge = require('./serial_bridge');
+const XYZv3Uploader = require('./upload_xyz_v3');
+const XYZv2Uploader = require('./upload_xyz_v2');
+const { PrintStartSupervisor } = require('./print_start_supervisor');
+const { JobQueue } = require('./job_queue');
+const { JobTracker, JobHistoryStore } = require('./job_history');
+const { AnalysisStore } = require('./gcode_analyzer');
+const v2 = require('./protocol_v2');
+const { CommandQueue, PRIORITY } = require('./command_queue');
+const { STATE } = require('./printer_states');
+const { getCapabilities } = require('./printer_capabilities');
+const { createUpload, uploadsDir } = require('./upload');
+const { SerialRecorder } = require('./serial_recorder');
+const { UploadStatsStore, hostInfo } = require('./upload_telemetry');
+
+const { CONNECTION_STATE } = SerialBridge;
+
+const PRINTER_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Expand config.json into one config per printer.
+ * Without a "printers" list the top-level settings describe a single printer ("default")
+ * that keeps using the shared uploads/ folder. Each entry of "printers" inherits the
+ * top-level settings and gets its own uploads/<id>/ folder.
+ */
+function resolvePrinterConfigs(config) {
+  const { printers, ...defaults } = config;
+  if (!Array.isArray(printers) || printers.length === 0) {
+    return [{ ...defaults, id: 'default', name: defaults.name || 'Printer', uploadsDir: defaults.uploadsDir || uploadsDir }];
+  }
+
+  const seen = new Set();
+  return printers.map((p, i) => {
+    const id = String(p.id || `printer${i + 1}`);
+    if (!PRINTER_ID.test(id)) throw new Error(`Invalid printer id "${id}" (use letters, digits, - and _)`);
+    if (seen.has(id)) throw new Error(`Duplicate printer id "${id}"`);
+    seen.add(id);
+    return {
+      ...defaults,
+      autoDetect: false, // several printers: never grab another printer's port
+      ...p,
+      id,
+      name: p.name || id,
+      uploadsDir: p.uploadsDir ? path.resolve(p.uploadsDir) : path.join(uploadsDir, id)
+    };
+  });
+}
+
+class PrinterSession extends EventEmitter {
+  /**
+   * @param {object} config - per-printer config from resolvePrinterConfigs()
+   * @param {object} io - Socket.IO server
+   * @param {{startJob?: Function}} [hooks] - startJob(job): start a queued job (convert, upload,
+   *   print start), see JobQueue
+   */
+  constructor(config, io, hooks = {}) {
+    super();
+    this.id = config.id;
+    this.name = config.name;
+    this.config = config;
+    this.room = `printer:${this.id}`;
+    this.out = io.to(this.room);
+
+    this.uploadsDir = config.uploadsDir;
+    this.upload = createUpload(this.uploadsDir);
+    // gcode analysis of the uploaded files (layers, time, filament), cached in <uploads>/.meta/
+    this.files = new AnalysisStore(this.uploadsDir, { filamentDiameter_mm: config.filamentDiameter_mm });
+
+    // frames without a "$" terminator are flushed after responseTimeoutMs
+    this.parser = new Parser({ frameTimeoutMs: config.responseTimeoutMs });
+    // connection manager (owns the port, reconnects with backoff, watches hotplug)
+    this.serial = new SerialBridge(config);
+    // every command to the printer goes through this queue (one request on the wire at a time)
+    this.commands = new CommandQueue(this.serial, { timeoutMs: config.commandTimeoutMs });
+    // summary of every upload (rate, latency, retries) for comparing links, see GET /api/upload-stats
+    this.uploadStats = new UploadStatsStore({ file: config.uploadStatsFile ? path.resolve(config.uploadStatsFile) : undefined });
+    const onSummary = (summary) => this._recordUploadSummary(summary);
+    // block size: the packet size from the last status ("o:p8"), else the model profile's
+    const printerInfo = () => ({ oPacketSize: this.latestStatus.oPacketSize, uploadBlockSize: this.capabilities.uploadBlockSize });
+    this.uploaders = {
+      v3: new XYZv3Uploader(this.commands, this.out, this.parser, { retry: config.uploadRetry, onSummary, printerInfo }),
+      v2: new XYZv2Uploader(this.commands, this.out, this.parser, { onSummary })
+    };
+    // raw traffic capture (captures/<id>-<time>.raw), toggled at runtime
+    this.recorder = new SerialRecorder({
+      id: this.id,
+      serialPath: config.serialPath,
+      dir: config.capturesDir ? path.resolve(config.capturesDir) : undefined,
+      maxFileBytes: config.captureMaxFileBytes,
+      maxFiles: config.captureMaxFiles
+    }).attach(this.serial);
+
+    // watches for the print to begin once a file is sent, and starts it per strategy
+    this.printStart = new PrintStartSupervisor({
+      parser: this.parser,
+      send: command => this.commands.send(command, { priority: PRIORITY.HIGH }),
+      reconnect: () => this.reconnect(),
+      protocol: () => this.protocol,
+      log: msg => this.out.emit('log', { msg })
+    }, config.printStart);
+    this.printStart.on('result', (result) => {
+      this.history.printStartResult(result);
+      this.out.emit('print_start', result);
+    });
+
+    // one record per print (upload, start, end, filament) in data/job-history.jsonl, see GET /api/jobs
+    this.history = new JobTracker({
+      parser: this.parser,
+      store: new JobHistoryStore({ file: config.jobHistoryFile ? path.resolve(config.jobHistoryFile) : undefined })
+    }, { printerId: this.id, uploadsDir: this.uploadsDir });
+    this.history.on('job', record => this.out.emit('job_recorded', record));
+
+    // queued files, started one by one once the printer is idle and the bed is cleared
+    this.jobs = new JobQueue({ parser: this.parser, startJob: hooks.startJob }, {
+      printerId: this.id,
+      file: config.jobQueueDir ? path.join(path.resolve(config.jobQueueDir), `job-queue-${this.id}.json`) : undefined
+    });
+    this.jobs.on('change', snapshot => this.out.emit('job_queue', snapshot));
+
+    this.latestStatus = this.parser._buildNormalizedStatus();
+    // capability profile (re-resolved when model/firmware changes)
+    this.capabilities = getCapabilities();
+    this.capabilitiesKey = '';
+
+    this.pollTimer = null;
+    this.lastPoll = 0;
+    this.stopping = false; // polls still queued when the link closes fail on purpose
+    this.pollDebugCounter = 0;
+
+    this._wireParser();
+    this._wireSerial();
+  }
+
+  /**
+   * Protocol of the printer: detected by the connection handshake, else from the model table
+   */
+  get protocol() {
+    return this.serial.protocol || this.capabilities.protocol;
+  }
+
+  get uploader() {
+    return this.uploaders[this.protocol] || this.uploaders.v3;
+  }
+
+  start() {
+    this.stopping = false;
+    if (this.config.captureEnabled) this.recorder.start();
+    this.jobs.start();
+    this.history.start();
+    this.serial.start();
+    // The connection handshake already sent the full query=wf; poll only while ready (not uploading)
+    this.pollTimer = setInterval(() => this._poll(), 100);
+  }
+
+  stop(callback) {
+    this.stopping = true;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    this.printStart.stop('dashboard stopped');
+    this.jobs.stop();
+    this.history.stop();
+    this.recorder.stop();
+    this.serial.stop(callback);
+  }
+
+  /**
+   * Close and reopen the printer link
+   * @returns {Promise<void>} resolved once the handshake is done again
+   */
+  reconnect(timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+      const onState = (snapshot) => {
+        if (snapshot.state !== CONNECTION_STATE.READY) return;
+        clearTimeout(timer);
+        this.serial.removeListener('state', onState);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        this.serial.removeListener('state', onState);
+        reject(new Error(`printer not back within ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+      console.log(`[SERIAL] ${this.id}: reconnecting`);
+      this.serial.stop(() => {
+        this.serial.on('state', onState);
+        this.serial.start();
+      });
+    });
+  }
+
+  /**
+   * Send a command to the printer (user commands jump ahead of queued polls)
+   */
+  sendRaw(msg, opts = {}) {
+    return this.commands.send(msg, { priority: PRIORITY.HIGH, ...opts }).catch((err) => {
+      console.warn(`[QUEUE] ${this.id}:`, err.message);
+      this.out.emit('log', { msg: `Command failed: ${err.message}` });
+      return null;
+    });
+  }
+
+  /**
+   * Send a protocol console command and collect the reply lines matched to it
+   * @returns {Promise<{ok: boolean, command: string, lines: string[], durationMs: number, error?: string}>}
+   */
+  async runConsoleCommand(command) {
+    const started = Date.now();
+    console.log(`[CONSOLE] ${this.id}: ${command}`);
+    try {
+      const reply = await this.commands.send(command, { priority: PRIORITY.HIGH });
+      return { ok: true, command, lines: reply.lines, durationMs: reply.durationMs };
+    } catch (err) {
+      return { ok: false, command, lines: err.lines || [], durationMs: Date.now() - started, error: err.message };
+    }
+  }
+
+  /**
+   * Bring a client that just selected this printer up to date
+   */
+  sendSnapshot(socket) {
+    socket.emit('status', this.latestStatus);
+    socket.emit('capabilities', this.capabilities);
+    socket.emit('connection_state', this.serial.getSnapshot());
+    socket.emit('capture_state', this.recorder.getStatus());
+    socket.emit('job_queue', this.jobs.getSnapshot());
+    if (this.parser.activeError) socket.emit('printer_error', this.parser.activeError);
+  }
+
+  /**
+   * Compact state for the overview grid and GET /api/printers
+   */
+  getSummary() {
+    const st = this.latestStatus || {};
+    return {
+      id: this.id,
+      name: this.name,
+      connection: this.serial.state,
+      model: this.capabilities.known ? this.capabilities.name : (st.model || null),
+      printerState: st.printerStateName || null,
+      printerStateStr: st.printerStateStr || null,
+      extruderActual_C: st.extruderActual_C !== undefined ? st.extruderActual_C : null,
+      extruderTarget_C: st.extruderTarget_C !== undefined ? st.extruderTarget_C : null,
+      printPercent: st.printPercent !== undefined ? st.printPercent : null,
+      fileName: st.fileName || null,
+      error: this.parser.activeError
+    };
+  }
+
+  /**
+   * Handle a 'command' message from the UI
+   */
+  handleCommand(cmd) {
+    const sendRaw = (msg) => this.sendRaw(msg);
+    // XYZv2 serial only knows status queries and file transfer
+    if (this.protocol === 'v2' && !cmd.raw) {
+      console.warn(`[COMMAND] ${this.id}: ${cmd.action} is not available on XYZv2 printers`);
+      this.out.emit('log', { msg: `${cmd.action} is not available on this printer (XYZv2 protocol)` });
+      return;
+    }
+    switch (cmd.action) {
+      case 'calibrate_start':
+        sendRaw('XYZv3/action=calibratejr:new');
+        break;
+      case 'calibrate_detector_lowered':
+        sendRaw('XYZv3/action=calibratejr:detectorok');
+        break;
+      case 'calibrate_detector_raised':
+        sendRaw('XYZv3/action=calibratejr:release');
+        break;
+      case 'toggle_autolevel':
+        sendRaw(`XYZv3/config=autolevel:${cmd.enable ? 'on' : 'off'}`);
+        break;
+      case 'pause':
+      case 'resume':
+      case 'cancel': {
+        const state = cmd.action === 'pause' ? 1 : (cmd.action === 'resume' ? 2 : 3);
+        const tk = cmd.token || this.latestStatus.token || '';
+        const j = JSON.stringify({ command: 6, state, token: tk });
+        sendRaw(j);
+        break;
+      }
+      case 'home':
+        sendRaw('XYZv3/action=home');
+        break;
+      case 'jog': {
+        const dir = cmd.dir || '+';
+        const len = cmd.len || '10';
+        sendRaw(`XYZv3/action=jog:{"axis":"${cmd.axis}","dir":"${dir}","len":"${len}"}`);
+        break;
+      }
+      case 'load_filament':
+        sendRaw('XYZv3/action=load:new');
+        break;
+      case 'load_filament_stop':
+        sendRaw('XYZv3/action=load:cancel');
+        // Query filament status after load completes
+        setTimeout(() => sendRaw('XYZv3/query=wf'), 1000);
+        break;
+      case 'unload_filament':
+        sendRaw('XYZv3/action=unload:new');
+        break;
+      case 'unload_filament_stop':
+        sendRaw('XYZv3/action=unload:cancel');
+        // Query filament status after unload completes
+        setTimeout(() => sendRaw('XYZv3/query=wf'), 1000);
+        break;
+      case 'clean_nozzle':
+        sendRaw('XYZv3/action=cleannozzle:new');
+        break;
+      case 'set_zoffset':
+        sendRaw(`XYZv3/config=zoffset:[${cmd.offset}]`);
+        break;
+      default:
+        if (cmd.raw) sendRaw(cmd.raw);
+        else console.warn('Unknown command', cmd);
+    }
+  }
+
+  // --- internals ----------------------------------------------------------
+
+  // Store an upload summary with what identifies the link: printer, port, host board
+  _recordUploadSummary(summary) {
+    const st = this.latestStatus || {};
+    const entry = {
+      printerId: this.id,
+      serialPath: this.serial.path || this.config.serialPath,
+      baudRate: this.serial.config.baudRate,
+      modelNumber: st.modelNumber || null,
+      firmwareVersion: st.firmwareVersion || null,
+      host: hostInfo(),
+      ...summary
+    };
+    console.log(`[UPLOAD] ${this.id}: ${summary.result}, ${summary.bytesSent} bytes in ${summary.transferMs}ms (${summary.avgRateBps} B/s)`);
+    this.uploadStats.append(entry);
+    this.history.uploadEnded(summary);
+    this.out.emit('upload_summary', entry);
+  }
+
+  _poll() {
+    if (this.serial.state !== CONNECTION_STATE.READY) return;
+    const now = Date.now();
+    if (now - this.lastPoll < this.config.pollIntervalMs) return;
+    this.lastPoll = now;
+
+    // Temperature/status query; yields to user commands and never piles up
+    if (this.protocol === 'v2') {
+      // V2 replies have no "$": publish the status once the printer went quiet
+      this.commands.send(v2.STATUS_QUERY, { priority: PRIORITY.LOW, dedupe: true })
+        .then(() => this.parser.flush(true))
+        .catch(err => this._pollFailed(err));
+    } else {
+      this.commands.send('XYZv3/query=a', { priority: PRIORITY.LOW, dedupe: true }).catch(err => this._pollFailed(err));
+    }
+
+    if (++this.pollDebugCounter % 20 === 0) {
+      console.log(`[POLL] ${this.id}: status query sent (count:`, this.pollDebugCounter, ')');
+    }
+  }
+
+  _pollFailed(err) {
+    // stop() closes the link under the polls still in flight; that is not worth a warning
+    if (this.stopping) return;
+    console.warn(`[POLL] ${this.id}:`, err.message);
+  }
+
+  _updateCapabilities(st) {
+    const protocol = this.serial.protocol;
+    const key = `${st.modelNumber || ''}|${st.firmwareVersion || ''}|${st.machineName || ''}|${protocol || ''}`;
+    if (key === this.capabilitiesKey) return;
+    this.capabilitiesKey = key;
+    this.capabilities = getCapabilities({ ...st, protocol });
+    console.log(`[CAPS] ${this.id}: ${this.capabilities.name} (${this.capabilities.modelNumber || 'unknown model'}, fw ${this.capabilities.firmwareVersion || '?'})`);
+    this.out.emit('capabilities', this.capabilities);
+  }
+
+  _wireParser() {
+    const parser = this.parser;
+
+    parser.on('status', (st) => {
+      this.latestStatus = st;
+      this._updateCapabilities(st);
+      this.out.emit('status', st);
+      this.emit('summary', this.getSummary());
+    });
+
+    parser.on('stateChange', ({ previous, current }) => {
+      console.log(`[STATE] ${this.id}: ${previous.state} -> ${current.state} (${current.code}${current.sub !== null ? ',' + current.sub : ''})`);
+      this.out.emit('state_change', { previous, current });
+
+      // Refresh filament info once a load/unload sequence finishes on the printer side
+      if ((previous.state === STATE.LOADING || previous.state === STATE.UNLOADING) && current.state === STATE.IDLE && this.protocol === 'v3') {
+        this.sendRaw('XYZv3/query=wf');
+      }
+    });
+
+    parser.on('printerError', (err) => {
+      console.warn(`[PRINTER ERROR] ${this.id}: (${err.displayCode})${err.name} (${err.severity}): ${err.title}`);
+      this.out.emit('printer_error', err);
+      this.emit('summary', this.getSummary());
+    });
+
+    parser.on('printerErrorCleared', (ev) => {
+      console.log(`[PRINTER ERROR] ${this.id}: cleared`, ev.code);
+      this.out.emit('printer_error_cleared', ev);
+      this.emit('summary', this.getSummary());
+    });
+
+    parser.on('calibrate', (ev) => {
+      this.out.emit('calibrate', ev);
+    });
+
+    parser.on('log', (l) => {
+      this.out.emit('log', l);
+    });
+
+    parser.on('token', (tk) => {
+      // store token in latestStatus
+      this.latestStatus.token = tk;
+      this.out.emit('token', tk);
+    });
+  }
+
+  _wireSerial() {
+    this.serial.on('state', (snapshot) => {
+      this.out.emit('connection_state', snapshot);
+      this.emit('summary', this.getSummary());
+    });
+
+    // The uploader holds the queue exclusively; show that as the uploading connection state
+    this.commands.on('exclusiveStart', ({ label }) => {
+      if (label === 'upload') this.serial.beginUpload();
+    });
+
+    this.commands.on('exclusiveEnd', ({ label }) => {
+      if (label === 'upload') this.serial.endUpload();
+    });
+
+    this.recorder.on('state', (status) => {
+      this.out.emit('capture_state', status);
+    });
+
+    this.serial.on('line', (line) => {
+      this.parser.feed(line);
+    });
+  }
+}
+
+module.exports = { PrinterSession, resolvePrinterConfigs };
@@ -0,0 +1,112 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { PrinterSession, resolvePrinterConfigs } = require('../lib/printer_session');
+const { uploadsDir } = require('../lib/upload');
+const assert = require('assert');
+
+console.log('Running Printer Session Tests...');
+
+// Records what each Socket.IO room receives
+function fakeIo() {
+  const rooms = {};
+  return {
+    rooms,
+    to(room) {
+      rooms[room] = rooms[room] || [];
+      return { emit: (event, data) => rooms[room].push({ event, data }) };
+    }
+  };
+}
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'printer-session-'));
+  try {
+    // Single-printer config keeps the shared uploads folder
+    const single = resolvePrinterConfigs({ serialPath: '/dev/ttyUSB0', pollIntervalMs: 500 });
+    assert.strictEqual(single.length, 1, 'Expected one printer');
+    assert.strictEqual(single[0].id, 'default', 'Single printer id mismatch');
+    assert.strictEqual(single[0].uploadsDir, uploadsDir, 'Single printer should use uploads/');
+
+    // Printer list inherits top-level settings, gets its own folder and no auto-detect
+    const multi = resolvePrinterConfigs({
+      pollIntervalMs: 500,
+      printers: [{ id: 'jr', serialPath: '/dev/ttyUSB0' }, { serialPath: '/dev/ttyUSB1', pollIntervalMs: 1000 }]
+    });
+    assert.deepStrictEqual(multi.map(p => p.id), ['jr', 'printer2'], 'Printer ids mismatch');
+    assert.strictEqual(multi[0].pollIntervalMs, 500, 'Top-level settings should be inherited');
+    assert.strictEqual(multi[1].pollIntervalMs, 1000, 'Per-printer settings should win');
+    assert.strictEqual(multi[0].uploadsDir, path.join(uploadsDir, 'jr'), 'Per-printer uploads folder mismatch');
+    assert.strictEqual(multi[0].autoDetect, false, 'Auto-detect should be off with several printers');
+    assert.throws(() => resolvePrinterConfigs({ printers: [{ id: 'a' }, { id: 'a' }] }), /Duplicate/);
+    assert.throws(() => resolvePrinterConfigs({ printers: [{ id: '../x' }] }), /Invalid printer id/);
+
+    // A session against the simulator reports into its own room
+    const io = fakeIo();
+    const [cfg] = resolvePrinterConfigs({
+      pollIntervalMs: 100,
+      printers: [{ id: 'nano', serialPath: 'sim://davinci-nano', uploadsDir: path.join(tmp, 'nano'), simulator: { responseDelayMs: 1 } }]
+    });
+    const session = new PrinterSession(cfg, io);
+    const summaries = [];
+    session.on('summary', s => summaries.push(s));
+    session.start();
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    assert.ok(fs.existsSync(path.join(tmp, 'nano')), 'Uploads folder should be created');
+    const events = io.rooms['printer:nano'].map(e => e.event);
+    assert.ok(events.includes('status'), 'Status should go to the printer room');
+    assert.ok(events.includes('capabilities'), 'Capabilities should go to the printer room');
+    const last = summaries[summaries.length - 1];
+    assert.strictEqual(last.connection, 'ready', 'Summary connection mismatch');
+    assert.strictEqual(last.model, 'da Vinci nano', 'Summary model mismatch');
+
+    session.handleCommand({ action: 'home' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(session.serial.port.printer.state, 9534, 'Home command should reach the simulator');
+
+    // Protocol console gets the reply lines matched to its command
+    const fileInfo = await session.runConsoleCommand('XYZv3/query=Z');
+    assert.strictEqual(fileInfo.ok, true, 'Console query should succeed');
+    assert.strictEqual(fileInfo.lines[fileInfo.lines.length - 1], '$', 'Console reply should end with $');
+    const rejected = await session.runConsoleCommand('XYZv3/query=?');
+    assert.strictEqual(rejected.ok, false, 'Unknown command should be rejected');
+    assert.ok(rejected.lines.some(l => /^E\d+/.test(l)), 'Rejection reply should be kept');
+
+    // A poll still in flight when the session stops ends quietly
+    const warnings = [];
+    const realWarn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    session.lastPoll = 0;
+    session._poll();
+    await new Promise(resolve => session.stop(resolve));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    console.warn = realWarn;
+    assert.ok(!warnings.some(w => w.startsWith('[POLL]')), `Stopping should not warn about polls: ${warnings.join('; ')}`);
+
+    // An XYZv2 printer is polled with the V2 status query and gets the V2 uploader
+    const [v2Cfg] = resolvePrinterConfigs({
+      pollIntervalMs: 100,
+      handshakeTimeoutMs: 200,
+      printers: [{ id: 'dv1', serialPath: 'sim://davinci-1.0', uploadsDir: path.join(tmp, 'dv1'), simulator: { responseDelayMs: 1 } }]
+    });
+    const v2Session = new PrinterSession(v2Cfg, io);
+    const v2Summaries = [];
+    v2Session.on('summary', s => v2Summaries.push(s));
+    v2Session.start();
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.strictEqual(v2Session.protocol, 'v2', 'Session should use XYZv2');
+    assert.strictEqual(v2Session.uploader, v2Session.uploaders.v2, 'Session should pick the V2 uploader');
+    assert.strictEqual(v2Summaries[v2Summaries.length - 1].model, 'da Vinci 1.0', 'V2 status should reach the summary');
+    v2Session.handleCommand({ action: 'home' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(v2Session.serial.port.printer.state, 9511, 'V3 actions should not be sent to a V2 printer');
+    await new Promise(resolve => v2Session.stop(resolve));
+    console.log('✅ All printer session tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
@@ -0,0 +1,572 @@
+// lib/printer_simulator.js
+// Virtual XYZv3 printer.
+// A stand-in for the serial port that speaks enough of the XYZv3 protocol to run the
+// dashboard, the parser and XYZv3Uploader without a Da Vinci printer attached.
+// Replies follow the shapes seen in SampleUSBDataStream (query=a fields, "$" terminator,
+// "ok" per upload block).
+//
+// Select it in config.json with a sim:// serial path:
+//   "serialPath": "sim://davinci-jr"   (also sim://davinci-nano, sim://davinci-mini, sim://dv1NX0A000)
+// XYZv2 models (sim://davinci-1.0, sim://davinci-2.0) answer only the V2 status query and
+// upload (see lib/protocol_v2.js) and ignore XYZv3 commands, like the real printers.
+// Optional tuning goes under "simulator": { "responseDelayMs": 5, "validateMs": 3000, ... }
+//
+// SimulatedPort mirrors the subset of the serialport API the server uses
+// (open/close/isOpen/write/drain/set, 'open'/'close'/'data' events) and is a Duplex
+// stream, so it can be piped into a ReadlineParser like a real port.
+
+const { Duplex } = require('stream');
+const zlib = require('zlib');
+const { getCapabilities } = require('./printer_capabilities');
+const { V2_STATE_CODES } = require('./printer_states');
+const v2 = require('./protocol_v2');
+
+const SIM_SCHEME = 'sim://';
+const FINISH_COMMAND = 'XYZv3/uploadDidFinish';
+
+// sim://<name> aliases -> model numbers from lib/printer_capabilities.js
+const SIM_MODELS = {
+  'davinci-jr': 'dv1J00A000',
+  'davinci-jr-pro': 'dv1JP0A000',
+  'davinci-mini': 'dv1MX0A000',
+  'davinci-nano': 'dv1NX0A000',
+  'davinci-1.0': 'dvF100B000',
+  'davinci-2.0': 'dvF200B000'
+};
+
+const DEFAULT_OPTIONS = {
+  responseDelayMs: 5,     // delay before each reply is pushed
+  packetSize: null,       // bytes reported in "o:p<KB>" (default: the model's block size); larger blocks are still rejected
+  linkBytesPerSec: 0,     // host-to-printer link speed; 0 = instant. Slower links fill the write buffer (backpressure)
+  tickMs: 500,            // simulation step
+  validateMs: 3000,       // time spent validating an uploaded file
+  receiveTimeoutMs: 5000, // receiving mode ends when no block data arrives for this long; the partial file is dropped
+  printDurationMs: 60000, // simulated print length
+  heatRate_C: 15,         // degrees per tick while heating
+  firmwareVersion: '3.2.0',
+  serialNumber: '3SIM0XUS5TH7CM0001'
+};
+
+// printer state codes used by the simulator (see lib/printer_states.js)
+const S = {
+  IDLE: 9511,
+  HEATING: 9501,
+  PRINTING: 9502,
+  FINISHING: 9508,
+  VALIDATING: 9520,
+  LOAD: 9530,
+  UNLOAD: 9531,
+  HOMING: 9534,
+  CALIBRATE: 9535,
+  CLEAN: 9536,
+  PAUSED: 9601,
+  CANCELLING: 9602
+};
+
+function isSimulatorPath(p) {
+  return typeof p === 'string' && p.startsWith(SIM_SCHEME);
+}
+
+class SimulatedPort extends Duplex {
+  constructor(options = {}) {
+    super();
+    this.path = options.path || `${SIM_SCHEME}davinci-jr`;
+    this.opts = { ...DEFAULT_OPTIONS, ...options };
+    this.isOpen = false;
+    this.baudRate = options.baudRate || 115200;
+
+    const name = this.path.substring(SIM_SCHEME.length) || 'davinci-jr';
+    const modelNumber = SIM_MODELS[name] || name;
+    this.caps = getCapabilities({ modelNumber, firmwareVersion: this.opts.firmwareVersion });
+
+    // options.printer: state of a previous port to the same printer (a reopened port
+    // talks to a printer that kept validating / printing, like real hardware)
+    this.printer = options.printer || {
+      modelNumber,
+      machineName: this.caps.known ? this.caps.name : 'da Vinci Simulator',
+      state: S.IDLE,
+      sub: 0,
+      extruder_C: 22,
+      extruderTarget_C: 0,
+      bed_C: 22,
+      bedTarget_C: 0,
+      filamentRemaining_mm: 1100000,
+      filamentSerial: 'SIMFIL0000000001',
+      printPercent: 0,
+      elapsedMin: 0,
+      timeLeftMin: 0,
+      printFile: 'none',
+      fileComplete: 0,
+      autoLevel: true,
+      zOffset: -469,
+      errorCode: 0,
+      calibration: [357, 377, 399, 373, 381, 383, 388, 376, 363],
+      stageStartedAt: 0
+    };
+
+    this.textBuffer = '';
+    this.upload = null; // { name, size, received, nextIndex, buffer, lastDataAt, blocks? } while receiving blocks
+    this.v2PrintMode = false; // XYZ_@3D:4 accepted, waiting for the M1: file info
+    this.timer = null;
+  }
+
+  // --- SerialPort-compatible surface -------------------------------------
+
+  open(callback) {
+    setImmediate(() => {
+      if (this.isOpen) {
+        if (callback) callback(new Error('Port is already open'));
+        return;
+      }
+      this.isOpen = true;
+      this.timer = setInterval(() => this._tick(), this.opts.tickMs);
+      if (this.timer.unref) this.timer.unref();
+      this.emit('open');
+      if (callback) callback(null);
+    });
+  }
+
+  close(callback) {
+    setImmediate(() => {
+      if (!this.isOpen) {
+        if (callback) callback(new Error('Port is not open'));
+        return;
+      }
+      this.isOpen = false;
+      clearInterval(this.timer);
+      this.timer = null;
+      this.upload = null;
+      this.v2PrintMode = false;
+      this.textBuffer = '';
+      this.emit('close');
+      if (callback) callback(null);
+    });
+  }
+
+  drain(callback) {
+    if (callback) setImmediate(callback);
+  }
+
+  set(options, callback) {
+    if (callback) setImmediate(callback);
+  }
+
+  // --- Duplex plumbing ----------------------------------------------------
+
+  _read() {
+    // replies are pushed as they are produced
+  }
+
+  _write(chunk, encoding, callback) {
+    if (!this.isOpen) {
+      // A real port would reject the write; the data is simply lost
+      callback();
+      return;
+    }
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+    if (!this.opts.linkBytesPerSec) {
+      this._receive(buf);
+      callback();
+      return;
+    }
+    // The next write waits until this chunk is "on the wire"; copy it, the caller may reuse its buffer
+    const copy = Buffer.from(buf);
+    setTimeout(() => {
+      if (this.isOpen) this._receive(copy);
+      callback();
+    }, Math.ceil((copy.length * 1000) / this.opts.linkBytesPerSec));
+  }
+
+  _reply(text) {
+    setTimeout(() => {
+      if (this.isOpen) this.push(Buffer.from(text, 'latin1'));
+    }, this.opts.responseDelayMs);
+  }
+
+  // --- protocol -----------------------------------------------------------
+
+  _receive(buf) {
+    if (this.upload) {
+      this.upload.lastDataAt = Date.now();
+      this.upload.buffer = Buffer.concat([this.upload.buffer, buf]);
+      if (this.caps.protocol === 'v2') this._consumeV2Blocks();
+      else this._consumeBlocks();
+      // Anything after the last block is text again
+      if (this.upload && this._uploadComplete()) {
+        const rest = this.upload.buffer;
+        this._finishUpload();
+        if (rest.length) this._receive(rest);
+      }
+      return;
+    }
+
+    this.textBuffer += buf.toString('latin1');
+    let idx;
+    while ((idx = this.textBuffer.indexOf('\n')) !== -1) {
+      const line = this.textBuffer.substring(0, idx).replace(/\r$/, '').trim();
+      this.textBuffer = this.textBuffer.substring(idx + 1);
+      if (line) this._handleCommand(line);
+      // an upload init switches the rest of the stream to binary blocks
+      if (this.upload) {
+        const rest = Buffer.from(this.textBuffer, 'latin1');
+        this.textBuffer = '';
+        if (rest.length) this._receive(rest);
+        return;
+      }
+    }
+  }
+
+  _consumeBlocks() {
+    const up = this.upload;
+    // Text written while receiving is read as a block header, except uploadDidFinish in place of
+    // the next header: it ends receiving mode early and the partial file is dropped
+    while (up.buffer.length >= 8) {
+      if (FINISH_COMMAND.startsWith(up.buffer.subarray(0, FINISH_COMMAND.length).toString('latin1'))) {
+        const end = up.buffer.indexOf('\n');
+        if (end === -1) return; // wait for the rest of the line
+        const rest = up.buffer.subarray(end + 1);
+        console.log(`[SIM] Upload of ${up.name} ended after ${up.nextIndex} blocks, partial file dropped`);
+        this.upload = null;
+        this._reply('ok\n');
+        if (rest.length) this._receive(rest);
+        return;
+      }
+      const index = up.buffer.readUInt32BE(0);
+      const size = up.buffer.readUInt32BE(4);
+      // Re-sent copy of the last accepted block (its "ok" got lost): acknowledge, keep nothing
+      if (index === up.nextIndex - 1 && size <= this.caps.uploadBlockSize) {
+        if (up.buffer.length < 12 + size) return;
+        up.buffer = up.buffer.subarray(12 + size);
+        this._reply('ok\n');
+        continue;
+      }
+      if (size > this.caps.uploadBlockSize || index !== up.nextIndex) {
+        console.warn(`[SIM] Bad block header (index ${index}, size ${size}) - expected index ${up.nextIndex}`);
+        up.buffer = Buffer.alloc(0);
+        this._reply('error\n');
+        return;
+      }
+      if (up.buffer.length < 12 + size) return; // wait for the rest of the frame
+
+      const data = up.buffer.subarray(8, 8 + size);
+      const crc = up.buffer.readUInt32BE(8 + size);
+      up.buffer = up.buffer.subarray(12 + size);
+
+      if ((zlib.crc32(data) >>> 0) !== crc) {
+        console.warn(`[SIM] CRC mismatch on block ${index}`);
+        this._reply('error\n');
+        continue;
+      }
+      up.received += size;
+      up.nextIndex++;
+      this._reply('ok\n');
+    }
+  }
+
+  // V2 chunks carry no header: sizes follow from the announced file size
+  _consumeV2Blocks() {
+    const up = this.upload;
+    while (up.nextIndex < up.blocks) {
+      const size = Math.min(v2.BLOCK_SIZE, up.size - up.received);
+      if (up.buffer.length < size + 4) return;
+
+      const data = up.buffer.subarray(0, size);
+      const sum = up.buffer.readUInt32BE(size);
+      up.buffer = up.buffer.subarray(size + 4);
+
+      if (v2.byteSum(data) !== sum) {
+        console.warn(`[SIM] Checksum mismatch on block ${up.nextIndex}`);
+        this.upload = null;
+        this._reply('M2_ERROR\n');
+        return;
+      }
+      up.received += size;
+      up.nextIndex++;
+      this._reply(`${v2.BLOCK_REPLY}\n`);
+    }
+  }
+
+  _uploadComplete() {
+    const up = this.upload;
+    return up.blocks !== undefined ? up.nextIndex >= up.blocks : up.received >= up.size;
+  }
+
+  _finishUpload() {
+    const up = this.upload;
+    this.upload = null;
+    this.printer.printFile = up.name;
+    this.printer.fileComplete = 0;
+    console.log(`[SIM] Received ${up.name} (${up.received} bytes in ${up.nextIndex} blocks)`);
+    // V2 printers start on their own; there is no uploadDidFinish / validation step
+    if (this.caps.protocol === 'v2') this._startPrint();
+  }
+
+  _handleCommand(line) {
+    const p = this.printer;
+
+    if (this.caps.protocol === 'v2') {
+      this._handleV2Command(line);
+      return;
+    }
+
+    if (line.startsWith('{')) {
+      this._handleJsonCommand(line);
+      return;
+    }
+
+    if (line === 'XYZv3/query=a' || line === 'XYZv3/query=wf') {
+      this._reply(this._statusReply());
+    } else if (line === 'XYZv3/query=Z') {
+      this._reply(`Z:${JSON.stringify({ PrintFile: p.printFile, Complete: p.fileComplete })}\n$\n`);
+    } else if (line === 'XYZv3/config=signature:[get]') {
+      this._reply('signature:"SIMULATED-SIGNATURE"\n$\n');
+    } else if (line === 'XYZv3/config=taginfo') {
+      this._reply(`taginfo:{${this.opts.serialNumber}}\n$\n`);
+    } else if (line === 'XYZv3/config=uid') {
+      this._reply('uid:"SIM0"\n$\n');
+    } else if (line === 'XYZv3/config=tag') {
+      this._reply('ok\n');
+    } else if (line.startsWith('XYZv3/upload=')) {
+      const [name, size] = line.substring('XYZv3/upload='.length).split(',');
+      if (p.state !== S.IDLE) {
+        this._reply('error\n');
+        return;
+      }
+      this.upload = { name, size: parseInt(size, 10) || 0, received: 0, nextIndex: 0, buffer: Buffer.alloc(0), lastDataAt: Date.now() };
+      this._reply('ok\n');
+    } else if (line === 'XYZv3/config=print[cancel]') {
+      if (this._isPrinting()) this._setState(S.CANCELLING, 0);
+      this._reply('ok\n');
+    } else if (line === 'XYZv3/uploadDidFinish') {
+      this._reply('ok\n');
+      if (p.printFile !== 'none') this._setState(S.VALIDATING, 0);
+    } else if (line === 'XYZv3/action=calibratejr:new') {
+      // auto-calibrating models measure straight away, the others wait for the probe
+      if (this.caps.calibration === 'auto') {
+        this._runCalibration();
+      } else {
+        this._setState(S.CALIBRATE, 40);
+        this._reply('calibratejr:{"stat":"pressdetector"}\n$\n');
+      }
+    } else if (line === 'XYZv3/action=calibratejr:detectorok') {
+      this._runCalibration();
+    } else if (line === 'XYZv3/action=calibratejr:release') {
+      this._setState(S.IDLE, 0);
+      this._reply('calibratejr:{"stat":"complete"}\n$\n');
+    } else if (line === 'XYZv3/action=load:new') {
+      p.extruderTarget_C = 210;
+      this._setState(S.LOAD, 12);
+      this._reply('$\n');
+    } else if (line === 'XYZv3/action=unload:new') {
+      p.extruderTarget_C = 210;
+      this._setState(S.UNLOAD, 22);
+      this._reply('$\n');
+    } else if (line === 'XYZv3/action=load:cancel' || line === 'XYZv3/action=unload:cancel' ||
+               line === 'XYZv3/action=cleannozzle:cancel') {
+      p.extruderTarget_C = 0;
+      this._setState(S.IDLE, 0);
+      this._reply('$\n');
+    } else if (line === 'XYZv3/action=cleannozzle:new') {
+      p.extruderTarget_C = 210;
+      this._setState(S.CLEAN, 0);
+      this._reply('$\n');
+    } else if (line === 'XYZv3/action=home') {
+      this._setState(S.HOMING, 0);
+      this._reply('$\n');
+    } else if (line.startsWith('XYZv3/action=jog:')) {
+      this._reply('$\n');
+    } else if (line.startsWith('XYZv3/config=autolevel:')) {
+      p.autoLevel = line.endsWith(':on');
+      this._reply('ok\n');
+    } else if (line.startsWith('XYZv3/config=zoffset:')) {
+      const m = line.match(/zoffset:\[?(-?\d+)/);
+      if (m) p.zOffset = parseInt(m[1], 10);
+      this._reply('ok\n');
+    } else {
+      this._reply('E4$\n');
+    }
+  }
+
+  // XYZv2: status query and print upload; anything else goes unanswered
+  _handleV2Command(line) {
+    const p = this.printer;
+    if (line === v2.STATUS_QUERY) {
+      this._reply(this._v2StatusReply());
+    } else if (line === v2.PRINT_START) {
+      this.v2PrintMode = p.state === S.IDLE;
+      this._reply(this.v2PrintMode ? `${v2.PRINT_START_REPLY}\n` : 'OFFLINE_FAIL\n');
+    } else if (line.startsWith('M1:') && this.v2PrintMode) {
+      const [name, size] = line.substring(3).split(',');
+      const bytes = parseInt(size, 10) || 0;
+      this.v2PrintMode = false;
+      this.upload = { name, size: bytes, received: 0, nextIndex: 0, buffer: Buffer.alloc(0), blocks: v2.blockCount(bytes), lastDataAt: Date.now() };
+      this._reply(`${v2.FILE_INFO_REPLY}\n`);
+    }
+  }
+
+  _handleJsonCommand(line) {
+    let cmd;
+    try {
+      cmd = JSON.parse(line);
+    } catch (e) {
+      this._reply('E4$\n');
+      return;
+    }
+    const token = 'SIMTOKEN';
+    if (cmd.command === 6) {
+      if (cmd.state === 1 && this._isPrinting()) this._setState(S.PAUSED, 0);
+      else if (cmd.state === 2 && this.printer.state === S.PAUSED) this._setState(S.PRINTING, 0);
+      else if (cmd.state === 2 && this.printer.state === S.VALIDATING) this._setState(S.HEATING, 0);
+      else if (cmd.state === 3 && this._isPrinting()) this._setState(S.CANCELLING, 0);
+    }
+    this._reply(`${JSON.stringify({ command: cmd.command, result: 0, token })}\n$\n`);
+  }
+
+  _runCalibration() {
+    this._setState(S.CALIBRATE, 41);
+    this._reply('calibratejr:{"stat":"processing"}\n$\n');
+    setTimeout(() => {
+      if (!this.isOpen) return;
+      this._setState(S.CALIBRATE, 42);
+      this._reply(`calibratejr:{"stat":"ok"},${this.printer.calibration.join(',')}\n`);
+      if (this.caps.calibration === 'auto') {
+        this._setState(S.IDLE, 0);
+        this._reply('calibratejr:{"stat":"complete"}\n');
+      }
+    }, this.opts.tickMs * 4);
+  }
+
+  _startPrint() {
+    this.printer.extruderTarget_C = 210;
+    if (this.caps.heatedBed) this.printer.bedTarget_C = 60;
+    this._setState(S.HEATING, 0);
+  }
+
+  _isPrinting() {
+    return [S.HEATING, S.PRINTING].includes(this.printer.state);
+  }
+
+  _setState(code, sub) {
+    this.printer.state = code;
+    this.printer.sub = sub;
+    this.printer.stageStartedAt = Date.now();
+  }
+
+  _statusReply() {
+    const p = this.printer;
+    const lines = [
+      `c:{${p.calibration.join(',')},0.0,0.0,0.0}`,
+      `d:${p.printPercent},${p.elapsedMin},${p.timeLeftMin}`,
+      `w:1,${p.filamentSerial}`,
+      `e:${p.errorCode}`,
+      `f:1,${p.filamentRemaining_mm}`,
+      `i:${this.opts.serialNumber}`,
+      `j:${p.state},${p.sub}`,
+      'L:1,1279,187,108',
+      'm:0,0,0',
+      `o:p${Math.round((this.opts.packetSize || this.caps.uploadBlockSize) / 1024)},t1,c1,a${p.autoLevel ? '+' : '-'}`,
+      `p:${p.modelNumber}`,
+      `s:${JSON.stringify({ fm: 1, fd: 1, sd: 'yes', button: 'no', buzzer: 'on' })}`,
+      `t:1,${Math.round(p.extruder_C)},${p.extruderTarget_C}`,
+      `v:${this.opts.firmwareVersion}`,
+      `n:${p.machineName}`,
+      `X:${this.caps.nozzleTypes[0]},GB-SIM0-0000-TH-7CG-0270-001`,
+      'l:en',
+      `z:${p.zOffset}`
+    ];
+    if (this.caps.heatedBed) lines.splice(1, 0, `b:${Math.round(p.bed_C)}`);
+    return lines.join('\n') + '\n$\n';
+  }
+
+  // KEY:value lines without a terminator, as V2S_parseStatusSubstring expects
+  _v2StatusReply() {
+    const p = this.printer;
+    const prnState = V2_STATE_CODES.indexOf(p.state);
+    const lines = [
+      `MDU:${p.modelNumber}`,
+      `PRT_NAME:${p.machineName}`,
+      `MCH_ID:${this.opts.serialNumber}`,
+      `FW_V:${this.opts.firmwareVersion}`,
+      `PRN_STATE:${prnState === -1 ? V2_STATE_CODES.indexOf(S.IDLE) : prnState}`,
+      `MCH_STATE:${p.errorCode}`,
+      `ET0:${Math.round(p.extruder_C)}`,
+      `WORK_PARSENT:${p.printPercent}`,
+      `WORK_TIME:${p.elapsedMin}`,
+      `EST_TIME:${p.state === S.PRINTING ? p.timeLeftMin : 0x04444444}`,
+      `W1:${p.filamentSerial}`,
+      'LANG:en'
+    ];
+    if (this.caps.heatedBed) lines.splice(6, 0, `BT:${Math.round(p.bed_C)}`);
+    return lines.join('\n') + '\n';
+  }
+
+  // Advance heating, validation, printing and maintenance stages
+  _tick() {
+    const p = this.printer;
+    const o = this.opts;
+    const since = Date.now() - p.stageStartedAt;
+
+    // a transfer that stops without uploadDidFinish is dropped after a while
+    if (this.upload && Date.now() - this.upload.lastDataAt > o.receiveTimeoutMs) {
+      console.log(`[SIM] Upload of ${this.upload.name} timed out after ${this.upload.nextIndex} blocks`);
+      this.upload = null;
+    }
+
+    // temperatures move toward their targets
+    const approach = (cur, target) => {
+      const goal = target || 22;
+      if (Math.abs(goal - cur) <= o.heatRate_C) return goal;
+      return cur + Math.sign(goal - cur) * o.heatRate_C;
+    };
+    p.extruder_C = approach(p.extruder_C, p.extruderTarget_C);
+    if (this.caps.heatedBed) p.bed_C = approach(p.bed_C, p.bedTarget_C);
+
+    switch (p.state) {
+      case S.VALIDATING:
+        if (since >= o.validateMs) this._startPrint();
+        break;
+      case S.HEATING:
+        if (p.extruder_C >= p.extruderTarget_C) {
+          p.printPercent = 0;
+          this._setState(S.PRINTING, 0);
+        }
+        break;
+      case S.PRINTING: {
+        const pct = Math.min(100, Math.floor((since / o.printDurationMs) * 100));
+        p.printPercent = pct;
+        p.elapsedMin = Math.floor(since / 60000);
+        p.timeLeftMin = Math.max(0, Math.ceil((o.printDurationMs - since) / 60000));
+        p.filamentRemaining_mm = Math.max(0, p.filamentRemaining_mm - 50);
+        if (pct >= 100) this._setState(S.FINISHING, 0);
+        break;
+      }
+      case S.FINISHING:
+      case S.CANCELLING:
+        if (since >= o.tickMs * 4) {
+          p.extruderTarget_C = 0;
+          p.bedTarget_C = 0;
+          p.fileComplete = p.state === S.FINISHING ? 1 : 0;
+          p.printPercent = 0;
+          p.elapsedMin = 0;
+          p.timeLeftMin = 0;
+          this._setState(S.IDLE, 0);
+        }
+        break;
+      case S.LOAD:
+        if (p.sub === 12 && p.extruder_C >= p.extruderTarget_C) p.sub = 14;
+        else if (p.sub === 14 && since >= o.tickMs * 10) p.sub = 15;
+        break;
+      case S.UNLOAD:
+        if (p.sub === 22 && p.extruder_C >= p.extruderTarget_C) p.sub = 24;
+        else if (p.sub === 24 && since >= o.tickMs * 10) p.sub = 25;
+        break;
+      case S.HOMING:
+        if (since >= o.tickMs * 4) this._setState(S.IDLE, 0);
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+module.exports = { SimulatedPort, isSimulatorPath, SIM_MODELS };
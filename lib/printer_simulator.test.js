@@ -0,0 +1,93 @@
+const path = require('path');
+const { ReadlineParser } = require('@serialport/parser-readline');
+const Parser = require('../lib/parser');
+const XYZv3Uploader = require('../lib/upload_xyz_v3');
+const SerialBridge = require('../lib/serial_bridge');
+const { CommandQueue } = require('../lib/command_queue');
+const { SimulatedPort, isSimulatorPath } = require('../lib/printer_simulator');
+const { STATE } = require('../lib/printer_states');
+const assert = require('assert');
+
+console.log('Running Printer Simulator Tests...');
+
+const SAMPLE_FILE = path.join(__dirname, '..', 'uploads', 'AstroKe.3w');
+
+(async () => {
+  try {
+    assert.ok(isSimulatorPath('sim://davinci-nano'), 'sim:// path should select the simulator');
+    assert.ok(!isSimulatorPath('/dev/ttyUSB0'), 'Device path should not select the simulator');
+
+    const port = new SimulatedPort({ path: 'sim://davinci-nano', responseDelayMs: 1 });
+    const parser = new Parser({ frameTimeoutMs: 50 });
+    port.pipe(new ReadlineParser({ delimiter: '\n' })).on('data', line => parser.feed(line));
+
+    await new Promise((resolve, reject) => port.open(err => (err ? reject(err) : resolve())));
+    assert.ok(port.isOpen, 'Port should report open');
+
+    // Status poll produces one complete snapshot with the model's profile
+    const status = await new Promise(resolve => {
+      parser.once('status', resolve);
+      port.write('XYZv3/query=a\n');
+    });
+    assert.strictEqual(status.frame.complete, true, 'Snapshot should end with $');
+    assert.strictEqual(status.modelNumber, 'dv1NX0A000', 'Model number mismatch');
+    assert.strictEqual(status.printerStateName, STATE.IDLE, 'Simulator should start idle');
+    assert.strictEqual(status.oPacketSize, 8192, 'Packet size mismatch');
+
+    // Full upload through the real uploader: handshake, CRC-checked blocks, uploadDidFinish
+    const bridge = new SerialBridge({ serialPath: 'sim://davinci-jr' }, {
+      createPort: () => new SimulatedPort({ path: 'sim://davinci-jr', responseDelayMs: 1, tickMs: 100 })
+    });
+    await new Promise(resolve => {
+      bridge.on('state', snap => { if (snap.state === 'ready') resolve(); });
+      bridge.start();
+    });
+    const io = { emit() {} };
+    const uploader = new XYZv3Uploader(new CommandQueue(bridge), io, parser);
+    const result = await uploader.uploadFile(SAMPLE_FILE, 'AstroKe.3w');
+    assert.strictEqual(result.success, true, 'Upload should succeed');
+    assert.strictEqual(bridge.port.printer.printFile, 'AstroKe.3w', 'Simulator should record the uploaded file');
+    assert.strictEqual(bridge.port.printer.state, 9520, 'Simulator should be validating after upload');
+
+    // A cancelled upload is ended with uploadDidFinish; the printer is then ready for the next one
+    bridge.port.printer.state = 9511;
+    let cancelOnProgress = true;
+    const cancelIo = { emit: (event) => { if (event === 'upload_progress' && cancelOnProgress) cancelUploader.cancel(); } };
+    const cancelUploader = new XYZv3Uploader(new CommandQueue(bridge), cancelIo, parser);
+    await assert.rejects(cancelUploader.uploadFile(SAMPLE_FILE, 'AstroKe.3w'), /cancelled/);
+    assert.strictEqual(bridge.port.upload, null, 'Simulator should have dropped the partial file');
+    cancelOnProgress = false;
+    const retry = await cancelUploader.uploadFile(SAMPLE_FILE, 'AstroKe.3w');
+    assert.strictEqual(retry.success, true, 'Upload after a cancel should succeed');
+    await new Promise(resolve => bridge.stop(resolve));
+
+    // A corrupted block is rejected
+    port.printer.state = 9511;
+    port.write('XYZv3/upload=bad.3w,4\n');
+    const frame = Buffer.alloc(16);
+    frame.writeUInt32BE(0, 0);
+    frame.writeUInt32BE(4, 4);
+    frame.write('abcd', 8);
+    frame.writeUInt32BE(0xdeadbeef, 12);
+    const replies = [];
+    port.on('data', d => replies.push(d.toString()));
+    port.write(frame);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(replies.join('').includes('error'), 'Bad CRC should not be acknowledged');
+
+    await new Promise(resolve => port.close(resolve));
+
+    // A slow link pushes back: writes beyond the buffer wait for drain
+    const slow = new SimulatedPort({ path: 'sim://davinci-jr', responseDelayMs: 1, linkBytesPerSec: 200000 });
+    await new Promise((resolve, reject) => slow.open(err => (err ? reject(err) : resolve())));
+    const started = Date.now();
+    assert.strictEqual(slow.write(Buffer.alloc(20000, 0x20)), false, 'Write beyond the high-water mark should ask for drain');
+    await new Promise(resolve => slow.once('drain', resolve));
+    assert.ok(Date.now() - started >= 90, 'Data should take the link time to go out');
+    await new Promise(resolve => slow.close(resolve));
+    console.log('✅ All printer simulator tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exit(1);
+  }
+})();
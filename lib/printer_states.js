@@ -0,0 +1,153 @@
+// lib/printer_states.js
+// XYZv3 printer state dictionary.
+// The printer reports its state as "j:code,sub" (or "j" inside a JSON status
+// payload). Codes follow miniMover's XYZPrintStateCode enum; sub-codes are only
+// meaningful for a handful of states (load/unload filament, calibration).
+//
+// Every code maps to one of the coarse STATE names below so the server and UI
+// can reason about "is the printer busy / printing / idle" without magic numbers.
+
+const STATE = Object.freeze({
+  UNKNOWN: 'unknown',
+  INITIALIZING: 'initializing',
+  IDLE: 'idle',
+  HEATING: 'heating',
+  PRINTING: 'printing',
+  PAUSED: 'paused',
+  CANCELLING: 'cancelling',
+  COOLING: 'cooling',
+  FINISHING: 'finishing',
+  COMPLETE: 'complete',
+  VALIDATING: 'validating',
+  CALIBRATING: 'calibrating',
+  LOADING: 'loading',
+  UNLOADING: 'unloading',
+  JOGGING: 'jogging',
+  HOMING: 'homing',
+  CLEANING: 'cleaning',
+  BUSY: 'busy',
+  ERROR: 'error'
+});
+
+// code -> { key, label, state }
+const STATE_CODES = Object.freeze({
+  9500: { key: 'PRINT_INITIAL', label: 'Initializing', state: STATE.INITIALIZING },
+  9501: { key: 'PRINT_HEATING', label: 'Heating', state: STATE.HEATING },
+  9502: { key: 'PRINT_PRINTING', label: 'Printing', state: STATE.PRINTING },
+  9503: { key: 'PRINT_CALIBRATING', label: 'Calibrating', state: STATE.CALIBRATING },
+  9504: { key: 'PRINT_CALIBRATING_DONE', label: 'Calibration done', state: STATE.CALIBRATING },
+  9505: { key: 'PRINT_IN_PROGRESS', label: 'Printing in progress', state: STATE.PRINTING },
+  9506: { key: 'PRINT_COOLING_DONE', label: 'Cooling done', state: STATE.COOLING },
+  9507: { key: 'PRINT_COOLING_END', label: 'Cooling', state: STATE.COOLING },
+  9508: { key: 'PRINT_ENDING_PROCESS', label: 'Finishing print', state: STATE.FINISHING },
+  9509: { key: 'PRINT_ENDING_PROCESS_DONE', label: 'Finishing done', state: STATE.FINISHING },
+  9510: { key: 'PRINT_JOB_DONE', label: 'Print job done', state: STATE.COMPLETE },
+  9511: { key: 'PRINT_NONE', label: 'Idle', state: STATE.IDLE },
+  9512: { key: 'PRINT_STOP', label: 'Print stopped', state: STATE.CANCELLING },
+  9513: { key: 'PRINT_LOAD_FILAMENT', label: 'Loading filament', state: STATE.LOADING },
+  9514: { key: 'PRINT_UNLOAD_FILAMENT', label: 'Unloading filament', state: STATE.UNLOADING },
+  9515: { key: 'PRINT_AUTO_CALIBRATION', label: 'Auto calibrating', state: STATE.CALIBRATING },
+  9516: { key: 'PRINT_JOG_MODE', label: 'Jog mode', state: STATE.JOGGING },
+  9517: { key: 'PRINT_FATAL_ERROR', label: 'Fatal error', state: STATE.ERROR },
+  9520: { key: 'STATE_PRINT_FILE_CHECK', label: 'Validating file', state: STATE.VALIDATING },
+  9530: { key: 'STATE_PRINT_LOAD_FILAMENT', label: 'Loading filament', state: STATE.LOADING },
+  9531: { key: 'STATE_PRINT_UNLOAD_FILAMENT', label: 'Unloading filament', state: STATE.UNLOADING },
+  9532: { key: 'STATE_PRINT_JOG_MODE', label: 'Jog mode', state: STATE.JOGGING },
+  9533: { key: 'STATE_PRINT_FATAL_ERROR', label: 'Fatal error', state: STATE.ERROR },
+  9534: { key: 'STATE_PRINT_HOMING', label: 'Homing', state: STATE.HOMING },
+  9535: { key: 'STATE_PRINT_CALIBRATE', label: 'Calibrating', state: STATE.CALIBRATING },
+  9536: { key: 'STATE_PRINT_CLEAN_NOZZLE', label: 'Cleaning nozzle', state: STATE.CLEANING },
+  9537: { key: 'STATE_PRINT_GET_SD_FILE', label: 'Reading SD card', state: STATE.BUSY },
+  9538: { key: 'STATE_PRINT_PRINT_SD_FILE', label: 'Printing from SD card', state: STATE.PRINTING },
+  9539: { key: 'STATE_PRINT_ENGRAVE_PLACE_OBJECT', label: 'Place engraving object', state: STATE.BUSY },
+  9540: { key: 'STATE_PRINT_ADJUST_ZOFFSET', label: 'Adjusting Z offset', state: STATE.CALIBRATING },
+  9601: { key: 'PRINT_TASK_PAUSED', label: 'Paused', state: STATE.PAUSED },
+  9602: { key: 'PRINT_TASK_CANCELING', label: 'Cancelling', state: STATE.CANCELLING },
+  9700: { key: 'STATE_PRINT_BUSY', label: 'Busy', state: STATE.BUSY }
+});
+
+// XYZv2 printers report PRN_STATE:0..17; miniMover's translateStatus maps them onto the
+// XYZv3 codes above (index = V2 code). Codes outside the table are passed through.
+const V2_STATE_CODES = Object.freeze([
+  9500, 9501, 9502, 9503, 9504, 9506, 9507, 9508, 9509,
+  9510, 9511, 9505, 9512, 9513, 9514, 9515, 9516, 9517
+]);
+
+/**
+ * XYZv3 state code for an XYZv2 PRN_STATE value
+ */
+function fromV2State(code) {
+  return Number.isInteger(code) && code >= 0 && code < V2_STATE_CODES.length ? V2_STATE_CODES[code] : code;
+}
+
+// Sub-codes reported alongside a few states ("j:9530,12" = loading, heating).
+const SUB_STATES = Object.freeze({
+  [STATE.LOADING]: {
+    0: 'Starting',
+    12: 'Heating nozzle',
+    13: 'Heating done',
+    14: 'Feeding filament',
+    15: 'Press button when filament comes out',
+    16: 'Finishing',
+    21: 'Done'
+  },
+  [STATE.UNLOADING]: {
+    0: 'Starting',
+    22: 'Heating nozzle',
+    23: 'Heating done',
+    24: 'Retracting filament',
+    25: 'Remove filament',
+    26: 'Finishing',
+    31: 'Done'
+  },
+  [STATE.CALIBRATING]: {
+    0: 'Starting',
+    40: 'Lower the calibration probe',
+    41: 'Measuring',
+    42: 'Raise the calibration probe',
+    43: 'Storing results',
+    44: 'Done'
+  }
+});
+
+/**
+ * Resolve a raw state code (and optional sub-code) into a named state
+ * @param {number} code - j: code, e.g. 9511
+ * @param {number} [sub] - j: sub-code, e.g. 41
+ * @returns {{code: number|null, sub: number|null, key: string, state: string, label: string, subLabel: string|null}}
+ */
+function describeState(code, sub) {
+  const c = Number.isInteger(code) ? code : null;
+  const s = Number.isInteger(sub) ? sub : null;
+  const entry = c !== null ? STATE_CODES[c] : null;
+
+  if (!entry) {
+    return {
+      code: c,
+      sub: s,
+      key: 'UNKNOWN',
+      state: STATE.UNKNOWN,
+      label: c !== null ? `Unknown state ${c}` : 'Unknown',
+      subLabel: s !== null ? `sub ${s}` : null
+    };
+  }
+
+  let subLabel = null;
+  if (s !== null && SUB_STATES[entry.state]) {
+    subLabel = SUB_STATES[entry.state][s] || `sub ${s}`;
+  }
+
+  return { code: c, sub: s, key: entry.key, state: entry.state, label: entry.label, subLabel };
+}
+
+/**
+ * True when the printer is executing (or preparing/finishing) a job
+ */
+function isPrintActive(state) {
+  return [
+    STATE.HEATING, STATE.PRINTING, STATE.PAUSED, STATE.COOLING,
+    STATE.FINISHING, STATE.VALIDATING, STATE.CANCELLING
+  ].includes(state);
+}
+
+module.exports = { STATE, STATE_CODES, SUB_STATES, V2_STATE_CODES, describeState, fromV2State, isPrintActive };
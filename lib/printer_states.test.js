@@ -0,0 +1,42 @@
+const Parser = require('../lib/parser');
+const { STATE, describeState } = require('../lib/printer_states');
+const assert = require('assert');
+
+console.log('Running Printer State Tests...');
+
+try {
+    // Dictionary lookups
+    assert.strictEqual(describeState(9511, 0).state, STATE.IDLE, '9511 should be idle');
+    assert.strictEqual(describeState(9501).state, STATE.HEATING, '9501 should be heating');
+    assert.strictEqual(describeState(9530, 12).state, STATE.LOADING, '9530 should be loading');
+    assert.strictEqual(describeState(9530, 12).subLabel, 'Heating nozzle', '9530,12 sub label mismatch');
+    assert.strictEqual(describeState(9535, 99).subLabel, 'sub 99', 'Unknown sub-code should fall back');
+    assert.strictEqual(describeState(1234).state, STATE.UNKNOWN, 'Unknown code should map to unknown');
+
+    // Parser emits stateChange only when the code/sub-code changes
+    const parser = new Parser();
+    const changes = [];
+    parser.on('stateChange', (ev) => changes.push(ev));
+
+    parser.feed('j:9511,0');
+    parser.feed('j:9511,0');
+    parser.feed('j:9530,12');
+    parser.feed(JSON.stringify({ data: { j: '9530,14' } }));
+
+    assert.strictEqual(changes.length, 3, 'Expected three state changes');
+    assert.strictEqual(changes[0].previous.state, STATE.UNKNOWN, 'First change should start from unknown');
+    assert.strictEqual(changes[0].current.state, STATE.IDLE, 'First change should be idle');
+    assert.strictEqual(changes[1].previous.state, STATE.IDLE, 'Second change previous mismatch');
+    assert.strictEqual(changes[1].current.state, STATE.LOADING, 'Second change current mismatch');
+    assert.strictEqual(changes[2].current.sub, 14, 'JSON j sub-code mismatch');
+
+    const status = parser._buildNormalizedStatus();
+    assert.strictEqual(status.printerState, 9530, 'Printer State mismatch');
+    assert.strictEqual(status.printerStateName, STATE.LOADING, 'Printer State Name mismatch');
+    assert.strictEqual(status.printerStateStr, 'Loading filament (Feeding filament)', 'Printer State String mismatch');
+
+    console.log('✅ All printer state tests passed!');
+} catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exit(1);
+}
@@ -0,0 +1,96 @@
+// lib/protocol_commands.js
+// Catalog of XYZv3 (and the few XYZv2) commands for the protocol console: autocompletion in the UI and the
+// server-side check for commands that need confirmation before they are sent.
+// Command names follow miniMover and what the dashboard itself sends.
+
+const COMMANDS = [
+  // Queries (replies end with "$")
+  { command: 'XYZv3/query=a', description: 'Full status (all fields)' },
+  { command: 'XYZv3/query=wf', description: 'Status with filament info' },
+  { command: 'XYZv3/query=Z', description: 'File on the printer and whether it completed' },
+  { command: 'XYZv3/query=b', description: 'Bed temperature' },
+  { command: 'XYZv3/query=c', description: 'Calibration values' },
+  { command: 'XYZv3/query=d', description: 'Print progress' },
+  { command: 'XYZv3/query=e', description: 'Error code' },
+  { command: 'XYZv3/query=f', description: 'Filament remaining' },
+  { command: 'XYZv3/query=i', description: 'Machine serial number' },
+  { command: 'XYZv3/query=j', description: 'Printer state' },
+  { command: 'XYZv3/query=L', description: 'Lifetime counters' },
+  { command: 'XYZv3/query=n', description: 'Machine name' },
+  { command: 'XYZv3/query=o', description: 'Packet size and options' },
+  { command: 'XYZv3/query=p', description: 'Model number' },
+  { command: 'XYZv3/query=s', description: 'Machine flags (buzzer, SD card, ...)' },
+  { command: 'XYZv3/query=t', description: 'Extruder temperature' },
+  { command: 'XYZv3/query=v', description: 'Firmware version' },
+  { command: 'XYZv3/query=w', description: 'Filament serial number' },
+  { command: 'XYZv3/query=z', description: 'Z offset' },
+
+  // Actions
+  { command: 'XYZv3/action=home', description: 'Home all axes' },
+  { command: 'XYZv3/action=jog:{"axis":"z","dir":"+","len":"10"}', description: 'Jog an axis (axis x/y/z, dir +/-, len mm)' },
+  { command: 'XYZv3/action=load:new', description: 'Start loading filament' },
+  { command: 'XYZv3/action=load:cancel', description: 'Stop loading filament' },
+  { command: 'XYZv3/action=unload:new', description: 'Start unloading filament' },
+  { command: 'XYZv3/action=unload:cancel', description: 'Stop unloading filament' },
+  { command: 'XYZv3/action=cleannozzle:new', description: 'Start nozzle cleaning' },
+  { command: 'XYZv3/action=cleannozzle:cancel', description: 'Stop nozzle cleaning' },
+  { command: 'XYZv3/action=calibratejr:new', description: 'Start bed calibration', dangerous: 'moves the print head onto the bed' },
+  { command: 'XYZv3/action=calibratejr:detectorok', description: 'Calibration: detector lowered' },
+  { command: 'XYZv3/action=calibratejr:release', description: 'Calibration: detector raised' },
+
+  // Configuration (replies "ok")
+  { command: 'XYZv3/config=signature:[get]', description: 'Read the upload signature' },
+  { command: 'XYZv3/config=taginfo', description: 'Filament tag info' },
+  { command: 'XYZv3/config=uid', description: 'Printer UID' },
+  { command: 'XYZv3/config=autolevel:on', description: 'Enable auto-leveling' },
+  { command: 'XYZv3/config=autolevel:off', description: 'Disable auto-leveling' },
+  { command: 'XYZv3/config=buzzer:on', description: 'Enable the buzzer' },
+  { command: 'XYZv3/config=buzzer:off', description: 'Disable the buzzer' },
+  { command: 'XYZv3/config=lang:[en]', description: 'Set the display language' },
+  { command: 'XYZv3/config=energy:[3]', description: 'Set the energy saving level' },
+  { command: 'XYZv3/config=zoffset:[0]', description: 'Set the Z offset (hundredths of a mm)', dangerous: 'changes the first-layer height' },
+  { command: 'XYZv3/config=name:[daVinci]', description: 'Rename the printer', dangerous: 'renames the printer' },
+  { command: 'XYZv3/config=print[pause]', description: 'Pause the current print' },
+  { command: 'XYZv3/config=print[resume]', description: 'Resume a paused print' },
+  { command: 'XYZv3/config=print[cancel]', description: 'Cancel the current print', dangerous: 'cancels the running print' },
+  { command: 'XYZv3/config=print[complete]', description: 'Acknowledge a finished print' },
+  { command: 'XYZv3/config=restoredefault:on', description: 'Factory reset', dangerous: 'resets all printer settings' },
+
+  // XYZv2 printers (Da Vinci 1.0 / 2.0, see lib/protocol_v2.js)
+  { command: 'XYZ_@3D:0', description: 'XYZv2: full status (KEY:value lines)' },
+  { command: 'XYZ_@3D:4', description: 'XYZv2: enter print mode for an upload', dangerous: 'the printer waits for a file to print' }
+];
+
+// Checked before the catalog: prefixes that are risky whatever the arguments
+const DANGEROUS_PATTERNS = [
+  { pattern: /^XYZv3\/(upload=|uploadDidFinish)/, reason: 'interferes with file uploads' },
+  { pattern: /^M[12]:/, reason: 'interferes with file uploads' },
+  { pattern: /^\{/, reason: 'JSON print control (pause / resume / cancel)' },
+  { pattern: /^XYZv3\/config=zoffset:/, reason: 'changes the first-layer height' },
+  { pattern: /^XYZv3\/config=name:/, reason: 'renames the printer' },
+  { pattern: /^XYZv3\/config=restoredefault/, reason: 'resets all printer settings' },
+  { pattern: /^XYZv3\/config=print\[cancel\]/, reason: 'cancels the running print' }
+];
+
+// "XYZv3/config=lang:[en]" -> "XYZv3/config=lang:" (commands that take an argument)
+function argumentPrefix(command) {
+  const m = command.match(/^([^=]*=[^:[{]*[:[{])/);
+  return m ? m[1] : null;
+}
+
+/**
+ * Look up a console command
+ * @param {string} command
+ * @returns {{known: boolean, dangerous: boolean, reason: string|null, description: string|null}}
+ */
+function classifyCommand(command) {
+  const text = String(command || '').trim();
+  const entry = COMMANDS.find(c => c.command === text) ||
+    COMMANDS.find(c => argumentPrefix(c.command) && text.startsWith(argumentPrefix(c.command)));
+  const rule = DANGEROUS_PATTERNS.find(r => r.pattern.test(text));
+  if (rule) return { known: !!entry, dangerous: true, reason: rule.reason, description: entry ? entry.description : null };
+  if (entry) return { known: true, dangerous: !!entry.dangerous, reason: entry.dangerous || null, description: entry.description };
+  return { known: false, dangerous: true, reason: 'not a known XYZv3 command', description: null };
+}
+
+module.exports = { COMMANDS, classifyCommand };
@@ -0,0 +1,50 @@
+const { COMMANDS, classifyCommand } = require('../lib/protocol_commands');
+const { checkOperatorKey } = require('../lib/operator_auth');
+const assert = require('assert');
+
+console.log('Running Protocol Console Tests...');
+
+try {
+  // Catalog
+  assert.ok(COMMANDS.every(c => /^(XYZv3\/(query|action|config)=|XYZ_@3D:)/.test(c.command) && c.description), 'Catalog entries need a command and description');
+  assert.strictEqual(new Set(COMMANDS.map(c => c.command)).size, COMMANDS.length, 'Catalog commands should be unique');
+
+  // Plain queries and actions go straight through
+  assert.deepStrictEqual(classifyCommand('XYZv3/query=a'), { known: true, dangerous: false, reason: null, description: 'Full status (all fields)' });
+  assert.strictEqual(classifyCommand(' XYZv3/action=home ').dangerous, false, 'Whitespace should be ignored');
+
+  // Commands with arguments match their catalog entry
+  const jog = classifyCommand('XYZv3/action=jog:{"axis":"x","dir":"-","len":"1"}');
+  assert.strictEqual(jog.known, true, 'Jog with other arguments should be known');
+  assert.strictEqual(jog.dangerous, false, 'Jog should not need confirmation');
+  assert.strictEqual(classifyCommand('XYZv3/config=lang:[de]').known, true, 'Language with another argument should be known');
+
+  // Dangerous ones need confirmation
+  assert.strictEqual(classifyCommand('XYZv3/config=zoffset:[25]').reason, 'changes the first-layer height');
+  assert.strictEqual(classifyCommand('XYZv3/config=restoredefault:on').dangerous, true, 'Factory reset should be dangerous');
+  assert.strictEqual(classifyCommand('XYZv3/config=print[cancel]').dangerous, true, 'Cancel should be dangerous');
+  assert.strictEqual(classifyCommand('XYZv3/config=print[pause]').dangerous, false, 'Pause should not be dangerous');
+  assert.strictEqual(classifyCommand('XYZv3/upload=x.3w,10').reason, 'interferes with file uploads');
+  assert.strictEqual(classifyCommand('{"command":6,"state":1}').dangerous, true, 'JSON print control should be dangerous');
+
+  // XYZv2 status query is safe, entering print mode or sending file info is not
+  assert.strictEqual(classifyCommand('XYZ_@3D:0').dangerous, false, 'V2 status query should not be dangerous');
+  assert.strictEqual(classifyCommand('XYZ_@3D:4').dangerous, true, 'V2 print mode should be dangerous');
+  assert.strictEqual(classifyCommand('M1:MyTest,100,1.0.0,EE1_OK,EE2_OK').reason, 'interferes with file uploads');
+
+  // Unknown commands are sent only after confirmation
+  const unknown = classifyCommand('XYZv3/query=?');
+  assert.deepStrictEqual(unknown, { known: false, dangerous: true, reason: 'not a known XYZv3 command', description: null });
+
+  // Operator key
+  assert.strictEqual(checkOperatorKey('secret', 'secret'), true, 'Matching key should pass');
+  assert.strictEqual(checkOperatorKey('secret', 'Secret'), false, 'Wrong key should fail');
+  assert.strictEqual(checkOperatorKey('secret', undefined), false, 'Missing key should fail');
+  assert.strictEqual(checkOperatorKey(undefined, ''), false, 'No operator key configured means no operators');
+  assert.strictEqual(checkOperatorKey('', ''), false, 'Empty keys should not match');
+
+  console.log('✅ All protocol console tests passed!');
+} catch (e) {
+  console.error('❌ Test failed:', e.message);
+  process.exit(1);
+}
@@ -0,0 +1,63 @@
+// lib/protocol_v2.js
+// XYZv2 serial protocol used by first-generation Da Vinci 1.0 / 2.0 printers
+// (miniMover's m_useV2Protocol, V2S_* functions).
+//
+// Status: "XYZ_@3D:0" answers with "KEY:value" lines (MDU:dvF100B000, ET0:210, ...) and no
+// terminator; the reply is complete when the printer goes quiet.
+// Upload: "XYZ_@3D:4" -> "OFFLINE_OK", "M1:MyTest,<size>,1.0.0,EE1_OK,EE2_OK" -> "M1_OK", then
+// the file in 10236-byte chunks, each followed by a 32-bit big-endian byte sum and answered
+// with "M2_OK". A final (possibly empty) chunk always follows the full ones.
+// There is no print control or maintenance command set over V2 serial.
+
+const STATUS_QUERY = 'XYZ_@3D:0';
+const PRINT_START = 'XYZ_@3D:4';
+const PRINT_START_REPLY = 'OFFLINE_OK';
+const FILE_INFO_REPLY = 'M1_OK';
+const BLOCK_REPLY = 'M2_OK';
+const BLOCK_SIZE = 10236;
+// A status reply is over once no line arrives for this long
+const STATUS_QUIET_MS = 200;
+
+// "MDU:dvF100B000", "XYZ_@3D:...", "Welcome:..." - multi-letter upper-case keys never used by XYZv3
+const V2_LINE = /^[A-Z][A-Z0-9_@]+:/;
+
+function isV2Line(line) {
+  return V2_LINE.test(String(line).trim());
+}
+
+/**
+ * File info line announcing an upload (miniMover always reports version 1.0.0)
+ */
+function fileInfoCommand(size) {
+  return `M1:MyTest,${size},1.0.0,EE1_OK,EE2_OK`;
+}
+
+/**
+ * Chunk trailer: sum of the data bytes (32-bit, wraps)
+ */
+function byteSum(data) {
+  let sum = 0;
+  for (let i = 0; i < data.length; i++) sum = (sum + data[i]) >>> 0;
+  return sum;
+}
+
+/**
+ * Number of chunks sent for a file (the last one holds the remainder and may be empty)
+ */
+function blockCount(size) {
+  return Math.floor(size / BLOCK_SIZE) + 1;
+}
+
+module.exports = {
+  STATUS_QUERY,
+  PRINT_START,
+  PRINT_START_REPLY,
+  FILE_INFO_REPLY,
+  BLOCK_REPLY,
+  BLOCK_SIZE,
+  STATUS_QUIET_MS,
+  isV2Line,
+  fileInfoCommand,
+  byteSum,
+  blockCount
+};
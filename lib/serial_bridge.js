@@ -1,72 +1,429 @@
-const SerialPort = require('serialport');
-const Readline = require('@serialport/parser-readline');
+// lib/serial_bridge.js
+// Serial connection manager.
+// serialPath may be a local tty, sim://<model> (lib/printer_simulator.js) or
+// tcp://host:port / rfc2217://host:port (lib/tcp_port.js).
+// Owns the printer port for the whole server lifetime: finds the device, opens it,
+// confirms the printer answers, and reopens it with exponential backoff when the
+// link drops. USB unplug / replug is detected by watching SerialPort.list().
+// The handshake also tells XYZv3 printers from older XYZv2 ones (lib/protocol_v2.js):
+// the XYZv3 query goes first, XYZ_@3D:0 when it gets no answer, unless config.protocol
+// pins one. The shape of the first reply decides.
+//
+// Connection states:
+//   absent      - configured device not present (waiting for hotplug)
+//   opening     - port open in progress
+//   handshaking - port open, waiting for the printer to answer the first query
+//   ready       - printer answering, normal polling allowed
+//   uploading   - an upload owns the link (no polling)
+//   lost        - open failed or link dropped, reconnect scheduled
+//
+// Events: 'state' (snapshot), 'open' (port), 'line' (text line), 'data' (raw bytes received),
+// 'write' (raw bytes sent), 'close'
+
 const EventEmitter = require('events');
+const { SimulatedPort, isSimulatorPath } = require('./printer_simulator');
+const { TcpPort, isTcpPath } = require('./tcp_port');
+const v2 = require('./protocol_v2');
+
+let SerialPort = null;
+try {
+  ({ SerialPort } = require('serialport'));
+} catch (e) {
+  // serialport is an optional dependency; only sim:// paths work without it
+}
+
+const CONNECTION_STATE = Object.freeze({
+  ABSENT: 'absent',
+  OPENING: 'opening',
+  HANDSHAKING: 'handshaking',
+  READY: 'ready',
+  UPLOADING: 'uploading',
+  LOST: 'lost'
+});
+
+// Local tty devices can be listed and hot-plugged; sim:// and tcp:// / rfc2217:// paths cannot
+function isLocalDevice(p) {
+  return !isSimulatorPath(p) && !isTcpPath(p);
+}
+
+const DEFAULTS = {
+  baudRate: 115200,
+  reconnectBaseMs: 1000,
+  reconnectMaxMs: 30000,
+  hotplugIntervalMs: 2000,
+  handshakeTimeoutMs: 5000,
+  handshakeCommand: 'XYZv3/query=wf',
+  protocol: 'auto', // 'v3' or 'v2' skips detection
+  autoDetect: true // fall back to any USB serial device when serialPath is missing
+};
 
 class SerialBridge extends EventEmitter {
-    constructor(config) {
-        super();
-        this.config = config;
-        this.port = null;
-        this.parser = null;
-        this.connect();
+  /**
+   * @param {object} config - server config (serialPath, baudRate, reconnect/hotplug/handshake timings, simulator)
+   * @param {{createPort?: Function, listPorts?: Function}} [hooks] - override port construction / enumeration
+   */
+  constructor(config, hooks = {}) {
+    super();
+    this.config = { ...DEFAULTS, ...config };
+    this.createPort = hooks.createPort || ((p) => this._defaultCreatePort(p));
+    this.listPorts = hooks.listPorts || (() => this._defaultListPorts());
+
+    this.port = null;
+    this.path = null;
+    this.state = CONNECTION_STATE.ABSENT;
+    this.attempt = 0;
+    this.retryAt = null;
+    this.retryDelayMs = null;
+    this.lastError = null;
+    this.protocol = null; // 'v3' / 'v2' once a printer answered the handshake
+    this.lineBuffer = '';
+    this.stopped = true;
+    this.connecting = false;
+    this.listAvailable = true;
+    this.simPrinters = {}; // sim:// path -> virtual printer state, kept across reconnects
+
+    this.retryTimer = null;
+    this.handshakeTimer = null;
+    this.hotplugTimer = null;
+  }
+
+  /**
+   * Start connecting and watching for hotplug
+   */
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    if (isLocalDevice(this.config.serialPath)) {
+      this.hotplugTimer = setInterval(() => this._checkHotplug(), this.config.hotplugIntervalMs);
+      if (this.hotplugTimer.unref) this.hotplugTimer.unref();
     }
+    this._connect();
+  }
 
-    connect() {
-        const { serialPath, baudRate } = this.config;
-        this.port = new SerialPort({ path: serialPath, baudRate, autoOpen: false });
-        this.parser = this.port.pipe(new Readline({ delimiter: '\n' }));
-
-        this.port.on('open', () => {
-            console.log('Serial opened', serialPath);
-            this.emit('open');
-        });
-
-        this.port.on('error', (e) => {
-            console.error('Serial error', e.message);
-            this.emit('error', e);
-        });
-
-        this.port.on('close', () => {
-            console.warn('Serial closed');
-            this.emit('close');
-            // Attempt to reconnect after a delay
-            setTimeout(() => this.connect(), 5000);
-        });
-
-        this.parser.on('data', (line) => {
-            this.emit('data', line);
-        });
-
-        this.port.open((err) => {
-            if (err) {
-                console.error('Failed to open serial port', err.message);
-                // Attempt to reconnect after a delay
-                setTimeout(() => this.connect(), 5000);
-            }
-        });
+  /**
+   * Stop reconnecting and close the port
+   */
+  stop(callback) {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.handshakeTimer);
+    clearInterval(this.hotplugTimer);
+    this.retryTimer = this.handshakeTimer = this.hotplugTimer = null;
+    if (this.port && this.port.isOpen) {
+      this.port.close(() => { if (callback) callback(); });
+    } else {
+      this._setState(CONNECTION_STATE.ABSENT);
+      if (callback) setImmediate(callback);
     }
+  }
+
+  /**
+   * Current connection snapshot (sent to the UI as connection_state)
+   */
+  getSnapshot() {
+    return {
+      state: this.state,
+      path: this.path || this.config.serialPath,
+      attempt: this.attempt,
+      retryInMs: this.retryAt ? Math.max(0, this.retryAt - Date.now()) : null,
+      retryDelayMs: this.retryAt ? this.retryDelayMs : null,
+      protocol: this.protocol,
+      error: this.lastError
+    };
+  }
+
+  isOpen() {
+    return !!(this.port && this.port.isOpen);
+  }
+
+  isReady() {
+    return this.state === CONNECTION_STATE.READY;
+  }
 
-    write(data, callback) {
-        if (this.port && this.port.isOpen) {
-            const s = data.endsWith('\r\n') || data.endsWith('\n') ? data : data + '\r\n';
-            this.port.write(s, (err) => {
-                if (err) {
-                    console.error('Write failed', err.message);
-                    if (callback) callback(err);
-                    return;
-                }
-                if (callback) callback();
-            });
-            return true;
-        } else {
-            console.warn('Serial not open: cannot send', data);
-            return false;
-        }
+  /**
+   * Hand the link to an upload (polling stops until endUpload)
+   */
+  beginUpload() {
+    if (this.state === CONNECTION_STATE.READY) this._setState(CONNECTION_STATE.UPLOADING);
+  }
+
+  endUpload() {
+    if (this.state === CONNECTION_STATE.UPLOADING) this._setState(CONNECTION_STATE.READY);
+  }
+
+  write(data, callback) {
+    if (this.port && this.port.isOpen) {
+      // Binary upload frames go out untouched; text commands get a line ending
+      const s = Buffer.isBuffer(data) || data.endsWith('\r\n') || data.endsWith('\n') ? data : data + '\r\n';
+      this.emit('write', s);
+      // When the port buffer is over its high-water mark the callback also waits for
+      // 'drain', so a large upload never queues more data than the link can take
+      const port = this.port;
+      let waiting = 1;
+      let failure = null;
+      const settle = (err) => {
+        if (err && !failure) failure = err;
+        if (--waiting === 0 && callback) callback(failure || undefined);
+      };
+      const belowHighWater = port.write(s, (err) => {
+        if (err) console.error('Write failed', err.message);
+        settle(err);
+      });
+      if (belowHighWater === false && typeof port.once === 'function') {
+        waiting++;
+        const onDrain = () => { port.removeListener('close', onClose); settle(); };
+        const onClose = () => { port.removeListener('drain', onDrain); settle(new Error('Port closed before the write drained')); };
+        port.once('drain', onDrain);
+        port.once('close', onClose);
+      }
+      return true;
+    } else {
+      console.warn('Serial not open: cannot send', data);
+      return false;
+    }
+  }
+
+  // --- internals ----------------------------------------------------------
+
+  _defaultCreatePort(portPath) {
+    if (isSimulatorPath(portPath)) {
+      const port = new SimulatedPort({ ...(this.config.simulator || {}), path: portPath, printer: this.simPrinters[portPath] });
+      this.simPrinters[portPath] = port.printer;
+      return port;
+    }
+    if (isTcpPath(portPath)) {
+      return new TcpPort({ path: portPath, baudRate: this.config.baudRate, connectTimeoutMs: this.config.connectTimeoutMs });
     }
+    if (!SerialPort) {
+      throw new Error('serialport not installed - install serialport for hardware support');
+    }
+    return new SerialPort({ path: portPath, baudRate: this.config.baudRate, autoOpen: false });
+  }
+
+  async _defaultListPorts() {
+    if (!SerialPort) throw new Error('serialport not installed');
+    return SerialPort.list();
+  }
+
+  /**
+   * Find the device to open.
+   * @returns {Promise<string|null>} path, or null when the device is known to be absent
+   */
+  async _resolvePath() {
+    const configured = this.config.serialPath;
+    if (!isLocalDevice(configured)) return configured;
+
+    let ports;
+    try {
+      ports = await this.listPorts();
+      if (!this.listAvailable) console.log('[SERIAL] Port listing available again');
+      this.listAvailable = true;
+    } catch (e) {
+      // Listing can fail (e.g. no udev in containers); fall back to opening the configured path
+      if (this.listAvailable) console.warn('[SERIAL] Cannot list serial ports:', e.message, '- hotplug detection disabled');
+      this.listAvailable = false;
+      return configured;
+    }
+
+    if (ports.find(p => p.path === configured)) return configured;
+    if (!this.config.autoDetect) return null;
 
-    isOpen() {
-        return this.port && this.port.isOpen;
+    // Look for common USB serial devices
+    const usbPort = ports.find(p =>
+      p.path.startsWith('/dev/ttyUSB') ||
+      p.path.startsWith('/dev/ttyACM')
+    );
+    if (usbPort) {
+      console.log(`[SERIAL] Auto-detected serial port: ${usbPort.path}`);
+      return usbPort.path;
     }
+    return null;
+  }
+
+  async _connect() {
+    if (this.stopped || this.connecting) return;
+    this.connecting = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.retryAt = null;
+
+    const portPath = await this._resolvePath();
+    if (this.stopped) {
+      this.connecting = false;
+      return;
+    }
+    if (!portPath) {
+      this.connecting = false;
+      this.lastError = `No printer found at ${this.config.serialPath}`;
+      this._setState(CONNECTION_STATE.ABSENT);
+      return;
+    }
+
+    this.path = portPath;
+    this._setState(CONNECTION_STATE.OPENING);
+
+    let port;
+    try {
+      port = this.createPort(portPath);
+    } catch (e) {
+      this.connecting = false;
+      this._onOpenFailed(e);
+      return;
+    }
+    this.port = port;
+    this.lineBuffer = '';
+
+    port.on('data', (chunk) => this._onData(chunk));
+    port.on('error', (e) => console.error('Serial error', e.message));
+    port.on('close', (err) => this._onClose(port, err));
+
+    port.open((err) => {
+      this.connecting = false;
+      // stop() ran while the port was opening: close it, nothing owns it any more
+      if (this.stopped) {
+        if (this.port === port) this.port = null;
+        if (!err) port.close(() => console.log('Serial closed', portPath, '(stopped while opening)'));
+        return;
+      }
+      if (err) {
+        this._onOpenFailed(err);
+        return;
+      }
+      console.log('Serial opened', portPath);
+      this._setState(CONNECTION_STATE.HANDSHAKING);
+      this.emit('open', port);
+      this._startHandshake();
+    });
+  }
+
+  // Protocols to try, the last detected one first
+  _handshakeOrder() {
+    const pinned = this.config.protocol;
+    if (pinned === 'v3' || pinned === 'v2') return [pinned];
+    return this.protocol === 'v2' ? ['v2', 'v3'] : ['v3', 'v2'];
+  }
+
+  _startHandshake(candidates = this._handshakeOrder()) {
+    const [protocol, ...rest] = candidates;
+    clearTimeout(this.handshakeTimer);
+    this.handshakeTimer = setTimeout(() => {
+      if (this.state !== CONNECTION_STATE.HANDSHAKING) return;
+      if (rest.length) {
+        console.warn(`[SERIAL] No ${protocol} answer within ${this.config.handshakeTimeoutMs}ms, trying ${rest[0]}`);
+        this._startHandshake(rest);
+        return;
+      }
+      console.warn(`[SERIAL] No answer from printer within ${this.config.handshakeTimeoutMs}ms`);
+      this.lastError = 'Printer did not answer the handshake';
+      if (this.port && this.port.isOpen) this.port.close();
+    }, this.config.handshakeTimeoutMs);
+    this.write(protocol === 'v2' ? v2.STATUS_QUERY : this.config.handshakeCommand);
+  }
+
+  _onData(chunk) {
+    this.emit('data', chunk);
+    this.lineBuffer += chunk.toString('latin1');
+    let idx;
+    while ((idx = this.lineBuffer.indexOf('\n')) !== -1) {
+      const line = this.lineBuffer.substring(0, idx);
+      this.lineBuffer = this.lineBuffer.substring(idx + 1);
+      if (this.state === CONNECTION_STATE.HANDSHAKING && line.trim()) {
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = null;
+        this.attempt = 0;
+        this.lastError = null;
+        const pinned = this.config.protocol === 'v2' || this.config.protocol === 'v3' ? this.config.protocol : null;
+        const detected = pinned || (v2.isV2Line(line) ? 'v2' : 'v3');
+        if (detected !== this.protocol) console.log(`[SERIAL] ${this.path}: XYZ${detected} printer`);
+        this.protocol = detected;
+        this._setState(CONNECTION_STATE.READY);
+      }
+      this.emit('line', line);
+    }
+  }
+
+  _onOpenFailed(err) {
+    console.error('Failed to open serial port', err.message);
+    this.lastError = err.message;
+    this.port = null;
+    this._scheduleReconnect();
+  }
+
+  _onClose(port, err) {
+    if (port !== this.port) return;
+    clearTimeout(this.handshakeTimer);
+    this.handshakeTimer = null;
+    this.port = null;
+    console.warn('Serial closed', err && err.disconnected ? '(device disconnected)' : '');
+    this.emit('close');
+
+    if (this.stopped) {
+      this._setState(CONNECTION_STATE.ABSENT);
+      return;
+    }
+    if (err && err.message) this.lastError = err.message;
+    this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    if (this.stopped) return;
+    const { reconnectBaseMs, reconnectMaxMs } = this.config;
+    const delay = Math.min(reconnectBaseMs * Math.pow(2, this.attempt), reconnectMaxMs);
+    this.attempt++;
+    this.retryDelayMs = delay;
+    this.retryAt = Date.now() + delay;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this._connect(), delay);
+    console.log(`[SERIAL] Reconnecting in ${delay}ms (attempt ${this.attempt})`);
+    this._setState(CONNECTION_STATE.LOST);
+  }
+
+  async _checkHotplug() {
+    if (this.stopped) return;
+
+    let ports;
+    try {
+      ports = await this.listPorts();
+      this.listAvailable = true;
+    } catch (e) {
+      // Without port listing the backoff timer is the only way back
+      this.listAvailable = false;
+      if (this.state === CONNECTION_STATE.ABSENT && !this.connecting) this._connect();
+      return;
+    }
+    const present = (p) => ports.some(info => info.path === p);
+    const anyPrinter = present(this.config.serialPath) || (this.config.autoDetect &&
+      ports.some(p => p.path.startsWith('/dev/ttyUSB') || p.path.startsWith('/dev/ttyACM')));
+
+    if (this.state === CONNECTION_STATE.ABSENT) {
+      if (anyPrinter && !this.connecting) {
+        console.log('[SERIAL] Printer device appeared - connecting');
+        this.attempt = 0;
+        this._connect();
+      }
+    } else if (this.state === CONNECTION_STATE.LOST) {
+      // Device gone: stop the backoff and wait for it to come back
+      if (!anyPrinter && !this.connecting) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this._setState(CONNECTION_STATE.ABSENT);
+      }
+    } else if (this.path && this.port && !present(this.path)) {
+      console.warn(`[SERIAL] ${this.path} disappeared (unplugged?)`);
+      this.lastError = 'Device unplugged';
+      this.port.close();
+    }
+  }
+
+  _setState(state) {
+    if (state === this.state && state !== CONNECTION_STATE.LOST) return;
+    const previous = this.state;
+    this.state = state;
+    if (state !== CONNECTION_STATE.LOST) this.retryAt = null;
+    if (previous !== state) console.log(`[SERIAL] ${this.config.serialPath}: ${previous} -> ${state}`);
+    this.emit('state', { ...this.getSnapshot(), previous });
+  }
 }
 
-module.exports = SerialBridge;
\ No newline at end of file
+module.exports = SerialBridge;
+module.exports.CONNECTION_STATE = CONNECTION_STATE;
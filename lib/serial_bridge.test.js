@@ -0,0 +1,116 @@
+const EventEmitter = require('events');
+const SerialBridge = require('../lib/serial_bridge');
+const { SimulatedPort } = require('../lib/printer_simulator');
+const assert = require('assert');
+
+const { CONNECTION_STATE } = SerialBridge;
+
+console.log('Running Serial Bridge Tests...');
+
+function waitForState(bridge, state, timeoutMs = 2000) {
+  if (bridge.state === state) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${state} (at ${bridge.state})`)), timeoutMs);
+    const onState = (snap) => {
+      if (snap.state !== state) return;
+      clearTimeout(timer);
+      bridge.removeListener('state', onState);
+      resolve();
+    };
+    bridge.on('state', onState);
+  });
+}
+
+// Port that never opens, to exercise the backoff
+class DeadPort extends EventEmitter {
+  constructor() { super(); this.isOpen = false; }
+  open(cb) { setImmediate(() => cb(new Error('Permission denied'))); }
+  close(cb) { if (cb) setImmediate(cb); }
+}
+
+// Open port whose write buffer stays over the high-water mark until 'drain'
+class FullPort extends EventEmitter {
+  constructor() { super(); this.isOpen = true; this.written = []; }
+  write(data, cb) { this.written.push(data); setImmediate(cb); return false; }
+}
+
+(async () => {
+  try {
+    // Hotplug: connect, unplug, replug
+    let devices = [{ path: '/dev/ttyUSB0' }];
+    const bridge = new SerialBridge({ serialPath: '/dev/ttyUSB0', hotplugIntervalMs: 30, reconnectBaseMs: 20 }, {
+      listPorts: async () => devices,
+      createPort: () => new SimulatedPort({ path: 'sim://davinci-jr', responseDelayMs: 1 })
+    });
+    const lines = [];
+    bridge.on('line', l => lines.push(l));
+
+    bridge.start();
+    await waitForState(bridge, CONNECTION_STATE.READY);
+    assert.ok(lines.includes('$'), 'Handshake reply should be passed on as lines');
+
+    bridge.beginUpload();
+    assert.strictEqual(bridge.state, CONNECTION_STATE.UPLOADING, 'beginUpload should switch to uploading');
+    bridge.endUpload();
+    assert.strictEqual(bridge.state, CONNECTION_STATE.READY, 'endUpload should return to ready');
+
+    devices = [];
+    await waitForState(bridge, CONNECTION_STATE.ABSENT);
+    assert.ok(!bridge.isOpen(), 'Port should be closed after unplug');
+
+    devices = [{ path: '/dev/ttyUSB0' }];
+    await waitForState(bridge, CONNECTION_STATE.READY);
+    assert.strictEqual(bridge.attempt, 0, 'Attempts should reset once ready');
+    await new Promise(resolve => bridge.stop(resolve));
+
+    // Exponential backoff while the port refuses to open
+    const delays = [];
+    const failing = new SerialBridge({ serialPath: '/dev/ttyUSB0', hotplugIntervalMs: 10000, reconnectBaseMs: 20, reconnectMaxMs: 80 }, {
+      listPorts: async () => { throw new Error('udevadm not found'); },
+      createPort: () => new DeadPort()
+    });
+    failing.on('state', snap => { if (snap.state === CONNECTION_STATE.LOST) delays.push(snap.retryDelayMs); });
+    failing.start();
+    await new Promise(resolve => setTimeout(resolve, 400));
+    failing.stop();
+
+    assert.ok(delays.length >= 4, `Expected several retries, got ${delays.length}`);
+    assert.deepStrictEqual(delays.slice(0, 4), [20, 40, 80, 80], 'Backoff should double up to the maximum');
+    assert.strictEqual(failing.state, CONNECTION_STATE.ABSENT, 'Stopped bridge should report absent');
+
+    // Stopping while the port is still opening closes it once the open finishes
+    const slowPort = new SimulatedPort({ path: 'sim://davinci-jr', responseDelayMs: 1 });
+    const slow = new SerialBridge({ serialPath: 'sim://davinci-jr', hotplugIntervalMs: 10000 }, { createPort: () => slowPort });
+    const slowStates = [];
+    slow.on('state', snap => slowStates.push(snap.state));
+    slow.start();
+    await waitForState(slow, CONNECTION_STATE.OPENING);
+    await new Promise(resolve => slow.stop(resolve));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(slowPort.isOpen, false, 'Port opened after stop() should be closed');
+    assert.strictEqual(slow.port, null, 'Stopped bridge should not keep the port');
+    assert.ok(!slowStates.includes(CONNECTION_STATE.HANDSHAKING), 'No handshake should start after stop()');
+    assert.strictEqual(slow.state, CONNECTION_STATE.ABSENT, 'Stopped bridge should stay absent');
+
+    // Writes complete only once the port buffer has drained
+    const full = new SerialBridge({ serialPath: '/dev/ttyUSB0' });
+    full.port = new FullPort();
+    let written = false;
+    assert.strictEqual(full.write(Buffer.alloc(20000), () => { written = true; }), true, 'Open port should accept the write');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(written, false, 'Write callback should wait for drain');
+    full.port.emit('drain');
+    assert.strictEqual(written, true, 'Write callback should follow drain');
+    assert.strictEqual(full.port.listenerCount('close'), 0, 'Drain wait should clean up its listeners');
+    let writeError = null;
+    full.write('XYZv3/query=a', (err) => { writeError = err; });
+    await new Promise(resolve => setImmediate(resolve));
+    full.port.emit('close');
+    assert.match(writeError && writeError.message, /closed before the write drained/, 'A close should fail the pending write');
+
+    console.log('✅ All serial bridge tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exit(1);
+  }
+})();
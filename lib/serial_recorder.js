@@ -0,0 +1,260 @@
+// lib/serial_recorder.js
+// Serial traffic recorder: every byte sent to and received from a printer, with
+// timestamp and direction, in rotating capture files under captures/.
+// Captures can be read back and replayed through the Parser to reproduce bugs offline.
+//
+// Record layout follows SampleUSBDataStream/Raw_print_stream_.3wfile.raw: each record
+// starts with the 0x8F marker and a little-endian direction code (3 = read from the
+// printer, 4 = write to the printer). The USB monitor dump has no usable timestamps or
+// lengths, so ours carry both:
+//   8F | type u32 LE | time u32 LE (ms since capture start) | length u32 LE | data
+// The first record (type 1) holds "<serialPath>#<ISO start time>" as UTF-16LE, like
+// the device path at the start of the USB capture.
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const capturesDir = path.join(__dirname, '../captures');
+
+const MARKER = 0x8f;
+const HEADER_BYTES = 13;
+const RECORD = Object.freeze({
+  OPEN: 1,
+  READ: 3,
+  WRITE: 4
+});
+
+const DEFAULTS = {
+  maxFileBytes: 5 * 1024 * 1024,
+  maxFiles: 20
+};
+
+// Recorded files are <printer id>-<date>-<time>.raw; other .raw files (e.g. USB monitor
+// dumps copied into captures/) are listed without a printer id
+const CAPTURE_NAME = /^[A-Za-z0-9_][A-Za-z0-9_.-]*\.raw$/;
+const RECORDED_NAME = /^([A-Za-z0-9_-]+)-\d{8}-\d{6}(-\d+)?\.raw$/;
+
+function encodeRecord(type, timeMs, data) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header[0] = MARKER;
+  header.writeUInt32LE(type, 1);
+  header.writeUInt32LE(Math.max(0, Math.min(timeMs, 0xffffffff)), 5);
+  header.writeUInt32LE(data.length, 9);
+  return Buffer.concat([header, data]);
+}
+
+function timestampName(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Parse a capture file written by SerialRecorder
+ * @param {Buffer} buf
+ * @returns {{serialPath: string|null, startedAt: string|null, records: {type: string, t: number, data: Buffer}[]}}
+ */
+function readCapture(buf) {
+  const capture = { serialPath: null, startedAt: null, records: [] };
+  let pos = 0;
+  while (pos < buf.length) {
+    if (buf.length - pos < HEADER_BYTES || buf[pos] !== MARKER) {
+      throw new Error(`Not a dashboard capture (bad record at offset ${pos})`);
+    }
+    const type = buf.readUInt32LE(pos + 1);
+    const t = buf.readUInt32LE(pos + 5);
+    const length = buf.readUInt32LE(pos + 9);
+    const data = buf.subarray(pos + HEADER_BYTES, pos + HEADER_BYTES + length);
+    if (data.length < length) {
+      // Truncated tail (recorder stopped mid-write): keep what is complete
+      break;
+    }
+    pos += HEADER_BYTES + length;
+
+    if (type === RECORD.OPEN) {
+      const [serialPath, startedAt] = data.toString('utf16le').split('#');
+      capture.serialPath = serialPath || null;
+      capture.startedAt = startedAt || null;
+    } else if (type === RECORD.READ || type === RECORD.WRITE) {
+      capture.records.push({ type: type === RECORD.READ ? 'read' : 'write', t, data });
+    }
+  }
+  return capture;
+}
+
+/**
+ * Feed the printer side of a capture through a Parser, split into lines like SerialBridge does
+ * @param {object} capture - from readCapture()
+ * @param {object} parser - Parser instance
+ * @param {{speed?: number, onRecord?: Function}} [opts]
+ *   speed 0 (default) replays as fast as possible; 1 keeps the recorded timing, 2 twice as fast...
+ *   onRecord(record) is called for every record (writes included) before it is replayed.
+ * @returns {Promise<void>}
+ */
+async function replayCapture(capture, parser, opts = {}) {
+  const speed = opts.speed || 0;
+  let lineBuffer = '';
+  let clock = 0;
+
+  for (const record of capture.records) {
+    if (speed > 0 && record.t > clock) {
+      await new Promise(resolve => setTimeout(resolve, (record.t - clock) / speed));
+      clock = record.t;
+    }
+    if (opts.onRecord) opts.onRecord(record);
+    if (record.type !== 'read') continue;
+
+    lineBuffer += record.data.toString('latin1');
+    let idx;
+    while ((idx = lineBuffer.indexOf('\n')) !== -1) {
+      parser.feed(lineBuffer.substring(0, idx));
+      lineBuffer = lineBuffer.substring(idx + 1);
+    }
+  }
+  if (lineBuffer) parser.feed(lineBuffer);
+  // Publish a frame left open at the end of the capture
+  parser.flush(false);
+}
+
+/**
+ * Capture files in dir, newest first
+ */
+function listCaptures(dir = capturesDir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => CAPTURE_NAME.test(f))
+    .map((f) => {
+      const stat = fs.statSync(path.join(dir, f));
+      const recorded = f.match(RECORDED_NAME);
+      return { name: f, printerId: recorded ? recorded[1] : null, size: stat.size, time: stat.mtime.getTime() };
+    })
+    .sort((a, b) => b.time - a.time || b.name.localeCompare(a.name));
+}
+
+function isCaptureName(name) {
+  return typeof name === 'string' && CAPTURE_NAME.test(name);
+}
+
+class SerialRecorder extends EventEmitter {
+  /**
+   * @param {{id: string, serialPath?: string, dir?: string, maxFileBytes?: number, maxFiles?: number}} options
+   */
+  constructor(options) {
+    super();
+    const given = Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+    this.options = { ...DEFAULTS, dir: capturesDir, ...given };
+    this.id = this.options.id;
+    this.fd = null;
+    this.file = null;
+    this.bytes = 0;
+    this.startedAt = 0;
+  }
+
+  get recording() {
+    return this.fd !== null;
+  }
+
+  /**
+   * Record the traffic of a SerialBridge ('data' = received, 'write' = sent)
+   */
+  attach(link) {
+    link.on('data', chunk => this.record(RECORD.READ, chunk));
+    link.on('write', data => this.record(RECORD.WRITE, data));
+    return this;
+  }
+
+  start() {
+    if (this.recording) return this.getStatus();
+    this._openFile();
+    console.log(`[CAPTURE] ${this.id}: recording to ${this.file}`);
+    this.emit('state', this.getStatus());
+    return this.getStatus();
+  }
+
+  stop() {
+    if (!this.recording) return this.getStatus();
+    const file = this.file;
+    this._closeFile();
+    console.log(`[CAPTURE] ${this.id}: stopped (${file})`);
+    this.emit('state', this.getStatus());
+    return this.getStatus();
+  }
+
+  /**
+   * @returns {{recording: boolean, file: string|null, bytes: number, startedAt: number|null}}
+   *   file is the capture being written, or the last one after stop()
+   */
+  getStatus() {
+    return { recording: this.recording, file: this.file, bytes: this.bytes, startedAt: this.recording ? this.startedAt : null };
+  }
+
+  /**
+   * Append one record (no-op while not recording)
+   */
+  record(type, data) {
+    if (!this.recording) return;
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'latin1');
+    const rec = encodeRecord(type, Date.now() - this.startedAt, buf);
+    try {
+      fs.writeSync(this.fd, rec);
+    } catch (e) {
+      console.error(`[CAPTURE] ${this.id}: write failed, recording stopped:`, e.message);
+      this._closeFile();
+      this.emit('state', { ...this.getStatus(), error: e.message });
+      return;
+    }
+    this.bytes += rec.length;
+    if (this.bytes >= this.options.maxFileBytes) this._rotate();
+  }
+
+  // --- internals ----------------------------------------------------------
+
+  _openFile() {
+    const { dir } = this.options;
+    fs.mkdirSync(dir, { recursive: true });
+    const now = new Date();
+    const base = `${this.id}-${timestampName(now)}`;
+    let name = `${base}.raw`;
+    for (let i = 1; fs.existsSync(path.join(dir, name)); i++) name = `${base}-${i}.raw`;
+
+    this.fd = fs.openSync(path.join(dir, name), 'w');
+    this.file = name;
+    this.startedAt = now.getTime();
+    this.bytes = 0;
+    const open = encodeRecord(RECORD.OPEN, 0, Buffer.from(`${this.options.serialPath || ''}#${now.toISOString()}`, 'utf16le'));
+    fs.writeSync(this.fd, open);
+    this.bytes += open.length;
+    this._prune();
+  }
+
+  _closeFile() {
+    try {
+      fs.closeSync(this.fd);
+    } catch (e) {
+      // already closed
+    }
+    this.fd = null; // file keeps the name of the last capture
+  }
+
+  _rotate() {
+    this._closeFile();
+    this._openFile();
+    console.log(`[CAPTURE] ${this.id}: rotated to ${this.file}`);
+    this.emit('state', this.getStatus());
+  }
+
+  // Keep the newest maxFiles captures of this printer
+  _prune() {
+    const own = listCaptures(this.options.dir).filter(c => c.printerId === this.id);
+    own.slice(this.options.maxFiles).forEach((c) => {
+      try {
+        fs.unlinkSync(path.join(this.options.dir, c.name));
+      } catch (e) {
+        console.warn(`[CAPTURE] Could not remove ${c.name}:`, e.message);
+      }
+    });
+  }
+}
+
+module.exports = { SerialRecorder, RECORD, readCapture, replayCapture, listCaptures, isCaptureName, capturesDir };
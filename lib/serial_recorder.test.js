@@ -0,0 +1,79 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const SerialBridge = require('../lib/serial_bridge');
+const Parser = require('../lib/parser');
+const { SimulatedPort } = require('../lib/printer_simulator');
+const { SerialRecorder, RECORD, readCapture, replayCapture, listCaptures } = require('../lib/serial_recorder');
+const assert = require('assert');
+
+console.log('Running Serial Recorder Tests...');
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'serial-recorder-'));
+  try {
+    // Record a live session against the simulator
+    const bridge = new SerialBridge({ serialPath: 'sim://davinci-nano' }, {
+      createPort: () => new SimulatedPort({ path: 'sim://davinci-nano', responseDelayMs: 1 })
+    });
+    const recorder = new SerialRecorder({ id: 'nano', serialPath: 'sim://davinci-nano', dir: tmp }).attach(bridge);
+    const states = [];
+    recorder.on('state', s => states.push(s.recording));
+
+    recorder.start();
+    bridge.start();
+    await new Promise(resolve => bridge.once('line', () => setTimeout(resolve, 50)));
+    bridge.write('XYZv3/query=a');
+    bridge.write(Buffer.from([0, 0, 0, 1, 0xff]));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const { file } = recorder.stop();
+    await new Promise(resolve => bridge.stop(resolve));
+    assert.deepStrictEqual(states, [true, false], 'State events mismatch');
+
+    // Writing after stop is a no-op
+    recorder.record(RECORD.WRITE, 'ignored');
+
+    const raw = fs.readFileSync(path.join(tmp, file));
+    assert.strictEqual(raw[0], 0x8f, 'Records should start with the 0x8F marker');
+    const capture = readCapture(raw);
+    assert.strictEqual(capture.serialPath, 'sim://davinci-nano', 'Serial path mismatch');
+    assert.ok(!Number.isNaN(Date.parse(capture.startedAt)), 'Start time should be an ISO date');
+    const writes = capture.records.filter(r => r.type === 'write');
+    assert.strictEqual(writes[0].data.toString(), 'XYZv3/query=wf\r\n', 'Handshake should be recorded as sent');
+    assert.strictEqual(writes[1].data.toString(), 'XYZv3/query=a\r\n', 'Query should be recorded with its line ending');
+    assert.deepStrictEqual([...writes[2].data], [0, 0, 0, 1, 0xff], 'Binary data should be recorded untouched');
+    assert.ok(capture.records.some(r => r.type === 'read'), 'Replies should be recorded');
+    const times = capture.records.map(r => r.t);
+    assert.deepStrictEqual(times, [...times].sort((a, b) => a - b), 'Timestamps should not go backwards');
+
+    // Replay feeds the replies through a Parser
+    const parser = new Parser();
+    const statuses = [];
+    parser.on('status', s => statuses.push(s));
+    await replayCapture(capture, parser);
+    assert.ok(statuses.length >= 2, 'Replay should produce status frames');
+    assert.strictEqual(statuses[statuses.length - 1].model, 'da Vinci nano', 'Replayed model mismatch');
+    assert.strictEqual(parser.state.state, 'idle', 'Replayed state mismatch');
+
+    // A truncated tail is dropped, anything else is rejected
+    assert.strictEqual(readCapture(raw.subarray(0, raw.length - 1)).records.length, capture.records.length - 1);
+    assert.throws(() => readCapture(Buffer.from('XYZv3/query=a')), /Not a dashboard capture/);
+
+    // Files rotate at maxFileBytes and only maxFiles are kept
+    const rotating = new SerialRecorder({ id: 'jr', dir: tmp, maxFileBytes: 200, maxFiles: 2 });
+    rotating.start();
+    for (let i = 0; i < 10; i++) rotating.record(RECORD.READ, Buffer.alloc(100, 0x41));
+    rotating.stop();
+    const jr = listCaptures(tmp).filter(c => c.printerId === 'jr');
+    assert.strictEqual(jr.length, 2, 'Old captures should be pruned');
+    assert.ok(jr.every(c => c.size <= 200 + 113), 'Files should rotate at maxFileBytes');
+    assert.strictEqual(listCaptures(tmp).filter(c => c.printerId === 'nano').length, 1, 'Other printers\' captures are kept');
+
+    console.log('✅ All serial recorder tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
@@ -0,0 +1,280 @@
+// lib/tcp_port.js
+// Serial port over the network, for printers attached to a remote Pi running ser2net.
+//   tcp://host:port      raw TCP (ser2net "raw" mode): bytes pass through untouched
+//   rfc2217://host:port  telnet with the RFC 2217 COM-PORT option (ser2net "telnet" mode):
+//                        0xFF is escaped, option negotiation is answered, and the line
+//                        settings (baud rate, 8N1) are pushed to the remote port
+//
+// TcpPort mirrors the subset of the serialport API the server uses
+// (open/close/isOpen/write/drain/set, 'open'/'close'/'data' events), like SimulatedPort.
+// A dropped connection emits 'close' with err.disconnected so SerialBridge reconnects.
+
+const { Duplex } = require('stream');
+const net = require('net');
+
+const TCP_PATH = /^(tcp|rfc2217):\/\/([^:/]+|\[[^\]]+\]):(\d+)\/?$/;
+
+// Telnet bytes (RFC 854) and options
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+const OPT_BINARY = 0;
+const OPT_SGA = 3;
+const OPT_COM_PORT = 44;
+const SUPPORTED_OPTIONS = [OPT_BINARY, OPT_SGA, OPT_COM_PORT];
+
+// RFC 2217 client -> server sub-commands
+const COM_SET_BAUDRATE = 1;
+const COM_SET_DATASIZE = 2;
+const COM_SET_PARITY = 3;
+const COM_SET_STOPSIZE = 4;
+
+function isTcpPath(p) {
+  return typeof p === 'string' && TCP_PATH.test(p);
+}
+
+/**
+ * Split tcp://host:port / rfc2217://host:port
+ * @returns {{protocol: string, host: string, port: number}|null}
+ */
+function parseTcpPath(p) {
+  const m = typeof p === 'string' ? p.match(TCP_PATH) : null;
+  if (!m) return null;
+  return { protocol: m[1], host: m[2].replace(/^\[|\]$/g, ''), port: parseInt(m[3], 10) };
+}
+
+/**
+ * Double every 0xFF so it is sent as data, not as a telnet command
+ */
+function escapeIac(buf) {
+  if (!buf.includes(IAC)) return buf;
+  const out = [];
+  for (const b of buf) {
+    out.push(b);
+    if (b === IAC) out.push(IAC);
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * Incremental telnet decoder: strips commands from the byte stream.
+ * Keeps state between chunks because a sequence can be split across TCP segments.
+ */
+class TelnetDecoder {
+  constructor(onCommand) {
+    this.onCommand = onCommand; // (verb, option) for WILL/WONT/DO/DONT, (SB, bytes) for sub-negotiation
+    this.state = 'data';
+    this.verb = null;
+    this.sub = [];
+  }
+
+  decode(chunk) {
+    const out = [];
+    for (const b of chunk) {
+      switch (this.state) {
+        case 'data':
+          if (b === IAC) this.state = 'iac';
+          else out.push(b);
+          break;
+        case 'iac':
+          if (b === IAC) {
+            out.push(IAC);
+            this.state = 'data';
+          } else if (b === WILL || b === WONT || b === DO || b === DONT) {
+            this.verb = b;
+            this.state = 'option';
+          } else if (b === SB) {
+            this.sub = [];
+            this.state = 'sb';
+          } else {
+            this.state = 'data'; // NOP, GA, ... carry no payload
+          }
+          break;
+        case 'option':
+          this.onCommand(this.verb, b);
+          this.state = 'data';
+          break;
+        case 'sb':
+          if (b === IAC) this.state = 'sb-iac';
+          else this.sub.push(b);
+          break;
+        case 'sb-iac':
+          if (b === SE) {
+            this.onCommand(SB, Buffer.from(this.sub));
+            this.state = 'data';
+          } else {
+            this.sub.push(b); // IAC IAC inside sub-negotiation
+            this.state = 'sb';
+          }
+          break;
+        default:
+          this.state = 'data';
+      }
+    }
+    return Buffer.from(out);
+  }
+}
+
+class TcpPort extends Duplex {
+  constructor(options = {}) {
+    super();
+    const target = parseTcpPath(options.path);
+    if (!target) throw new Error(`Invalid network serial path: ${options.path}`);
+    this.path = options.path;
+    this.host = target.host;
+    this.port = target.port;
+    this.telnet = target.protocol === 'rfc2217';
+    this.baudRate = options.baudRate || 115200;
+    this.connectTimeoutMs = options.connectTimeoutMs || 5000;
+    this.isOpen = false;
+    this.socket = null;
+    this.decoder = null;
+    this.sentOptions = new Set();
+  }
+
+  // --- SerialPort-compatible surface -------------------------------------
+
+  open(callback) {
+    if (this.isOpen || this.socket) {
+      setImmediate(() => callback && callback(new Error('Port is already open')));
+      return;
+    }
+
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket = socket;
+    let opened = false;
+    let closeError = null;
+
+    socket.setTimeout(this.connectTimeoutMs, () => {
+      socket.destroy(new Error(`Connection to ${this.host}:${this.port} timed out`));
+    });
+
+    socket.once('connect', () => {
+      opened = true;
+      socket.setTimeout(0);
+      socket.setNoDelay(true);
+      socket.setKeepAlive(true, 5000);
+      this.isOpen = true;
+      if (this.telnet) this._startTelnet();
+      this.emit('open');
+      if (callback) callback(null);
+    });
+
+    socket.on('data', (chunk) => {
+      const data = this.decoder ? this.decoder.decode(chunk) : chunk;
+      if (data.length) this.push(data);
+    });
+
+    socket.on('error', (err) => {
+      closeError = err;
+      if (opened) this.emit('error', err);
+    });
+
+    socket.on('close', () => {
+      this.socket = null;
+      this.decoder = null;
+      this.sentOptions.clear();
+      if (!opened) {
+        if (callback) callback(closeError || new Error(`Could not connect to ${this.host}:${this.port}`));
+        return;
+      }
+      const wasOpen = this.isOpen;
+      this.isOpen = false;
+      if (wasOpen) {
+        // Not closed by us: the network dropped or the remote end went away
+        const err = new Error(`Connection to ${this.host}:${this.port} lost`);
+        err.disconnected = true;
+        this.emit('close', err);
+      }
+    });
+  }
+
+  close(callback) {
+    if (!this.isOpen || !this.socket) {
+      setImmediate(() => callback && callback(new Error('Port is not open')));
+      return;
+    }
+    const socket = this.socket;
+    this.isOpen = false;
+    socket.once('close', () => {
+      this.emit('close');
+      if (callback) callback(null);
+    });
+    socket.destroy();
+  }
+
+  drain(callback) {
+    if (!this.socket || !this.socket.writableNeedDrain) {
+      if (callback) setImmediate(callback);
+      return;
+    }
+    this.socket.once('drain', () => callback && callback());
+  }
+
+  set(options, callback) {
+    if (callback) setImmediate(callback);
+  }
+
+  // --- Duplex plumbing ----------------------------------------------------
+
+  _read() {
+    // data is pushed as it arrives from the socket
+  }
+
+  _write(chunk, encoding, callback) {
+    if (!this.isOpen || !this.socket) {
+      callback(new Error('Port is not open'));
+      return;
+    }
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+    this.socket.write(this.telnet ? escapeIac(buf) : buf, callback);
+  }
+
+  // --- RFC 2217 -----------------------------------------------------------
+
+  _startTelnet() {
+    this.decoder = new TelnetDecoder((verb, option) => this._onTelnetCommand(verb, option));
+    this._sendOption(WILL, OPT_BINARY);
+    this._sendOption(DO, OPT_BINARY);
+    this._sendOption(WILL, OPT_SGA);
+    this._sendOption(DO, OPT_SGA);
+    this._sendOption(WILL, OPT_COM_PORT);
+
+    // Line settings: baud rate, 8 data bits, no parity, 1 stop bit
+    const baud = Buffer.alloc(4);
+    baud.writeUInt32BE(this.baudRate, 0);
+    this._sendSub([COM_SET_BAUDRATE, ...baud]);
+    this._sendSub([COM_SET_DATASIZE, 8]);
+    this._sendSub([COM_SET_PARITY, 1]);
+    this._sendSub([COM_SET_STOPSIZE, 1]);
+  }
+
+  _onTelnetCommand(verb, option) {
+    if (verb === SB) return; // COM-PORT acknowledgements, nothing to do
+    const supported = SUPPORTED_OPTIONS.includes(option);
+    if (verb === DO) this._sendOption(supported ? WILL : WONT, option);
+    else if (verb === WILL) this._sendOption(supported ? DO : DONT, option);
+    else if (verb === DONT) this._sendOption(WONT, option);
+    else if (verb === WONT) this._sendOption(DONT, option);
+  }
+
+  // Send each option reply once, so two agreeing ends don't loop (RFC 854)
+  _sendOption(verb, option) {
+    const key = `${verb}:${option}`;
+    if (this.sentOptions.has(key) || !this.socket) return;
+    this.sentOptions.add(key);
+    this.socket.write(Buffer.from([IAC, verb, option]));
+  }
+
+  _sendSub(bytes) {
+    if (!this.socket) return;
+    const body = escapeIac(Buffer.from(bytes));
+    this.socket.write(Buffer.concat([Buffer.from([IAC, SB, OPT_COM_PORT]), body, Buffer.from([IAC, SE])]));
+  }
+}
+
+module.exports = { TcpPort, TelnetDecoder, isTcpPath, parseTcpPath, escapeIac };
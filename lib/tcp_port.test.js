@@ -0,0 +1,105 @@
+const net = require('net');
+const path = require('path');
+const SerialBridge = require('../lib/serial_bridge');
+const Parser = require('../lib/parser');
+const XYZv3Uploader = require('../lib/upload_xyz_v3');
+const { CommandQueue } = require('../lib/command_queue');
+const { SimulatedPort } = require('../lib/printer_simulator');
+const { TelnetDecoder, escapeIac, parseTcpPath } = require('../lib/tcp_port');
+const assert = require('assert');
+
+console.log('Running TCP Port Tests...');
+
+const SAMPLE_FILE = path.join(__dirname, '..', 'uploads', 'AstroKe.3w');
+
+// Simulator behind a TCP server (ser2net stand-in); telnet mode strips/escapes IAC
+function startSimServer({ telnet = false } = {}) {
+  const sockets = new Set();
+  const commands = [];
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    const sim = new SimulatedPort({ path: 'sim://davinci-jr', responseDelayMs: 1 });
+    server.lastSim = sim;
+    const decoder = new TelnetDecoder((verb, option) => commands.push([verb, option]));
+    sim.open(() => {
+      socket.on('data', (chunk) => sim.write(telnet ? decoder.decode(chunk) : chunk));
+      sim.on('data', (chunk) => { if (!socket.destroyed) socket.write(telnet ? escapeIac(chunk) : chunk); });
+    });
+    socket.on('close', () => { sockets.delete(socket); if (sim.isOpen) sim.close(); });
+    socket.on('error', () => {});
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    server.dropAll = () => sockets.forEach(s => s.destroy());
+    server.commands = commands;
+    resolve(server);
+  }));
+}
+
+function waitForState(bridge, state, timeoutMs = 3000) {
+  if (bridge.state === state) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${state} (at ${bridge.state})`)), timeoutMs);
+    const onState = (snap) => {
+      if (snap.state !== state) return;
+      clearTimeout(timer);
+      bridge.removeListener('state', onState);
+      resolve();
+    };
+    bridge.on('state', onState);
+  });
+}
+
+(async () => {
+  try {
+    assert.deepStrictEqual(parseTcpPath('rfc2217://pi-zero.local:2217'), { protocol: 'rfc2217', host: 'pi-zero.local', port: 2217 });
+    assert.strictEqual(parseTcpPath('/dev/ttyUSB0'), null, 'tty path is not a network path');
+
+    // Telnet decoding survives sequences split across chunks
+    const seen = [];
+    const decoder = new TelnetDecoder((verb, option) => seen.push([verb, option]));
+    const a = decoder.decode(Buffer.from([0x6f, 0xff]));
+    const b = decoder.decode(Buffer.from([0xff, 0xff, 0xfd, 44, 0x6b, 0xff, 0xfa, 44, 101, 0xff, 0xf0]));
+    assert.deepStrictEqual([...a, ...b], [0x6f, 0xff, 0x6b], 'Data bytes mismatch');
+    assert.deepStrictEqual(seen[0], [0xfd, 44], 'DO COM-PORT should be reported');
+    assert.strictEqual(seen.length, 2, 'Sub-negotiation should be reported');
+    assert.deepStrictEqual([...escapeIac(Buffer.from([1, 0xff, 2]))], [1, 0xff, 0xff, 2], 'IAC escaping mismatch');
+
+    // Raw TCP: polling, upload, and reconnect after a network drop
+    const raw = await startSimServer();
+    const bridge = new SerialBridge({ serialPath: `tcp://127.0.0.1:${raw.address().port}`, reconnectBaseMs: 50 });
+    const parser = new Parser({ frameTimeoutMs: 50 });
+    bridge.on('line', line => parser.feed(line));
+    bridge.start();
+    await waitForState(bridge, 'ready');
+
+    const uploader = new XYZv3Uploader(new CommandQueue(bridge), { emit() {} }, parser);
+    const result = await uploader.uploadFile(SAMPLE_FILE, 'AstroKe.3w');
+    assert.strictEqual(result.success, true, 'Upload over TCP should succeed');
+    assert.strictEqual(raw.lastSim.printer.printFile, 'AstroKe.3w', 'Simulator should have received the file');
+
+    raw.dropAll();
+    await waitForState(bridge, 'lost');
+    await waitForState(bridge, 'ready');
+    await new Promise(resolve => bridge.stop(resolve));
+    raw.close();
+
+    // RFC 2217: negotiation and line settings are sent, binary data is escaped both ways
+    const telnet = await startSimServer({ telnet: true });
+    const tBridge = new SerialBridge({ serialPath: `rfc2217://127.0.0.1:${telnet.address().port}` });
+    tBridge.start();
+    await waitForState(tBridge, 'ready');
+    assert.ok(telnet.commands.some(([verb, option]) => verb === 0xfb && option === 44), 'Client should offer COM-PORT-OPTION');
+    assert.ok(telnet.commands.some(([verb, sub]) => verb === 0xfa && sub[0] === 44 && sub[1] === 1), 'Baud rate should be set');
+
+    const tUploader = new XYZv3Uploader(new CommandQueue(tBridge), { emit() {} }, new Parser());
+    const tResult = await tUploader.uploadFile(SAMPLE_FILE, 'AstroKe.3w');
+    assert.strictEqual(tResult.success, true, 'Upload over RFC 2217 should succeed (CRC checked by the simulator)');
+    await new Promise(resolve => tBridge.stop(resolve));
+    telnet.close();
+
+    console.log('✅ All TCP port tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exit(1);
+  }
+})();
@@ -2,41 +2,48 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-// Ensure uploads directory exists
 const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const origName = file.originalname;
-    const ext = path.extname(origName);
-    const base = path.basename(origName, ext);
-    let finalName = origName;
-    let i = 1;
-    while (fs.existsSync(path.join(uploadDir, finalName))) {
-      finalName = `${base}-${i}${ext}`;
-      i++;
-    }
-    cb(null, finalName);
+/**
+ * Multer instance storing files in dir (created if missing)
+ */
+function createUpload(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
   }
-});
 
-const upload = multer({
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    // Accept .gcode, .3mf, .3w, or .txt files
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (ext === '.gcode' || ext === '.txt' || ext === '.3mf' || ext === '.3w') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only .gcode, .3mf, .3w, or .txt files are allowed'));
+  const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+      cb(null, dir);
+    },
+    filename: function (req, file, cb) {
+      const origName = file.originalname;
+      const ext = path.extname(origName);
+      const base = path.basename(origName, ext);
+      let finalName = origName;
+      let i = 1;
+      while (fs.existsSync(path.join(dir, finalName))) {
+        finalName = `${base}-${i}${ext}`;
+        i++;
+      }
+      cb(null, finalName);
     }
-  }
-});
+  });
+
+  return multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+      // Accept .gcode, .3mf, .3w, or .txt files
+      const ext = path.extname(file.originalname).toLowerCase();
+      if (ext === '.gcode' || ext === '.txt' || ext === '.3mf' || ext === '.3w') {
+        cb(null, true);
+      } else {
+        cb(new Error('Only .gcode, .3mf, .3w, or .txt files are allowed'));
+      }
+    }
+  });
+}
+
+const upload = createUpload(uploadDir);
 
-module.exports = { upload, uploadsDir: uploadDir };
+module.exports = { upload, uploadsDir: uploadDir, createUpload };
@@ -0,0 +1,161 @@
+// lib/upload_telemetry.js
+// Upload telemetry: bytes and blocks sent, transfer rate, ETA and block ack latency for
+// the upload_progress events, plus a summary of every finished upload kept in
+// data/upload-stats.jsonl (one JSON object per line) so transfers can be compared across
+// USB cables, hubs and Raspberry Pi models.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonlStore } = require('./jsonl_store');
+
+const statsFile = path.join(__dirname, '../data/upload-stats.jsonl');
+
+// Transfer rate is measured over this trailing window so it follows a slowing link
+const RATE_WINDOW_MS = 3000;
+
+class UploadTelemetry {
+  /**
+   * @param {{totalBytes: number, totalBlocks: number, windowMs?: number}} options
+   */
+  constructor({ totalBytes, totalBlocks, windowMs }) {
+    this.totalBytes = totalBytes;
+    this.totalBlocks = totalBlocks;
+    this.windowMs = windowMs || RATE_WINDOW_MS;
+    this.startedAt = Date.now();
+    this.transferStartedAt = null; // first block on the wire (after the handshake)
+    this.bytesSent = 0;
+    this.blocksSent = 0;
+    this.latency = { min: null, max: null, total: 0 };
+    this.samples = []; // { t, bytes } per acknowledged block, trimmed to the rate window
+  }
+
+  /**
+   * Mark the end of the handshake; rate and ETA count from here
+   */
+  beginTransfer() {
+    if (this.transferStartedAt === null) {
+      this.transferStartedAt = Date.now();
+      this.samples = [{ t: this.transferStartedAt, bytes: 0 }];
+    }
+  }
+
+  /**
+   * Record an acknowledged block
+   * @param {number} bytes - payload bytes in the block
+   * @param {number} latencyMs - time from writing the block to its ack
+   */
+  block(bytes, latencyMs) {
+    this.beginTransfer();
+    const now = Date.now();
+    this.bytesSent += bytes;
+    this.blocksSent++;
+
+    const lat = this.latency;
+    lat.min = lat.min === null ? latencyMs : Math.min(lat.min, latencyMs);
+    lat.max = lat.max === null ? latencyMs : Math.max(lat.max, latencyMs);
+    lat.total += latencyMs;
+
+    this.samples.push({ t: now, bytes: this.bytesSent });
+    // keep one sample older than the window as the rate baseline
+    while (this.samples.length > 2 && now - this.samples[1].t > this.windowMs) this.samples.shift();
+  }
+
+  /**
+   * Bytes per second over the trailing window
+   */
+  get rateBps() {
+    if (this.samples.length < 2) return 0;
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+    const seconds = (last.t - first.t) / 1000;
+    return seconds > 0 ? Math.round((last.bytes - first.bytes) / seconds) : 0;
+  }
+
+  latencySummary() {
+    const lat = this.latency;
+    return {
+      min: lat.min,
+      avg: this.blocksSent ? Math.round(lat.total / this.blocksSent) : null,
+      max: lat.max
+    };
+  }
+
+  /**
+   * Fields added to every upload_progress event
+   */
+  progress() {
+    const rateBps = this.rateBps;
+    const remaining = this.totalBytes - this.bytesSent;
+    return {
+      percent: this.totalBytes ? Math.floor((this.bytesSent / this.totalBytes) * 100) : 100,
+      bytesSent: this.bytesSent,
+      totalBytes: this.totalBytes,
+      blocksSent: this.blocksSent,
+      totalBlocks: this.totalBlocks,
+      rateBps,
+      etaSec: remaining <= 0 ? 0 : (rateBps > 0 ? Math.ceil(remaining / rateBps) : null),
+      latencyMs: this.latencySummary()
+    };
+  }
+
+  /**
+   * Summary of the whole upload
+   * @param {object} [extra] - result, retries, file name, ...
+   */
+  summary(extra = {}) {
+    const finishedAt = Date.now();
+    const transferMs = this.transferStartedAt === null ? 0 : finishedAt - this.transferStartedAt;
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      handshakeMs: this.transferStartedAt === null ? null : this.transferStartedAt - this.startedAt,
+      transferMs,
+      bytesSent: this.bytesSent,
+      totalBytes: this.totalBytes,
+      blocksSent: this.blocksSent,
+      totalBlocks: this.totalBlocks,
+      avgRateBps: transferMs > 0 ? Math.round(this.bytesSent / (transferMs / 1000)) : 0,
+      latencyMs: this.latencySummary(),
+      ...extra
+    };
+  }
+}
+
+let cachedHost = null;
+
+/**
+ * Machine the dashboard runs on ("Raspberry Pi 4 Model B Rev 1.4" where available)
+ */
+function hostInfo() {
+  if (cachedHost) return cachedHost;
+  let board = null;
+  try {
+    board = fs.readFileSync('/proc/device-tree/model', 'utf8').replace(/\0/g, '').trim() || null;
+  } catch (e) {
+    // not a device-tree board
+  }
+  cachedHost = { hostname: os.hostname(), board: board || `${os.platform()} ${os.arch()}` };
+  return cachedHost;
+}
+
+class UploadStatsStore extends JsonlStore {
+  /**
+   * @param {{file?: string, maxEntries?: number}} [options]
+   */
+  constructor(options = {}) {
+    super({ file: options.file || statsFile, maxEntries: options.maxEntries || 500, tag: 'UPLOAD', label: 'upload summary' });
+  }
+
+  /**
+   * Stored summaries, newest first
+   * @param {{printerId?: string, limit?: number}} [filter]
+   */
+  list(filter = {}) {
+    let entries = this.read().reverse();
+    if (filter.printerId) entries = entries.filter(e => e.printerId === filter.printerId);
+    return filter.limit ? entries.slice(0, filter.limit) : entries;
+  }
+}
+
+module.exports = { UploadTelemetry, UploadStatsStore, hostInfo, statsFile };
@@ -0,0 +1,70 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { UploadTelemetry, UploadStatsStore, hostInfo } = require('../lib/upload_telemetry');
+const assert = require('assert');
+
+console.log('Running Upload Telemetry Tests...');
+
+const realNow = Date.now;
+let clock = 1000000;
+Date.now = () => clock;
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-telemetry-'));
+try {
+  // Rate, ETA and latency from acknowledged blocks
+  const t = new UploadTelemetry({ totalBytes: 10000, totalBlocks: 10, windowMs: 1000 });
+  clock += 400; // handshake
+  t.beginTransfer();
+  assert.deepStrictEqual(t.progress().latencyMs, { min: null, avg: null, max: null }, 'No latency before the first block');
+  assert.strictEqual(t.progress().etaSec, null, 'No ETA without a rate');
+
+  for (let i = 0; i < 4; i++) {
+    clock += 100;
+    t.block(1000, 20 + i * 10); // 1000 bytes every 100ms = 10000 B/s
+  }
+  let p = t.progress();
+  assert.strictEqual(p.bytesSent, 4000, 'Bytes sent mismatch');
+  assert.strictEqual(p.blocksSent, 4, 'Blocks sent mismatch');
+  assert.strictEqual(p.percent, 40, 'Percent mismatch');
+  assert.strictEqual(p.rateBps, 10000, 'Rate mismatch');
+  assert.strictEqual(p.etaSec, 1, 'ETA should round up');
+  assert.deepStrictEqual(p.latencyMs, { min: 20, avg: 35, max: 50 }, 'Latency summary mismatch');
+
+  // The rate follows the last window when the link slows down
+  for (let i = 0; i < 6; i++) {
+    clock += 500;
+    t.block(1000, 300);
+  }
+  p = t.progress();
+  assert.ok(p.rateBps >= 1900 && p.rateBps <= 2100, `Windowed rate should be ~2000 B/s, got ${p.rateBps}`);
+  assert.strictEqual(p.etaSec, 0, 'Nothing left to send');
+
+  const summary = t.summary({ result: 'success', retries: 1 });
+  assert.strictEqual(summary.handshakeMs, 400, 'Handshake time mismatch');
+  assert.strictEqual(summary.transferMs, 3400, 'Transfer time mismatch');
+  assert.strictEqual(summary.avgRateBps, Math.round(10000 / 3.4), 'Average rate mismatch');
+  assert.strictEqual(summary.result, 'success', 'Extra fields should be merged');
+  assert.strictEqual(summary.latencyMs.max, 300, 'Summary latency mismatch');
+
+  // Summaries are stored newest first and trimmed
+  const store = new UploadStatsStore({ file: path.join(tmp, 'stats', 'upload-stats.jsonl'), maxEntries: 3 });
+  assert.deepStrictEqual(store.list(), [], 'Missing file means no entries');
+  ['a', 'b', 'a', 'b'].forEach((printerId, i) => store.append({ printerId, n: i }));
+  assert.deepStrictEqual(store.list().map(e => e.n), [3, 2, 1], 'Oldest entry should be dropped');
+  assert.deepStrictEqual(store.list({ printerId: 'a' }).map(e => e.n), [2], 'Printer filter mismatch');
+  assert.strictEqual(store.list({ limit: 1 }).length, 1, 'Limit mismatch');
+  fs.appendFileSync(store.file, '{"torn":\n');
+  assert.strictEqual(store.list().length, 3, 'A torn line should be skipped');
+
+  const host = hostInfo();
+  assert.ok(host.hostname && host.board, 'Host info should name the machine');
+
+  console.log('✅ All upload telemetry tests passed!');
+} catch (e) {
+  console.error('❌ Test failed:', e.message);
+  process.exitCode = 1;
+} finally {
+  Date.now = realNow;
+  fs.rmSync(tmp, { recursive: true, force: true });
+}
@@ -0,0 +1,156 @@
+// lib/upload_xyz_v2.js
+// File upload for XYZv2 printers (Da Vinci 1.0 / 2.0), following miniMover's V2S_SendFile.
+// Same interface and Socket.IO events as XYZv3Uploader so the session can pick either one:
+//   XYZ_@3D:4                          -> OFFLINE_OK
+//   M1:MyTest,<size>,1.0.0,EE1_OK,...  -> M1_OK
+//   <chunk><byte sum BE4>              -> M2_OK   (10236-byte chunks, then the remainder)
+// The printer starts printing on its own once the last chunk is in; there is no
+// uploadDidFinish on V2. There is no abort either: a cancelled transfer just stops
+// between chunks.
+
+const fs = require('fs');
+const v2 = require('./protocol_v2');
+const { UploadTelemetry } = require('./upload_telemetry');
+const { BlockReader, DEFAULT_READ_AHEAD } = require('./block_reader');
+
+// upload_progress goes out at most this often (and after the last chunk)
+const PROGRESS_INTERVAL_MS = 250;
+
+class XYZv2Uploader {
+  /**
+   * @param {CommandQueue} queue - command queue of the printer link (upload runs as an exclusive job)
+   * @param {object} io - Socket.IO room for progress events
+   * @param {Parser} parser - status parser (unused on V2, kept for the common interface)
+   * @param {{blockSize?: number, timeoutMs?: number, onSummary?: Function, readAhead?: number}} [options]
+   *   onSummary: called with the telemetry summary of every upload; readAhead: chunks read ahead
+   */
+  constructor(queue, io, parser, options = {}) {
+    this.queue = queue;
+    this.io = io;
+    this.parser = parser;
+    this.blockSize = options.blockSize || v2.BLOCK_SIZE;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.onSummary = options.onSummary || null;
+    this.readAhead = options.readAhead !== undefined ? options.readAhead : DEFAULT_READ_AHEAD;
+    this.uploading = false;
+    this.cancelRequested = false;
+  }
+
+  /**
+   * Ask the running upload to stop before the next chunk
+   * @returns {boolean} false when no upload is running
+   */
+  cancel() {
+    if (!this.uploading) return false;
+    this.cancelRequested = true;
+    return true;
+  }
+
+  /**
+   * Upload a file; runs as an exclusive command queue job
+   * @returns {Promise<{success: boolean}>}
+   */
+  async uploadFile(filePath, filename) {
+    if (this.uploading) {
+      throw new Error('Upload already in progress');
+    }
+
+    this.uploading = true;
+    this.cancelRequested = false;
+    try {
+      return await this.queue.exclusive(channel => this._transfer(channel, filePath, filename), { label: 'upload' });
+    } finally {
+      this.uploading = false;
+      this.cancelRequested = false;
+    }
+  }
+
+  async _transfer(channel, filePath, filename) {
+    let telemetry = null;
+    try {
+      const fileSize = fs.statSync(filePath).size;
+      const blocks = v2.blockCount(fileSize);
+      telemetry = new UploadTelemetry({ totalBytes: fileSize, totalBlocks: blocks });
+      console.log(`[UPLOAD] XYZv2 upload: ${filename} (${fileSize} bytes, ${blocks} blocks of ${this.blockSize} bytes)`);
+      this.io.emit('log', { msg: `Uploading ${filename} (${fileSize} bytes)` });
+
+      await this._expect(channel, v2.PRINT_START, v2.PRINT_START_REPLY);
+      await this._expect(channel, v2.fileInfoCommand(fileSize), v2.FILE_INFO_REPLY);
+      this.io.emit('log', { msg: 'Printer ready - starting transfer...' });
+
+      // Chunks are read and checksummed ahead while the previous one waits for M2_OK
+      const reader = await BlockReader.open(filePath, {
+        blockSize: this.blockSize,
+        totalBlocks: blocks,
+        trailerBytes: 4,
+        readAhead: this.readAhead,
+        frame: block => block.frame.writeUInt32BE(v2.byteSum(block.data), block.size)
+      });
+      let lastProgressAt = 0;
+      telemetry.beginTransfer();
+      try {
+        let block;
+        while ((block = await reader.next())) {
+          if (this.cancelRequested) {
+            const err = new Error('Upload cancelled');
+            err.code = 'ECANCELED';
+            throw err;
+          }
+          const latencyMs = await this._expect(channel, block.frame, v2.BLOCK_REPLY, `Block ${block.index}`);
+          reader.release(block);
+
+          telemetry.block(block.size, latencyMs);
+          const now = Date.now();
+          if (now - lastProgressAt >= PROGRESS_INTERVAL_MS || block.index === blocks - 1) {
+            lastProgressAt = now;
+            this.io.emit('upload_progress', { ...telemetry.progress(), blockSize: this.blockSize });
+          }
+        }
+      } finally {
+        await reader.close();
+      }
+
+      console.log(`[UPLOAD] XYZv2 upload complete (${blocks} blocks)`);
+      const summary = this._summarize(telemetry, filename, 'success');
+      this.io.emit('log', { msg: 'File uploaded! The printer starts on its own.' });
+      this.io.emit('upload_finished', { filename });
+      return { success: true, summary };
+    } catch (error) {
+      if (error.code === 'ECANCELED') {
+        console.log('[UPLOAD] XYZv2 upload cancelled');
+        this.io.emit('log', { msg: `Upload of ${filename} cancelled` });
+        this.io.emit('upload_cancelled', { filename });
+        this._summarize(telemetry, filename, 'cancelled');
+        throw error;
+      }
+      console.error('[UPLOAD] XYZv2 upload failed:', error.message);
+      this._summarize(telemetry, filename, 'failed', error);
+      this.io.emit('upload_error', { error: error.message });
+      throw error;
+    }
+  }
+
+  _summarize(telemetry, filename, result, error) {
+    if (!telemetry) return null;
+    const summary = telemetry.summary({
+      filename, protocol: 'v2', result, error: error ? error.message : null, retries: 0, waits: 0, retriedBlocks: 0, blockSize: this.blockSize, blockSizeFallbacks: []
+    });
+    if (this.onSummary) this.onSummary(summary);
+    return summary;
+  }
+
+  // Send a command or chunk and require a specific reply line; resolves with the ack latency
+  async _expect(channel, data, reply, label) {
+    const name = label || data;
+    let result;
+    try {
+      result = await channel.send(data, { expect: (line) => line === reply || /error|fail/i.test(line), timeoutMs: this.timeoutMs });
+    } catch (e) {
+      throw new Error(`${name}: ${e.message}`);
+    }
+    if (result.line !== reply) throw new Error(`${name}: printer answered "${result.line}" instead of ${reply}`);
+    return result.durationMs;
+  }
+}
+
+module.exports = XYZv2Uploader;
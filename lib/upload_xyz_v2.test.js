@@ -0,0 +1,102 @@
+const path = require('path');
+const Parser = require('../lib/parser');
+const XYZv2Uploader = require('../lib/upload_xyz_v2');
+const SerialBridge = require('../lib/serial_bridge');
+const { CommandQueue } = require('../lib/command_queue');
+const { SimulatedPort } = require('../lib/printer_simulator');
+const { getCapabilities } = require('../lib/printer_capabilities');
+const { STATE, fromV2State } = require('../lib/printer_states');
+const v2 = require('../lib/protocol_v2');
+const assert = require('assert');
+
+console.log('Running XYZv2 Protocol Tests...');
+
+const SAMPLE_FILE = path.join(__dirname, '..', 'uploads', 'AstroKe.3w');
+
+(async () => {
+  try {
+    // Protocol helpers
+    assert.ok(v2.isV2Line('MDU:dvF100B000'), 'MDU line should be V2');
+    assert.ok(v2.isV2Line('XYZ_@3D:0'), 'Echo line should be V2');
+    assert.ok(!v2.isV2Line('j:9511,0'), 'XYZv3 letter field should not be V2');
+    assert.ok(!v2.isV2Line('$'), 'Terminator should not be V2');
+    assert.strictEqual(v2.blockCount(0), 1, 'Empty file still sends one chunk');
+    assert.strictEqual(v2.blockCount(v2.BLOCK_SIZE), 2, 'Full chunk is followed by an empty one');
+    assert.strictEqual(v2.byteSum(Buffer.from([255, 255, 2])), 512, 'Byte sum mismatch');
+    assert.strictEqual(fromV2State(2), 9502, 'PRN_STATE 2 should be printing');
+    assert.strictEqual(fromV2State(11), 9505, 'PRN_STATE 11 should map out of order');
+    assert.strictEqual(fromV2State(9511), 9511, 'Codes outside the table pass through');
+
+    // Status reply without "$" terminator, published on flush
+    const parser = new Parser({ frameTimeoutMs: 50 });
+    ['MDU:dvF100B000', 'PRT_NAME:daVinci', 'FW_V:1.1.J', 'PRN_STATE:2', 'MCH_STATE:0',
+      'ET0:205', 'BT:60', 'WORK_PARSENT:42', 'WORK_TIME:12', `EST_TIME:${0x04444444}`].forEach(l => parser.feed(l));
+    const status = parser.flush(true);
+    assert.strictEqual(status.modelNumber, 'dvF100B000', 'Model number mismatch');
+    assert.strictEqual(status.firmwareVersion, '1.1.J', 'Firmware mismatch');
+    assert.strictEqual(status.printerStateName, STATE.PRINTING, 'State should be printing');
+    assert.strictEqual(status.extruderActual_C, 205, 'Extruder temperature mismatch');
+    assert.strictEqual(status.bedActual_C, 60, 'Bed temperature mismatch');
+    assert.strictEqual(status.printPercent, 42, 'Progress mismatch');
+    assert.strictEqual(status.timeLeftMin, null, 'No-estimate marker should read as null');
+
+    // Capabilities follow the detected protocol
+    assert.strictEqual(getCapabilities({ modelNumber: 'dvF100B000' }).protocol, 'v2', 'Da Vinci 1.0 should be V2');
+    const overridden = getCapabilities({ modelNumber: 'dv1J00A000', protocol: 'v2' });
+    assert.strictEqual(overridden.protocol, 'v2', 'Detected protocol should win');
+    assert.strictEqual(overridden.uploadBlockSize, v2.BLOCK_SIZE, 'V2 block size should follow the protocol');
+
+    // Detection: the V3 handshake goes unanswered, the V2 status query is answered
+    const createPort = () => new SimulatedPort({ path: 'sim://davinci-1.0', responseDelayMs: 1 });
+    const bridge = new SerialBridge({ serialPath: 'sim://davinci-1.0', handshakeTimeoutMs: 300 }, { createPort });
+    await new Promise(resolve => {
+      bridge.on('state', snap => { if (snap.state === 'ready') resolve(); });
+      bridge.start();
+    });
+    assert.strictEqual(bridge.protocol, 'v2', 'Bridge should detect XYZv2');
+    assert.strictEqual(bridge.getSnapshot().protocol, 'v2', 'Snapshot should report the protocol');
+
+    // The status query settles once the printer goes quiet
+    const queue = new CommandQueue(bridge);
+    const reply = await queue.send(v2.STATUS_QUERY);
+    assert.ok(reply.lines.includes('MDU:dvF100B000'), 'Quiet reply should collect the status lines');
+
+    // Upload through the V2 uploader
+    const events = [];
+    const io = { emit: (name) => events.push(name) };
+    const uploader = new XYZv2Uploader(queue, io, parser);
+    const result = await uploader.uploadFile(SAMPLE_FILE, 'AstroKe.3w');
+    assert.strictEqual(result.success, true, 'Upload should succeed');
+    assert.strictEqual(bridge.port.printer.printFile, 'MyTest', 'Simulator should record the uploaded file');
+    assert.strictEqual(bridge.port.printer.state, 9501, 'V2 printer should start heating after the upload');
+    assert.ok(events.includes('upload_finished'), 'upload_finished should be emitted');
+    assert.strictEqual(uploader.uploading, false, 'Uploader should be idle again');
+
+    // V3 commands go unanswered on a V2 printer
+    await assert.rejects(queue.send('XYZv3/query=a', { timeoutMs: 200 }), /No reply/);
+
+    // A second connection tries V2 first
+    assert.deepStrictEqual(bridge._handshakeOrder(), ['v2', 'v3'], 'Last detected protocol should be tried first');
+    await new Promise(resolve => bridge.stop(resolve));
+
+    // A bad checksum is refused
+    const port = createPort();
+    await new Promise((resolve, reject) => port.open(err => (err ? reject(err) : resolve())));
+    const replies = [];
+    port.on('data', d => replies.push(d.toString()));
+    port.write(`${v2.PRINT_START}\n${v2.fileInfoCommand(4)}\n`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const frame = Buffer.alloc(8);
+    frame.write('abcd', 0);
+    frame.writeUInt32BE(1, 4);
+    port.write(frame);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(!replies.join('').includes(v2.BLOCK_REPLY), 'Bad checksum should not be acknowledged');
+    await new Promise(resolve => port.close(resolve));
+
+    console.log('✅ All XYZv2 protocol tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exit(1);
+  }
+})();
@@ -5,226 +5,408 @@
 
 const fs = require('fs');
 const zlib = require('zlib');
-const BLOCK_SIZE = 8192; // 8KB blocks
+const { UploadTelemetry } = require('./upload_telemetry');
+const { BlockReader, DEFAULT_READ_AHEAD } = require('./block_reader');
+const { STATE, describeState } = require('./printer_states');
+const BLOCK_SIZE = 8192; // 8KB blocks, when neither the printer nor its profile say otherwise
+// Reported packet sizes outside this range are ignored; fallbacks stop at the minimum
+const MIN_BLOCK_SIZE = 1024;
+const MAX_BLOCK_SIZE = 65536;
+// Smaller sizes tried after block 0 is rejected, before giving up
+const MAX_BLOCK_SIZE_FALLBACKS = 2;
+const BLOCK_SIZE_SOURCES = { printer: 'reported by the printer', model: 'model default', default: 'default' };
+// upload_progress goes out at most this often (and after retries and the last block)
+const PROGRESS_INTERVAL_MS = 250;
+// query=a interval while waiting for the printer to report idle after an abandoned transfer
+const READY_POLL_MS = 500;
+
+// Block retransmission policy (config.json "uploadRetry" overrides any of these)
+const DEFAULT_RETRY = {
+  retries: 3,             // re-sends of one block after a timeout or error reply
+  timeoutMs: 5000,        // wait for the block's "ok"
+  waitBackoffMs: 250,     // first pause after a "wait" reply, doubled on each further "wait"
+  maxWaitBackoffMs: 4000,
+  maxWaits: 20,           // "wait" replies tolerated per block
+  resyncQuietMs: 300,     // silence required before re-sending, so late replies are not taken as the ack
+  abandonWaitMs: 10000    // time the printer gets to report idle after an abandoned transfer
+};
+
+/**
+ * Fill in a block's frame around the data read into it:
+ * [Index(4b BE)][Size(4b BE)][Data][CRC32(4b BE)]
+ */
+function frameBlock(block) {
+  block.frame.writeUInt32BE(block.index, 0);                               // Block index (BIG ENDIAN)
+  block.frame.writeUInt32BE(block.size, 4);                                // Block size (BIG ENDIAN)
+  block.frame.writeUInt32BE(zlib.crc32(block.data) >>> 0, 8 + block.size); // CRC32 of the data (BIG ENDIAN)
+}
+
+/**
+ * Pick the upload block size: the packet size the printer reports in "o:p<KB>" when it is
+ * plausible, else the model's profile size, else 8KB
+ * @param {number|null} reported - status oPacketSize (bytes)
+ * @param {number|null} modelBlockSize - capability profile uploadBlockSize
+ * @returns {{blockSize: number, source: 'printer'|'model'|'default'}}
+ */
+function negotiateBlockSize(reported, modelBlockSize) {
+  if (Number.isInteger(reported) && reported >= MIN_BLOCK_SIZE && reported <= MAX_BLOCK_SIZE) {
+    return { blockSize: reported, source: 'printer' };
+  }
+  if (Number.isInteger(modelBlockSize) && modelBlockSize >= MIN_BLOCK_SIZE) {
+    return { blockSize: modelBlockSize, source: 'model' };
+  }
+  return { blockSize: BLOCK_SIZE, source: 'default' };
+}
+
+/**
+ * Next size to try after the printer rejected block 0: back to 8KB from anything larger,
+ * then halving down to MIN_BLOCK_SIZE
+ * @returns {number|null} null when there is nothing smaller left
+ */
+function smallerBlockSize(blockSize) {
+  if (blockSize > BLOCK_SIZE) return BLOCK_SIZE;
+  const half = Math.floor(blockSize / 2);
+  return half >= MIN_BLOCK_SIZE ? half : null;
+}
+
+/**
+ * Classify a reply to an upload block; stray bytes around the word are ignored.
+ * Only "ok" acknowledges a block: a lone "$" ends some other reply (a late status query)
+ * and taking it as the ack would let the next block go out before this one is confirmed.
+ * @returns {'ok'|'wait'|'error'|null} null for lines that are not a block reply
+ */
+function classifyBlockReply(line) {
+  const text = String(line).replace(/[^\x20-\x7e]/g, '').trim();
+  if (/(^|[^a-z])ok$/i.test(text)) return 'ok';
+  if (/wait/i.test(text)) return 'wait';
+  if (/error|^E\d+/i.test(text)) return 'error';
+  return null;
+}
 
 class XYZv3Uploader {
-  constructor(port, io, pollControl, parser) {
-    this.port = port;
+  /**
+   * @param {CommandQueue} queue - command queue of the printer link (upload runs as an exclusive job)
+   * @param {object} io - Socket.IO server for progress events
+   * @param {Parser} parser - status parser (token events)
+   * @param {{retry?: object, onSummary?: Function, readAhead?: number, printerInfo?: Function}} [options]
+   *   retry: block retransmission policy (see DEFAULT_RETRY); onSummary: called with the
+   *   telemetry summary of every upload; readAhead: blocks read and framed ahead of the one
+   *   being sent; printerInfo: returns {oPacketSize, uploadBlockSize} (latest status and
+   *   capability profile) for negotiating the block size
+   */
+  constructor(queue, io, parser, options = {}) {
+    this.queue = queue;
     this.io = io;
-    this.pollControl = pollControl || {};
     this.parser = parser;
+    this.retry = { ...DEFAULT_RETRY, ...(options.retry || {}) };
+    this.onSummary = options.onSummary || null;
+    this.readAhead = options.readAhead !== undefined ? options.readAhead : DEFAULT_READ_AHEAD;
+    this.printerInfo = options.printerInfo || (() => ({}));
     this.uploading = false;
-    this.rawDataBuffer = '';
+    this.cancelRequested = false;
+    this.cancellable = false; // until the last block is acknowledged
+    this.channel = null; // exclusive channel while an upload runs
   }
 
   /**
-   * Pause polling during upload
+   * Ask the running upload to stop at the next block boundary
+   * @returns {boolean} false when no upload is running or all blocks are already sent
    */
-  pausePolling() {
-    console.log('[UPLOAD DEBUG] Pausing polling');
-    if (this.pollControl.pausePoll) {
-      this.pollControl.pausePoll();
-    }
+  cancel() {
+    if (!this.uploading || !this.cancellable) return false;
+    console.log('[UPLOAD] Cancel requested');
+    this.cancelRequested = true;
+    return true;
+  }
+
+  _checkCancelled() {
+    if (!this.cancelRequested) return;
+    const err = new Error('Upload cancelled');
+    err.code = 'ECANCELED';
+    throw err;
   }
 
   /**
-   * Resume polling after upload
+   * Leave a transfer the printer still expects blocks for (cancel, or a block size it rejected).
+   * Called after the last acknowledged block, so uploadDidFinish arrives where the printer
+   * expects the next block header and ends receiving mode; the partial file is dropped.
+   * The printer then has to report idle on query=a before the link is handed back.
+   * @throws {Error} err.code 'ENOTREADY' when it does not within retry.abandonWaitMs
    */
-  resumePolling() {
-    console.log('[UPLOAD DEBUG] Resuming polling');
-    if (this.pollControl.resumePoll) {
-      this.pollControl.resumePoll();
+  async abandonTransfer() {
+    console.log('[UPLOAD] Abandoning transfer, sending uploadDidFinish...');
+    this.io.emit('log', { msg: 'Ending the transfer on the printer...' });
+    const stray = await this.channel.drain(this.retry.resyncQuietMs);
+    if (stray.length) console.log(`[UPLOAD] Discarded ${stray.length} stray line(s) before ending the transfer`);
+    if (!(await this.sendAndWaitForOK('XYZv3/uploadDidFinish', this.retry.timeoutMs))) {
+      console.warn('[UPLOAD] No OK response to uploadDidFinish, checking the printer state');
+    }
+
+    const deadline = Date.now() + this.retry.abandonWaitMs;
+    let state = null;
+    for (;;) {
+      const reply = await this.sendCommand('XYZv3/query=a', this.retry.timeoutMs);
+      const match = reply && reply.match(/^j:(\d+)(?:,(\d+))?/m);
+      state = match ? describeState(parseInt(match[1], 10), match[2] ? parseInt(match[2], 10) : undefined) : null;
+      if (state && state.state === STATE.IDLE) {
+        console.log('[UPLOAD] Printer is idle, transfer ended');
+        return;
+      }
+      if (Date.now() + READY_POLL_MS > deadline) break;
+      await new Promise(resolve => setTimeout(resolve, READY_POLL_MS));
     }
+    const err = new Error(`Printer did not report ready after the transfer was abandoned (${state ? state.label : 'no status'})`);
+    err.code = 'ENOTREADY';
+    throw err;
   }
 
   /**
-   * Wait for token response from printer
+   * Send a command or block frame and wait for "ok" (like miniMover's waitForConfigOK)
+   * @returns {Promise<boolean>} false on error/wait reply or timeout
    */
-  async waitForToken(timeoutMs) {
-    if (!this.parser) {
-      console.warn('[UPLOAD] No parser available, cannot wait for token');
-      return null;
+  async sendAndWaitForOK(data, timeoutMs = 5000) {
+    try {
+      const reply = await this.channel.send(data, {
+        expect: (line) => /ok|\$|error|wait/i.test(line),
+        timeoutMs
+      });
+      if (/error|wait/i.test(reply.line)) {
+        console.log('[UPLOAD DEBUG] Got error response:', reply.line);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.log('[UPLOAD] OK wait failed:', error.message);
+      return false;
     }
-
-    return new Promise((resolve) => {
-      const timeout = setTimeout(() => {
-        this.parser.removeListener('token', onToken);
-        console.log('[UPLOAD] Token wait timeout');
-        resolve(null);
-      }, timeoutMs);
-
-      const onToken = (token) => {
-        clearTimeout(timeout);
-        this.parser.removeListener('token', onToken);
-        resolve(token);
-      };
-
-      this.parser.once('token', onToken);
-    });
   }
 
   /**
-   * Wait for taginfo response from printer (indicates file received successfully)
-   * Expected format: "taginfo:{SERIAL}.$\n"
+   * Send one block frame until the printer acknowledges it.
+   * A "wait" reply backs off and re-sends without using up a retry; a timeout or error
+   * reply drains stray input and re-sends the same indexed frame, up to retry.retries times.
+   * @param {Buffer} frame - [index][size][data][CRC32]
+   * @param {number} blockIndex
+   * @param {{retries: number, waits: number, strayLines: number, retriedBlocks: number[]}} stats
+   * @param {Function} [onRetry] - called after each counted retry or wait
+   * @returns {Promise<number>} ack latency of the accepted attempt (ms); when the retries run
+   *   out the error carries err.blockIndex, and err.rejected if the printer answered "error"
    */
-  async waitForTaginfo(timeoutMs = 10000) {
-    console.log('[UPLOAD] Waiting for taginfo response...');
-    
-    return new Promise((resolve) => {
-      const timeout = setTimeout(() => {
-        dataHandler && this.port.removeListener('data', dataHandler);
-        console.log('[UPLOAD] Taginfo wait timeout');
-        resolve(null);
-      }, timeoutMs);
+  async sendBlock(frame, blockIndex, stats, onRetry) {
+    const policy = this.retry;
+    let failures = 0;
+    let waits = 0;
+    let rejected = false; // the printer answered "error" at least once (not just silence)
 
-      let buffer = '';
-      const dataHandler = (data) => {
-        buffer += data.toString();
-        console.log('[UPLOAD DEBUG] Received data:', buffer);
-        
-        // Check if we got taginfo response
-        if (buffer.includes('taginfo:')) {
-          clearTimeout(timeout);
-          this.port.removeListener('data', dataHandler);
-          
-          // Extract taginfo line
-          const match = buffer.match(/taginfo:(\{[^}]+\})\.\$/);
-          if (match) {
-            const taginfo = match[1];
-            console.log('[UPLOAD] Got taginfo:', taginfo);
-            resolve(taginfo);
-          } else {
-            resolve('received');
-          }
+    for (;;) {
+      let outcome;
+      let latencyMs = 0;
+      try {
+        const reply = await this.channel.send(frame, {
+          expect: (line) => classifyBlockReply(line) !== null,
+          timeoutMs: policy.timeoutMs
+        });
+        outcome = classifyBlockReply(reply.line);
+        latencyMs = reply.durationMs;
+        stats.strayLines += reply.lines.length - 1;
+      } catch (error) {
+        // A closed port is not worth retrying
+        if (error.code !== 'ETIMEDOUT' && error.code !== 'EPRINTER') throw error;
+        outcome = error.code === 'ETIMEDOUT' ? 'timeout' : 'error';
+      }
+      if (outcome === 'ok') return latencyMs;
+
+      if (outcome === 'wait') {
+        if (++waits > policy.maxWaits) {
+          throw new Error(`Block ${blockIndex} failed - printer still busy after ${policy.maxWaits} wait replies`);
         }
-      };
+        stats.waits++;
+        const delay = Math.min(policy.waitBackoffMs * 2 ** (waits - 1), policy.maxWaitBackoffMs);
+        console.log(`[UPLOAD] Block ${blockIndex}: printer busy, re-sending in ${delay}ms`);
+        if (onRetry) onRetry();
+        await new Promise(resolve => setTimeout(resolve, delay));
+        this._checkCancelled();
+        continue;
+      }
+
+      if (outcome === 'error') rejected = true;
+      if (++failures > policy.retries) {
+        const err = new Error(`Block ${blockIndex} failed - no OK response from printer after ${failures} attempts`);
+        err.blockIndex = blockIndex;
+        err.rejected = rejected;
+        throw err;
+      }
+      stats.retries++;
+      if (!stats.retriedBlocks.includes(blockIndex)) stats.retriedBlocks.push(blockIndex);
+      console.warn(`[UPLOAD] Block ${blockIndex}: ${outcome}, re-sending (${failures}/${policy.retries})`);
+      const stray = await this.channel.drain(policy.resyncQuietMs);
+      if (stray.length) {
+        stats.strayLines += stray.length;
+        console.log(`[UPLOAD] Discarded ${stray.length} stray line(s) before re-sending block ${blockIndex}`);
+      }
+      if (onRetry) onRetry();
+      this._checkCancelled();
+    }
+  }
 
-      this.port.on('data', dataHandler);
+  /**
+   * Build the upload summary and hand it to options.onSummary
+   */
+  _summarize(telemetry, retryStats, sizing, filename, result, error) {
+    if (!telemetry) return null;
+    const summary = telemetry.summary({
+      filename,
+      protocol: 'v3',
+      result,
+      error: error ? error.message : null,
+      retries: retryStats.retries,
+      waits: retryStats.waits,
+      retriedBlocks: retryStats.retriedBlocks.length,
+      blockSize: sizing.blockSize,
+      blockSizeFallbacks: sizing.fallbacks
     });
+    if (this.onSummary) this.onSummary(summary);
+    return summary;
   }
 
   /**
-   * Send heartbeat to keep printer buffer watchdog alive during upload
+   * Send command and wait for response (complete when a "$" line arrives)
    */
-  async sendHeartbeat() {
+  async sendCommand(command, timeoutMs = 5000) {
+    console.log(`[UPLOAD] >> ${command}`);
     try {
-      console.log('[UPLOAD] Sending heartbeat...');
-      this.port.write('XYZv3/config=tag\n');
-      // Don't wait for response - just keep the watchdog happy
-      await new Promise(resolve => setTimeout(resolve, 100));
+      const reply = await this.channel.send(command, { terminator: '$', timeoutMs });
+      const text = reply.lines.join('\n');
+      console.log(`[UPLOAD DEBUG] << ${text}`);
+      return text;
     } catch (error) {
-      console.warn('[UPLOAD] Heartbeat failed:', error.message);
+      if (error.code !== 'ETIMEDOUT') throw error;
+      console.log(`[UPLOAD] Command timeout: ${command}`);
+      return null;
     }
   }
 
   /**
-   * Wait for "ok" response from printer (like miniMover's waitForConfigOK)
-   * Waits up to 5 seconds for "ok" response
+   * Put the printer in receiving mode (upload=<name>,<size>) and give it time to get ready
    */
-  async waitForOK(timeoutMs = 5000) {
-    return new Promise((resolve) => {
-      let buffer = '';
-      const timeout = setTimeout(() => {
-        if (dataHandler) {
-          this.port.removeListener('data', dataHandler);
-        }
-        console.log('[UPLOAD] OK wait timeout, buffer was:', buffer);
-        resolve(false);
-      }, timeoutMs);
-
-      const dataHandler = (data) => {
-        buffer += data.toString();
-        
-        // Success when we see "ok" (with or without newline)
-        if (buffer.toLowerCase().includes('ok')) {
-          clearTimeout(timeout);
-          this.port.removeListener('data', dataHandler);
-          console.log('[UPLOAD DEBUG] Got OK response');
-          resolve(true);
-        }
-        // Also accept $ as end marker
-        else if (buffer.includes('$')) {
-          clearTimeout(timeout);
-          this.port.removeListener('data', dataHandler);
-          console.log('[UPLOAD DEBUG] Got $ end marker');
-          resolve(true);
-        }
-        // Break on error strings
-        else if (buffer.toLowerCase().includes('error') || buffer.toLowerCase().includes('wait')) {
-          clearTimeout(timeout);
-          this.port.removeListener('data', dataHandler);
-          console.log('[UPLOAD DEBUG] Got error response:', buffer);
-          resolve(false);
-        }
-      };
-
-      this.port.on('data', dataHandler);
-    });
+  async _initTransfer(filename, fileSize) {
+    // Wait for "ok" response (critical - like miniMover's waitForConfigOK)
+    const uploadOK = await this.sendAndWaitForOK(`XYZv3/upload=${filename},${fileSize}`, 5000);
+    if (!uploadOK) {
+      throw new Error('Printer did not respond OK to upload init');
+    }
+    console.log('[UPLOAD] Upload init confirmed');
+    this.io.emit('log', { msg: 'Printer ready - starting transfer...' });
+    
+    // Give printer time to enter receiving mode (LED should start blinking green)
+    await new Promise(resolve => setTimeout(resolve, 500));
   }
 
   /**
-   * Send command and wait for response
+   * Send the whole file as blockSize frames, each acknowledged before the next
+   * @param {Function} onBlock - called with the number of blocks acknowledged so far
+   * @returns {Promise<number>} blocks sent
    */
-  async sendCommand(command, timeoutMs = 5000) {
-    console.log(`[UPLOAD] >> ${command}`);
+  async _streamBlocks(filePath, fileSize, blockSize, telemetry, retryStats, onBlock) {
+    console.log(`[UPLOAD DEBUG] Will send ${Math.ceil(fileSize / blockSize)} blocks of ${blockSize} bytes`);
+    // Blocks are read and framed ahead while the previous one waits for its "ok"
+    const reader = await BlockReader.open(filePath, {
+      blockSize,
+      headerBytes: 8,
+      trailerBytes: 4,
+      readAhead: this.readAhead,
+      frame: frameBlock
+    });
+    let blockIndex = 0;
+    let bytesSent = 0;
+    let lastProgressAt = 0;
+    const reportProgress = (force) => {
+      const now = Date.now();
+      if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+      lastProgressAt = now;
+      this.io.emit('upload_progress', { ...telemetry.progress(), blockSize, retries: retryStats.retries, waits: retryStats.waits });
+    };
     
-    return new Promise((resolve, reject) => {
-      let buffer = '';
-      const timeout = setTimeout(() => {
-        dataHandler && this.port.removeListener('data', dataHandler);
-        console.log(`[UPLOAD] Command timeout: ${command}`);
-        resolve(null);
-      }, timeoutMs);
-
-      const dataHandler = (data) => {
-        buffer += data.toString();
-        console.log(`[UPLOAD DEBUG] << ${buffer.trim()}`);
+    try {
+      let block;
+      while ((block = await reader.next())) {
+        // Safe point: the previous block is acknowledged, nothing is half-sent
+        this._checkCancelled();
+        
+        // Send frame and wait for "ok" (CRITICAL - like miniMover does), re-sending per retry policy
+        const latencyMs = await this.sendBlock(block.frame, block.index, retryStats, () => reportProgress(true));
+        reader.release(block);
         
-        // Check if we got complete response (ends with $.)
-        if (buffer.includes('$\n') || buffer.includes('.$')) {
-          clearTimeout(timeout);
-          this.port.removeListener('data', dataHandler);
-          resolve(buffer.trim());
+        bytesSent += block.size;
+        blockIndex++;
+        onBlock(blockIndex);
+        telemetry.block(block.size, latencyMs);
+        
+        // Report progress
+        reportProgress(bytesSent === fileSize);
+        const progress = Math.floor((bytesSent / fileSize) * 100);
+        if (bytesSent === fileSize || progress % 10 === 0) {
+          console.log(`[UPLOAD] Progress: ${progress}% (${bytesSent}/${fileSize} bytes, block ${blockIndex}, ${telemetry.rateBps} B/s)`);
+          
+          if (progress % 10 === 0) {
+            this.io.emit('log', { msg: `Upload progress: ${progress}%` });
+          }
         }
-      };
-
-      this.port.on('data', dataHandler);
+      }
       
-      this.port.write(command + '\n', (err) => {
-        if (err) {
-          clearTimeout(timeout);
-          this.port.removeListener('data', dataHandler);
-          reject(err);
-        }
-      });
-    });
-  }
-
-  /**
-   * Send upload init command (legacy - kept for compatibility)
-   */
-  async sendInitCommand(command) {
-    return this.sendCommand(command, 200);
+      console.log(`[UPLOAD] Sent ${blockIndex} blocks of ${blockSize} bytes (${retryStats.retries} retries, ${retryStats.waits} waits)`);
+      return blockIndex;
+    } finally {
+      await reader.close();
+    }
   }
 
   /**
    * Upload file using XYZ V3 protocol
+   * Runs as an exclusive command queue job, so status polls and UI commands wait
+   * until the transfer is done.
    */
   async uploadFile(filePath, filename) {
     if (this.uploading) {
       throw new Error('Upload already in progress');
     }
 
-    console.log('[UPLOAD DEBUG] ========== STARTING UPLOAD ==========');
     this.uploading = true;
-    this.pausePolling(); // Stop polling during upload
-    
+    this.cancelRequested = false;
+    this.cancellable = true;
     try {
+      return await this.queue.exclusive(async (channel) => {
+        this.channel = channel;
+        return this._transfer(filePath, filename);
+      }, { label: 'upload' });
+    } finally {
+      this.channel = null;
+      this.uploading = false;
+      this.cancelRequested = false;
+      this.cancellable = false;
+      console.log('[UPLOAD DEBUG] Upload flag cleared');
+    }
+  }
+
+  async _transfer(filePath, filename) {
+    console.log('[UPLOAD DEBUG] ========== STARTING UPLOAD ==========');
+    let receiving = false; // printer accepted upload= and expects blocks
+    let blocksSent = 0;
+    let telemetry = null;
+    const retryStats = { retries: 0, waits: 0, strayLines: 0, retriedBlocks: [] };
+    const sizing = { blockSize: null, fallbacks: [] }; // block size in use, sizes block 0 was rejected at
+    try {
+      this._checkCancelled();
       // Get file size
       const stats = fs.statSync(filePath);
       const fileSize = stats.size;
+      const info = this.printerInfo() || {};
+      const negotiated = negotiateBlockSize(info.oPacketSize, info.uploadBlockSize);
+      sizing.blockSize = negotiated.blockSize;
+      telemetry = new UploadTelemetry({ totalBytes: fileSize, totalBlocks: Math.ceil(fileSize / sizing.blockSize) });
       
       console.log(`[UPLOAD] Starting upload: ${filename} (${fileSize} bytes)`);
+      console.log(`[UPLOAD] Block size ${sizing.blockSize} bytes (${BLOCK_SIZE_SOURCES[negotiated.source]})`);
       console.log(`[UPLOAD DEBUG] File path: ${filePath}`);
       this.io.emit('log', { msg: `Uploading ${filename} (${fileSize} bytes)` });
       
@@ -266,94 +448,57 @@ class XYZv3Uploader {
       
       // Small delay after handshake
       await new Promise(resolve => setTimeout(resolve, 500));
+      this._checkCancelled();
       
       // 1d. CRITICAL: Send upload init command to put printer in RECEIVING MODE
       // This makes the LED blink green and prepares printer for binary blocks
       console.log('[UPLOAD] Step 1d: Sending upload init command...');
-      this.port.write(`XYZv3/upload=${filename},${fileSize}\n`);
-      
-      // Wait for "ok" response (critical - like miniMover's waitForConfigOK)
-      const uploadOK = await this.waitForOK(5000);
-      if (!uploadOK) {
-        throw new Error('Printer did not respond OK to upload init');
-      }
-      console.log('[UPLOAD] Upload init confirmed');
-      this.io.emit('log', { msg: 'Printer ready - starting transfer...' });
-      
-      // Give printer time to enter receiving mode (LED should start blinking green)
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await this._initTransfer(filename, fileSize);
+      receiving = true;
       
       // Step 2: Stream binary blocks
       // Based on miniMover xyzv3.cpp implementation
-      // Each block: [Index(4b BE)][Size(4b BE)][Data(8KB)][Trailer(4b)]
+      // Each block: [Index(4b BE)][Size(4b BE)][Data(blockSize)][Trailer(4b)]
       console.log('[UPLOAD] Step 2: Streaming data blocks...');
-      console.log(`[UPLOAD DEBUG] Will send ${Math.ceil(fileSize / BLOCK_SIZE)} blocks`);
-      this.io.emit('log', { msg: 'Transferring file data...' });
+      this.io.emit('log', { msg: `Transferring file data (${sizing.blockSize}-byte blocks)...` });
+      telemetry.beginTransfer();
       
-      const fileHandle = fs.openSync(filePath, 'r');
-      let blockIndex = 0;
-      let bytesSent = 0;
-      
-      try {
-        while (bytesSent < fileSize) {
-          const buffer = Buffer.alloc(BLOCK_SIZE);
-          const bytesRead = fs.readSync(fileHandle, buffer, 0, BLOCK_SIZE, bytesSent);
-          
-          if (bytesRead === 0) break;
-          
-          const data = buffer.slice(0, bytesRead);
-          
-          // Calculate CRC32 checksum of the data block
-          const crc32 = zlib.crc32(data) >>> 0;  // Ensure unsigned 32-bit
-          
-          // Build frame: [Index(4b BE)][Size(4b BE)][Data][CRC32(4b BE)]
-          const frame = Buffer.alloc(4 + 4 + bytesRead + 4);
-          frame.writeUInt32BE(blockIndex, 0);      // Block index (BIG ENDIAN)
-          frame.writeUInt32BE(bytesRead, 4);       // Block size (BIG ENDIAN)
-          data.copy(frame, 8);                     // Block data
-          frame.writeUInt32BE(crc32, 8 + bytesRead);  // CRC32 checksum (BIG ENDIAN)
-          
-          // Send frame
-          this.port.write(frame);
-          
-          // CRITICAL: Wait for "ok" after each block (like miniMover does)
-          const blockOK = await this.waitForOK(5000);
-          if (!blockOK) {
-            throw new Error(`Block ${blockIndex} failed - no OK response from printer`);
-          }
-          
-          bytesSent += bytesRead;
-          blockIndex++;
-          
-          // Report progress
-          const progress = Math.floor((bytesSent / fileSize) * 100);
-          if (bytesSent === fileSize || progress % 10 === 0) {
-            console.log(`[UPLOAD] Progress: ${progress}% (${bytesSent}/${fileSize} bytes, block ${blockIndex})`);
-            this.io.emit('upload_progress', { percent: progress });
-            
-            if (progress % 10 === 0) {
-              this.io.emit('log', { msg: `Upload progress: ${progress}%` });
-            }
-          }
+      // A printer that rejects block 0 may not take blocks this large: start over smaller
+      // (only on "error" replies - a printer that stays silent is not helped by smaller blocks)
+      for (;;) {
+        try {
+          blocksSent = await this._streamBlocks(filePath, fileSize, sizing.blockSize, telemetry, retryStats, (n) => { blocksSent = n; });
+          break;
+        } catch (error) {
+          const canFallBack = blocksSent === 0 && error.blockIndex === 0 && error.rejected && sizing.fallbacks.length < MAX_BLOCK_SIZE_FALLBACKS;
+          const smaller = canFallBack ? smallerBlockSize(sizing.blockSize) : null;
+          if (!smaller) throw error;
+          console.warn(`[UPLOAD] Printer rejected block 0 at ${sizing.blockSize} bytes, starting over with ${smaller}-byte blocks`);
+          this.io.emit('log', { msg: `Printer rejected ${sizing.blockSize}-byte blocks - retrying with ${smaller}-byte blocks` });
+          sizing.fallbacks.push(sizing.blockSize);
+          await this.abandonTransfer();
+          receiving = false;
+          sizing.blockSize = smaller;
+          telemetry.totalBlocks = Math.ceil(fileSize / smaller);
+          this._checkCancelled();
+          await this._initTransfer(filename, fileSize);
+          receiving = true;
         }
-        
-        console.log(`[UPLOAD] Sent ${blockIndex} blocks`);
-        
-      } finally {
-        fs.closeSync(fileHandle);
       }
+      // The printer has the whole file; from here on it is validated, not cancelled
+      this.cancellable = false;
+      this._checkCancelled();
       
       // Send uploadDidFinish command (required for V3 protocol per miniMover source)
       console.log('[UPLOAD] Sending uploadDidFinish command...');
-      this.port.write('XYZv3/uploadDidFinish\n');
-      
-      const finishOK = await this.waitForOK(5000);
+      const finishOK = await this.sendAndWaitForOK('XYZv3/uploadDidFinish', 5000);
       if (!finishOK) {
         console.log('[UPLOAD] Warning: No OK response to uploadDidFinish (printer may still work)');
       } else {
         console.log('[UPLOAD] uploadDidFinish confirmed');
       }
       
+      const summary = this._summarize(telemetry, retryStats, sizing, filename, 'success');
       console.log('[UPLOAD] Upload complete - printer will validate and auto-start');
       this.io.emit('log', { msg: 'File uploaded! Printer validating... will auto-start in ~1 minute' });
       
@@ -362,20 +507,39 @@ class XYZv3Uploader {
       
       console.log('[UPLOAD] Upload complete!');
       console.log('[UPLOAD DEBUG] ========== UPLOAD SUCCESSFUL ==========');
-      this.io.emit('upload_finished', { filename });
+      this.io.emit('upload_finished', { filename, retries: retryStats.retries, waits: retryStats.waits, blockSize: sizing.blockSize });
       
-      return { success: true };
+      return { success: true, blocks: blocksSent, ...retryStats, blockSize: sizing.blockSize, blockSizeFallbacks: sizing.fallbacks, summary };
     
     } catch (error) {
+      if (error.code === 'ECANCELED') {
+        if (receiving) {
+          try {
+            await this.abandonTransfer();
+          } catch (cleanupError) {
+            // Not cancelled cleanly: the printer may still be in receiving mode
+            console.error('[UPLOAD] Upload cancelled, but the printer is not ready:', cleanupError.message);
+            this._summarize(telemetry, retryStats, sizing, filename, 'failed', cleanupError);
+            this.io.emit('upload_error', { error: cleanupError.message });
+            throw cleanupError;
+          }
+        }
+        console.log(`[UPLOAD] Upload cancelled after ${blocksSent} blocks`);
+        this.io.emit('log', { msg: `Upload of ${filename} cancelled` });
+        this.io.emit('upload_cancelled', { filename, blocksSent });
+        this._summarize(telemetry, retryStats, sizing, filename, 'cancelled');
+        throw error;
+      }
       console.error('[UPLOAD] Upload failed:', error);
+      this._summarize(telemetry, retryStats, sizing, filename, 'failed', error);
       this.io.emit('upload_error', { error: error.message });
       throw error;
-    } finally {
-      this.uploading = false;
-      console.log('[UPLOAD DEBUG] Upload flag cleared');
-      this.resumePolling(); // Resume status polling
     }
   }
 }
 
 module.exports = XYZv3Uploader;
+module.exports.DEFAULT_RETRY = DEFAULT_RETRY;
+module.exports.classifyBlockReply = classifyBlockReply;
+module.exports.negotiateBlockSize = negotiateBlockSize;
+module.exports.smallerBlockSize = smallerBlockSize;
@@ -0,0 +1,216 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const XYZv3Uploader = require('../lib/upload_xyz_v3');
+const { CommandQueue } = require('../lib/command_queue');
+const assert = require('assert');
+
+const { classifyBlockReply, negotiateBlockSize, smallerBlockSize } = XYZv3Uploader;
+
+console.log('Running XYZv3 Upload Tests...');
+
+// Printer link that answers the upload handshake and scripts replies to block frames:
+// blockReplies(index, attempt) returns a list of [delayMs, line] pairs
+class FlakyPrinter extends EventEmitter {
+  constructor(blockReplies) {
+    super();
+    this.blockReplies = blockReplies;
+    this.attempts = {};
+    this.commands = [];
+    this.state = '9511,0'; // j: reply to query=a
+  }
+  write(data, cb) {
+    setImmediate(() => {
+      if (cb) cb();
+      if (Buffer.isBuffer(data)) {
+        const index = data.readUInt32BE(0);
+        this.attempts[index] = (this.attempts[index] || 0) + 1;
+        this.emit('frame', data);
+        this.blockReplies(index, this.attempts[index]).forEach(([delay, line]) => {
+          setTimeout(() => this.emit('line', line), delay);
+        });
+        return;
+      }
+      this.commands.push(data);
+      if (data.startsWith('XYZv3/config=signature')) {
+        ['signature:"TEST"', '$'].forEach(l => this.emit('line', l));
+      } else if (data.startsWith('XYZv3/config=taginfo')) {
+        ['taginfo:{TEST}', '$'].forEach(l => this.emit('line', l));
+      } else if (data.startsWith('XYZv3/query=Z')) {
+        ['Z:{"PrintFile":"none","Complete":0}', '$'].forEach(l => this.emit('line', l));
+      } else if (data.startsWith('XYZv3/query=a')) {
+        [`j:${this.state}`, '$'].forEach(l => this.emit('line', l));
+      } else {
+        this.emit('line', 'ok');
+      }
+    });
+    return true;
+  }
+}
+
+const RETRY = { retries: 2, timeoutMs: 150, waitBackoffMs: 20, maxWaitBackoffMs: 40, resyncQuietMs: 100, abandonWaitMs: 50 };
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-v3-'));
+  try {
+    // Reply classification tolerates stray bytes around the word
+    assert.strictEqual(classifyBlockReply('ok'), 'ok');
+    assert.strictEqual(classifyBlockReply('\u0000\u0013ok'), 'ok', 'Control bytes before ok should be ignored');
+    assert.strictEqual(classifyBlockReply('wait'), 'wait');
+    assert.strictEqual(classifyBlockReply('E7$'), 'error');
+    assert.strictEqual(classifyBlockReply('#@!x'), null, 'Garbage is not a reply');
+    assert.strictEqual(classifyBlockReply('took'), null, 'A word ending in ok is not an ack');
+    assert.strictEqual(classifyBlockReply('$'), null, 'The end of another reply is not an ack');
+
+    // Block size: printer report, then model profile, then 8KB; fallbacks get smaller
+    assert.deepStrictEqual(negotiateBlockSize(16384, 8192), { blockSize: 16384, source: 'printer' });
+    assert.deepStrictEqual(negotiateBlockSize(null, 10236), { blockSize: 10236, source: 'model' });
+    assert.deepStrictEqual(negotiateBlockSize(8 * 1024 * 1024, null), { blockSize: 8192, source: 'default' }, 'Implausible reports should be ignored');
+    assert.strictEqual(smallerBlockSize(32768), 8192, 'Oversized blocks fall back to 8KB first');
+    assert.strictEqual(smallerBlockSize(8192), 4096, 'Then halve');
+    assert.strictEqual(smallerBlockSize(1024), null, 'Nothing below the minimum');
+
+    const file = path.join(tmp, 'five.3w');
+    fs.writeFileSync(file, Buffer.alloc(5 * 8192, 7));
+
+    // Lost ok, wait, garbage, error and a late ok are all recovered from
+    const printer = new FlakyPrinter((index, attempt) => {
+      if (index === 0 && attempt === 1) return [];                          // ok lost
+      if (index === 1 && attempt === 1) return [[0, 'wait']];               // busy
+      if (index === 2) return [[0, '#@!'], [0, 'ok']];                       // stray line first
+      if (index === 3 && attempt === 1) return [[0, 'error']];              // rejected
+      if (index === 4 && attempt === 1) return [[200, 'ok']];               // late ok, drained
+      return [[0, 'ok']];
+    });
+    const events = [];
+    const io = { emit: (event, data) => events.push({ event, data }) };
+    const summaries = [];
+    const uploader = new XYZv3Uploader(new CommandQueue(printer), io, null, { retry: RETRY, onSummary: s => summaries.push(s) });
+    const result = await uploader.uploadFile(file, 'five.3w');
+
+    assert.strictEqual(result.success, true, 'Upload should survive the faults');
+    assert.strictEqual(result.blocks, 5, 'Block count mismatch');
+    assert.strictEqual(result.retries, 3, 'Timeouts and errors should count as retries');
+    assert.strictEqual(result.waits, 1, 'Wait replies should be counted separately');
+    assert.deepStrictEqual(result.retriedBlocks, [0, 3, 4], 'Retried blocks mismatch');
+    assert.ok(result.strayLines >= 2, 'Stray and late lines should be counted');
+    assert.deepStrictEqual(printer.attempts, { 0: 2, 1: 2, 2: 1, 3: 2, 4: 2 }, 'Each failed block should be re-sent once');
+    const progress = events.filter(e => e.event === 'upload_progress').map(e => e.data);
+    assert.ok(progress.some(p => p.retries > 0), 'upload_progress should report retries');
+    assert.strictEqual(progress[progress.length - 1].retries, 3, 'Final progress should carry the retry count');
+    assert.strictEqual(events.find(e => e.event === 'upload_finished').data.retries, 3, 'upload_finished should carry the retry count');
+
+    // Progress events carry the transfer telemetry, the summary goes to onSummary
+    const last = progress[progress.length - 1];
+    assert.strictEqual(last.bytesSent, 40960, 'Progress bytes mismatch');
+    assert.strictEqual(last.blocksSent, 5, 'Progress blocks mismatch');
+    assert.strictEqual(last.totalBlocks, 5, 'Progress total blocks mismatch');
+    assert.strictEqual(last.etaSec, 0, 'ETA should be 0 once everything is sent');
+    assert.ok(last.rateBps > 0, 'Transfer rate should be measured');
+    assert.ok(last.latencyMs.max >= last.latencyMs.avg && last.latencyMs.avg >= last.latencyMs.min, 'Latency min/avg/max out of order');
+    assert.strictEqual(summaries.length, 1, 'One summary per upload');
+    assert.strictEqual(summaries[0].result, 'success', 'Summary result mismatch');
+    assert.strictEqual(summaries[0].retries, 3, 'Summary retry count mismatch');
+    assert.strictEqual(summaries[0].blocksSent, 5, 'Summary block count mismatch');
+    assert.deepStrictEqual(result.summary, summaries[0], 'Upload result should include the summary');
+
+    // A late query reply ending in "$" between blocks is noise, not the next block's ack
+    const chatty = new FlakyPrinter((index) => {
+      if (index === 1) return [[0, 'j:9511'], [0, 'V:3.2.0'], [0, '$'], [60, 'ok']];
+      return [[0, 'ok']];
+    });
+    const order = [];
+    chatty.on('frame', f => order.push(`frame ${f.readUInt32BE(0)}`));
+    chatty.on('line', line => order.push(line));
+    const chattyUploader = new XYZv3Uploader(new CommandQueue(chatty), { emit() {} }, null, { retry: RETRY });
+    const chattyResult = await chattyUploader.uploadFile(file, 'five.3w');
+    assert.strictEqual(chattyResult.success, true, 'Upload should survive the stray reply');
+    assert.strictEqual(chattyResult.retries, 0, 'The real ok arrived in time, nothing to re-send');
+    assert.strictEqual(chattyResult.strayLines, 3, 'The stray reply should be counted');
+    const frame1 = order.indexOf('frame 1');
+    assert.ok(order.indexOf('frame 2') > order.indexOf('ok', order.indexOf('$', frame1)), 'Block 2 should wait for the ok of block 1');
+
+    // The packet size the printer reports is used for the frames
+    const sizes = [];
+    const small = new FlakyPrinter(() => [[0, 'ok']]);
+    small.on('frame', f => sizes.push(f.readUInt32BE(4)));
+    const smallEvents = [];
+    const smallUploader = new XYZv3Uploader(new CommandQueue(small), { emit: (event, data) => smallEvents.push({ event, data }) }, null, {
+      retry: RETRY, printerInfo: () => ({ oPacketSize: 4096, uploadBlockSize: 8192 })
+    });
+    const smallResult = await smallUploader.uploadFile(file, 'five.3w');
+    assert.strictEqual(smallResult.blockSize, 4096, 'Reported packet size should be used');
+    assert.strictEqual(smallResult.blocks, 10, 'Block count should follow the block size');
+    assert.ok(sizes.every(size => size === 4096), 'Every frame should carry 4096 bytes');
+    assert.strictEqual(smallEvents.filter(e => e.event === 'upload_progress').pop().data.blockSize, 4096, 'Progress should report the block size');
+    assert.strictEqual(smallResult.summary.blockSize, 4096, 'Summary should report the block size');
+
+    // A rejected block 0 starts the upload over with a smaller size
+    const picky = new FlakyPrinter(() => []);
+    picky.on('frame', f => setTimeout(() => picky.emit('line', f.readUInt32BE(4) > 8192 ? 'error' : 'ok'), 0));
+    const pickyUploader = new XYZv3Uploader(new CommandQueue(picky), { emit() {} }, null, {
+      retry: RETRY, printerInfo: () => ({ oPacketSize: 16384 })
+    });
+    const pickyResult = await pickyUploader.uploadFile(file, 'five.3w');
+    assert.strictEqual(pickyResult.success, true, 'Upload should succeed after the fallback');
+    assert.strictEqual(pickyResult.blockSize, 8192, 'Fallback size should be used');
+    assert.deepStrictEqual(pickyResult.blockSizeFallbacks, [16384], 'Rejected size should be recorded');
+    assert.deepStrictEqual(pickyResult.summary.blockSizeFallbacks, [16384], 'Summary should record the fallback');
+    const inits = picky.commands.filter(c => c.startsWith('XYZv3/upload='));
+    assert.strictEqual(inits.length, 2, 'Upload should be initialised again after the fallback');
+    const between = picky.commands.slice(picky.commands.indexOf(inits[0]) + 1, picky.commands.lastIndexOf(inits[1]));
+    assert.deepStrictEqual(between, ['XYZv3/uploadDidFinish', 'XYZv3/query=a'], 'The rejected transfer should be ended before starting over');
+
+    // A block that is never acknowledged fails after the configured retries
+    const dead = new FlakyPrinter(() => []);
+    const deadEvents = [];
+    const deadSummaries = [];
+    const deadUploader = new XYZv3Uploader(new CommandQueue(dead), { emit: (event) => deadEvents.push(event) }, null, { retry: RETRY, onSummary: s => deadSummaries.push(s) });
+    await assert.rejects(deadUploader.uploadFile(file, 'five.3w'), /Block 0 failed .* after 3 attempts/);
+    assert.strictEqual(dead.attempts[0], 3, 'Block should be sent 1 + retries times');
+    assert.ok(deadEvents.includes('upload_error'), 'upload_error should be emitted');
+    assert.strictEqual(deadSummaries[0].result, 'failed', 'Failed uploads should be summarized too');
+    assert.match(deadSummaries[0].error, /Block 0 failed/, 'Summary should carry the error');
+    assert.strictEqual(deadUploader.uploading, false, 'Uploader should be idle again');
+
+    // Cancel stops at a block boundary, ends the transfer and waits for the printer to be idle
+    let stoppableUploader = null;
+    const stoppable = new FlakyPrinter((index) => {
+      if (index === 1) stoppableUploader.cancel();
+      return [[0, 'ok']];
+    });
+    const cancelEvents = [];
+    stoppableUploader = new XYZv3Uploader(new CommandQueue(stoppable), { emit: (event, data) => cancelEvents.push({ event, data }) }, null, { retry: RETRY });
+    assert.strictEqual(stoppableUploader.cancel(), false, 'Nothing to cancel before an upload');
+    await assert.rejects(stoppableUploader.uploadFile(file, 'five.3w'), err => err.code === 'ECANCELED');
+    assert.deepStrictEqual(stoppable.attempts, { 0: 1, 1: 1 }, 'No block should be sent after the cancel');
+    assert.deepStrictEqual(stoppable.commands.slice(-2), ['XYZv3/uploadDidFinish', 'XYZv3/query=a'], 'The transfer should be ended after the cancel');
+    const cancelled = cancelEvents.find(e => e.event === 'upload_cancelled');
+    assert.deepStrictEqual(cancelled.data, { filename: 'five.3w', blocksSent: 2 }, 'upload_cancelled payload mismatch');
+    assert.ok(!cancelEvents.some(e => e.event === 'upload_error'), 'A cancel is not an error');
+    assert.strictEqual(stoppableUploader.uploading, false, 'Uploader should be idle again');
+
+    // A printer that does not report idle after the cancel is a failure, not a cancel
+    let stuckUploader = null;
+    const stuck = new FlakyPrinter((index) => {
+      if (index === 1) stuckUploader.cancel();
+      return [[0, 'ok']];
+    });
+    stuck.state = '9520,0';
+    const stuckEvents = [];
+    const stuckSummaries = [];
+    stuckUploader = new XYZv3Uploader(new CommandQueue(stuck), { emit: (event, data) => stuckEvents.push({ event, data }) }, null, { retry: RETRY, onSummary: s => stuckSummaries.push(s) });
+    await assert.rejects(stuckUploader.uploadFile(file, 'five.3w'), err => err.code === 'ENOTREADY' && /Validating file/.test(err.message));
+    assert.ok(!stuckEvents.some(e => e.event === 'upload_cancelled'), 'upload_cancelled should not be emitted');
+    assert.match(stuckEvents.find(e => e.event === 'upload_error').data.error, /did not report ready/, 'upload_error should say why');
+    assert.strictEqual(stuckSummaries[0].result, 'failed', 'Summary should record a failure');
+
+    console.log('✅ All XYZv3 upload tests passed!');
+  } catch (e) {
+    console.error('❌ Test failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
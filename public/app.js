@@ -1,10 +1,17 @@
 // public/app.js - UI client: consumes normalized 'status' objects and updates UI
 
 console.log('app.js loaded - initializing Socket.IO...');
-const socket = io();
+// selected printer (multi-printer setups); the server falls back to its default printer
+let currentPrinterId = localStorage.getItem('printerId');
+// operator key for the protocol console, sent with the handshake so the role survives reconnects
+const socket = io({
+  query: currentPrinterId ? { printer: currentPrinterId } : {},
+  auth: (cb) => cb({ operatorKey: localStorage.getItem('operatorKey') || '' })
+});
 console.log('Socket.IO instance created:', socket);
 
 const connEl = document.getElementById('connection');
+const printerConnEl = document.getElementById('printerConnection');
 const printerModelEl = document.getElementById('printerModel');
 const disconnectBtn = document.getElementById('disconnectBtn');
 const helpBtn = document.getElementById('helpBtn');
@@ -12,6 +19,7 @@ const helpModal = document.getElementById('helpModal');
 const helpClose = document.getElementById('helpClose');
 const extruderTemp = document.getElementById('extruderTemp');
 const extruderTarget = document.getElementById('extruderTarget');
+const bedTemp = document.getElementById('bedTemp');
 const filamentLen = document.getElementById('filamentLen');
 const filamentEst = document.getElementById('filamentEst');
 const filamentName = document.getElementById('filamentName');
@@ -25,7 +33,8 @@ let isLoadingFilament = false;
 let isUnloadingFilament = false;
 let isCalibrating = false;
 let printerModel = null;
-let isNanoModel = false; // Track if it's a Nano (no manual calibration needed)
+let capabilities = null; // Capability profile from /api/printer/capabilities (lib/printer_capabilities.js)
+let printerStateName = 'unknown'; // Named state from lib/printer_states.js
 
 // Cache last values to avoid unnecessary DOM updates
 let lastModelSerial = '';
@@ -151,6 +160,147 @@ socket.on('error', (error) => {
   console.error('Socket.IO error:', error);
 });
 
+// printer switcher + overview grid (only shown when the server drives several printers)
+const printerSelectEl = document.getElementById('printerSelect');
+const printerOverviewEl = document.getElementById('printerOverview');
+const printerGridEl = document.getElementById('printerGrid');
+const printerSummaries = new Map();
+
+// REST prefix for the selected printer
+function apiBase() {
+  return currentPrinterId ? `/api/printers/${encodeURIComponent(currentPrinterId)}` : '';
+}
+
+function renderPrinterTile(summary) {
+  let tile = printerGridEl.querySelector(`[data-printer="${summary.id}"]`);
+  if (!tile) {
+    tile = document.createElement('div');
+    tile.className = 'printerTile';
+    tile.dataset.printer = summary.id;
+    tile.onclick = () => socket.emit('select_printer', summary.id);
+    printerGridEl.appendChild(tile);
+  }
+  tile.classList.toggle('selected', summary.id === currentPrinterId);
+  tile.classList.toggle('error', !!summary.error);
+  const temp = summary.extruderActual_C !== null ? `${summary.extruderActual_C}°C` : '--';
+  const progress = summary.printPercent ? ` - ${summary.printPercent}%` : '';
+  tile.innerHTML = '';
+  [
+    ['printerTileName', summary.name],
+    ['printerTileModel', summary.model || ''],
+    ['printerTileState', summary.connection === 'ready' || summary.connection === 'uploading'
+      ? `${summary.printerStateStr || summary.printerState || '--'}${progress}`
+      : `Printer: ${summary.connection}`],
+    ['printerTileTemp', summary.error ? `Error ${summary.error.displayCode}` : temp]
+  ].forEach(([cls, text]) => {
+    const div = document.createElement('div');
+    div.className = cls;
+    div.textContent = text;
+    tile.appendChild(div);
+  });
+}
+
+socket.on('printers', (list) => {
+  printerSummaries.clear();
+  printerSelectEl.innerHTML = '';
+  printerGridEl.innerHTML = '';
+  list.forEach((summary) => {
+    printerSummaries.set(summary.id, summary);
+    const opt = document.createElement('option');
+    opt.value = summary.id;
+    opt.textContent = summary.name;
+    printerSelectEl.appendChild(opt);
+    renderPrinterTile(summary);
+  });
+  const multi = list.length > 1;
+  printerSelectEl.classList.toggle('hidden', !multi);
+  printerOverviewEl.classList.toggle('hidden', !multi);
+  if (currentPrinterId) printerSelectEl.value = currentPrinterId;
+});
+
+socket.on('printer_summary', (summary) => {
+  printerSummaries.set(summary.id, summary);
+  renderPrinterTile(summary);
+});
+
+socket.on('printer_selected', ({ id, name }) => {
+  const changed = id !== currentPrinterId;
+  currentPrinterId = id;
+  localStorage.setItem('printerId', id);
+  socket.io.opts.query = { printer: id }; // keep the selection across reconnects
+  printerSelectEl.value = id;
+  printerSummaries.forEach(renderPrinterTile);
+  if (changed) {
+    errorBanner.classList.add('hidden');
+    pushLog(`Switched to printer ${name}`);
+    refreshUploads();
+    refreshCaptures();
+  }
+});
+
+printerSelectEl.addEventListener('change', () => {
+  socket.emit('select_printer', printerSelectEl.value);
+});
+
+// printer (serial) connection state from the server's connection manager
+const CONNECTION_LABELS = {
+  absent: 'Not detected',
+  opening: 'Opening port...',
+  handshaking: 'Handshaking...',
+  ready: 'Ready',
+  uploading: 'Uploading',
+  lost: 'Connection lost'
+};
+socket.on('connection_state', (conn) => {
+  // The upload owns the link while the connection reports "uploading"
+  const uploading = conn.state === 'uploading';
+  cancelUploadBtn.classList.toggle('hidden', !uploading);
+  if (!uploading) cancelUploadBtn.disabled = false;
+  let text = `Printer: ${CONNECTION_LABELS[conn.state] || conn.state}`;
+  if (conn.state === 'lost' && conn.retryInMs !== null) {
+    text += ` - retry in ${Math.ceil(conn.retryInMs / 1000)}s`;
+  }
+  printerConnEl.textContent = text;
+  printerConnEl.className = `printerConnection ${conn.state}`;
+  printerConnEl.title = conn.error ? `${conn.path}: ${conn.error}` : conn.path;
+  if (conn.previous && conn.previous !== conn.state) {
+    pushLog(`Printer connection: ${CONNECTION_LABELS[conn.state] || conn.state}`);
+  }
+});
+
+// printer capabilities - hide or disable controls the connected model does not support
+function isAutoCalibration() {
+  return !!(capabilities && capabilities.calibration === 'auto');
+}
+
+function applyCapabilities(caps) {
+  capabilities = caps;
+  if (!caps) return;
+  const vol = caps.buildVolume;
+  printerModelEl.title = `${caps.name}${vol ? ` - build volume ${vol.x} x ${vol.y} x ${vol.z} mm` : ''}`;
+
+  bedTemp.style.display = caps.heatedBed ? 'block' : 'none';
+
+  const autolevelBtn = document.getElementById('toggle_autolevel');
+  autolevelBtn.style.display = caps.autoLevel ? 'inline-block' : 'none';
+  autolevelBtn.disabled = !caps.autoLevel;
+
+  // Manual probe steps only exist on models with manual calibration
+  if (isAutoCalibration()) {
+    document.getElementById('cal_lower').style.display = 'none';
+    document.getElementById('cal_raise').style.display = 'none';
+  }
+
+  // XYZv2 printers only take status queries and uploads over serial
+  const v2 = caps.protocol === 'v2';
+  document.getElementById('v2Notice').classList.toggle('hidden', !v2);
+  document.querySelectorAll('#printerControls button, #printerControls input, #printerControls select').forEach((el) => {
+    el.disabled = v2 || (el === autolevelBtn && !caps.autoLevel);
+  });
+}
+
+socket.on('capabilities', applyCapabilities);
+
 // receive normalized status
 socket.on('status', (st) => {
   if (!st) return;
@@ -170,14 +320,6 @@ socket.on('status', (st) => {
     lastModelSerial = modelSerial;
   }
   
-  // Detect if it's a Nano model (automatic calibration only)
-  if (printerModel && printerModel.toLowerCase().includes('nano')) {
-    isNanoModel = true;
-  } else if (printerModel) {
-    // Non-Nano model detected - may need manual calibration buttons
-    isNanoModel = false;
-  }
-  
   // extruder
   if (st.extruderActual_C !== null && st.extruderActual_C !== undefined) {
     extruderTemp.textContent = `${st.extruderActual_C} °C`;
@@ -186,9 +328,9 @@ socket.on('status', (st) => {
   }
   if (st.extruderTarget_C) extruderTarget.textContent = `target: ${st.extruderTarget_C} °C`;
 
-  // bed
+  // bed (only shown for models with a heated bed, see applyCapabilities)
   if (st.bedActual_C !== null && st.bedActual_C !== undefined) {
-    // optionally display bed in the extruder tile if you prefer
+    bedTemp.textContent = `bed: ${st.bedActual_C} °C${st.bedTarget_C ? ` / ${st.bedTarget_C} °C` : ''}`;
   }
 
   // filament - check if filament is actually loaded using status flags
@@ -285,11 +427,8 @@ socket.on('status', (st) => {
     jobTimes.textContent = `${st.elapsedMin || '--'}m / ${st.timeLeftMin || '--'}m left`;
   }
 
-  // printer state (only log state changes, not every update)
-  if (st.printerStateStr && st.printerStateStr !== window.lastPrinterState) {
-    window.lastPrinterState = st.printerStateStr;
-    pushLog(`State: ${st.printerStateStr}`);
-  }
+  // printer state name (see lib/printer_states.js STATE)
+  if (st.printerStateName) printerStateName = st.printerStateName;
 
   // raw sample for debugging
   if (st.raw && st.raw.length) {
@@ -299,6 +438,51 @@ socket.on('status', (st) => {
   }
 });
 
+// printer state transitions (named states from lib/printer_states.js)
+socket.on('state_change', (ev) => {
+  if (!ev || !ev.current) return;
+  const cur = ev.current;
+  printerStateName = cur.state;
+  pushLog(`State: ${cur.label}${cur.subLabel ? ` (${cur.subLabel})` : ''}`);
+
+  // The printer finished a load/unload sequence on its own - hide the stop buttons
+  if (ev.previous && ev.previous.state === 'loading' && cur.state !== 'loading') {
+    isLoadingFilament = false;
+    document.getElementById('load_stop').style.display = 'none';
+  }
+  if (ev.previous && ev.previous.state === 'unloading' && cur.state !== 'unloading') {
+    isUnloadingFilament = false;
+    document.getElementById('unload_stop').style.display = 'none';
+  }
+  if (cur.state === 'error') {
+    pushLog('Printer reported a fatal error state');
+  }
+});
+
+// printer errors/warnings - shown in a banner until the user dismisses them
+const errorBanner = document.getElementById('errorBanner');
+
+function showPrinterError(err) {
+  document.getElementById('errorBannerTitle').textContent = err.title;
+  document.getElementById('errorBannerCode').textContent = `[(${err.displayCode})${err.name}, ${err.severity}]`;
+  document.getElementById('errorBannerDescription').textContent = err.description;
+  document.getElementById('errorBannerFix').textContent = err.fix ? `Fix: ${err.fix}` : '';
+  errorBanner.classList.toggle('warning', err.severity === 'warning' || err.severity === 'info');
+  errorBanner.classList.remove('hidden');
+}
+
+socket.on('printer_error', (err) => {
+  if (!err) return;
+  pushLog(`Printer ${err.severity} (${err.displayCode})${err.name}: ${err.title}`);
+  showPrinterError(err);
+});
+socket.on('printer_error_cleared', (ev) => {
+  pushLog(`Printer error ${ev && ev.code !== undefined ? `0x${ev.code.toString(16).padStart(8, '0')}` : ''} cleared`);
+});
+document.getElementById('errorBannerDismiss').onclick = () => {
+  errorBanner.classList.add('hidden');
+};
+
 // generic log lines
 socket.on('log', (l) => {
   if (l && l.line) pushLog(l.line);
@@ -313,7 +497,7 @@ socket.on('calibrate', (ev) => {
   
   // Nano model has fully automatic calibration, other models may need manual steps
   if (stage === 'pressdetector' || stage === 'start') {
-    if (isNanoModel) {
+    if (isAutoCalibration()) {
       pushLog('Calibration starting (automatic)...');
     } else {
       pushLog('Please LOWER probe on printer, then click "Lower Probe Done"');
@@ -325,7 +509,7 @@ socket.on('calibrate', (ev) => {
   } else if (stage === 'processing') {
     pushLog('Calibration processing...');
   } else if (stage === 'ok') {
-    if (isNanoModel) {
+    if (isAutoCalibration()) {
       pushLog('Calibration OK.');
     } else {
       pushLog('Calibration OK. Please RAISE probe and click "Raise Probe Done"');
@@ -340,7 +524,7 @@ socket.on('calibrate', (ev) => {
   } else if (stage === 'complete') {
     pushLog('Calibration complete.');
     isCalibrating = false;
-    if (!isNanoModel) {
+    if (!isAutoCalibration()) {
       document.getElementById('cal_lower').style.display = 'none';
       document.getElementById('cal_raise').style.display = 'none';
       document.getElementById('cal_start').style.display = 'inline-block';
@@ -576,7 +760,60 @@ const uploadFileEl = document.getElementById('uploadFile');
 const uploadBtn = document.getElementById('uploadBtn');
 const uploadProgressBar = document.getElementById('uploadProgressBar');
 const uploadStatus = document.getElementById('uploadStatus');
+const cancelUploadBtn = document.getElementById('cancelUploadBtn');
+const uploadRateSpark = document.getElementById('uploadRateSpark');
+const uploadTelemetryText = document.getElementById('uploadTelemetryText');
+let uploadRates = []; // transfer rate of the current upload, one entry per progress event
+let uploadBlocksSeen = 0;
+
+function formatRate(bps) {
+  return bps >= 1024 ? `${(bps / 1024).toFixed(1)} KB/s` : `${bps} B/s`;
+}
+
+function formatEta(sec) {
+  if (sec === null || sec === undefined) return '--';
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+// "min/avg/max" block ack latency
+function formatLatency(lat) {
+  const ms = v => (v === null || v === undefined ? '--' : v);
+  return lat ? `${ms(lat.min)}/${ms(lat.avg)}/${ms(lat.max)} ms` : '--';
+}
+
+function drawSparkline(canvas, values) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  if (values.length < 2) return;
+  const max = Math.max(...values) || 1;
+  ctx.beginPath();
+  values.forEach((v, i) => {
+    const x = 1 + (i / (values.length - 1)) * (width - 2);
+    const y = height - 1 - (v / max) * (height - 2);
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.strokeStyle = '#2b6faa';
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+}
+
+function showUploadTelemetry(p) {
+  if (p.rateBps === undefined) return;
+  // a new upload starts over
+  if (p.blocksSent <= 1 || p.blocksSent < uploadBlocksSeen) uploadRates = [];
+  uploadBlocksSeen = p.blocksSent;
+  uploadRates.push(p.rateBps);
+  if (uploadRates.length > 60) uploadRates.shift();
+  drawSparkline(uploadRateSpark, uploadRates);
+  uploadTelemetryText.textContent = `${formatRate(p.rateBps)} - ETA ${formatEta(p.etaSec)} - ` +
+    `block ${p.blocksSent}/${p.totalBlocks}${p.blockSize ? ` of ${(p.blockSize / 1024).toFixed(p.blockSize % 1024 ? 1 : 0)} KB` : ''} - ack ${formatLatency(p.latencyMs)}`;
+}
 const uploadsList = document.getElementById('uploadsList');
+const startStrategySelect = document.getElementById('startStrategy');
+const preflightList = document.getElementById('preflightList');
+let isOperator = false; // from the 'role' event; operators can override failed preflight checks
 
 function setUploadProgress(percent, text) {
   uploadProgressBar.style.width = `${percent}%`;
@@ -584,9 +821,75 @@ function setUploadProgress(percent, text) {
   if (text) uploadStatus.textContent = text;
 }
 
+// Failed / warning preflight checks of the last print request
+function showPreflight(preflight) {
+  preflightList.innerHTML = '';
+  const shown = preflight ? preflight.checks.filter(c => c.status === 'fail' || c.status === 'warn') : [];
+  shown.forEach((c) => {
+    const li = document.createElement('li');
+    li.className = `preflight-${c.status}`;
+    li.textContent = c.message;
+    preflightList.appendChild(li);
+  });
+}
+
+async function startPrint(f, force) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (force) headers['X-Operator-Key'] = localStorage.getItem('operatorKey') || '';
+  try {
+    const res = await fetch(`${apiBase()}/print`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ filename: f, startStrategy: startStrategySelect.value || undefined, force: force || undefined })
+    });
+    const jr = await res.json();
+    showPreflight(jr.preflight);
+    if (jr.ok) {
+      uploadStatus.textContent = `Sending ${f} to printer...`;
+      return;
+    }
+    if (jr.preflight && !jr.preflight.ok) {
+      uploadStatus.textContent = `${f}: preflight checks failed`;
+      // operators may print anyway; the server checks the key again
+      if (isOperator && !force && confirm(`Preflight checks failed:\n${jr.preflight.failed.map(c => `- ${c.message}`).join('\n')}\n\nPrint anyway?`)) {
+        await startPrint(f, true);
+      }
+      return;
+    }
+    uploadStatus.textContent = `Print error: ${jr.error || 'unknown'}`;
+  } catch (e) {
+    uploadStatus.textContent = `Print failed: ${e.message}`;
+  }
+}
+
+// "120 layers @ 0.2 mm - ~1h 25m - 4.12 m / 12.3 g PLA - 40 x 40 x 24 mm - 210 °C"
+function formatAnalysis(a) {
+  const material = JSON.parse(localStorage.getItem('filamentProfile') || '{}').material || 'PLA';
+  const hours = Math.floor(a.printTimeSec / 3600);
+  const minutes = Math.round((a.printTimeSec % 3600) / 60);
+  const parts = [
+    `${a.layerCount} layers${a.layerHeight_mm ? ` @ ${a.layerHeight_mm} mm` : ''}`,
+    `~${hours ? `${hours}h ` : ''}${minutes}m`,
+    `${(a.filament_mm / 1000).toFixed(2)} m` + (a.filamentWeight_g[material] !== undefined ? ` / ${a.filamentWeight_g[material]} g ${material}` : '')
+  ];
+  if (a.size_mm) parts.push(`${a.size_mm.x} x ${a.size_mm.y} x ${a.size_mm.z} mm`);
+  if (a.maxExtruderTemp_C !== null) parts.push(`${a.maxExtruderTemp_C} °C`);
+  return parts.join(' - ');
+}
+
+async function showFileAnalysis(f, el) {
+  try {
+    const res = await fetch(`${apiBase()}/files/${encodeURIComponent(f)}/analysis`);
+    const jr = await res.json();
+    el.textContent = jr.ok ? formatAnalysis(jr.analysis) : '';
+  } catch (e) {
+    el.textContent = '';
+  }
+}
+
 async function refreshUploads() {
   try {
-    const r = await fetch('/uploads');
+    const r = await fetch(`${apiBase()}/uploads`);
     const j = await r.json();
     uploadsList.innerHTML = '';
     if (j.ok && Array.isArray(j.files)) {
@@ -599,17 +902,24 @@ async function refreshUploads() {
         printBtn.onclick = async () => {
           if (!confirm(`Send ${f} to printer and start printing?`)) return;
           printBtn.disabled = true;
-          const res = await fetch('/print', {
+          await startPrint(f, false);
+          printBtn.disabled = false;
+        };
+        li.appendChild(printBtn);
+
+        const queueBtn = document.createElement('button');
+        queueBtn.textContent = 'Queue';
+        queueBtn.style.marginLeft = '5px';
+        queueBtn.onclick = async () => {
+          const res = await fetch(`${apiBase()}/queue`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ filename: f })
+            body: JSON.stringify({ filename: f, startStrategy: startStrategySelect.value || undefined })
           });
           const jr = await res.json();
-          if (!jr.ok) uploadStatus.textContent = `Print error: ${jr.error || 'unknown'}`;
-          else uploadStatus.textContent = `Sending ${f} to printer...`;
-          printBtn.disabled = false;
+          uploadStatus.textContent = jr.ok ? `Queued ${f}` : `Queue error: ${jr.error || 'unknown'}`;
         };
-        li.appendChild(printBtn);
+        li.appendChild(queueBtn);
         
         const delBtn = document.createElement('button');
         delBtn.textContent = 'Delete';
@@ -618,7 +928,7 @@ async function refreshUploads() {
           if (!confirm(`Delete ${f}?`)) return;
           delBtn.disabled = true;
           try {
-            const res = await fetch(`/uploads/${encodeURIComponent(f)}`, { method: 'DELETE' });
+            const res = await fetch(`${apiBase()}/uploads/${encodeURIComponent(f)}`, { method: 'DELETE' });
             const jr = await res.json();
             if (jr.ok) {
               uploadStatus.textContent = `Deleted ${f}`;
@@ -633,6 +943,12 @@ async function refreshUploads() {
           }
         };
         li.appendChild(delBtn);
+
+        const info = document.createElement('div');
+        info.className = 'fileAnalysis';
+        info.textContent = 'analyzing...';
+        li.appendChild(info);
+        showFileAnalysis(f, info);
         
         uploadsList.appendChild(li);
       });
@@ -642,6 +958,134 @@ async function refreshUploads() {
   }
 }
 
+// print job queue of the selected printer (pushed as job_queue on every change)
+const queueStatus = document.getElementById('queueStatus');
+const queueList = document.getElementById('queueList');
+const bedClearedBtn = document.getElementById('bedClearedBtn');
+const QUEUE_STATE_TEXT = {
+  empty: 'Queue empty',
+  waiting_printer: 'Waiting for the printer to be idle',
+  awaiting_bed_clear: 'Printer idle - clear the bed to start the next job',
+  starting: 'Starting',
+  printing: 'Printing'
+};
+
+async function queueRequest(url, options) {
+  try {
+    const res = await fetch(`${apiBase()}${url}`, options);
+    const jr = await res.json();
+    if (!jr.ok) queueStatus.textContent = `Queue error: ${jr.error || 'unknown'}`;
+  } catch (e) {
+    queueStatus.textContent = `Queue request failed: ${e.message}`;
+  }
+}
+
+function moveJob(id, position) {
+  queueRequest(`/queue/${id}/move`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ position })
+  });
+}
+
+function renderQueue(q) {
+  queueStatus.textContent = QUEUE_STATE_TEXT[q.state] + (q.current ? ` ${q.current.filename}` : '');
+  bedClearedBtn.classList.toggle('hidden', q.state !== 'awaiting_bed_clear');
+  bedClearedBtn.disabled = false;
+  queueList.innerHTML = '';
+  q.jobs.forEach((job, i) => {
+    const li = document.createElement('li');
+    li.textContent = job.filename + (job.lastError ? ` (last attempt: ${job.lastError}) ` : ' ');
+    const buttons = [
+      ['Up', i > 0, () => moveJob(job.id, i - 1)],
+      ['Down', i < q.jobs.length - 1, () => moveJob(job.id, i + 1)],
+      ['Remove', true, () => queueRequest(`/queue/${job.id}`, { method: 'DELETE' })]
+    ];
+    buttons.forEach(([label, enabled, onclick]) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.style.marginLeft = '5px';
+      btn.disabled = !enabled;
+      btn.onclick = onclick;
+      li.appendChild(btn);
+    });
+    queueList.appendChild(li);
+  });
+}
+
+bedClearedBtn.onclick = () => {
+  if (!confirm('Is the build plate empty? The next job starts right away.')) return;
+  bedClearedBtn.disabled = true;
+  queueRequest('/queue/bed-cleared', { method: 'POST' });
+};
+
+socket.on('job_queue', renderQueue);
+
+// serial traffic recorder (captures/*.raw) of the selected printer
+const captureToggle = document.getElementById('captureToggle');
+const captureStatusEl = document.getElementById('captureStatus');
+const capturesList = document.getElementById('capturesList');
+
+async function refreshCaptures() {
+  try {
+    const r = await fetch('/api/captures');
+    const j = await r.json();
+    capturesList.innerHTML = '';
+    if (j.ok && Array.isArray(j.captures)) {
+      j.captures
+        .filter(c => !currentPrinterId || !c.printerId || c.printerId === currentPrinterId)
+        .slice(0, 5)
+        .forEach(c => {
+          const li = document.createElement('li');
+          const a = document.createElement('a');
+          a.href = `/api/captures/${encodeURIComponent(c.name)}`;
+          a.textContent = c.name;
+          a.download = c.name;
+          li.appendChild(a);
+          li.appendChild(document.createTextNode(` (${Math.round(c.size / 1024)} KB) `));
+          const analysis = document.createElement('a');
+          analysis.href = `/api/captures/${encodeURIComponent(c.name)}/analysis?format=text`;
+          analysis.target = '_blank';
+          analysis.textContent = 'transcript';
+          li.appendChild(analysis);
+          capturesList.appendChild(li);
+        });
+    }
+  } catch (e) {
+    captureStatusEl.textContent = 'Failed to list captures';
+  }
+}
+
+socket.on('capture_state', (capture) => {
+  const wasRecording = captureToggle.checked;
+  captureToggle.checked = capture.recording;
+  captureStatusEl.textContent = capture.recording ? `${capture.file} (${Math.round(capture.bytes / 1024)} KB)` : (capture.error || '');
+  if (wasRecording !== capture.recording) refreshCaptures();
+});
+
+captureToggle.onchange = async () => {
+  const enabled = captureToggle.checked;
+  captureToggle.disabled = true;
+  try {
+    const res = await fetch(`${apiBase()}/capture`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ enabled })
+    });
+    const jr = await res.json();
+    if (!jr.ok) {
+      captureToggle.checked = !enabled;
+      captureStatusEl.textContent = `Capture error: ${jr.error || 'unknown'}`;
+    } else {
+      pushLog(enabled ? `Recording serial traffic to ${jr.capture.file}` : 'Serial recording stopped');
+    }
+  } catch (e) {
+    captureToggle.checked = !enabled;
+    captureStatusEl.textContent = `Capture error: ${e.message}`;
+  }
+  captureToggle.disabled = false;
+};
+
 // XHR upload to support progress events
 uploadBtn.onclick = () => {
   const files = uploadFileEl.files;
@@ -681,7 +1125,7 @@ function performUpload(file, convertToGcode) {
   fd.append('convert3w', convertToGcode ? 'true' : 'false');
 
   const xhr = new XMLHttpRequest();
-  xhr.open('POST', '/upload', true);
+  xhr.open('POST', `${apiBase()}/upload`, true);
 
   xhr.upload.onprogress = (ev) => {
     if (ev.lengthComputable) {
@@ -726,10 +1170,38 @@ socket.on('upload_progress', (p) => {
   if (p && p.total) {
     const pct = (p.sent / p.total) * 100;
     setUploadProgress(pct, `Sending to printer: ${p.sent}/${p.total}`);
-  } else if (p && p.percent) {
-    setUploadProgress(p.percent, `Sending to printer: ${p.percent}%`);
+  } else if (p && typeof p.percent === 'number') {
+    // blocks the uploader had to re-send (lost ok, error) or hold back (printer answered "wait")
+    const resent = p.retries || p.waits ? ` - ${p.retries || 0} re-sent, ${p.waits || 0} waits` : '';
+    setUploadProgress(p.percent, `Sending to printer: ${p.percent}%${resent}`);
+    showUploadTelemetry(p);
   }
 });
+socket.on('upload_summary', (s) => {
+  pushLog(`Upload ${s.result}: ${s.bytesSent} bytes in ${(s.transferMs / 1000).toFixed(1)}s, ` +
+    `avg ${formatRate(s.avgRateBps)}, ack ${formatLatency(s.latencyMs)}, ${s.retries} retries` +
+    (s.blockSize ? `, ${s.blockSize}-byte blocks` : '') +
+    (s.blockSizeFallbacks && s.blockSizeFallbacks.length ? ` (rejected: ${s.blockSizeFallbacks.join(', ')})` : ''));
+});
+socket.on('print_start', (r) => {
+  const msg = r.ok
+    ? `${r.filename}: print started (${r.state}) after ${Math.round(r.elapsedMs / 1000)}s`
+    : `${r.filename}: print did not start - ${r.error}`;
+  uploadStatus.textContent = msg;
+  pushLog(`${msg} [${r.strategy}]`);
+});
+socket.on('job_recorded', (job) => {
+  pushLog(`Job ${job.filename}: ${job.state.replace('_', ' ')}` +
+    (job.elapsedMin !== null ? ` after ${job.elapsedMin} min` : '') + (job.error ? ` - ${job.error}` : ''));
+});
+socket.on('file_analysis', ({ filename, analysis }) => {
+  pushLog(`Analyzed ${filename}: ${formatAnalysis(analysis)}`);
+});
+socket.on('gcode_normalized', ({ filename, report }) => {
+  const changes = report.changes.map(c => `${c.action} ${c.count}x ${c.command}${c.to ? ` -> ${c.to}` : ''} (${c.reason})`);
+  pushLog(`Normalized ${filename} for the ${report.profile}: header ${report.header}` + (changes.length ? `; ${changes.join('; ')}` : ''));
+  report.warnings.forEach(w => pushLog(`Normalizer: ${w}`));
+});
 socket.on('upload_finished', (r) => {
   uploadStatus.textContent = `Sent to printer. Ready to print.`;
   setUploadProgress(100);
@@ -738,6 +1210,24 @@ socket.on('upload_finished', (r) => {
 socket.on('upload_error', (e) => {
   uploadStatus.textContent = `Send error: ${e && e.error ? e.error : e}`;
 });
+socket.on('upload_cancelled', (info) => {
+  uploadStatus.textContent = `Upload of ${info.filename || 'file'} cancelled. The printer is ready for a new upload.`;
+  setUploadProgress(0);
+});
+
+cancelUploadBtn.onclick = async () => {
+  if (!confirm('Stop sending this file to the printer?')) return;
+  cancelUploadBtn.disabled = true;
+  try {
+    const res = await fetch(`${apiBase()}/print/upload`, { method: 'DELETE' });
+    const jr = await res.json();
+    uploadStatus.textContent = jr.ok ? 'Cancelling upload...' : `Cancel failed: ${jr.error || 'unknown'}`;
+    if (!jr.ok) cancelUploadBtn.disabled = false;
+  } catch (e) {
+    uploadStatus.textContent = `Cancel failed: ${e.message}`;
+    cancelUploadBtn.disabled = false;
+  }
+};
 
 filamentMaterial.addEventListener('change', () => {
   if (materialDensityMap[filamentMaterial.value]) {
@@ -751,8 +1241,143 @@ filamentMaterial.addEventListener('change', () => {
 filamentClose.addEventListener('click', closeFilamentModal);
 filamentSave.addEventListener('click', saveFilamentProfile);
 
+// Protocol console: raw XYZv3 commands with their matched replies (operator role only)
+const consolePanel = document.getElementById('consolePanel');
+const consoleLogin = document.getElementById('consoleLogin');
+const consoleBody = document.getElementById('consoleBody');
+const consoleOutput = document.getElementById('consoleOutput');
+const consoleInput = document.getElementById('consoleInput');
+const consoleSend = document.getElementById('consoleSend');
+const consoleCommands = document.getElementById('consoleCommands');
+const operatorKeyInput = document.getElementById('operatorKeyInput');
+const operatorLoginBtn = document.getElementById('operatorLoginBtn');
+const CONSOLE_HISTORY_MAX = 50;
+let consoleHistory = JSON.parse(localStorage.getItem('consoleHistory') || '[]');
+let consoleHistoryPos = consoleHistory.length;
+let knownCommands = [];
+
+socket.on('role', (role) => {
+  isOperator = !!role.operator;
+  // Without an operatorKey on the server there is no way in, so don't show the panel at all
+  consolePanel.classList.toggle('hidden', !role.operatorConfigured);
+  consoleLogin.classList.toggle('hidden', role.operator);
+  consoleBody.classList.toggle('hidden', !role.operator);
+  if (role.operator && knownCommands.length === 0) loadConsoleCommands();
+});
+
+async function loadConsoleCommands() {
+  try {
+    const r = await fetch('/api/protocol/commands');
+    const j = await r.json();
+    if (!j.ok) return;
+    knownCommands = j.commands;
+    consoleCommands.innerHTML = '';
+    knownCommands.forEach(c => {
+      const opt = document.createElement('option');
+      opt.value = c.command;
+      opt.label = c.dangerous ? `${c.description} (needs confirmation)` : c.description;
+      consoleCommands.appendChild(opt);
+    });
+  } catch (e) {
+    console.error('Failed to load protocol commands:', e);
+  }
+}
+
+operatorLoginBtn.onclick = () => {
+  const key = operatorKeyInput.value;
+  socket.emit('operator_login', key, (r) => {
+    if (r && r.ok) {
+      localStorage.setItem('operatorKey', key);
+      operatorKeyInput.value = '';
+    } else {
+      alert('Operator key rejected');
+    }
+  });
+};
+operatorKeyInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') operatorLoginBtn.click();
+});
+
+function appendConsoleEntry(command, result) {
+  const entry = document.createElement('div');
+  entry.className = result.ok ? 'consoleEntry' : 'consoleEntry error';
+  const cmd = document.createElement('div');
+  cmd.className = 'consoleCommand';
+  cmd.textContent = `> ${command}`;
+  entry.appendChild(cmd);
+  (result.lines || []).forEach(line => {
+    const reply = document.createElement('div');
+    reply.className = 'consoleReply';
+    reply.textContent = line;
+    entry.appendChild(reply);
+  });
+  const meta = document.createElement('div');
+  meta.className = result.ok ? 'consoleMeta' : 'consoleMeta consoleError';
+  meta.textContent = result.ok ? `${result.durationMs} ms` : result.error;
+  entry.appendChild(meta);
+  consoleOutput.appendChild(entry);
+  consoleOutput.scrollTop = consoleOutput.scrollHeight;
+}
+
+function rememberConsoleCommand(command) {
+  consoleHistory = consoleHistory.filter(c => c !== command);
+  consoleHistory.push(command);
+  if (consoleHistory.length > CONSOLE_HISTORY_MAX) consoleHistory = consoleHistory.slice(-CONSOLE_HISTORY_MAX);
+  consoleHistoryPos = consoleHistory.length;
+  localStorage.setItem('consoleHistory', JSON.stringify(consoleHistory));
+}
+
+function sendConsoleCommand(command, confirmed) {
+  consoleSend.disabled = true;
+  socket.emit('console_command', { command, confirmed }, (r) => {
+    consoleSend.disabled = false;
+    if (r.needsConfirm) {
+      if (confirm(`"${command}" ${r.reason}. Send it anyway?`)) sendConsoleCommand(command, true);
+      return;
+    }
+    appendConsoleEntry(command, r);
+  });
+}
+
+consoleSend.onclick = () => {
+  const command = consoleInput.value.trim();
+  if (!command) return;
+  rememberConsoleCommand(command);
+  consoleInput.value = '';
+  sendConsoleCommand(command, false);
+};
+
+// Longest common prefix of the known commands that start with the typed text
+function completeConsoleCommand(text) {
+  const matches = knownCommands.map(c => c.command).filter(c => c.startsWith(text));
+  if (matches.length === 0) return text;
+  let prefix = matches[0];
+  matches.forEach(m => {
+    while (!m.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  });
+  return prefix.length > text.length ? prefix : text;
+}
+
+consoleInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    consoleSend.click();
+  } else if (e.key === 'Tab') {
+    e.preventDefault();
+    consoleInput.value = completeConsoleCommand(consoleInput.value);
+  } else if (e.key === 'ArrowUp' && consoleHistoryPos > 0) {
+    e.preventDefault();
+    consoleInput.value = consoleHistory[--consoleHistoryPos];
+  } else if (e.key === 'ArrowDown' && consoleHistoryPos < consoleHistory.length) {
+    e.preventDefault();
+    consoleHistoryPos++;
+    consoleInput.value = consoleHistory[consoleHistoryPos] || '';
+  }
+});
+
 window.addEventListener('load', async () => {
   refreshUploads();
+  refreshCaptures();
   updateFilamentEstimateUI();
   
   // Camera stream handling with Edge browser compatibility
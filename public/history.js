@@ -0,0 +1,158 @@
+// Print history page: GET /api/jobs with the filters, per-printer stats and "print again"
+
+const filterForm = document.getElementById('historyFilter');
+const filterPrinter = document.getElementById('filterPrinter');
+const filterState = document.getElementById('filterState');
+const filterFile = document.getElementById('filterFile');
+const filterSince = document.getElementById('filterSince');
+const historyStatus = document.getElementById('historyStatus');
+const statsBody = document.getElementById('statsBody');
+const jobsBody = document.getElementById('jobsBody');
+const preflightList = document.getElementById('preflightList');
+
+const printerNames = {};
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '--';
+}
+
+function formatMinutes(min) {
+  if (min === null || min === undefined) return '--';
+  return min >= 60 ? `${Math.floor(min / 60)}h ${Math.round(min % 60)}m` : `${min} min`;
+}
+
+function formatFilament(mm) {
+  return mm ? `${(mm / 1000).toFixed(1)} m` : '--';
+}
+
+function cell(row, text, title) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (title) td.title = title;
+  row.appendChild(td);
+  return td;
+}
+
+// Failed / warning preflight checks of the last "print again", as on the dashboard
+function showPreflight(preflight) {
+  preflightList.innerHTML = '';
+  const shown = preflight ? preflight.checks.filter(c => c.status === 'fail' || c.status === 'warn') : [];
+  shown.forEach((c) => {
+    const li = document.createElement('li');
+    li.className = `preflight-${c.status}`;
+    li.textContent = c.message;
+    preflightList.appendChild(li);
+  });
+}
+
+// Overriding failed checks needs the operator key, which lives on the dashboard: link
+// there with the job's printer selected
+function showPreflightFailed(job) {
+  historyStatus.textContent = `${job.filename}: preflight checks failed - `;
+  const link = document.createElement('a');
+  link.href = '/';
+  link.textContent = 'open the dashboard to fix them or print anyway';
+  link.onclick = () => localStorage.setItem('printerId', job.printerId);
+  historyStatus.appendChild(link);
+}
+
+async function printAgain(job, btn) {
+  if (!confirm(`Send ${job.filename} to ${printerNames[job.printerId] || job.printerId} and start printing?`)) return;
+  btn.disabled = true;
+  try {
+    const res = await fetch(`/api/printers/${encodeURIComponent(job.printerId)}/print`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: job.filename })
+    });
+    const jr = await res.json();
+    showPreflight(jr.preflight);
+    if (jr.ok) historyStatus.textContent = `Sending ${job.filename} to the printer...`;
+    else if (jr.preflight && !jr.preflight.ok) showPreflightFailed(job);
+    else historyStatus.textContent = `Print error: ${jr.error || 'unknown'}`;
+  } catch (e) {
+    historyStatus.textContent = `Print failed: ${e.message}`;
+  }
+  btn.disabled = false;
+}
+
+function renderStats(stats) {
+  statsBody.innerHTML = '';
+  stats.forEach((s) => {
+    const tr = document.createElement('tr');
+    cell(tr, printerNames[s.printerId] || s.printerId);
+    [s.jobs, s.completed, s.cancelled, s.failed, s.neverStarted].forEach(n => cell(tr, n));
+    cell(tr, `${Math.round(s.successRate * 100)}%`);
+    cell(tr, formatMinutes(s.printMinutes));
+    cell(tr, formatFilament(s.filamentUsed_mm));
+    cell(tr, s.avgUploadMs !== null ? `${(s.avgUploadMs / 1000).toFixed(1)}s` : '--');
+    statsBody.appendChild(tr);
+  });
+}
+
+function renderJobs(jobs) {
+  jobsBody.innerHTML = '';
+  jobs.forEach((job) => {
+    const tr = document.createElement('tr');
+    tr.className = `job-${job.state}`;
+    cell(tr, formatTime(job.endedAt));
+    cell(tr, printerNames[job.printerId] || job.printerId);
+    cell(tr, job.filename);
+    cell(tr, job.state.replace('_', ' '), job.error || '');
+    cell(tr, formatTime(job.startedAt));
+    cell(tr, formatMinutes(job.elapsedMin));
+    cell(tr, job.uploadMs ? `${(job.uploadMs / 1000).toFixed(1)}s` : '--');
+    cell(tr, formatFilament(job.filamentUsed_mm));
+    cell(tr, job.filamentSerial || '--');
+    cell(tr, job.fileHash ? job.fileHash.slice(0, 12) : '--', job.fileHash || '');
+    const btn = document.createElement('button');
+    btn.textContent = 'Print again';
+    btn.onclick = () => printAgain(job, btn);
+    cell(tr, '').appendChild(btn);
+    jobsBody.appendChild(tr);
+  });
+}
+
+async function loadHistory() {
+  const params = new URLSearchParams({ limit: '200' });
+  if (filterPrinter.value) params.set('printer', filterPrinter.value);
+  if (filterState.value) params.set('state', filterState.value);
+  if (filterFile.value.trim()) params.set('file', filterFile.value.trim());
+  if (filterSince.value) params.set('since', filterSince.value);
+  try {
+    const res = await fetch(`/api/jobs?${params}`);
+    const j = await res.json();
+    if (!j.ok) {
+      historyStatus.textContent = `Error: ${j.error || 'unknown'}`;
+      return;
+    }
+    renderStats(j.stats);
+    renderJobs(j.jobs);
+    historyStatus.textContent = j.total > j.jobs.length ? `${j.jobs.length} of ${j.total} jobs` : `${j.total} jobs`;
+  } catch (e) {
+    historyStatus.textContent = `Failed to load the history: ${e.message}`;
+  }
+}
+
+async function loadPrinters() {
+  try {
+    const res = await fetch('/api/printers');
+    const j = await res.json();
+    (j.printers || []).forEach((p) => {
+      printerNames[p.id] = p.name;
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.name;
+      filterPrinter.appendChild(opt);
+    });
+  } catch (e) {
+    // names fall back to the printer ids
+  }
+}
+
+filterForm.onsubmit = (e) => {
+  e.preventDefault();
+  loadHistory();
+};
+
+loadPrinters().then(loadHistory);
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// scripts/analyze_capture.js - annotated transcript of a serial capture: commands and
+// replies, the upload init, every block frame with its CRC32 check, and timing gaps.
+// Reads dashboard captures (captures/*.raw) and USB monitor dumps
+// (SampleUSBDataStream/Raw_print_stream_.3wfile.raw).
+//
+// Usage: node scripts/analyze_capture.js <capture.raw> [--replies 3] [--gap-ms 2000] [--json]
+//        node scripts/analyze_capture.js <a.raw> --diff <b.raw> [--polls]
+//   --replies N  reply lines shown per command (default 3)
+//   --gap-ms N   flag steps that come more than N ms after the previous one
+//   --json       print the analysis as JSON instead of a transcript
+//   --diff B     compare with a second capture and show the first difference
+//   --polls      keep status polls (query=a, taginfo) in the diff
+
+const fs = require('fs');
+const { loadCapture, analyzeCapture, formatTranscript, diffCaptures } = require('../lib/capture_analyzer');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+function analyze(file) {
+  try {
+    return analyzeCapture(loadCapture(fs.readFileSync(file)), { gapWarnMs: parseInt(arg('gap-ms', '2000'), 10) });
+  } catch (e) {
+    console.error(`[ANALYZE] ${file}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+const file = process.argv[2];
+if (!file || file.startsWith('--')) {
+  console.error('Usage: node scripts/analyze_capture.js <capture.raw> [--replies 3] [--gap-ms 2000] [--json] [--diff other.raw] [--polls]');
+  process.exit(1);
+}
+
+const analysis = analyze(file);
+const other = arg('diff', null);
+
+if (other) {
+  const diff = diffCaptures(analysis, analyze(other), { includePolls: process.argv.includes('--polls') });
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else if (diff.identical) {
+    console.log(`Captures match (${diff.steps.a} steps)`);
+  } else {
+    console.log(`First difference at step ${diff.index + 1} (of ${diff.steps.a} / ${diff.steps.b}):`);
+    diff.context.forEach(key => console.log(`    ${key}`));
+    console.log(`  A ${diff.a ? diff.a.key : '(capture ended)'}`);
+    console.log(`  B ${diff.b ? diff.b.key : '(capture ended)'}`);
+  }
+} else if (process.argv.includes('--json')) {
+  console.log(JSON.stringify(analysis, null, 2));
+} else {
+  formatTranscript(analysis, { replyLines: parseInt(arg('replies', '3'), 10) }).forEach(line => console.log(line));
+}
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// scripts/benchmark_upload.js - time the upload transfer path against the virtual printer
+// (lib/printer_simulator.js). Generates a file, uploads it once per read-ahead setting and
+// prints transfer time, rate and block ack latency, so a change to the block path can be
+// compared before and after without a printer attached.
+//
+// Usage: node scripts/benchmark_upload.js [--size 2] [--model davinci-jr] [--delay 1] [--link 0]
+//                                         [--read-ahead 0,2] [--file some.3w] [--verbose]
+//   --size N        generated file size in MB (ignored with --file)
+//   --delay MS      simulator reply delay per block ack
+//   --link B/S      simulated link speed in bytes per second (0 = instant)
+//   --read-ahead    comma-separated read-ahead settings to compare
+//   --verbose       keep the uploader's log output
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const SerialBridge = require('../lib/serial_bridge');
+const { CommandQueue } = require('../lib/command_queue');
+const XYZv3Uploader = require('../lib/upload_xyz_v3');
+const XYZv2Uploader = require('../lib/upload_xyz_v2');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const sizeMb = parseFloat(arg('size', '2'));
+const model = arg('model', 'davinci-jr');
+const simulator = {
+  responseDelayMs: parseInt(arg('delay', '1'), 10),
+  linkBytesPerSec: parseInt(arg('link', '0'), 10),
+  validateMs: 600000 // keep the printer busy validating; only the transfer is timed
+};
+const readAheads = arg('read-ahead', '0,2').split(',').map(n => parseInt(n, 10));
+const verbose = process.argv.includes('--verbose');
+
+const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+async function run(file, readAhead) {
+  const log = console.log;
+  if (!verbose) console.log = () => {};
+  try {
+    return await timedUpload(file, readAhead);
+  } finally {
+    console.log = log;
+  }
+}
+
+async function timedUpload(file, readAhead) {
+  const bridge = new SerialBridge({ serialPath: `sim://${model}`, handshakeTimeoutMs: 500, simulator });
+  await new Promise((resolve) => {
+    bridge.on('state', snap => { if (snap.state === 'ready') resolve(); });
+    bridge.start();
+  });
+  const queue = new CommandQueue(bridge);
+  let summary = null;
+  const options = { readAhead, onSummary: s => { summary = s; } };
+  const uploader = bridge.protocol === 'v2'
+    ? new XYZv2Uploader(queue, { emit() {} }, null, options)
+    : new XYZv3Uploader(queue, { emit() {} }, null, options);
+
+  try {
+    await uploader.uploadFile(file, path.basename(file));
+  } finally {
+    await new Promise(resolve => bridge.stop(resolve));
+  }
+  return { ...summary, protocol: bridge.protocol };
+}
+
+(async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-bench-'));
+  try {
+    let file = arg('file', null);
+    if (!file) {
+      file = path.join(tmp, 'bench.3w');
+      fs.writeFileSync(file, crypto.randomBytes(Math.round(sizeMb * 1024 * 1024)));
+    }
+    const size = fs.statSync(file).size;
+    console.log(`[BENCH] ${path.basename(file)}: ${kb(size)} to sim://${model} (reply delay ${simulator.responseDelayMs}ms, link ${simulator.linkBytesPerSec ? kb(simulator.linkBytesPerSec) + '/s' : 'instant'})`);
+
+    for (const readAhead of readAheads) {
+      const r = await run(file, readAhead);
+      console.log(`[BENCH] read-ahead ${readAhead}: ${r.blocksSent} ${r.protocol} blocks in ${(r.transferMs / 1000).toFixed(2)}s, ` +
+        `${kb(r.avgRateBps)}/s, ack latency ${r.latencyMs.min}/${r.latencyMs.avg}/${r.latencyMs.max}ms (min/avg/max)`);
+    }
+  } catch (e) {
+    console.error('[BENCH] Failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+})();
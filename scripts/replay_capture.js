@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// scripts/replay_capture.js - feed a recorded capture (captures/*.raw) back through the
+// Parser to reproduce a bug offline. Prints the commands that were sent and what the
+// parser made of the replies.
+//
+// Usage: node scripts/replay_capture.js <capture.raw> [--speed 1] [--lines]
+//   --speed N  keep the recorded timing (1 = real time, 2 = twice as fast); default: as fast as possible
+//   --lines    also print every reply line
+
+const fs = require('fs');
+const Parser = require('../lib/parser');
+const { readCapture, replayCapture } = require('../lib/serial_recorder');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const file = process.argv[2];
+if (!file || file.startsWith('--')) {
+  console.error('Usage: node scripts/replay_capture.js <capture.raw> [--speed 1] [--lines]');
+  process.exit(1);
+}
+
+let capture;
+try {
+  capture = readCapture(fs.readFileSync(file));
+} catch (e) {
+  console.error(`[REPLAY] ${file}: ${e.message}`);
+  process.exit(1);
+}
+
+const speed = parseFloat(arg('speed', '0')) || 0;
+const showLines = process.argv.includes('--lines');
+const stamp = t => `[${(t / 1000).toFixed(3)}s]`;
+let now = 0;
+let statusCount = 0;
+let lastStatus = null;
+
+console.log(`[REPLAY] ${file}: ${capture.records.length} records from ${capture.serialPath || 'unknown port'} (${capture.startedAt || 'unknown start'})`);
+
+const parser = new Parser();
+parser.on('status', (st) => {
+  statusCount++;
+  lastStatus = st;
+});
+parser.on('stateChange', ({ previous, current }) => {
+  console.log(`${stamp(now)} STATE ${previous.state} -> ${current.state} (${current.code}${current.sub !== null ? ',' + current.sub : ''})`);
+});
+parser.on('printerError', (err) => {
+  console.log(`${stamp(now)} ERROR ${err.displayCode} (${err.severity}): ${err.title}`);
+});
+parser.on('printerErrorCleared', (ev) => {
+  console.log(`${stamp(now)} ERROR cleared ${ev.code}`);
+});
+
+replayCapture(capture, parser, {
+  speed,
+  onRecord: (record) => {
+    now = record.t;
+    if (record.type === 'read') {
+      if (showLines) record.data.toString('latin1').split('\n').filter(l => l.trim()).forEach(l => console.log(`${stamp(now)} << ${l.trim()}`));
+      return;
+    }
+    const text = record.data.toString('latin1').trim();
+    // Upload blocks are binary; show their index and size instead
+    const printable = /^[\x20-\x7e]*$/.test(text);
+    console.log(`${stamp(now)} >> ${printable ? text : `<${record.data.length}-byte block #${record.data.length >= 4 ? record.data.readUInt32BE(0) : '?'}>`}`);
+  }
+}).then(() => {
+  const model = lastStatus && lastStatus.model;
+  console.log(`[REPLAY] done: ${statusCount} status frames, final state ${parser.state.state}${model ? `, model ${model}` : ''}`);
+});
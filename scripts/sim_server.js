@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// scripts/sim_server.js - expose the virtual printer (lib/printer_simulator.js) over TCP,
+// like ser2net in raw mode on a remote Pi. Point the dashboard at it with
+//   "serialPath": "tcp://127.0.0.1:2217"
+//
+// Usage: node scripts/sim_server.js [--port 2217] [--model davinci-jr]
+
+const net = require('net');
+const { SimulatedPort } = require('../lib/printer_simulator');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const port = parseInt(arg('port', '2217'), 10);
+const model = arg('model', 'davinci-jr');
+
+const server = net.createServer((socket) => {
+  const who = `${socket.remoteAddress}:${socket.remotePort}`;
+  console.log(`[SIM SERVER] ${who} connected`);
+  // One printer per connection, like a freshly opened serial port
+  const sim = new SimulatedPort({ path: `sim://${model}` });
+  sim.open(() => {
+    socket.pipe(sim);
+    sim.pipe(socket);
+  });
+  socket.on('close', () => {
+    console.log(`[SIM SERVER] ${who} disconnected`);
+    if (sim.isOpen) sim.close();
+  });
+  socket.on('error', (e) => console.warn(`[SIM SERVER] ${who}:`, e.message));
+});
+
+server.listen(port, () => {
+  console.log(`[SIM SERVER] sim://${model} listening on tcp://0.0.0.0:${port}`);
+});
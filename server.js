@@ -7,10 +7,19 @@ const express = require('express');
 const http = require('http');
 const os = require('os');
 
-const Parser = require('./lib/parser');
+const { PrinterSession, resolvePrinterConfigs } = require('./lib/printer_session');
 const { convert3mfToGcode } = require('./lib/convert_3mf');
 const { convert3wToGcode } = require('./lib/convert_3w');
 const { convertGcodeTo3w } = require('./lib/gcode_to_3w');
+const { listCaptures, isCaptureName, capturesDir } = require('./lib/serial_recorder');
+const { loadCapture, analyzeCapture, formatTranscript, diffCaptures } = require('./lib/capture_analyzer');
+const { checkOperatorKey } = require('./lib/operator_auth');
+const { COMMANDS, classifyCommand } = require('./lib/protocol_commands');
+const { UploadStatsStore } = require('./lib/upload_telemetry');
+const { PrintStartSupervisor } = require('./lib/print_start_supervisor');
+const { JobHistoryStore, JOB_STATE } = require('./lib/job_history');
+const { runPreflight } = require('./lib/preflight');
+const { normalizeGcodeFile, describeReport } = require('./lib/gcode_normalizer');
 
 const CONFIG_FILE = path.join(__dirname, 'config.json');
 const config = fs.existsSync(CONFIG_FILE) ? JSON.parse(fs.readFileSync(CONFIG_FILE)) : {
@@ -31,13 +40,10 @@ const socketio = require('socket.io');
 const server = http.createServer(app);
 const io = socketio(server);
 
-const { upload, uploadsDir } = require('./lib/upload');
-if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-
 const { startUpload } = require('./lib/upload_serial');
 const SerialBridge = require('./lib/serial_bridge');
+const { CONNECTION_STATE } = SerialBridge;
 const UploadV3 = require('./lib/upload_v3');
-const XYZv3Uploader = require('./lib/upload_xyz_v3');
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
@@ -85,327 +91,82 @@ app.post('/api/reconnect-camera', (req, res) => {
   });
 });
 
-// instantiate parser
-const parser = new Parser();
-
-// Initialize port variable (will be set if serialport loads successfully)
-let port = null;
-let xyzUploader = null; // Will be initialized after port is ready
-
-// Reconnection state management for upload->print workflow
-// When upload completes, printer closes port to process file, then we reconnect to send start command
-let uploadReconnectPending = false; // Flag: expecting port close after upload
-let uploadReconnectFilename = null; // Track which file is being printed
-
-// store latest normalized status
-let latestStatus = parser._buildNormalizedStatus ? parser._buildNormalizedStatus() : { isValid: false };
-
-// wire up parser events
-parser.on('status', (st) => {
-  latestStatus = st;
-  io.emit('status', st);
-});
-
-parser.on('calibrate', (ev) => {
-  io.emit('calibrate', ev);
+// One session per configured printer (connection, queue, parser, uploader, poll loop)
+const printers = new Map();
+resolvePrinterConfigs(config).forEach((printerConfig) => {
+  const session = new PrinterSession(printerConfig, io, { startJob: job => startQueuedJob(session, job) });
+  session.on('summary', (summary) => io.emit('printer_summary', summary));
+  printers.set(session.id, session);
 });
+const defaultPrinter = printers.values().next().value;
+console.log(`Printers: ${[...printers.values()].map(p => `${p.id} (${p.config.serialPath})`).join(', ')}`);
+printers.forEach(session => session.start());
 
-parser.on('log', (l) => {
-  io.emit('log', l);
-});
-
-parser.on('token', (tk) => {
-  // store token in latestStatus
-  latestStatus.token = tk;
-  io.emit('token', tk);
-});
-
-
-// Serial port setup (optional dependency)
-try {
-  const { SerialPort } = require('serialport');
-  const { ReadlineParser } = require('@serialport/parser-readline');
-  
-  // Auto-detect serial port if config path doesn't exist
-  async function detectSerialPort() {
-    const ports = await SerialPort.list();
-    console.log('Available serial ports:', ports.map(p => p.path).join(', '));
-    
-    // Try config path first
-    if (ports.find(p => p.path === config.serialPath)) {
-      return config.serialPath;
-    }
-    
-    // Look for common USB serial devices
-    const usbPort = ports.find(p => 
-      p.path.startsWith('/dev/ttyUSB') || 
-      p.path.startsWith('/dev/ttyACM')
-    );
-    
-    if (usbPort) {
-      console.log(`Auto-detected serial port: ${usbPort.path}`);
-      return usbPort.path;
-    }
-    
-    return config.serialPath; // fallback
-  }
-  
-  detectSerialPort().then(serialPath => {
-    port = new SerialPort({ path: serialPath, baudRate: config.baudRate, autoOpen: false });
-    const parserSerial = port.pipe(new ReadlineParser({ delimiter: '\n' }));
-
-    port.on('open', () => {
-      console.log('Serial opened', serialPath);
-      // Initialize uploader after port is open
-      xyzUploader = new XYZv3Uploader(port, io, {
-        pausePoll: () => { pollPaused = true; },
-        resumePoll: () => { pollPaused = false; }
-      }, parser);
-    });
-    
-    port.on('error', (e) => console.error('Serial error', e.message));
-    
-    // Enhanced close handler with auto-reconnection for upload->print workflow
-    port.on('close', () => {
-      console.warn('Serial closed');
-      
-      // If we were expecting this closure after upload, reconnect and send start command
-      if (uploadReconnectPending) {
-        console.log('[RECONNECT] Upload completed, port closed as expected');
-        console.log('[RECONNECT] Waiting 500ms before reconnecting...');
-        io.emit('log', { msg: 'File uploaded, reconnecting to printer...' });
-        
-        // Keep polling PAUSED during reconnection workflow
-        pollPaused = true;
-        
-        setTimeout(() => {
-          try {
-            console.log('[RECONNECT] Reopening serial port...');
-            
-            port.open((err) => {
-              if (err) {
-                console.error('[RECONNECT] Failed to reopen port:', err.message);
-                uploadReconnectPending = false;
-                uploadReconnectFilename = null;
-                io.emit('log', { msg: 'Failed to reconnect - print may not start!' });
-                io.emit('upload_error', { error: 'Reconnection failed: ' + err.message });
-                return;
-              }
-              
-              console.log('[RECONNECT] Port reopened successfully');
-              io.emit('log', { msg: 'Reconnected! Confirming printer status...' });
-              
-              // Wait for port to stabilize, then query status to get fresh token
-              setTimeout(() => {
-                console.log('[RECONNECT] Sending status query (XYZv3/query=a) to get fresh token...');
-                
-                // Set up token listener with longer timeout (10 seconds)
-                let tokenReceived = false;
-                let receivedToken = null;
-                
-                const tokenTimeout = setTimeout(() => {
-                  if (!tokenReceived) {
-                    console.warn('[RECONNECT] Token not received within 10s, sending start command without token');
-                    sendStartCommand(null);
-                  }
-                }, 10000); // Increased from 3s to 10s
-                
-                // Listen for token from status query response
-                parser.once('token', (token) => {
-                  tokenReceived = true;
-                  receivedToken = token;
-                  clearTimeout(tokenTimeout);
-                  console.log('[RECONNECT] ✓ Received fresh token:', token);
-                  sendStartCommand(token);
-                });
-                
-                // Also listen for raw data to debug
-                const debugDataHandler = (data) => {
-                  console.log('[RECONNECT DEBUG] Received data:', data.toString().substring(0, 100));
-                };
-                port.once('data', debugDataHandler);
-                
-                // Send status query to get token
-                port.write('XYZv3/query=a\n', (writeErr) => {
-                  if (writeErr) {
-                    console.error('[RECONNECT] Failed to send status query:', writeErr.message);
-                    clearTimeout(tokenTimeout);
-                    port.removeListener('data', debugDataHandler);
-                    sendStartCommand(null); // Fallback without token
-                  } else {
-                    console.log('[RECONNECT] Status query sent, waiting for response...');
-                  }
-                });
-                
-                // Helper function to send start command with or without token
-                function sendStartCommand(token) {
-                  const startCmd = token 
-                    ? JSON.stringify({ command: 6, state: 2, token: token })
-                    : JSON.stringify({ command: 6, state: 2 });
-                  
-                  console.log('[RECONNECT] Sending start command:', startCmd);
-                  io.emit('log', { msg: 'Sending print start command...' });
-                  
-                  port.write(startCmd + '\n', (writeErr) => {
-                    if (writeErr) {
-                      console.error('[RECONNECT] Failed to send start command:', writeErr.message);
-                      io.emit('log', { msg: 'Failed to send start command - print may not start!' });
-                    } else {
-                      console.log('[RECONNECT] Start command sent successfully - print should begin!');
-                      io.emit('log', { msg: `Print started: ${uploadReconnectFilename}` });
-                      io.emit('print_started', { filename: uploadReconnectFilename });
-                    }
-                    
-                    // Clear reconnection state
-                    uploadReconnectPending = false;
-                    uploadReconnectFilename = null;
-                    
-                    // NOW resume polling after start command sent
-                    console.log('[RECONNECT] Resuming normal polling');
-                    pollPaused = false;
-                  });
-                }
-              }, 500); // 500ms stabilization delay as per USB capture analysis
-            });
-          } catch (reconnectError) {
-            console.error('[RECONNECT] Error during reconnection:', reconnectError);
-            uploadReconnectPending = false;
-            uploadReconnectFilename = null;
-            io.emit('log', { msg: 'Reconnection error: ' + reconnectError.message });
-          }
-        }, 500); // 500ms delay before reconnect attempt (as recommended by "Badfish" analysis)
-      }
-    });
-    
-    // Debug: listen to raw port data (disabled - too verbose)
-    // let dataCount = 0;
-    // port.on('data', (data) => {
-    //   dataCount++;
-    //   if (dataCount % 10 === 0) {
-    //     console.log('[RAW PORT DATA] Received', dataCount, 'chunks, last:', data.toString().substring(0, 50));
-    //   }
-    // });
-
-    parserSerial.on('data', (line) => {
-      // Only log non-static data (disabled to reduce console spam)
-      // console.log('[PARSER DATA]', line);
-      parser.feed(line);
-    });
-
-    port.open((err) => {
-      if (err) console.error('Failed to open serial port', err.message);
-    });
-  });
-
-} catch (e) {
-  console.warn('serialport not installed or failed - serial disabled.');
-  console.warn('Error details:', e.message);
-  console.warn('Install serialport and @serialport/parser-readline for serial support.');
+function listPrinters() {
+  return [...printers.values()].map(p => p.getSummary());
 }
 
-// helper to send raw messages to printer
-function sendRaw(msg) {
-  if (port && port.isOpen) {
-    const s = msg.endsWith('\r\n') || msg.endsWith('\n') ? msg : msg + '\r\n';
-    port.write(s, (err) => { if (err) console.error('Write failed', err.message); });
-    return true;
-  } else {
-    console.warn('Serial not open: cannot send', msg);
-    return false;
-  }
+// Move a client to the room of the printer it is looking at
+function selectPrinter(socket, id) {
+  const session = printers.get(id) || defaultPrinter;
+  if (socket.data.printerId) socket.leave(`printer:${socket.data.printerId}`);
+  socket.data.printerId = session.id;
+  socket.join(session.room);
+  socket.emit('printer_selected', { id: session.id, name: session.name });
+  session.sendSnapshot(socket);
+  return session;
 }
 
-// polling loop
-let lastPoll = 0;
-let pollPaused = false; // Pause polling during upload
-let pollDebugCounter = 0;
-let initialPollDone = false;
-
-setInterval(() => {
-  if (!port || !port.isOpen || pollPaused) return;
-  const now = Date.now();
-  if (now - lastPoll < config.pollIntervalMs) return;
-  lastPoll = now;
-  
-  // Send initial full query on first poll to get model/serial
-  if (!initialPollDone) {
-    sendRaw('XYZv3/query=wf'); // Full status query
-    initialPollDone = true;
-    console.log('[POLL] Initial full status query sent');
-  } else {
-    sendRaw('XYZv3/query=a'); // Temperature/status query
-  }
-  
-  if (++pollDebugCounter % 20 === 0) {
-    console.log('[POLL] Status query sent (count:', pollDebugCounter, ')');
-  }
-}, 100);
+function sendRole(socket) {
+  socket.emit('role', { operator: !!socket.data.operator, operatorConfigured: !!config.operatorKey });
+}
 
 // Socket.io endpoints (UI -> server)
 io.on('connection', (socket) => {
   console.log('Client connected');
-  // Send current status immediately on connection
-  socket.emit('status', latestStatus);
-  console.log('Sent initial status to client:', { model: latestStatus.model, serialNumber: latestStatus.serialNumber });
+  socket.data.operator = checkOperatorKey(config.operatorKey, socket.handshake.auth && socket.handshake.auth.operatorKey);
+  sendRole(socket);
+  socket.emit('printers', listPrinters());
+  // Send current status of the selected printer immediately on connection
+  const session = selectPrinter(socket, socket.handshake.query && socket.handshake.query.printer);
+  console.log('Sent initial status to client:', { printer: session.id, model: session.latestStatus.model, serialNumber: session.latestStatus.serialNumber });
+
+  socket.on('select_printer', (id) => {
+    selectPrinter(socket, id);
+  });
+
+  socket.on('operator_login', (key, ack) => {
+    socket.data.operator = checkOperatorKey(config.operatorKey, key);
+    if (!socket.data.operator) console.warn('[CONSOLE] Operator login rejected');
+    sendRole(socket);
+    if (typeof ack === 'function') ack({ ok: socket.data.operator });
+  });
 
   socket.on('command', (cmd) => {
-    switch (cmd.action) {
-      case 'calibrate_start':
-        sendRaw('XYZv3/action=calibratejr:new');
-        break;
-      case 'calibrate_detector_lowered':
-        sendRaw('XYZv3/action=calibratejr:detectorok');
-        break;
-      case 'calibrate_detector_raised':
-        sendRaw('XYZv3/action=calibratejr:release');
-        break;
-      case 'toggle_autolevel':
-        sendRaw(`XYZv3/config=autolevel:${cmd.enable ? 'on' : 'off'}`);
-        break;
-      case 'pause':
-
-      case 'resume':
-      case 'cancel': {
-        const state = cmd.action === 'pause' ? 1 : (cmd.action === 'resume' ? 2 : 3);
-        const tk = cmd.token || latestStatus.token || '';
-        const j = JSON.stringify({ command: 6, state, token: tk });
-        sendRaw(j);
-        break;
-      }
-      case 'home':
-        sendRaw('XYZv3/action=home');
-        break;
-      case 'jog':
-        const dir = cmd.dir || '+';
-        const len = cmd.len || '10';
-        sendRaw(`XYZv3/action=jog:{"axis":"${cmd.axis}","dir":"${dir}","len":"${len}"}`);
-        break;
-      case 'load_filament':
-        sendRaw('XYZv3/action=load:new');
-        break;
-      case 'load_filament_stop':
-        sendRaw('XYZv3/action=load:cancel');
-        // Query filament status after load completes
-        setTimeout(() => sendRaw('XYZv3/query=wf'), 1000);
-        break;
-      case 'unload_filament':
-        sendRaw('XYZv3/action=unload:new');
-        break;
-      case 'unload_filament_stop':
-        sendRaw('XYZv3/action=unload:cancel');
-        // Query filament status after unload completes
-        setTimeout(() => sendRaw('XYZv3/query=wf'), 1000);
-        break;
-      case 'clean_nozzle':
-        sendRaw('XYZv3/action=cleannozzle:new');
-        break;
-      case 'set_zoffset':
-        sendRaw(`XYZv3/config=zoffset:[${cmd.offset}]`);
-        break;
-      default:
-        if (cmd.raw) sendRaw(cmd.raw);
-        else console.warn('Unknown command', cmd);
+    const target = printers.get(socket.data.printerId) || defaultPrinter;
+    if (cmd && cmd.raw && !socket.data.operator) {
+      socket.emit('log', { msg: 'Raw commands need the operator role' });
+      return;
     }
+    target.handleCommand(cmd);
+  });
+
+  // Protocol console: one command, reply lines come back in the ack
+  socket.on('console_command', async (req, ack) => {
+    if (typeof ack !== 'function') return;
+    if (!socket.data.operator) return ack({ ok: false, error: 'operator role required' });
+    const command = String((req && req.command) || '').trim();
+    if (!command) return ack({ ok: false, error: 'empty command' });
+
+    const info = classifyCommand(command);
+    if (info.dangerous && !req.confirmed) {
+      return ack({ ok: false, command, needsConfirm: true, reason: info.reason });
+    }
+    const target = printers.get(socket.data.printerId) || defaultPrinter;
+    if (target.serial.state !== CONNECTION_STATE.READY && target.serial.state !== CONNECTION_STATE.UPLOADING) {
+      return ack({ ok: false, command, error: `printer not connected (${target.serial.state})` });
+    }
+    ack(await target.runConsoleCommand(command));
   });
 });
 
@@ -428,7 +189,131 @@ if (config.enableWebcam) {
   }
 }
 
-app.post('/upload', upload.single('file'), async (req, res) => {
+/**
+ * Pre-print safety checks of a file against the printer's status and model limits
+ * (from the file's cached analysis)
+ * @returns {Promise<object>} see lib/preflight.js
+ */
+async function checkBeforePrint(printer, filename) {
+  let analysis = null;
+  try {
+    analysis = await printer.files.get(filename);
+  } catch (e) {
+    // unreadable file: runPreflight reports it on the file checks
+  }
+  const filePath = path.join(printer.uploadsDir, filename);
+  return runPreflight({ status: printer.latestStatus, capabilities: printer.capabilities, filePath, analysis });
+}
+
+/**
+ * Analyze a new upload in the background; the result is pushed as file_analysis
+ */
+function analyzeUpload(printer, filename) {
+  printer.files.get(filename)
+    .then(analysis => printer.out.emit('file_analysis', { filename, analysis }))
+    .catch(err => console.warn(`[ANALYSIS] ${filename}: ${err.message}`));
+}
+
+function preflightError(preflight) {
+  return `preflight failed: ${preflight.failed.map(c => c.message).join('; ')}`;
+}
+
+/**
+ * Check that a file from the printer's uploads folder can be printed now and convert it to
+ * .3w when needed (XYZ printers only take .3w). Gcode is normalized for the printer's model
+ * first (XYZware header, unsupported commands; off with normalizeGcode: false in the printer
+ * config), the report is pushed as gcode_normalized. Errors carry the HTTP status in err.status.
+ * @returns {Promise<{fileToUpload: string, uploadFilename: string, normalization: object|null}>}
+ */
+async function preparePrintFile(printer, filename) {
+  const { uploadsDir } = printer;
+  const fail = (status, message) => Object.assign(new Error(message), { status });
+  const filePath = path.join(uploadsDir, filename);
+  if (!fs.existsSync(filePath)) throw fail(404, 'file not found');
+
+  // Check if uploader is ready
+  if (printer.serial.state !== CONNECTION_STATE.READY) {
+    throw fail(503, 'Serial port not ready. Please wait for connection to establish.');
+  }
+
+  if (filename.toLowerCase().endsWith('.gcode') || filename.toLowerCase().endsWith('.txt')) {
+    console.log('[PRINT] Converting gcode to .3w format (required by XYZ firmware)...');
+    const w3Filename = filename.replace(/\.(gcode|txt)$/i, '.3w');
+    const w3Path = path.join(uploadsDir, w3Filename);
+
+    let normalization = null;
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'normalize-'));
+    try {
+      let source = filePath;
+      if (printer.config.normalizeGcode !== false) {
+        source = path.join(tmpDir, 'normalized.gcode');
+        normalization = await normalizeGcodeFile(filePath, source, {
+          capabilities: printer.capabilities,
+          analysis: await printer.files.get(filename),
+          filename: w3Filename
+        });
+        console.log(`[PRINT] Normalized ${filename}: ${describeReport(normalization)}`);
+        printer.out.emit('gcode_normalized', { filename, report: normalization });
+      }
+      const result = await convertGcodeTo3w(source, w3Path);
+      if (!result.success) {
+        throw new Error(result.error || 'Conversion failed');
+      }
+    } catch (convError) {
+      console.error('[PRINT] Failed to convert gcode to .3w:', convError.message);
+      throw fail(500, `Cannot print: XYZ firmware requires .3w format. Conversion failed: ${convError.message}`);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log('[PRINT] Gcode converted to .3w successfully:', w3Filename);
+    // Notify UI about conversion
+    printer.out.emit('log', { msg: `Converted ${filename} to .3w format` });
+    return { fileToUpload: w3Path, uploadFilename: w3Filename, normalization };
+  }
+  if (!filename.toLowerCase().endsWith('.3w')) {
+    // Not gcode, not .3w - unsupported format
+    throw fail(400, 'Unsupported file format. XYZ firmware requires .3w files. Please upload gcode (will be auto-converted) or .3w files.');
+  }
+  return { fileToUpload: filePath, uploadFilename: filename, normalization: null };
+}
+
+/**
+ * Send a prepared file and supervise the print start.
+ * Official XYZ software: send file → printer validates ~1min → auto-starts. The print start
+ * supervisor watches for that (or starts it, per strategy) and reports the outcome as print_start.
+ * @returns {Promise<object>} the print start result; rejects when the upload fails
+ */
+function sendPrintFile(printer, { fileToUpload, uploadFilename }, startStrategy) {
+  console.log('[PRINT] Uploading file:', fileToUpload);
+  return printer.uploader.uploadFile(fileToUpload, uploadFilename)
+    .then(() => printer.printStart.watch({ filename: uploadFilename, strategy: startStrategy }));
+}
+
+/**
+ * Start a job from a printer's queue, once the operator confirmed the bed is cleared
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function startQueuedJob(printer, job) {
+  try {
+    if (fs.existsSync(path.join(printer.uploadsDir, job.filename))) {
+      const preflight = await checkBeforePrint(printer, job.filename);
+      if (!preflight.ok) return { ok: false, error: preflightError(preflight) };
+    }
+    const prepared = await preparePrintFile(printer, job.filename);
+    return await sendPrintFile(printer, prepared, job.startStrategy || undefined);
+  } catch (err) {
+    if (err.code !== 'ECANCELED') printer.out.emit('upload_error', { error: err.message });
+    return { ok: false, error: err.code === 'ECANCELED' ? 'upload cancelled' : err.message };
+  }
+}
+
+// Per-printer REST routes, mounted under /api/printers/:printerId and (for the default
+// printer) at the legacy single-printer paths /upload, /uploads and /print
+const printerRoutes = express.Router();
+
+printerRoutes.post('/upload', (req, res, next) => req.printer.upload.single('file')(req, res, next), async (req, res) => {
+  const { uploadsDir } = req.printer;
   console.log('[UPLOAD] Received file:', req.file ? req.file.filename : 'none');
   if (!req.file) return res.status(400).json({ ok: false, error: 'no file uploaded' });
   
@@ -446,6 +331,7 @@ app.post('/upload', upload.single('file'), async (req, res) => {
       fs.unlinkSync(req.file.path);
       
       console.log('[UPLOAD] Conversion successful:', gcodeFilename);
+      analyzeUpload(req.printer, gcodeFilename);
       return res.json({
         ok: true,
         filename: gcodeFilename,
@@ -483,6 +369,7 @@ app.post('/upload', upload.single('file'), async (req, res) => {
       fs.unlinkSync(req.file.path);
       
       console.log('[UPLOAD] Decryption successful:', gcodeFilename);
+      analyzeUpload(req.printer, gcodeFilename);
       return res.json({
         ok: true,
         filename: gcodeFilename,
@@ -504,6 +391,7 @@ app.post('/upload', upload.single('file'), async (req, res) => {
   // .3w file uploaded directly (not converted) - printer will decrypt natively
   if (req.file.filename.toLowerCase().endsWith('.3w')) {
     console.log('[UPLOAD] .3w file uploaded directly (encrypted):', req.file.filename);
+    analyzeUpload(req.printer, req.file.filename);
     return res.json({
       ok: true,
       filename: req.file.filename,
@@ -516,6 +404,7 @@ app.post('/upload', upload.single('file'), async (req, res) => {
   
   // Regular gcode file
   console.log('[UPLOAD] Gcode file uploaded:', req.file.filename);
+  analyzeUpload(req.printer, req.file.filename);
   return res.json({
     ok: true,
     filename: req.file.filename,
@@ -523,7 +412,8 @@ app.post('/upload', upload.single('file'), async (req, res) => {
   });
 });
 
-app.get('/uploads', (req, res) => {
+printerRoutes.get('/uploads', (req, res) => {
+  const { uploadsDir } = req.printer;
   try {
     const files = fs.readdirSync(uploadsDir)
       .filter(f => fs.statSync(path.join(uploadsDir, f)).isFile())
@@ -537,92 +427,253 @@ app.get('/uploads', (req, res) => {
   }
 });
 
-app.delete('/uploads/:filename', (req, res) => {
+printerRoutes.delete('/uploads/:filename', (req, res) => {
+  const { uploadsDir } = req.printer;
   try {
     const filename = req.params.filename;
     if (!filename) return res.status(400).json({ ok: false, error: 'missing filename' });
     const filePath = path.join(uploadsDir, filename);
     if (!fs.existsSync(filePath)) return res.status(404).json({ ok: false, error: 'file not found' });
     fs.unlinkSync(filePath);
+    req.printer.files.remove(filename);
     res.json({ ok: true, message: 'File deleted' });
   } catch (e) {
     res.status(500).json({ ok: false, error: String(e) });
   }
 });
 
-app.post('/print', async (req, res) => {
+// Gcode analysis of an uploaded file (layers, print time, filament, bounds, temperatures,
+// commands), cached until the file changes; ?refresh=true analyzes it again
+function sendFileAnalysis(req, res) {
+  const name = path.basename(req.params.name);
+  const filePath = path.join(req.printer.uploadsDir, name);
+  // only regular files: names like ".meta" resolve to directories
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return res.status(404).json({ ok: false, error: 'file not found' });
+  req.printer.files.get(name, { refresh: req.query.refresh === 'true' })
+    .then(analysis => res.json({ ok: true, analysis }))
+    .catch(err => res.status(500).json({ ok: false, error: `cannot analyze ${name}: ${err.message}` }));
+}
+
+printerRoutes.get('/files/:name/analysis', sendFileAnalysis);
+
+printerRoutes.post('/print', async (req, res) => {
   const filename = req.body && req.body.filename;
+  const startStrategy = (req.body && req.body.startStrategy) || undefined;
   if (!filename) return res.status(400).json({ ok: false, error: 'missing filename' });
-  const filePath = path.join(uploadsDir, filename);
-  if (!fs.existsSync(filePath)) return res.status(404).json({ ok: false, error: 'file not found' });
-  
+  if (startStrategy && !PrintStartSupervisor.strategies.includes(startStrategy)) {
+    return res.status(400).json({ ok: false, error: `unknown startStrategy (use ${PrintStartSupervisor.strategies.join(', ')})` });
+  }
+
+  const force = req.body && req.body.force === true;
+  if (force && !checkOperatorKey(config.operatorKey, req.get('X-Operator-Key'))) {
+    return res.status(403).json({ ok: false, error: 'force needs the operator role (X-Operator-Key header)' });
+  }
+
   console.log('[PRINT] Starting print job:', filename);
-  
-  // Check if uploader is ready
-  if (!xyzUploader) {
-    return res.status(503).json({ 
-      ok: false, 
-      error: 'Serial port not ready. Please wait for connection to establish.' 
-    });
+
+  if (path.basename(filename) !== filename || !fs.existsSync(path.join(req.printer.uploadsDir, filename))) {
+    return res.status(404).json({ ok: false, error: 'file not found' });
   }
-  
-  // XYZ printers require .3w format - convert gcode to .3w if needed
-  let fileToUpload = filePath;
-  let uploadFilename = filename;
-  
-  if (filename.toLowerCase().endsWith('.gcode') || filename.toLowerCase().endsWith('.txt')) {
-    console.log('[PRINT] Converting gcode to .3w format (required by XYZ firmware)...');
-    const w3Filename = filename.replace(/\.(gcode|txt)$/i, '.3w');
-    const w3Path = path.join(uploadsDir, w3Filename);
-    
-    try {
-      const result = await convertGcodeTo3w(filePath, w3Path);
-      if (!result.success) {
-        throw new Error(result.error || 'Conversion failed');
-      }
-      
-      console.log('[PRINT] Gcode converted to .3w successfully:', w3Filename);
-      fileToUpload = w3Path;
-      uploadFilename = w3Filename;
-      
-      // Notify UI about conversion
-      io.emit('log', { msg: `Converted ${filename} to .3w format` });
-      
-    } catch (convError) {
-      console.error('[PRINT] Failed to convert gcode to .3w:', convError.message);
-      return res.status(500).json({
-        ok: false,
-        error: `Cannot print: XYZ firmware requires .3w format. Conversion failed: ${convError.message}`
-      });
-    }
-  } else if (!filename.toLowerCase().endsWith('.3w')) {
-    // Not gcode, not .3w - unsupported format
-    return res.status(400).json({
-      ok: false,
-      error: `Unsupported file format. XYZ firmware requires .3w files. Please upload gcode (will be auto-converted) or .3w files.`
-    });
+  // A printer that is not connected has no status to check (and nothing to force)
+  if (req.printer.serial.state !== CONNECTION_STATE.READY) {
+    return res.status(503).json({ ok: false, error: 'Serial port not ready. Please wait for connection to establish.' });
   }
-  
-  // Don't set reconnection flag - let printer auto-start after file validation
-  // Official XYZ software: send file → printer validates ~1min → auto-starts
-  // uploadReconnectPending = true;
-  // uploadReconnectFilename = uploadFilename;
-  console.log('[PRINT] File will be uploaded, printer should auto-start after validation');
-  console.log('[PRINT] Uploading file:', fileToUpload);
-  
-  // Start upload (will trigger: upload → taginfo → port close → reconnect → start command)
-  // Don't await - let it run in background, reconnection handler will take over
-  xyzUploader.uploadFile(fileToUpload, uploadFilename).catch(err => {
+  const preflight = await checkBeforePrint(req.printer, filename);
+  if (!preflight.ok) {
+    if (!force) return res.status(409).json({ ok: false, error: preflightError(preflight), preflight });
+    console.warn(`[PRINT] Preflight overridden by an operator: ${preflightError(preflight)}`);
+    req.printer.out.emit('log', { msg: `Preflight checks overridden: ${preflight.failed.map(c => c.message).join('; ')}` });
+  }
+
+  let prepared;
+  try {
+    prepared = await preparePrintFile(req.printer, filename);
+  } catch (err) {
+    return res.status(err.status || 500).json({ ok: false, error: err.message });
+  }
+
+  // Don't await - let it run in background, progress is reported over Socket.IO
+  sendPrintFile(req.printer, prepared, startStrategy).catch(err => {
+    if (err.code === 'ECANCELED') return; // reported as upload_cancelled
     console.error('[PRINT] Upload/print error:', err.message);
-    io.emit('upload_error', { error: err.message });
-    // Clear reconnection flag on error
-    uploadReconnectPending = false;
-    uploadReconnectFilename = null;
+    req.printer.out.emit('upload_error', { error: err.message });
   });
-  
-  res.json({ ok: true, started: true });
+
+  res.json({ ok: true, started: true, startStrategy: startStrategy || req.printer.printStart.options.strategy, preflight, normalization: prepared.normalization });
+});
+
+// Stop the upload to the printer; the uploader finishes the current block, ends the transfer
+// with uploadDidFinish and emits upload_cancelled once the printer reports idle
+printerRoutes.delete('/print/upload', (req, res) => {
+  if (!req.printer.uploader.cancel()) {
+    return res.status(409).json({ ok: false, error: 'no upload in progress, or the file is already sent' });
+  }
+  res.json({ ok: true, cancelling: true });
+});
+
+// Print job queue of this printer: files run one after another, each once the printer is
+// idle again and the operator confirmed the bed is cleared (POST /queue/bed-cleared)
+printerRoutes.get('/queue', (req, res) => {
+  res.json({ ok: true, queue: req.printer.jobs.getSnapshot() });
+});
+
+printerRoutes.post('/queue', (req, res) => {
+  const filename = req.body && req.body.filename;
+  const startStrategy = (req.body && req.body.startStrategy) || undefined;
+  if (!filename) return res.status(400).json({ ok: false, error: 'missing filename' });
+  if (startStrategy && !PrintStartSupervisor.strategies.includes(startStrategy)) {
+    return res.status(400).json({ ok: false, error: `unknown startStrategy (use ${PrintStartSupervisor.strategies.join(', ')})` });
+  }
+  if (path.basename(filename) !== filename || !fs.existsSync(path.join(req.printer.uploadsDir, filename))) {
+    return res.status(404).json({ ok: false, error: 'file not found' });
+  }
+  if (!/\.(gcode|txt|3w)$/i.test(filename)) {
+    return res.status(400).json({ ok: false, error: 'Unsupported file format. Queue gcode or .3w files.' });
+  }
+  const job = req.printer.jobs.add(filename, { startStrategy });
+  res.json({ ok: true, job, queue: req.printer.jobs.getSnapshot() });
+});
+
+printerRoutes.post('/queue/bed-cleared', (req, res) => {
+  const result = req.printer.jobs.confirmBedCleared();
+  if (!result.ok) return res.status(409).json(result);
+  res.json({ ok: true, job: result.job });
 });
 
+// Move a waiting job: { position } (0 = next)
+printerRoutes.post('/queue/:jobId/move', (req, res) => {
+  const position = req.body && req.body.position;
+  if (!Number.isInteger(position)) return res.status(400).json({ ok: false, error: 'position must be an integer' });
+  if (!req.printer.jobs.move(req.params.jobId, position)) return res.status(404).json({ ok: false, error: 'no such waiting job' });
+  res.json({ ok: true, queue: req.printer.jobs.getSnapshot() });
+});
+
+printerRoutes.delete('/queue/:jobId', (req, res) => {
+  if (!req.printer.jobs.remove(req.params.jobId)) return res.status(404).json({ ok: false, error: 'no such waiting job' });
+  res.json({ ok: true, queue: req.printer.jobs.getSnapshot() });
+});
+
+// Serial traffic recorder of this printer: GET for its state, POST { enabled } to switch it
+printerRoutes.get('/capture', (req, res) => {
+  res.json({ ok: true, capture: req.printer.recorder.getStatus() });
+});
+
+printerRoutes.post('/capture', (req, res) => {
+  const enabled = req.body && req.body.enabled;
+  if (typeof enabled !== 'boolean') return res.status(400).json({ ok: false, error: 'enabled must be true or false' });
+  try {
+    const capture = enabled ? req.printer.recorder.start() : req.printer.recorder.stop();
+    res.json({ ok: true, capture });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e) });
+  }
+});
+
+function resolvePrinter(req, res, next) {
+  req.printer = printers.get(req.params.printerId);
+  if (!req.printer) return res.status(404).json({ ok: false, error: `unknown printer: ${req.params.printerId}` });
+  next();
+}
+
+app.get('/api/printers', (req, res) => {
+  res.json({ ok: true, printers: listPrinters() });
+});
+
+// Capability profile of a printer (model, build volume, features)
+app.get('/api/printers/:printerId/capabilities', resolvePrinter, (req, res) => {
+  res.json({ ok: true, capabilities: req.printer.capabilities });
+});
+
+// Known XYZv3 commands for the protocol console (autocompletion)
+app.get('/api/protocol/commands', (req, res) => {
+  res.json({ ok: true, commands: COMMANDS });
+});
+
+app.get('/api/files/:name/analysis', (req, res) => {
+  req.printer = defaultPrinter;
+  sendFileAnalysis(req, res);
+});
+
+app.get('/api/printer/capabilities', (req, res) => {
+  res.json({ ok: true, capabilities: defaultPrinter.capabilities });
+});
+
+// Upload summaries of all printers, newest first (?printer=<id>, ?limit=<n>), for comparing
+// cables, hubs and hosts
+const uploadStats = new UploadStatsStore({ file: config.uploadStatsFile ? path.resolve(config.uploadStatsFile) : undefined });
+
+app.get('/api/upload-stats', (req, res) => {
+  const limit = parseInt(req.query.limit, 10);
+  res.json({ ok: true, uploads: uploadStats.list({ printerId: req.query.printer, limit: limit > 0 ? limit : 100 }) });
+});
+
+// Print job history of all printers, newest first, with per-printer stats of the matching jobs.
+// Filters: ?printer=<id>, ?state=completed|cancelled|failed|never_started, ?file=<part of name>,
+// ?since= / ?until= (ISO date or ms, on the end time), ?limit=<n>
+const jobHistory = new JobHistoryStore({ file: config.jobHistoryFile ? path.resolve(config.jobHistoryFile) : undefined });
+
+app.get('/api/jobs', (req, res) => {
+  const { printer, state, file } = req.query;
+  if (state && !Object.values(JOB_STATE).includes(state)) {
+    return res.status(400).json({ ok: false, error: `unknown state (use ${Object.values(JOB_STATE).join(', ')})` });
+  }
+  const time = v => (v === undefined ? undefined : (/^\d+$/.test(v) ? parseInt(v, 10) : Date.parse(v)));
+  const since = time(req.query.since);
+  const until = time(req.query.until);
+  if (Number.isNaN(since) || Number.isNaN(until)) return res.status(400).json({ ok: false, error: 'since / until must be a date or a time in ms' });
+  const limit = parseInt(req.query.limit, 10);
+  const jobs = jobHistory.list({ printerId: printer, state, filename: file, since, until });
+  res.json({ ok: true, jobs: jobs.slice(0, limit > 0 ? limit : 100), total: jobs.length, stats: JobHistoryStore.stats(jobs) });
+});
+
+// Recorded serial captures of all printers (newest first) and download
+const capturesPath = config.capturesDir ? path.resolve(config.capturesDir) : capturesDir;
+
+app.get('/api/captures', (req, res) => {
+  try {
+    res.json({ ok: true, captures: listCaptures(capturesPath) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e) });
+  }
+});
+
+// Annotated transcript of a capture (?format=text for plain text, ?against=<name> to diff)
+app.get('/api/captures/:name/analysis', (req, res) => {
+  const names = [req.params.name, req.query.against].filter(Boolean);
+  const invalid = names.find(n => !isCaptureName(n));
+  if (invalid) return res.status(400).json({ ok: false, error: `invalid capture name: ${invalid}` });
+  const missing = names.find(n => !fs.existsSync(path.join(capturesPath, n)));
+  if (missing) return res.status(404).json({ ok: false, error: `capture not found: ${missing}` });
+
+  try {
+    const gapWarnMs = parseInt(req.query.gapMs, 10) || undefined;
+    const [analysis, against] = names.map(n => analyzeCapture(loadCapture(fs.readFileSync(path.join(capturesPath, n))), { gapWarnMs }));
+    if (against) {
+      return res.json({ ok: true, diff: diffCaptures(analysis, against, { includePolls: req.query.polls === 'true' }) });
+    }
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(formatTranscript(analysis).join('\n'));
+    }
+    res.json({ ok: true, analysis });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e) });
+  }
+});
+
+app.get('/api/captures/:name', (req, res) => {
+  const { name } = req.params;
+  if (!isCaptureName(name)) return res.status(400).json({ ok: false, error: 'invalid capture name' });
+  const filePath = path.join(capturesPath, name);
+  if (!fs.existsSync(filePath)) return res.status(404).json({ ok: false, error: 'capture not found' });
+  res.download(filePath);
+});
+
+app.use('/api/printers/:printerId', resolvePrinter, printerRoutes);
+app.use((req, res, next) => {
+  req.printer = defaultPrinter;
+  next();
+}, printerRoutes);
+
 const portHttp = config.port || 3000;
 
 // Get local IP address